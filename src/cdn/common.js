@@ -0,0 +1,29 @@
+// src/cdn/common.js
+// Helpers shared by the CDN providers.
+import axios from 'axios';
+
+// collapse the doubled slashes an empty or trailing-slash segment leaves (not the scheme's)
+export const joinUrl = (...parts) => parts.join('/').replace(/([^:]\/)\/+/g, '$1');
+
+const PURGE_TIMEOUT_MS = Number(process.env.ASSET_CDN_PURGE_TIMEOUT_MS) || 10_000;
+
+/**
+ * The generic purge: POST { url, path, repo, ref } as JSON to `purge_url`, with
+ * ASSET_CDN_PURGE_TOKEN as a bearer token when set. Meant for a small function in front of a CDN
+ * that has no public purge URL (e.g. one creating a CloudFront invalidation).
+ */
+export async function purgeHook(loc, purgeUrl) {
+  const token = process.env.ASSET_CDN_PURGE_TOKEN;
+  const res = await axios.post(purgeUrl, {
+    url: loc.url, path: loc.path, repo: `${loc.owner}/${loc.repo}`, ref: loc.ref
+  }, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    timeout: PURGE_TIMEOUT_MS
+  });
+  return { status: res.status };
+}
+
+export async function purgeGet(url) {
+  const res = await axios.get(url, { timeout: PURGE_TIMEOUT_MS });
+  return { status: res.status };
+}
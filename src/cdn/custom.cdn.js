@@ -0,0 +1,22 @@
+// src/cdn/custom.cdn.js
+// Any origin in front of the repo (CloudFront, a reverse proxy, ...), described by a URL template
+// in the target's cdn_base: {owner}, {repo}, {ref} and {path} are filled in, e.g.
+//   https://d1234.cloudfront.net/{path}
+// Purging goes through the target's cdn_purge_url hook.
+
+const custom = {
+  name: 'custom',
+  title: 'Custom',
+
+  url({ owner, repo, ref, path }, { base } = {}) {
+    if (!base) {
+      const err = new Error('The custom CDN provider needs a cdn_base URL template');
+      err.code = 'UNKNOWN_CDN';
+      throw err;
+    }
+    const values = { owner, repo, ref, path };
+    return base.replace(/\{(owner|repo|ref|path)\}/g, (_, k) => values[k]);
+  }
+};
+
+export default custom;
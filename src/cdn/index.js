@@ -0,0 +1,27 @@
+// src/cdn/index.js
+import jsdelivr from './jsdelivr.cdn.js';
+import raw from './raw.cdn.js';
+import statically from './statically.cdn.js';
+import custom from './custom.cdn.js';
+
+/**
+ * CDN provider contract (one per GitHub target `cdn_provider`, services/targets.service.js):
+ *   url({ owner, repo, ref, path }, { base })   -> public URL of the file at `ref` (branch or commit sha)
+ *   purge({ owner, repo, ref, path, url })      -> { status } (optional; throws on failure)
+ * `base` is the target's cdn_base (for custom, the URL template); providers fall back to their
+ * public default. A target's cdn_purge_url, when set, is called instead of the provider's own
+ * purge (purgeHook in common.js), which is how providers without one get purged.
+ */
+const providers = { jsdelivr, raw, statically, custom };
+
+export const CDN_PROVIDERS = Object.keys(providers);
+
+export function getCdnProvider(name) {
+  const p = providers[name || 'jsdelivr'];
+  if (!p) {
+    const err = new Error(`Unknown CDN provider '${name}'`);
+    err.code = 'UNKNOWN_CDN';
+    throw err;
+  }
+  return p;
+}
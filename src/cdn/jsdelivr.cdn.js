@@ -0,0 +1,22 @@
+// src/cdn/jsdelivr.cdn.js
+// jsDelivr's GitHub CDN. Branch URLs are cached for up to 12h (7 days in browsers); the purge API
+// drops its copy right away. Commit-sha URLs never change and never need purging.
+import { joinUrl, purgeGet } from './common.js';
+
+const BASE = 'https://cdn.jsdelivr.net/gh';
+const PURGE_BASE = process.env.ASSET_JSDELIVR_PURGE_BASE || 'https://purge.jsdelivr.net/gh';
+
+const jsdelivr = {
+  name: 'jsdelivr',
+  title: 'jsDelivr',
+
+  url({ owner, repo, ref, path }, { base } = {}) {
+    return joinUrl(base || BASE, `${owner}/${repo}@${ref}`, path);
+  },
+
+  purge({ owner, repo, ref, path }) {
+    return purgeGet(joinUrl(PURGE_BASE, `${owner}/${repo}@${ref}`, path));
+  }
+};
+
+export default jsdelivr;
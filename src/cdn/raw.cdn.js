@@ -0,0 +1,17 @@
+// src/cdn/raw.cdn.js
+// raw.githubusercontent.com: served by GitHub itself, cached for about five minutes, no purge.
+// Public repos only.
+import { joinUrl } from './common.js';
+
+const BASE = 'https://raw.githubusercontent.com';
+
+const raw = {
+  name: 'raw',
+  title: 'raw.githubusercontent.com',
+
+  url({ owner, repo, ref, path }, { base } = {}) {
+    return joinUrl(base || BASE, owner, repo, ref, path);
+  }
+};
+
+export default raw;
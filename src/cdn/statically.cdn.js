@@ -0,0 +1,17 @@
+// src/cdn/statically.cdn.js
+// Statically's GitHub CDN. There is no purge call built in; set the target's cdn_purge_url to
+// have one made through the generic hook.
+import { joinUrl } from './common.js';
+
+const BASE = 'https://cdn.statically.io/gh';
+
+const statically = {
+  name: 'statically',
+  title: 'Statically',
+
+  url({ owner, repo, ref, path }, { base } = {}) {
+    return joinUrl(base || BASE, owner, repo, ref, path);
+  }
+};
+
+export default statically;
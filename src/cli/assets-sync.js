@@ -0,0 +1,60 @@
+// src/cli/assets-sync.js
+// Usage: npm run sync -- export [--format=json|ndjson] [--out=data/assets.json]
+//        npm run sync -- import <file> [--apply] [--overwrite]
+// Works against whichever backend METADATA_BACKEND selects, e.g. RTDB -> SQLite:
+//   METADATA_BACKEND=rtdb   npm run sync -- export --format=ndjson --out=dump.ndjson
+//   METADATA_BACKEND=sqlite npm run sync -- import dump.ndjson            (dry run)
+//   METADATA_BACKEND=sqlite npm run sync -- import dump.ndjson --apply
+// Import exits 1 when anything conflicted or was invalid.
+import 'dotenv/config';
+import fs from 'fs';
+import { FORMATS, exportSnapshot, serializeSnapshot, parseSnapshot, importSnapshot } from '../services/sync.service.js';
+
+const [cmd, ...rest] = process.argv.slice(2);
+const positional = rest.filter(a => !a.startsWith('--'));
+const args = Object.fromEntries(
+  rest.filter(a => a.startsWith('--')).map(a => a.replace(/^--/, '').split('=')).map(([k, v]) => [k, v ?? true])
+);
+
+function fail(msg) {
+  console.error(msg);
+  process.exit(2);
+}
+
+if (cmd === 'export') {
+  const format = args.format || (String(args.out || '').endsWith('.ndjson') ? 'ndjson' : 'json');
+  if (!FORMATS.includes(format)) fail(`Unknown format ${format} (${FORMATS.join(', ')})`);
+
+  const snapshot = await exportSnapshot();
+  const out = serializeSnapshot(snapshot, format);
+  if (args.out) {
+    fs.writeFileSync(args.out, out);
+    console.error(`exported ${snapshot.assets.length} assets from ${snapshot.backend} to ${args.out}`);
+  } else {
+    process.stdout.write(out);
+  }
+  process.exit(0);
+}
+
+if (cmd === 'import') {
+  const file = positional[0];
+  if (!file) fail('Usage: assets-sync import <file> [--apply] [--overwrite]');
+
+  let snapshot;
+  try {
+    snapshot = parseSnapshot(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    fail(e?.message || String(e));
+  }
+
+  const report = await importSnapshot(snapshot, { dryRun: !args.apply, overwrite: Boolean(args.overwrite) });
+
+  for (const c of report.conflicts) console.log(`conflict ${c.conflict.padEnd(4)} ${c.slug} (${c.id}): ${c.reason}`);
+  for (const i of report.invalid) console.log(`invalid  #${i.index} ${i.slug ?? ''}`);
+  for (const w of report.warnings) console.log(`warning  ${w.slug}: ${w.reason}`);
+  console.log(JSON.stringify({ dry_run: report.dry_run, backend: report.backend, ...report.summary }));
+  if (report.dry_run) console.log('dry run: nothing written; re-run with --apply');
+  process.exit(report.summary.conflict || report.summary.invalid ? 1 : 0);
+}
+
+fail('Usage: assets-sync export|import (see src/cli/assets-sync.js)');
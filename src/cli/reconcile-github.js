@@ -0,0 +1,29 @@
+// src/cli/reconcile-github.js
+// Usage: npm run reconcile -- [--target=default] [--branch=main] [--prefix=assets/] [--no-hash] [--register] [--remove] [--label=reconciled]
+// Prints the drift between github assets and the repo; exits 1 when there is any, so it can gate cron/CI.
+import 'dotenv/config';
+import { reconcileGithub } from '../services/reconcile.service.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(a => a.replace(/^--/, '').split('=')).map(([k, v]) => [k, v ?? true])
+);
+
+const report = await reconcileGithub({
+  target: args.target,
+  branch: args.branch,
+  prefix: args.prefix,
+  hash: !args['no-hash'],
+  register: Boolean(args.register),
+  remove: Boolean(args.remove),
+  label: args.label,
+  visibility: args.visibility
+});
+
+for (const f of report.untracked) console.log(`untracked  ${f.path}`);
+for (const a of report.missing) console.log(`missing    ${a.path} (${a.slug})`);
+for (const m of report.mismatched) console.log(`mismatch   ${m.path} (${m.slug}): ${m.reason}`);
+for (const e of report.errors) console.log(`error      ${e.path}: ${e.error}`);
+console.log(JSON.stringify(report.summary));
+
+const { untracked, missing, mismatched, errors } = report.summary;
+process.exit(untracked || missing || mismatched || errors ? 1 : 0);
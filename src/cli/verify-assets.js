@@ -0,0 +1,21 @@
+// src/cli/verify-assets.js
+// Usage: npm run verify -- [--all] [--disk=github] [--concurrency=4]
+// Exits 1 when any asset is missing or mismatched, so it can gate cron/CI.
+import 'dotenv/config';
+import { verifyAssets } from '../services/integrity.service.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map(a => a.replace(/^--/, '').split('=')).map(([k, v]) => [k, v ?? true])
+);
+
+const { summary, results } = await verifyAssets({
+  disk: args.disk,
+  all: Boolean(args.all),
+  concurrency: Number(args.concurrency) || 4
+});
+
+for (const r of results) {
+  if (r.status !== 'ok') console.log(`${r.status.padEnd(8)} ${r.slug}`);
+}
+console.log(JSON.stringify(summary));
+process.exit(summary.mismatch || summary.missing ? 1 : 0);
@@ -1,15 +1,33 @@
 // src/controllers/assets.controller.js
 import { z } from 'zod';
 import { nanoid } from 'nanoid';
-import { insertAsset, findBySlug, recentAssets } from '../models/asset.model.js';
+import {
+  insertAsset, insertAssets, announceCreated, removeAssets, findBySlug, recentAssets, slugTaken, getById, updateAsset, softDeleteAsset, restoreAsset,
+  getAllAssets, listAssets as listAssetsModel, SORTABLE
+} from '../models/asset.model.js';
 import { slugify } from '../utils/slugify.js';
-import { sha256Hex } from '../utils/hash.js';
-import { uploadToGitHub, makeCdnUrl } from '../services/github.service.js';
+import { sha256File } from '../utils/hash.js';
+import { getDriver, UPLOAD_DISKS } from '../storage/index.js';
+import { isPublic, redactAsset } from '../utils/visibility.js';
+import { keyAllows } from '../middleware/apiKey.js';
 import { extname } from 'path';
-import mime from 'mime-types';
-import { readFileSync, unlinkSync } from 'fs';
-import { deleteFromGitHub } from '../services/github.service.js'; // top of file
-import { getAllAssets } from '../models/asset.model.js';
+import { unlinkSync, readFileSync } from 'fs';
+import {
+  deleteFromGitHub, createTreeCommit, updateBranchRef, resolveWriteBranch, lockBranch, createBranch, openPullRequest,
+  closePullRequest, deleteBranch, makeGithubUrl, makeCdnUrl, CONTENTS_MAX_BYTES, BRANCH_POLICIES
+} from '../services/github.service.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+import { ON_CONFLICT, planStore, recordStored, releaseStored, blobLocation, refsAt } from '../services/blob.service.js';
+import { releaseOtherVersions } from '../services/version.service.js';
+import { storeVariants, renderVariants, variantRecord } from '../services/image.service.js';
+import { inspectUpload, inspectRegistered, storedHead, isRejection } from '../services/ingest.service.js';
+import { recordAudit } from '../services/audit.service.js';
+import { checkQuota, isQuotaError } from '../services/quota.service.js';
+import { purgeCdn } from '../services/cdn.service.js';
+import { findTarget, defaultTarget, targetForRepo, branchOf, repoOf, withPrefix } from '../services/targets.service.js';
+import { resolveCollection, subtreeIds, uploadDefaults, inCollection } from '../services/collection.service.js';
+import { tagsSchema, metadataSchema } from '../utils/metadata.js';
+import dayjs from 'dayjs';
 
 
 // ---- env / config -----------------------------------------------------------
@@ -19,9 +37,15 @@ const ALLOWED_EXT = (process.env.ASSET_ALLOWED_EXT || '')
 const ALLOWLIST = (process.env.ASSET_REMOTE_ALLOWLIST || '')
   .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
 
-const GH_OWNER  = process.env.ASSET_GH_OWNER;
-const GH_REPO   = process.env.ASSET_GH_REPO;
-const GH_BRANCH = process.env.ASSET_DEFAULT_BRANCH || 'main';
+// repos DELETE /assets/github may touch besides the GitHub targets' ("owner/repo", comma separated)
+const GH_DELETE_REPOS = (process.env.ASSET_GH_DELETE_REPOS || '')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// most files accepted by POST /assets/github/batch
+const GH_BATCH_MAX = Number(process.env.ASSET_GH_BATCH_MAX) || 50;
+
+// branches made for pull_request uploads start with this
+const GH_PR_BRANCH_PREFIX = process.env.ASSET_GH_PR_BRANCH_PREFIX || 'assets/';
 
 // ---- helpers ----------------------------------------------------------------
 const toBool = (v) => {
@@ -42,14 +66,80 @@ function guessFilename(pathOrUrl) {
   }
 }
 
-function publicUrlFromAsset(a) {
-  if (a.disk === 'github') {
-    const branch = a.branch || GH_BRANCH;
-    return makeCdnUrl({ owner: GH_OWNER, repo: GH_REPO, branch, path: a.path });
+// The GitHub target an upload names (services/targets.service.js), or the default one.
+// Resolves to { target }, or { status, error } to send back.
+function pickTarget(name) {
+  const target = name ? findTarget(name) : defaultTarget();
+  if (target) return { target };
+  return { status: 422, error: name ? `Unknown target '${name}'` : 'No GitHub target configured' };
+}
+
+const repoName = (t) => `${t.owner}/${t.repo}`;
+
+// The collection an asset is filed into (services/collection.service.js), by id or slug.
+// Resolves to { collection, defaults } (collection null when none is named; defaults as
+// uploadDefaults gives them), or { status, error } to send back.
+async function pickCollection(ref) {
+  if (!ref) return { collection: null, defaults: await uploadDefaults(null) };
+  const collection = await resolveCollection(ref);
+  if (collection) return { collection, defaults: await uploadDefaults(collection) };
+  return { status: 422, error: `Unknown collection '${ref}'` };
+}
+
+// a fresh branch for a pull_request upload; `name` is a slug
+const reviewBranch = (name) => `${GH_PR_BRANCH_PREFIX}${name}-${nanoid(6).toLowerCase().replace(/[^a-z0-9]/g, 'x')}`;
+
+const branchNotFound = (e) => `${e.message}; pass branch_policy=fallback or create`;
+
+// 409 for a slug another asset (trashed ones included) already holds
+function slugConflict(res, slug) {
+  return res.status(409).json({ ok: false, error: `Slug '${slug}' already exists` });
+}
+
+// GitHub's quota is spent for longer than the client waits (services/github.service.js)
+export function githubBusy(res, e) {
+  res.set('Retry-After', String(e.retry_after));
+  return res.status(503).json({ ok: false, error: e.message, retry_after: e.retry_after });
+}
+
+// the API key's storage quota (services/quota.service.js) would be exceeded
+export function quotaRefused(res, e) {
+  return res.status(e.status).json({ ok: false, error: e.message, quota: e.quota, limit: e.limit, used: e.used });
+}
+
+// ensure the stored path has an extension (append from uploaded filename)
+function withExt(storePath, ext) {
+  return ext && !/\.[a-z0-9]{1,10}$/i.test(storePath) ? `${storePath}.${ext}` : storePath;
+}
+
+// multipart fields arrive as strings; JSON-valued ones are parsed before validation
+const jsonField = (v) => {
+  if (typeof v !== 'string') return v;
+  try { return JSON.parse(v); } catch { return v; }
+};
+
+// disks without a public URL of their own (e.g. local with no base URL) go through /a/:slug;
+// private assets have no permanent URL at all (mint one via POST /assets/:slug/sign)
+export function publicUrlFromAsset(a, req) {
+  if (!isPublic(a)) return null;
+  return getDriver(a.disk).url(a) ?? `${req.protocol}://${req.get('host')}/a/${a.slug}`;
+}
+
+// Image variants are a convenience: failing to make them never fails the upload itself.
+export async function tryStoreVariants(opts) {
+  try {
+    return await storeVariants(opts);
+  } catch (e) {
+    console.warn(`[variants] ${opts.path}: ${e?.message || e}`);
+    return [];
   }
-  if (a.disk === 'remote') return a.path;
-  // You can extend for local/s3 streaming later.
-  return a.path;
+}
+
+// a URL for exactly the current bytes (e.g. jsDelivr at the commit sha); null when the disk has none
+export function pinnedUrlFromAsset(a) {
+  if (!isPublic(a)) return null;
+  const driver = getDriver(a.disk);
+  return (driver.pinnedUrl ? driver.pinnedUrl(a) : driver.url(a)) ?? null;
 }
 
 // ---- schemas ----------------------------------------------------------------
@@ -59,12 +149,105 @@ const registerSchema = z.object({
   slug: z.string().optional(),
   disk: z.enum(['remote','local','s3','github']),
   path: z.string().min(1),
+  target: z.string().optional(), // github only: the repo `path` is in (default target otherwise)
   mime: z.string().optional(),
   size: z.number().optional(),
   sha256: z.string().length(64).optional(),
   verify_hash: z.preprocess(toBool, z.boolean().optional().default(false)),
   disposition: z.enum(['inline','attachment']).optional().default('inline'),
-  visibility: z.string().optional().default('public')
+  visibility: z.string().optional(), // default: the collection's, else public
+  collection: z.string().optional(), // id or slug
+  tags: tagsSchema.optional(),
+  metadata: metadataSchema.optional()
+});
+
+// editable metadata only; where the bytes live (disk/path/repo), their sha256 and size (which
+// quotas add up) are fixed at upload
+const updateSchema = z.object({
+  label: z.string().min(1).optional(),
+  slug: z.string().min(1).optional(),
+  filename: z.string().min(1).optional(),
+  mime: z.string().min(1).optional(),
+  verify_hash: z.preprocess(toBool, z.boolean()).optional(),
+  disposition: z.enum(['inline','attachment']).optional(),
+  visibility: z.string().optional(),
+  collection: z.string().min(1).nullable().optional(), // id or slug; null takes it out of its collection
+  tags: tagsSchema.optional(),
+  metadata: metadataSchema.nullable().optional()
+}).strict().refine((v) => Object.keys(v).length > 0, { message: 'Nothing to update' });
+
+const isoDate = z.string().refine((v) => dayjs(v).isValid(), 'Invalid date').transform((v) => dayjs(v).toISOString());
+
+// GET /assets query string (also the filters of GET /assets/search; search.controller.js)
+export const listQuerySchema = z.object({
+  q: z.string().optional(),
+  label: z.string().optional(),
+  disk: z.enum(['remote','local','s3','github']).optional(),
+  visibility: z.string().optional(),
+  mime: z.string().optional(),
+  min_size: z.coerce.number().int().min(0).optional(),
+  max_size: z.coerce.number().int().min(0).optional(),
+  created_from: isoDate.optional(),
+  created_to: isoDate.optional(),
+  repo: z.string().optional(),
+  branch: z.string().optional(),
+  integrity_status: z.enum(['ok','mismatch','missing','error','unknown']).optional(),
+  collection: z.string().optional(), // id or slug
+  recursive: z.preprocess(toBool, z.boolean().optional().default(false)), // sub-collections too
+  tag: tagsSchema.optional(), // comma-separated; assets carrying all of them
+  sort: z.enum(SORTABLE).optional().default('created_at'),
+  order: z.enum(['asc','desc']).optional().default('desc'),
+  limit: z.coerce.number().int().min(1).max(100).optional().default(20),
+  offset: z.coerce.number().int().min(0).optional(),
+  cursor: z.string().optional()
+});
+
+// multipart upload fields; GitHub uploads must say where in the repo the file goes
+const uploadSchemaFor = (disk) => z.object({
+  label: z.string().min(1),
+  filename: z.string().optional(),
+  slug: z.string().optional(),
+  path: z.string().min(1).optional(),
+  repo_path: z.string().min(1).optional(),
+  target: z.string().optional(), // GitHub only, like the rest up to pull_request
+  branch: z.string().optional(), // default: the target's branch
+  branch_policy: z.enum(BRANCH_POLICIES).optional(), // see services/github.service.js
+  pull_request: z.preprocess(toBool, z.boolean().optional().default(false)),
+  disposition: z.enum(['inline','attachment']).optional().default('inline'),
+  visibility: z.string().optional(), // default: the collection's, else public
+  verify_hash: z.preprocess(toBool, z.boolean().optional().default(false)),
+  on_conflict: z.enum(ON_CONFLICT).optional().default('reuse'), // see services/blob.service.js
+  collection: z.string().optional(), // id or slug; GitHub paths default under its repo_path_prefix
+  tags: tagsSchema.optional(),
+  metadata: metadataSchema.optional()
+}).refine((v) => disk !== 'github' || v.path || v.repo_path || v.collection, {
+  message: 'repo_path is required',
+  path: ['repo_path']
+});
+
+// POST /assets/github/batch: per-file entries of `items`, in the same order as `files`
+const batchItemSchema = z.object({
+  label: z.string().min(1),
+  filename: z.string().optional(),
+  slug: z.string().optional(),
+  repo_path: z.string().min(1).optional(), // may be left out when the collection has a repo_path_prefix
+  disposition: z.enum(['inline','attachment']).optional().default('inline'),
+  visibility: z.string().optional(),
+  verify_hash: z.preprocess(toBool, z.boolean().optional().default(false)),
+  collection: z.string().optional(),
+  tags: tagsSchema.optional(),
+  metadata: metadataSchema.optional()
+});
+
+const batchSchema = z.object({
+  target: z.string().optional(),
+  branch: z.string().optional(),
+  branch_policy: z.enum(BRANCH_POLICIES).optional(),
+  pull_request: z.preprocess(toBool, z.boolean().optional().default(false)),
+  message: z.string().optional(),
+  on_conflict: z.enum(ON_CONFLICT).optional().default('reuse'),
+  collection: z.string().optional(), // for items that don't name one
+  items: z.preprocess(jsonField, z.array(z.any()).min(1))
 });
 
 // ---- controllers ------------------------------------------------------------
@@ -88,6 +271,20 @@ export async function registerExisting(req, res) {
     return res.status(400).json({ ok: false, error: `File extension .${ext} not allowed` });
   }
 
+  if (!keyAllows(req.apiKey, { label: v.label, path: v.path })) {
+    return res.status(403).json({ ok: false, error: 'API key may not register this label/path' });
+  }
+
+  let repo = null;
+  if (v.disk === 'github') {
+    const pick = pickTarget(v.target);
+    if (pick.error) return res.status(pick.status).json({ ok: false, error: pick.error });
+    repo = repoName(pick.target);
+  }
+  // a registered file stays where it is; only the collection's visibility applies
+  const filed = await pickCollection(v.collection);
+  if (filed.error) return res.status(filed.status).json({ ok: false, error: filed.error });
+
   // remote allowlist guard
   if (v.disk === 'remote') {
     try {
@@ -100,7 +297,26 @@ export async function registerExisting(req, res) {
     }
   }
 
-  const mimeType = v.mime || (mime.lookup(filename) || 'application/octet-stream');
+  if (await slugTaken(slug)) return slugConflict(res, slug);
+
+  // the declared size counts toward the key's usage like an uploaded one
+  try {
+    await checkQuota(req.apiKey, { assets: 1, bytes: v.size ?? 0, largest: v.size ?? 0 });
+  } catch (e) {
+    if (isQuotaError(e)) return quotaRefused(res, e);
+    throw e;
+  }
+
+  // nothing is uploaded here, but what's stored can still be checked: declared type against
+  // the extension, and against the first bytes where the disk lets us read them
+  let checked;
+  try {
+    const head = v.disk === 'remote' ? null : await storedHead(getDriver(v.disk), { ...v, repo, filename });
+    checked = inspectRegistered({ filename, declared: v.mime, head });
+  } catch (e) {
+    if (isRejection(e)) return res.status(e.status).json({ ok: false, error: e.message });
+    throw e;
+  }
 
   const asset = {
     id: nanoid(12),
@@ -109,112 +325,557 @@ export async function registerExisting(req, res) {
     filename,
     disk: v.disk,
     path: v.path,
-    mime: mimeType,
+    repo,
+    mime: checked.mime,
     size: v.size ?? null,
     sha256: v.sha256 ?? null,
     verify_hash: v.verify_hash,
-    disposition: v.disposition,
-    visibility: v.visibility
+    disposition: checked.disposition || v.disposition,
+    visibility: v.visibility ?? filed.defaults.visibility ?? 'public',
+    collection_id: filed.collection?.id ?? null,
+    tags: v.tags ?? [],
+    metadata: v.metadata ?? {},
+    created_by: req.apiKey.id
   };
 
-  await insertAsset(asset);
-  return res.json({ ok: true, asset, public_url: publicUrlFromAsset(asset) });
+  try {
+    await insertAsset(asset);
+  } catch (e) {
+    if (e?.code === 'SLUG_EXISTS') return slugConflict(res, slug);
+    throw e;
+  }
+  return res.json({ ok: true, asset: redactAsset(asset), public_url: publicUrlFromAsset(asset, req) });
+}
+
+/**
+ * POST /api/v1/assets/upload?disk=github|local|s3
+ * Multipart: file + metadata; stores the file on the chosen disk and registers asset.
+ * Fields: file, label, filename?, slug?, path (or repo_path), disposition?, visibility?, verify_hash?,
+ *   collection?, tags? (JSON array or comma-separated), metadata? (JSON object, utils/metadata.js),
+ *   and for github: target?, branch?, branch_policy?, pull_request? (see prepareUpload and storeUpload)
+ * on_conflict=reuse|reject|overwrite (query or field): what to do when the bytes or the path already exist
+ * async=true (query or field): answer 202 with a job to poll instead of waiting (middleware/asyncJob.js)
+ */
+export async function uploadAsset(req, res) {
+  return storeUpload(req, res, {
+    disk: String(req.query.disk || req.body?.disk || ''),
+    file: req.file,
+    fields: { on_conflict: req.query.on_conflict, ...req.body }
+  });
 }
 
 /**
  * POST /api/v1/assets/github
  * Multipart: file + metadata; uploads file to GitHub and registers asset.
- * Fields: file, label, filename?, slug?, repo_path, branch?, disposition?, visibility?, verify_hash?
+ * Fields: file, label, filename?, slug?, repo_path, target?, branch?, branch_policy?, pull_request?, disposition?,
+ *   visibility?, verify_hash?, on_conflict?, collection?, tags?, metadata?
+ * Same as POST /api/v1/assets/upload?disk=github; kept for existing clients.
  */
 export async function uploadGithubRegister(req, res) {
+  return storeUpload(req, res, {
+    disk: 'github',
+    file: req.file,
+    fields: { on_conflict: req.query.on_conflict, ...req.body }
+  });
+}
+
+/**
+ * Validate upload metadata before any bytes are stored (multipart routes, chunked upload init).
+ * Resolves to { status, error } to send back, or { v, filename, slug, storePath, target, collection }.
+ * GitHub uploads go to `target` (by name, default target otherwise): its branch unless one is
+ * given, under its path prefix and the repo_path_prefix `collection` (or one above it) sets.
+ * Nothing here touches the repo: a branch that doesn't exist is only dealt with by storeUpload.
+ */
+export async function prepareUpload(apiKey, { disk, fields, originalname }) {
+  if (!UPLOAD_DISKS.includes(disk)) {
+    return { status: 400, error: `disk must be one of: ${UPLOAD_DISKS.join(', ')}` };
+  }
+
+  const parsed = uploadSchemaFor(disk).safeParse(fields);
+  if (!parsed.success) return { status: 422, error: parsed.error.flatten() };
+  const v = parsed.data;
+
+  const filename = v.filename || originalname;
+  const ext = (extname(filename) || '').slice(1).toLowerCase();
+
+  if (ALLOWED_EXT.length && !ALLOWED_EXT.includes(ext)) {
+    return { status: 400, error: `File extension .${ext} not allowed` };
+  }
+
+  let target = null;
+  if (disk === 'github') {
+    const pick = pickTarget(v.target);
+    if (pick.error) return pick;
+    target = pick.target;
+    v.branch ||= branchOf(target);
+  }
+
+  const { collection, defaults, ...filed } = await pickCollection(v.collection);
+  if (filed.error) return filed;
+  if (target && !v.path && !v.repo_path && !defaults.repo_path_prefix) {
+    return { status: 422, error: `repo_path is required (collection '${collection.slug}' has no repo_path_prefix)` };
+  }
+  v.visibility ??= defaults.visibility ?? 'public';
+
+  const slug = v.slug ? slugify(v.slug) : (slugify(v.label) || nanoid(8));
+
+  const base = withExt(v.path || v.repo_path || slug, ext);
+  const storePath = target ? withPrefix(target, inCollection(defaults, base)) : base;
+
+  if (!keyAllows(apiKey, { label: v.label, path: storePath })) {
+    return { status: 403, error: 'API key may not upload to this label/path' };
+  }
+
+  // fail before touching storage; insertAsset still guards the race
+  if (await slugTaken(slug)) return { status: 409, error: `Slug '${slug}' already exists` };
+
+  return { v, filename, slug, storePath, target, collection };
+}
+
+// Undoing a store whose asset couldn't be registered. Failures are only logged: the caller is
+// already answering with the error that got it here.
+async function discardStored(a, driver) {
+  try {
+    await releaseStored(a, driver, { message: `Remove unregistered asset ${a.filename}` });
+  } catch (e) {
+    console.error(`Failed to remove the stored file of unregistered asset ${a.slug}:`, e?.response?.data || e);
+  }
+}
+
+// ... and of a pull_request upload: the review branch holds nothing else
+async function discardReview(target, review, pullRequest) {
+  try {
+    if (pullRequest) await closePullRequest({ owner: target.owner, repo: target.repo, number: pullRequest.number });
+    await deleteBranch({ owner: target.owner, repo: target.repo, branch: review.head });
+  } catch (e) {
+    console.error(`Failed to remove review branch ${review.head}:`, e?.response?.data || e);
+  }
+}
+
+/**
+ * Store a file that is already on local disk and register it; shared by the multipart
+ * routes and chunked uploads (controllers/uploads.controller.js).
+ * file: { path, originalname, mimetype, size, sha256? } (sha256 when the caller already hashed it).
+ * Images also get their preset variants stored alongside (asset.variants, services/image.service.js).
+ * The asset is the API key's (created_by) and counts toward its quotas (services/quota.service.js).
+ * Only once the file passed the quota and content checks is a GitHub branch that doesn't exist
+ * handled by branch_policy (strict|fallback|create, default ASSET_GH_BRANCH_POLICY), so a refused
+ * upload never creates one.
+ * With pull_request (github), the file is committed to a new branch off v.branch and a pull request
+ * asks to merge it; the asset records that branch (the only one holding the file until the merge).
+ * When the asset can't be registered after all (its slug taken meanwhile), what was stored for it
+ * is removed again, or the pull request closed and its branch deleted.
+ * The file at file.path is removed afterwards either way.
+ */
+export async function storeUpload(req, res, { disk, file, fields }) {
+  let driver = null;
   try {
-    const { file } = req;
     if (!file) return res.status(400).json({ ok: false, error: 'file is required' });
 
-    const schema = z.object({
-      label: z.string().min(1),
-      filename: z.string().optional(),
-      slug: z.string().optional(),
-      repo_path: z.string().min(1),
-      branch: z.string().optional().default(GH_BRANCH),
-      disposition: z.enum(['inline','attachment']).optional().default('inline'),
-      visibility: z.string().optional().default('public'),
-      verify_hash: z.preprocess(toBool, z.boolean().optional().default(false))
-    });
+    const prep = await prepareUpload(req.apiKey, { disk, fields, originalname: file.originalname });
+    if (prep.error) return res.status(prep.status).json({ ok: false, error: prep.error });
+    const { v, filename, slug, storePath, target, collection } = prep;
+    const repo = target && repoName(target);
+    driver = getDriver(disk);
+    await checkQuota(req.apiKey, { assets: 1, bytes: file.size, largest: file.size });
 
-    const parsed = schema.safeParse(req.body);
-    if (!parsed.success) {
-      return res.status(422).json({ ok: false, error: parsed.error.flatten() });
-    }
-    const v = parsed.data;
+    // the stored type comes from the bytes, never from the client's Content-Type
+    const checked = await inspectUpload({ file: file.path, filename, size: file.size });
+    const sha256 = (!checked.sanitized && file.sha256) || await sha256File(file.path);
+    if (target) v.branch = await resolveWriteBranch(target.owner, target.repo, v.branch, v.branch_policy);
 
-    const filename = v.filename || file.originalname;
-    const ext = (extname(filename) || '').slice(1).toLowerCase();
+    // identical bytes already stored on this disk become a reference instead of a second copy
+    const plan = await planStore({
+      disk,
+      driver,
+      sha256,
+      path: storePath,
+      branch: disk === 'github' ? v.branch : null,
+      repo,
+      onConflict: v.on_conflict,
+      canReuse: (b) => keyAllows(req.apiKey, { label: v.label, path: b.path })
+    });
+    if (plan.conflict) return res.status(409).json({ ok: false, error: plan.conflict });
 
-    if (ALLOWED_EXT.length && !ALLOWED_EXT.includes(ext)) {
-      return res.status(400).json({ ok: false, error: `File extension .${ext} not allowed` });
-    }
+    const review = disk === 'github' && v.pull_request && !plan.reuse ? { base: v.branch, head: reviewBranch(slug) } : null;
+    if (review) await createBranch({ owner: target.owner, repo: target.repo, branch: review.head, from: review.base });
 
-    // ensure repo_path has an extension (append from uploaded filename)
-    let repoPath = v.repo_path;
-    if (!/\.[a-z0-9]{1,10}$/i.test(repoPath)) {
-      repoPath = `${repoPath}.${ext}`;
+    const stored = plan.reuse ? blobLocation(plan.reuse) : await driver.put({
+      path: storePath,
+      file: file.path,
+      size: checked.size,
+      mime: checked.mime,
+      sha256,
+      branch: review?.head ?? v.branch,
+      repo,
+      message: `Add asset ${filename}`,
+      overwrite: plan.overwrite
+    });
+    // reused content comes with the variants made when it was first stored
+    if (!plan.reuse) {
+      stored.variants = await tryStoreVariants({
+        file: file.path, path: stored.path, mime: checked.mime, driver, branch: stored.branch, repo,
+        message: `Add variants of ${filename}`, overwrite: plan.overwrite
+      });
     }
-
-    const slug = v.slug ? slugify(v.slug) : (slugify(v.label) || nanoid(8));
-    const buf = readFileSync(file.path);
-    const contentBase64 = buf.toString('base64');
-    const sha256 = sha256Hex(buf);
-
-    const { contentUrl } = await uploadToGitHub({
-      owner: GH_OWNER,
-      repo: GH_REPO,
-      branch: v.branch,
-      path: repoPath,
-      contentBase64,
-      message: `Add asset ${filename}`
+    const pullRequest = review && await openPullRequest({
+      owner: target.owner,
+      repo: target.repo,
+      ...review,
+      title: `Add asset ${filename}`,
+      body: `Adds \`${stored.path}\` (asset \`${slug}\`, label ${v.label}).`
     });
 
-    const cdn = makeCdnUrl({ owner: GH_OWNER, repo: GH_REPO, branch: v.branch, path: repoPath });
-
     const asset = {
       id: nanoid(12),
       label: v.label,
       slug,
       filename,
-      disk: 'github',
-      path: repoPath,
-      repo: `${GH_OWNER}/${GH_REPO}`,
-      branch: v.branch,
-      mime: file.mimetype,
-      size: file.size,
+      disk,
+      path: stored.path,
+      repo: stored.repo ?? null,
+      branch: stored.branch ?? null,
+      mime: checked.mime,
+      size: checked.size,
       sha256,
       verify_hash: v.verify_hash,
-      disposition: v.disposition,
+      disposition: checked.disposition || v.disposition,
       visibility: v.visibility,
-      github_url: contentUrl,
-      cdn_url: cdn
+      github_url: stored.github_url ?? null,
+      cdn_url: stored.cdn_url ?? null,
+      storage_strategy: stored.storage_strategy ?? null,
+      storage_ref: stored.storage_ref ?? null,
+      commit_sha: stored.commit_sha ?? null,
+      version: 1,
+      variants: stored.variants ?? [],
+      scan_status: checked.scan_status,
+      scanned_at: checked.scanned_at,
+      collection_id: collection?.id ?? null,
+      tags: v.tags ?? [],
+      metadata: v.metadata ?? {},
+      created_by: req.apiKey.id
     };
 
-    await insertAsset(asset);
-    return res.json({ ok: true, asset, public_url: publicUrlFromAsset(asset) });
+    try {
+      await insertAsset(asset);
+    } catch (e) {
+      // e.g. the slug was taken since prepareUpload checked it: leave nothing unregistered behind
+      if (review) await discardReview(target, review, pullRequest);
+      else if (!plan.reuse) await discardStored(asset, driver);
+      throw e;
+    }
+    const blob = await recordStored({ disk, sha256, size: checked.size, mime: checked.mime, stored: asset, plan });
+    return res.json({
+      ok: true,
+      asset: redactAsset(asset),
+      public_url: publicUrlFromAsset(asset, req),
+      pinned_url: pinnedUrlFromAsset(asset),
+      blob,
+      ...(pullRequest ? { pull_request: pullRequest } : {})
+    });
   } catch (e) {
-    // prefer detailed GH error if available
+    if (e?.code === 'SLUG_EXISTS') return slugConflict(res, e.slug);
+    if (isRejection(e)) return res.status(e.status).json({ ok: false, error: e.message });
+    if (isQuotaError(e)) return quotaRefused(res, e);
+    // prefer detailed upstream error if available
     console.error(e?.response?.data || e);
-    return res.status(500).json({ ok: false, error: 'GitHub upload failed' });
+    if (e?.code === 'INVALID_PATH') return res.status(400).json({ ok: false, error: e.message });
+    if (e?.code === 'EMPTY_REPO') return res.status(400).json({ ok: false, error: e.message });
+    if (e?.code === 'BRANCH_NOT_FOUND') return res.status(422).json({ ok: false, error: branchNotFound(e) });
+    if (e?.code === 'PATH_EXISTS') return res.status(409).json({ ok: false, error: e.message });
+    if (e?.code === 'GITHUB_RATE_LIMITED') return githubBusy(res, e);
+    return res.status(500).json({ ok: false, error: `${driver?.title || 'Storage'} upload failed` });
   } finally {
     // cleanup temp upload
-    try { if (req.file?.path) unlinkSync(req.file.path); } catch {}
+    try { if (file?.path) unlinkSync(file.path); } catch {}
   }
 }
 
+/**
+ * POST /api/v1/assets/github/batch
+ * Multipart: files[] + items (JSON array, one entry per file in the same order):
+ *   [{ label, repo_path, filename?, slug?, disposition?, visibility?, verify_hash?, collection?, tags?,
+ *      metadata? }, ...] (repo_path may be left out when the collection has a repo_path_prefix)
+ * Fields: target?, branch?, branch_policy?, pull_request?, message?, on_conflict?, collection? (apply to
+ *   every file, or every file that doesn't name its own collection; see storeUpload and prepareUpload),
+ *   async? (see uploadAsset)
+ * All files land in ONE commit (Git Data API). All or nothing: if any entry is invalid or its
+ * slug is taken, nothing is written; if the commit can't be published, the registrations are
+ * removed again. Files whose bytes are already stored (or repeat an earlier file in the batch)
+ * are registered as references and left out of the commit; image variants are committed with
+ * their originals. `results` reports each file by index. The key's quotas are checked for the
+ * whole batch up front.
+ */
+export async function uploadGithubBatch(req, res) {
+  const files = req.files || [];
+  let unlock = null;
+  try {
+    if (!files.length) return res.status(400).json({ ok: false, error: 'files are required' });
+    if (files.length > GH_BATCH_MAX) {
+      return res.status(413).json({ ok: false, error: `At most ${GH_BATCH_MAX} files per batch` });
+    }
+
+    const parsed = batchSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+    }
+    const { message, items, on_conflict, branch_policy, pull_request } = parsed.data;
+    const pick = pickTarget(parsed.data.target);
+    if (pick.error) return res.status(pick.status).json({ ok: false, error: pick.error });
+    const { target } = pick;
+    if (items.length !== files.length) {
+      return res.status(422).json({ ok: false, error: `items has ${items.length} entries for ${files.length} files` });
+    }
+    await checkQuota(req.apiKey, {
+      assets: files.length,
+      bytes: files.reduce((sum, f) => sum + f.size, 0),
+      largest: Math.max(...files.map(f => f.size))
+    });
+
+    // plan every file up front; the first problem rejects the whole batch
+    const seenSlugs = new Set();
+    const seenPaths = new Set();
+    const collections = new Map(); // ref -> pickCollection result
+    const plans = [];
+    for (const [index, file] of files.entries()) {
+      const plan = { index, filename: file.originalname, file };
+      plans.push(plan);
+
+      const item = batchItemSchema.safeParse(items[index]);
+      if (!item.success) {
+        Object.assign(plan, { status: 422, error: item.error.flatten() });
+        continue;
+      }
+      const v = item.data;
+      const ref = v.collection ?? parsed.data.collection;
+      if (!collections.has(ref)) collections.set(ref, await pickCollection(ref));
+      const { collection, defaults, ...filed } = collections.get(ref);
+      if (filed.error) {
+        Object.assign(plan, filed);
+        continue;
+      }
+      if (!v.repo_path && !defaults.repo_path_prefix) {
+        Object.assign(plan, { status: 422, error: collection
+          ? `repo_path is required (collection '${collection.slug}' has no repo_path_prefix)`
+          : 'repo_path is required' });
+        continue;
+      }
+      v.visibility ??= defaults.visibility ?? 'public';
+
+      const filename = v.filename || file.originalname;
+      const ext = (extname(filename) || '').slice(1).toLowerCase();
+      const slug = v.slug ? slugify(v.slug) : (slugify(v.label) || nanoid(8));
+      const storePath = withPrefix(target, inCollection(defaults, withExt(v.repo_path || slug, ext)));
+      Object.assign(plan, { v, filename, slug, path: storePath, collection });
+
+      if (ALLOWED_EXT.length && !ALLOWED_EXT.includes(ext)) {
+        Object.assign(plan, { status: 400, error: `File extension .${ext} not allowed` });
+      } else if (file.size > CONTENTS_MAX_BYTES) {
+        Object.assign(plan, { status: 413, error: 'File too large for a batch commit; use a chunked upload' });
+      } else if (!keyAllows(req.apiKey, { label: v.label, path: storePath })) {
+        Object.assign(plan, { status: 403, error: 'API key may not upload to this label/path' });
+      } else if (seenSlugs.has(slug) || seenPaths.has(storePath)) {
+        Object.assign(plan, { status: 409, error: 'Duplicate slug or repo_path in batch' });
+      } else if (await slugTaken(slug)) {
+        Object.assign(plan, { status: 409, error: `Slug '${slug}' already exists` });
+      } else {
+        try {
+          plan.checked = await inspectUpload({ file: file.path, filename, size: file.size });
+        } catch (e) {
+          if (!isRejection(e)) throw e;
+          Object.assign(plan, { status: e.status, error: e.message });
+        }
+      }
+      seenSlugs.add(slug);
+      seenPaths.add(storePath);
+    }
+
+    let rejected = plans.find(p => p.error);
+    if (rejected) return res.status(rejected.status).json(batchRejection(plans));
+
+    // settled before planning, so the assets record the branch actually written to (branch_policy as in prepareUpload)
+    const branch = await resolveWriteBranch(target.owner, target.repo, parsed.data.branch || branchOf(target), branch_policy);
+
+    // dedup against stored content and within the batch itself
+    const driver = getDriver('github');
+    const firstBySha = new Map();
+    for (const p of plans) {
+      p.sha256 = await sha256File(p.file.path);
+      const first = firstBySha.get(p.sha256);
+      if (first) {
+        p.store = first.store.reuse ? first.store : { reuse: null, sameAs: first };
+        continue;
+      }
+      firstBySha.set(p.sha256, p);
+      p.store = await planStore({
+        disk: 'github',
+        driver,
+        sha256: p.sha256,
+        path: p.path,
+        branch,
+        repo: repoName(target),
+        onConflict: on_conflict,
+        canReuse: (b) => keyAllows(req.apiKey, { label: p.v.label, path: b.path })
+      });
+      if (p.store.conflict) Object.assign(p, { status: 409, error: p.store.conflict });
+    }
+    rejected = plans.find(p => p.error);
+    if (rejected) return res.status(rejected.status).json(batchRejection(plans));
+
+    // image variants go into the same commit as their originals
+    const toWrite = plans.filter(p => p.store.write);
+    for (const p of toWrite) {
+      p.variants = await renderVariants(p.file.path, { path: p.path, mime: p.checked.mime }).catch((e) => {
+        console.warn(`[variants] ${p.path}: ${e?.message || e}`);
+        return [];
+      });
+    }
+    // with pull_request the commit goes to a new branch off `branch` instead of moving it;
+    // otherwise nothing else from here may move the branch until the commit is published
+    const review = pull_request && toWrite.length ? { base: branch, head: reviewBranch('batch') } : null;
+    if (toWrite.length && !review) unlock = await lockBranch({ owner: target.owner, repo: target.repo, branch });
+    const built = toWrite.length ? await createTreeCommit({
+      owner: target.owner,
+      repo: target.repo,
+      branch,
+      message: message || `Add ${toWrite.length} assets`,
+      files: toWrite.flatMap(p => [
+        { path: p.path, contentBase64: readFileSync(p.file.path).toString('base64') },
+        ...p.variants.map(v => ({ path: v.path, contentBase64: v.data.toString('base64') }))
+      ])
+    }) : null;
+    const committedBranch = review?.head ?? built?.branch;
+
+    const locationOf = (p) => {
+      if (p.store.reuse) return blobLocation(p.store.reuse);
+      if (p.store.sameAs) return locationOf(p.store.sameAs);
+      const committed = (path) => {
+        const location = { owner: target.owner, repo: target.repo, branch: committedBranch, path };
+        return {
+          path,
+          repo: repoName(target),
+          branch: committedBranch,
+          github_url: makeGithubUrl(location),
+          cdn_url: makeCdnUrl(location),
+          storage_strategy: 'contents',
+          storage_ref: null,
+          commit_sha: built.commit_sha
+        };
+      };
+      return { ...committed(p.path), variants: p.variants.map(v => variantRecord(v, committed(v.path))) };
+    };
+
+    const assets = plans.map(p => ({
+      id: nanoid(12),
+      label: p.v.label,
+      slug: p.slug,
+      filename: p.filename,
+      disk: 'github',
+      ...locationOf(p),
+      mime: p.checked.mime,
+      size: p.checked.size,
+      sha256: p.sha256,
+      verify_hash: p.v.verify_hash,
+      disposition: p.checked.disposition || p.v.disposition,
+      visibility: p.v.visibility,
+      collection_id: p.collection?.id ?? null,
+      tags: p.v.tags ?? [],
+      metadata: p.v.metadata ?? {},
+      version: 1,
+      scan_status: p.checked.scan_status,
+      scanned_at: p.checked.scanned_at,
+      created_by: req.apiKey.id
+    }));
+
+    // register (reserving the slugs) before the branch moves: losing a slug race
+    // then leaves the repo untouched, and a failed ref update is undone here
+    let created;
+    try {
+      created = await insertAssets(assets, { notify: false });
+    } catch (e) {
+      if (e?.code !== 'SLUG_EXISTS') throw e;
+      for (const p of plans) {
+        if (p.slug === e.slug) Object.assign(p, { status: 409, error: `Slug '${p.slug}' already exists` });
+      }
+      return res.status(409).json(batchRejection(plans));
+    }
+
+    let pullRequest = null;
+    if (built) {
+      try {
+        if (review) {
+          await createBranch({ owner: target.owner, repo: target.repo, branch: review.head, sha: built.commit_sha });
+          pullRequest = await openPullRequest({
+            owner: target.owner,
+            repo: target.repo,
+            ...review,
+            title: message || `Add ${toWrite.length} assets`,
+            body: toWrite.map(p => `- \`${p.path}\` (asset \`${p.slug}\`)`).join('\n')
+          });
+        } else {
+          await updateBranchRef({ owner: target.owner, repo: target.repo, branch: built.branch, sha: built.commit_sha });
+        }
+      } catch (e) {
+        await removeAssets(assets.map(a => a.id));
+        console.error(e?.response?.data || e);
+        return res.status(502).json({ ok: false, error: 'GitHub commit failed; no assets were registered' });
+      }
+      // files replaced at their old paths keep being served stale by the CDN until purged
+      if (!review) {
+        const replaced = toWrite.filter(p => p.store.overwrite).flatMap(p => [p.path, ...p.variants.map(v => v.path)]);
+        await purgeCdn(replaced.map(path => ({ owner: target.owner, repo: target.repo, branch: built.branch, path })), { reason: 'overwrite' });
+      }
+    }
+    await announceCreated(created);
+
+    const results = [];
+    for (const [index, a] of assets.entries()) {
+      const p = plans[index];
+      const blob = await recordStored({
+        disk: 'github', sha256: a.sha256, size: a.size, mime: a.mime, stored: a,
+        plan: p.store.sameAs ? { reuse: true } : p.store
+      });
+      results.push({ index, ok: true, slug: a.slug, asset: redactAsset(a), public_url: publicUrlFromAsset(a, req), blob });
+    }
+
+    return res.json({
+      ok: true,
+      commit: built && { sha: built.commit_sha, url: built.commit_url, branch: committedBranch },
+      ...(pullRequest ? { pull_request: pullRequest } : {}),
+      results
+    });
+  } catch (e) {
+    if (isQuotaError(e)) return quotaRefused(res, e);
+    console.error(e?.response?.data || e);
+    if (e?.code === 'EMPTY_REPO') return res.status(400).json({ ok: false, error: e.message });
+    if (e?.code === 'BRANCH_NOT_FOUND') return res.status(422).json({ ok: false, error: branchNotFound(e) });
+    if (e?.code === 'GITHUB_RATE_LIMITED') return githubBusy(res, e);
+    return res.status(500).json({ ok: false, error: 'GitHub batch upload failed' });
+  } finally {
+    unlock?.();
+    for (const f of files) {
+      try { unlinkSync(f.path); } catch {}
+    }
+  }
+}
+
+function batchRejection(plans) {
+  return {
+    ok: false,
+    error: 'Batch rejected; nothing was written',
+    results: plans.map(p => (p.error
+      ? { index: p.index, ok: false, filename: p.filename, slug: p.slug ?? null, error: p.error }
+      : { index: p.index, ok: true, filename: p.filename, slug: p.slug, skipped: true }))
+  };
+}
+
 /**
  * GET /api/v1/assets/recent?label=&disk=&visibility=&limit=10
  */
 export async function listRecent(req, res) {
   const { label, disk, visibility, limit } = req.query;
   const items = await recentAssets({ label, disk, visibility, limit });
-  return res.json({ ok: true, items });
+  return res.json({ ok: true, items: items.filter(a => keyAllows(req.apiKey, a)).map(redactAsset) });
 }
 
 /**
@@ -223,14 +884,20 @@ export async function listRecent(req, res) {
 export async function resolveBySlug(req, res) {
   const { slug } = req.params;
   const a = await findBySlug(slug);
-  if (!a) return res.status(404).json({ ok: false, error: 'Not found' });
-  return res.json({ ok: true, public_url: publicUrlFromAsset(a), asset: a });
+  if (!a || !keyAllows(req.apiKey, a)) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, public_url: publicUrlFromAsset(a, req), pinned_url: pinnedUrlFromAsset(a), asset: redactAsset(a) });
 }
 
 // DELETE /api/v1/assets/github
-// Body: { repo_path, branch?, message?, owner?, repo? }
+// Body: { repo_path, branch?, message?, target?, owner?, repo? }
+// owner/repo default to the target's (named, or the default one); a repo no target writes to
+// must be listed in ASSET_GH_DELETE_REPOS.
+// Assets registered at the deleted file lose their bytes: they are soft-deleted as purged
+// (and announced as asset.deleted) so they don't linger pointing at nothing. The file's CDN URL
+// is purged; `cdn_purge` reports how that went.
 export async function deleteGithubAsset(req, res) {
   const schema = z.object({
+    target: z.string().optional(),
     owner: z.string().optional(),
     repo: z.string().optional(),
     repo_path: z.string().min(1, 'repo_path is required'),
@@ -244,12 +911,55 @@ export async function deleteGithubAsset(req, res) {
   }
 
   try {
-    const owner = parsed.data.owner || GH_OWNER;
-    const repo  = parsed.data.repo  || GH_REPO;
     const { repo_path, branch, message } = parsed.data;
+    let owner = parsed.data.owner;
+    let repo = parsed.data.repo;
+    if (!owner || !repo) {
+      const pick = pickTarget(parsed.data.target);
+      if (pick.error) return res.status(pick.status).json({ ok: false, error: pick.error });
+      owner ||= pick.target.owner;
+      repo ||= pick.target.repo;
+    }
+
+    // the token usually reaches more than the asset repos; only allowlisted ones are fair game
+    const full = `${owner}/${repo}`.toLowerCase();
+    const target = targetForRepo(full);
+    if (!target && !GH_DELETE_REPOS.includes(full)) {
+      return res.status(403).json({ ok: false, error: `Deleting from ${owner}/${repo} is not allowed` });
+    }
+
+    if (!keyAllows(req.apiKey, { path: repo_path })) {
+      return res.status(403).json({ ok: false, error: 'API key may not delete this path' });
+    }
+
+    // bytes other assets reference are only removed through their last purge
+    if (target) {
+      const refs = await refsAt({ disk: 'github', path: repo_path, branch: branch || branchOf(target), repo: repoName(target) });
+      if (refs > 0) {
+        return res.status(409).json({
+          ok: false,
+          error: `${refs} asset(s) still reference this file; purge them via DELETE /api/v1/assets/:id?purge=true`
+        });
+      }
+    }
 
+    // a target's files are on its branch; other repos default to their own default branch
     const result = await deleteFromGitHub({
-      owner, repo, branch, path: repo_path, message
+      owner, repo, branch: branch || (target ? branchOf(target) : undefined), path: repo_path, message
+    });
+
+    const orphaned = (await getAllAssets({ disk: 'github' })).filter(a =>
+      a.path === result.path &&
+      repoOf(a)?.toLowerCase() === full &&
+      (a.branch || branchOf(targetForRepo(repoOf(a)))) === result.branch
+    );
+    for (const a of orphaned) await softDeleteAsset(a.id, { purged: true, commit_sha: result.commit_sha });
+    const cdn_purge = await purgeCdn([{ owner, repo, branch: result.branch, path: result.path }], { reason: 'delete' });
+    await recordAudit('github.delete', {
+      target_type: 'github_file',
+      target_path: result.path,
+      commit_sha: result.commit_sha,
+      details: { repo: `${owner}/${repo}`, branch: result.branch, deleted_assets: orphaned.map(a => a.id) }
     });
 
     return res.status(200).json({
@@ -258,7 +968,9 @@ export async function deleteGithubAsset(req, res) {
       path: result.path,
       branch: result.branch,
       commit_sha: result.commit_sha,
-      commit_url: result.commit_url
+      commit_url: result.commit_url,
+      deleted_assets: orphaned.map(a => a.id),
+      cdn_purge
     });
   } catch (e) {
     if (e?.code === 'FILE_NOT_FOUND') {
@@ -272,27 +984,200 @@ export async function deleteGithubAsset(req, res) {
 
 /**
  * GET /api/v1/assets
- * Return ALL assets (optionally filtered)
+ * GET /api/v1/assets/search (without q; see search.controller.js)
+ * Filtered, sorted, keyset-paginated listing. `next_cursor` (also sent as a Link rel="next"
+ * header) fetches the following page; `offset` still works for simple clients.
+ * `collection` (id or slug, with `recursive` its sub-collections too) and `tag` (comma-separated,
+ * all of them) narrow it to filed or tagged assets.
  */
-// Basic "get all" (without pagination)
-export async function listAllAssets(req, res) {
+export async function listAssets(req, res) {
+  const parsed = listQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const { cursor, collection: ref, recursive, tag, ...filters } = parsed.data;
+
+  let collection_ids;
+  if (ref) {
+    const collection = await resolveCollection(ref);
+    if (!collection) return res.status(422).json({ ok: false, error: `Unknown collection '${ref}'` });
+    collection_ids = recursive ? await subtreeIds(collection) : [collection.id];
+  }
+
+  let after = null;
+  if (cursor) {
+    after = decodeCursor(cursor);
+    if (!after || after.sort !== filters.sort || after.order !== filters.order) {
+      return res.status(400).json({ ok: false, error: 'Invalid cursor for this sort/order' });
+    }
+  }
+
   try {
-    const { label, disk, visibility } = req.query;
-    const items = await getAllAssets({ label, disk, visibility });
-    return res.json({ ok: true, items });
+    const { items, total, hasMore, sortKey } = await listAssetsModel({
+      ...filters,
+      collection_ids,
+      tags: tag,
+      label_prefixes: req.apiKey.restrictions.labels,
+      path_prefixes: req.apiKey.restrictions.path_prefixes,
+      after
+    });
+
+    let next_cursor = null;
+    if (hasMore && items.length) {
+      const last = items[items.length - 1];
+      next_cursor = encodeCursor({ sort: sortKey, order: filters.order, value: last[sortKey], id: last.id });
+
+      const qs = new URLSearchParams(req.query);
+      qs.delete('offset');
+      qs.set('cursor', next_cursor);
+      res.set('Link', `<${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${qs}>; rel="next"`);
+    }
+
+    return res.json({ ok: true, total, next_cursor, items: items.map(redactAsset) });
   } catch (e) {
     console.error(e);
     return res.status(500).json({ ok: false, error: 'Failed to load assets' });
   }
 }
 
-// If you want a richer list with pagination/sort:
-export async function listAssets(req, res) {
+/**
+ * GET /api/v1/assets/trash?limit=&offset=
+ * Soft-deleted assets, most recently created first.
+ */
+export async function listTrash(req, res) {
+  const { limit, offset } = req.query;
+  const { items, total } = await listAssetsModel({
+    onlyDeleted: true,
+    limit,
+    offset,
+    label_prefixes: req.apiKey.restrictions.labels,
+    path_prefixes: req.apiKey.restrictions.path_prefixes
+  });
+  return res.json({ ok: true, total, items: items.map(redactAsset) });
+}
+
+/**
+ * PATCH /api/v1/assets/:id
+ * Body: any of label, slug, filename, mime, verify_hash, disposition, visibility,
+ * collection (null to unfile), tags (replaces the list; see POST /assets/:id/tags), metadata
+ * (replaces the object; null clears it). Filing an asset doesn't move its stored file.
+ */
+export async function updateAssetById(req, res) {
+  const parsed = updateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const patch = { ...parsed.data };
+
+  const cur = await getById(req.params.id);
+  if (!cur || cur.deleted_at || !keyAllows(req.apiKey, cur)) {
+    return res.status(404).json({ ok: false, error: 'Not found' });
+  }
+  if (patch.label && !keyAllows(req.apiKey, { label: patch.label, path: cur.path })) {
+    return res.status(403).json({ ok: false, error: 'API key may not use this label' });
+  }
+
+  if (patch.slug !== undefined) {
+    patch.slug = slugify(patch.slug);
+    if (!patch.slug) return res.status(422).json({ ok: false, error: 'slug is empty after normalization' });
+  }
+
+  if (patch.collection !== undefined) {
+    const { collection, ...filed } = await pickCollection(patch.collection);
+    if (filed.error) return res.status(filed.status).json({ ok: false, error: filed.error });
+    delete patch.collection;
+    patch.collection_id = collection?.id ?? null;
+  }
+  if (patch.metadata === null) patch.metadata = {};
+
+  // a new type is held to the same rules as a registration (e.g. no relabelling bytes as HTML)
+  if (patch.mime !== undefined) {
+    try {
+      const checked = inspectRegistered({ filename: patch.filename ?? cur.filename, declared: patch.mime, head: null });
+      patch.mime = checked.mime;
+      if (checked.disposition) patch.disposition = checked.disposition;
+    } catch (e) {
+      if (isRejection(e)) return res.status(e.status).json({ ok: false, error: e.message });
+      throw e;
+    }
+  }
+
   try {
-    const { items, total } = await listAssetsAdv(req.query || {});
-    return res.json({ ok: true, total, items });
+    const updated = await updateAsset(cur.id, patch);
+    if (!updated) return res.status(404).json({ ok: false, error: 'Not found' });
+    return res.json({ ok: true, asset: redactAsset(updated), public_url: publicUrlFromAsset(updated, req) });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ ok: false, error: 'Failed to load assets' });
+    if (e?.code === 'SLUG_EXISTS') return slugConflict(res, patch.slug);
+    throw e;
+  }
+}
+
+/**
+ * DELETE /api/v1/assets/:id?purge=true
+ * Soft delete. With purge=true the stored files of every version are removed as well
+ * (GitHub purges need github:delete).
+ */
+export async function deleteAssetById(req, res) {
+  const purge = toBool(req.query.purge ?? req.body?.purge);
+
+  const cur = await getById(req.params.id);
+  if (!cur || cur.deleted_at || !keyAllows(req.apiKey, cur)) {
+    return res.status(404).json({ ok: false, error: 'Not found' });
+  }
+
+  let purged = null;
+  let purgedVersions = [];
+  if (purge) {
+    if (cur.disk === 'remote') {
+      return res.status(400).json({ ok: false, error: 'Remote assets have no stored file to purge' });
+    }
+    if (cur.disk === 'github' && !req.apiKey.scopes.includes('github:delete')) {
+      return res.status(403).json({ ok: false, error: 'API key lacks scope github:delete' });
+    }
+    try {
+      // bytes shared with other assets stay; only the last reference deletes them
+      purged = await releaseStored(cur, getDriver(cur.disk), { message: `Delete asset ${cur.filename}` });
+    } catch (e) {
+      // already gone is fine; anything else leaves the asset untouched
+      if (e?.code !== 'FILE_NOT_FOUND') {
+        console.error(e?.response?.data || e);
+        return res.status(502).json({ ok: false, error: 'Failed to purge stored file' });
+      }
+      purged = { path: cur.path, missing: true };
+    }
+    try {
+      purgedVersions = await releaseOtherVersions(cur, getDriver(cur.disk), { message: `Delete asset ${cur.filename}` });
+    } catch (e) {
+      // the current file is already gone, so carry on with the delete and report what's left
+      console.error(e?.response?.data || e);
+      purgedVersions = [{ error: 'Failed to purge older versions' }];
+    }
   }
-}
\ No newline at end of file
+
+  const ok = await softDeleteAsset(cur.id, { purged: Boolean(purged), commit_sha: purged?.commit_sha });
+  if (!ok) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({
+    ok: true,
+    deleted: true,
+    id: cur.id,
+    purged,
+    ...(purgedVersions.length ? { purged_versions: purgedVersions } : {})
+  });
+}
+
+/**
+ * POST /api/v1/assets/:id/restore
+ */
+export async function restoreAssetById(req, res) {
+  const cur = await getById(req.params.id);
+  if (!cur || !cur.deleted_at || !keyAllows(req.apiKey, cur)) {
+    return res.status(404).json({ ok: false, error: 'Not found' });
+  }
+  if (cur.purged_at) {
+    return res.status(409).json({ ok: false, error: 'Stored file was purged; asset cannot be restored' });
+  }
+
+  await restoreAsset(cur.id);
+  const restored = await getById(cur.id);
+  return res.json({ ok: true, asset: redactAsset(restored), public_url: publicUrlFromAsset(restored, req) });
+}
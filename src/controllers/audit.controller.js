@@ -0,0 +1,83 @@
+// src/controllers/audit.controller.js
+import dayjs from 'dayjs';
+import { z } from 'zod';
+import { listAudit } from '../models/audit.model.js';
+import { encodeCursor, decodeCursor } from '../utils/cursor.js';
+
+/**
+ * The audit trail (see services/audit.service.js), read-only:
+ *   GET /api/v1/audit          filtered, newest first, keyset-paginated
+ *   GET /api/v1/audit/export   the same filters, every matching entry as NDJSON
+ */
+
+const EXPORT_PAGE = 500;
+
+// ---- schemas ----------------------------------------------------------------
+const filterSchema = z.object({
+  actor: z.string().min(1).optional(),
+  action: z.string().min(1).optional(), // exact, or a family such as asset.*
+  target_type: z.enum(['asset', 'github_file', 'api_key', 'webhook', 'github_target', 'collection', 'data']).optional(),
+  target_id: z.string().min(1).optional(),
+  slug: z.string().min(1).optional(),
+  path: z.string().min(1).optional(),
+  request_id: z.string().min(1).optional(),
+  from: z.iso.datetime().optional(),
+  to: z.iso.datetime().optional()
+});
+
+const listSchema = filterSchema.extend({
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50),
+  cursor: z.string().optional()
+});
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/audit?actor=&action=&target_type=&target_id=&slug=&path=&request_id=&from=&to=&limit=&cursor=
+ */
+export async function listAuditLog(req, res) {
+  const parsed = listSchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const { cursor, limit, ...filters } = parsed.data;
+
+  let after = null;
+  if (cursor) {
+    const c = decodeCursor(cursor);
+    if (!c || c.sort !== 'at') return res.status(400).json({ ok: false, error: 'Invalid cursor' });
+    after = { at: c.value, id: c.id };
+  }
+
+  const rows = await listAudit({ ...filters, after, limit: limit + 1 });
+  const items = rows.slice(0, limit);
+  const last = items[items.length - 1];
+  const next_cursor = rows.length > limit
+    ? encodeCursor({ sort: 'at', order: 'desc', value: last.at, id: last.id })
+    : null;
+  return res.json({ ok: true, items, next_cursor });
+}
+
+/**
+ * GET /api/v1/audit/export?<same filters>
+ * One JSON entry per line, newest first, streamed page by page.
+ */
+export async function exportAuditLog(req, res) {
+  const parsed = filterSchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="audit-${dayjs().format('YYYYMMDD-HHmmss')}.ndjson"`);
+  res.type('application/x-ndjson');
+
+  let after = null;
+  for (;;) {
+    const page = await listAudit({ ...parsed.data, after, limit: EXPORT_PAGE });
+    for (const e of page) res.write(JSON.stringify(e) + '\n');
+    if (page.length < EXPORT_PAGE) break;
+    const last = page[page.length - 1];
+    after = { at: last.at, id: last.id };
+  }
+  res.end();
+}
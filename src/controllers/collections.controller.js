@@ -0,0 +1,183 @@
+// src/controllers/collections.controller.js
+import { z } from 'zod';
+import { nanoid } from 'nanoid';
+import {
+  listCollections, findCollectionBySlug, createCollection, updateCollection, deleteCollection,
+  presentCollection, parentSlug
+} from '../models/collection.model.js';
+import { countAssets } from '../models/asset.model.js';
+import {
+  MAX_DEPTH, normalizeCollectionSlug, normalizeRepoPathPrefix, resolveCollection
+} from '../services/collection.service.js';
+import { recordAudit } from '../services/audit.service.js';
+
+/**
+ * Collections (see services/collection.service.js):
+ *   GET    /api/v1/collections              all of them, or ?parent=slug for one level ('' for the top)
+ *   POST   /api/v1/collections              { slug, name?, description?, repo_path_prefix?, visibility? }
+ *   GET    /api/v1/collections/:ref         one, with its sub-collections and asset count
+ *   PATCH  /api/v1/collections/:ref         any of the fields; a new slug moves the sub-collections too
+ *   DELETE /api/v1/collections/:ref         only once it holds no assets or sub-collections
+ * :ref is the id or the slug, with its slashes URL-encoded (brand%2Flogos).
+ */
+
+// ---- schemas ----------------------------------------------------------------
+const fields = {
+  slug: z.string().min(1).max(300),
+  name: z.string().min(1).max(200),
+  description: z.string().max(2000).nullable(),
+  repo_path_prefix: z.string().nullable().transform(normalizeRepoPathPrefix),
+  visibility: z.string().min(1).nullable()
+};
+
+const createSchema = z.object(fields).partial().required({ slug: true }).strict();
+
+const updateSchema = z.object(fields).partial().strict()
+  .refine((v) => Object.keys(v).length > 0, { message: 'Nothing to update' });
+
+// ---- helpers ----------------------------------------------------------------
+const auditCollection = (action, before, after) => recordAudit(action, {
+  target_type: 'collection', target_id: (after || before).id, target_slug: (after || before).slug, before, after
+});
+
+const depth = (slug) => slug.split('/').length;
+
+// why `slug` can't be used for a collection (given everything else stays put), or null
+async function slugProblem(slug) {
+  if (!slug) return 'slug is empty after normalization';
+  if (depth(slug) > MAX_DEPTH) return `Collections nest at most ${MAX_DEPTH} deep`;
+  const parent = parentSlug(slug);
+  if (parent && !(await findCollectionBySlug(parent))) return `Parent collection '${parent}' doesn't exist`;
+  return null;
+}
+
+async function found(req, res) {
+  const c = await resolveCollection(req.params.ref);
+  if (!c) res.status(404).json({ ok: false, error: 'Not found' });
+  return c;
+}
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/collections?parent=
+ */
+export async function listAssetCollections(req, res) {
+  let items = await listCollections();
+  if (req.query.parent !== undefined) {
+    const parent = normalizeCollectionSlug(req.query.parent) || null;
+    items = items.filter(c => parentSlug(c.slug) === parent);
+  }
+  return res.json({ ok: true, items: items.map(presentCollection) });
+}
+
+/**
+ * GET /api/v1/collections/:ref
+ */
+export async function getAssetCollection(req, res) {
+  const c = await found(req, res);
+  if (!c) return;
+  const children = (await listCollections()).filter(o => parentSlug(o.slug) === c.slug);
+  return res.json({
+    ok: true,
+    collection: presentCollection(c),
+    children: children.map(presentCollection),
+    assets: await countAssets({ collection_ids: [c.id] })
+  });
+}
+
+/**
+ * POST /api/v1/collections
+ * Body: { slug, name?, description?, repo_path_prefix?, visibility? } (name defaults to the last
+ * segment of the slug)
+ */
+export async function createAssetCollection(req, res) {
+  const parsed = createSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const v = parsed.data;
+  const slug = normalizeCollectionSlug(v.slug);
+  const problem = await slugProblem(slug);
+  if (problem) return res.status(422).json({ ok: false, error: problem });
+
+  let c;
+  try {
+    c = await createCollection({
+      ...v,
+      id: nanoid(12),
+      slug,
+      name: v.name || slug.split('/').pop(),
+      created_by: req.apiKey.id
+    });
+  } catch (e) {
+    if (e?.code === 'COLLECTION_EXISTS') return res.status(409).json({ ok: false, error: e.message });
+    throw e;
+  }
+  await auditCollection('collection.create', null, c);
+  return res.status(201).json({ ok: true, collection: presentCollection(c) });
+}
+
+/**
+ * PATCH /api/v1/collections/:ref
+ * Body: any of slug, name, description, repo_path_prefix, visibility (null clears the nullable ones).
+ * Defaults only apply to later uploads; assets already filed keep their paths and visibility.
+ */
+export async function updateAssetCollection(req, res) {
+  const parsed = updateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const before = await found(req, res);
+  if (!before) return;
+
+  const patch = { ...parsed.data };
+  if (patch.slug !== undefined) {
+    patch.slug = normalizeCollectionSlug(patch.slug);
+    if (patch.slug.startsWith(`${before.slug}/`)) {
+      return res.status(422).json({ ok: false, error: "A collection can't move into itself" });
+    }
+    if (patch.slug !== before.slug) {
+      const problem = await slugProblem(patch.slug);
+      if (problem) return res.status(422).json({ ok: false, error: problem });
+      const deepest = Math.max(...(await listCollections())
+        .filter(o => o.slug === before.slug || o.slug.startsWith(`${before.slug}/`))
+        .map(o => depth(o.slug)));
+      if (deepest - depth(before.slug) + depth(patch.slug) > MAX_DEPTH) {
+        return res.status(422).json({ ok: false, error: `Collections nest at most ${MAX_DEPTH} deep` });
+      }
+    }
+  }
+
+  let c;
+  try {
+    c = await updateCollection(before.id, patch);
+  } catch (e) {
+    if (e?.code === 'COLLECTION_EXISTS') return res.status(409).json({ ok: false, error: e.message });
+    throw e;
+  }
+  if (!c) return res.status(404).json({ ok: false, error: 'Not found' });
+  await auditCollection('collection.update', before, c);
+  return res.json({ ok: true, collection: presentCollection(c) });
+}
+
+/**
+ * DELETE /api/v1/collections/:ref
+ * Refused while sub-collections or assets (trashed ones included) are filed in it.
+ */
+export async function deleteAssetCollection(req, res) {
+  const c = await found(req, res);
+  if (!c) return;
+
+  if ((await listCollections()).some(o => parentSlug(o.slug) === c.slug)) {
+    return res.status(409).json({ ok: false, error: `Collection '${c.slug}' has sub-collections` });
+  }
+  const filed = await countAssets({ collection_ids: [c.id], includeDeleted: true });
+  if (filed) {
+    return res.status(409).json({ ok: false, error: `${filed} asset(s) are filed in '${c.slug}'; move them first` });
+  }
+
+  if (!(await deleteCollection(c.id))) return res.status(404).json({ ok: false, error: 'Not found' });
+  await auditCollection('collection.delete', c, null);
+  return res.json({ ok: true, deleted: true });
+}
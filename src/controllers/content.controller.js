@@ -0,0 +1,278 @@
+// src/controllers/content.controller.js
+import { z } from 'zod';
+import fs from 'fs';
+import { pipeline } from 'stream';
+import { isIP } from 'net';
+import dayjs from 'dayjs';
+import { findBySlug, setIntegrity } from '../models/asset.model.js';
+import { getDriver } from '../storage/index.js';
+import { parseRange, sliceStream } from '../utils/range.js';
+import { sha256Stream } from '../utils/hash.js';
+import { signParams, verifyParams } from '../utils/signing.js';
+import { isPublic } from '../utils/visibility.js';
+import { keyAllows } from '../middleware/apiKey.js';
+import {
+  MAX_INPUT_BYTES, isTransformable, transformSchema, wantsTransform, transformKey, transformAsset, asVariant
+} from '../services/image.service.js';
+import { isActiveType } from '../services/ingest.service.js';
+
+// abort: hold back the last chunk and drop the connection on mismatch; flag: serve it, but record it
+const ON_MISMATCH = process.env.ASSET_VERIFY_ON_MISMATCH === 'flag' ? 'flag' : 'abort';
+
+const SIGNED_TTL     = Number(process.env.ASSET_SIGNED_URL_TTL) || 3600;        // seconds
+const SIGNED_MAX_TTL = Number(process.env.ASSET_SIGNED_URL_MAX_TTL) || 7 * 86400;
+
+// ---- helpers ----------------------------------------------------------------
+
+// RFC 6266 header: ASCII fallback plus UTF-8 filename* for everything else
+function contentDisposition(type, filename) {
+  if (!filename) return type;
+  const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+// documents (HTML, SVG, XML) that get opened directly still can't run script or load anything
+const DOCUMENT_CSP = "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox";
+
+function etagOf(a) {
+  return a.sha256 ? `"${a.sha256}"` : null;
+}
+
+function etagMatches(header, etag) {
+  if (!header || !etag) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map(s => s.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/assets/:slug/content
+ * Streams the asset bytes (any visibility; the API key is the credential).
+ */
+export async function streamAsset(req, res) {
+  const a = await findBySlug(req.params.slug);
+  if (!a || !keyAllows(req.apiKey, a)) return res.status(404).json({ ok: false, error: 'Not found' });
+  return sendAsset(req, res, a);
+}
+
+/**
+ * GET /a/:slug[?expires=&sig=&ip=&disposition=][&variant=thumb | &w=&h=&fit=&format=]
+ * Public short link. Private assets need a signed link from POST /assets/:slug/sign;
+ * a signature on a public asset is still checked so its disposition override can be trusted.
+ * variant picks a stored rendition (asset.variants); w/h/fit/format resize or convert on the fly.
+ * Neither is covered by the signature: they only change how the same image is delivered.
+ */
+export async function streamPublicAsset(req, res) {
+  const a = await findBySlug(req.params.slug);
+  const signed = req.query.sig !== undefined;
+
+  // don't reveal that a private slug exists to unsigned callers
+  if (!a || (!isPublic(a) && !signed)) return res.status(404).json({ ok: false, error: 'Not found' });
+  if (!signed) return sendPublic(req, res, a);
+
+  let check;
+  try {
+    check = verifyParams(a.slug, req.query, req.ip);
+  } catch (e) {
+    console.error(e.message);
+    return res.status(500).json({ ok: false, error: 'Signed URLs are not configured' });
+  }
+  if (!check.ok) {
+    const error = check.reason === 'expired' ? 'Signed URL expired' : 'Invalid signature';
+    return res.status(403).json({ ok: false, error });
+  }
+  return sendPublic(req, res, a, { disposition: check.disposition });
+}
+
+async function sendPublic(req, res, a, opts) {
+  if (req.query.variant !== undefined) {
+    const v = a.variants.find(x => x.name === req.query.variant);
+    if (!v) return res.status(404).json({ ok: false, error: 'Variant not found' });
+    return sendAsset(req, res, asVariant(a, v), opts);
+  }
+  if (wantsTransform(req.query)) return sendTransformed(req, res, a, opts);
+  return sendAsset(req, res, a, opts);
+}
+
+/**
+ * POST /api/v1/assets/:slug/sign
+ * Body: { expires_in?, ip?, disposition? } -> { url, expires_at }
+ */
+export async function signAssetUrl(req, res) {
+  const schema = z.object({
+    expires_in: z.coerce.number().int().min(1).max(SIGNED_MAX_TTL).optional().default(SIGNED_TTL),
+    ip: z.string().refine((v) => isIP(v) !== 0, 'ip must be an IPv4/IPv6 address').optional(),
+    disposition: z.enum(['inline','attachment']).optional()
+  });
+
+  const parsed = schema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const v = parsed.data;
+
+  const a = await findBySlug(req.params.slug);
+  if (!a || !keyAllows(req.apiKey, a)) return res.status(404).json({ ok: false, error: 'Not found' });
+
+  const expires = Math.floor(Date.now() / 1000) + v.expires_in;
+  try {
+    const qs = new URLSearchParams(signParams({ slug: a.slug, expires, ip: v.ip, disposition: v.disposition }));
+    const url = `${req.protocol}://${req.get('host')}/a/${encodeURIComponent(a.slug)}?${qs}`;
+    return res.json({ ok: true, url, expires_at: dayjs.unix(expires).toISOString() });
+  } catch (e) {
+    if (e?.code === 'SIGNING_NOT_CONFIGURED') {
+      return res.status(500).json({ ok: false, error: 'Signed URLs are not configured' });
+    }
+    throw e;
+  }
+}
+
+async function sendTransformed(req, res, a, { disposition } = {}) {
+  const parsed = transformSchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  if (!isTransformable(a.mime)) {
+    return res.status(415).json({ ok: false, error: `Cannot transform ${a.mime || 'this asset'}` });
+  }
+  if (a.size != null && a.size > MAX_INPUT_BYTES) {
+    return res.status(413).json({ ok: false, error: 'Image too large to transform' });
+  }
+
+  // the cache key doubles as the ETag, so revalidation needs no image work at all
+  const key = transformKey(a, parsed.data);
+  const etag = key ? `"${key}"` : null;
+  if (etagMatches(req.get('if-none-match'), etag)) return res.status(304).set({ ETag: etag }).end();
+
+  try {
+    const driver = getDriver(a.disk);
+    const out = await transformAsset(a, parsed.data, async () => (await driver.get(a)).stream);
+    const ext = out.mime.split('/')[1];
+    const base = (a.filename || a.slug).replace(/\.[^.]*$/, '');
+    const size = out.data ? out.data.length : (await fs.promises.stat(out.file)).size;
+
+    res.set({
+      'Content-Type': out.mime,
+      'Content-Disposition': contentDisposition(disposition || a.disposition || 'inline', `${base}.${ext}`),
+      'Content-Length': String(size),
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      ...(isPublic(a) ? {} : { 'Cache-Control': 'private, no-store' }),
+      ...(etag ? { ETag: etag } : {})
+    });
+    if (req.method === 'HEAD') return res.end();
+    if (out.data) return res.end(out.data);
+
+    pipeline(fs.createReadStream(out.file), res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error(`[content] transform stream failed for ${a.slug}:`, err?.message || err);
+      }
+    });
+  } catch (e) {
+    if (e?.code === 'IMAGE_TOO_LARGE') return res.status(413).json({ ok: false, error: e.message });
+    if (e?.code === 'IMAGE_INVALID') return res.status(422).json({ ok: false, error: e.message });
+    if (e?.code === 'FILE_NOT_FOUND') {
+      return res.status(404).json({ ok: false, error: 'Content not found on storage' });
+    }
+    if (e?.code === 'INVALID_PATH') return res.status(400).json({ ok: false, error: e.message });
+    console.error(e?.response?.data || e);
+    return res.status(502).json({ ok: false, error: 'Failed to fetch asset content' });
+  }
+}
+
+// also serves single versions (controllers/versions.controller.js)
+export async function sendAsset(req, res, a, { disposition } = {}) {
+  const driver = getDriver(a.disk);
+  const etag = etagOf(a);
+
+  const active = isActiveType(a.mime);
+  // applied only once we know we're sending bytes, so JSON errors keep their own Content-Type
+  const headers = {
+    'Content-Type': a.mime || 'application/octet-stream',
+    // HTML and XML never render inline, whatever the asset or a signed link asks for
+    'Content-Disposition': contentDisposition(
+      active && a.mime !== 'image/svg+xml' ? 'attachment' : (disposition || a.disposition || 'inline'), a.filename
+    ),
+    ...(active ? { 'Content-Security-Policy': DOCUMENT_CSP } : {}),
+    'Accept-Ranges': 'bytes',
+    // helmet defaults to same-origin; assets are meant to be embedded elsewhere
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+    // keep signed private responses out of shared caches
+    ...(isPublic(a) ? {} : { 'Cache-Control': 'private, no-store' }),
+    ...(etag ? { ETag: etag } : {})
+  };
+
+  if (etagMatches(req.get('if-none-match'), etag)) return res.status(304).set({ ETag: etag }).end();
+
+  try {
+    // Range needs the total size up front; If-Range with a stale validator means "send it all"
+    let range = null;
+    const ifRange = req.get('if-range');
+    if (req.get('range') && (!ifRange || etagMatches(ifRange, etag))) {
+      const size = a.size ?? (await driver.stat(a))?.size ?? null;
+      range = parseRange(req.get('range'), size);
+      if (range === 'unsatisfiable') {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+      }
+    }
+
+    if (req.method === 'HEAD') {
+      const size = a.size ?? (await driver.stat(a))?.size ?? null;
+      res.set(headers);
+      if (range) {
+        res.status(206).set({
+          'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+          'Content-Length': String(range.end - range.start + 1)
+        });
+      } else if (size != null) {
+        res.set('Content-Length', String(size));
+      }
+      return res.end();
+    }
+
+    const got = await driver.get(a, range || {});
+    const streams = [got.stream];
+    const size = got.size ?? a.size;
+    res.set(headers);
+
+    // only a full body can be checked against the stored hash
+    if (a.verify_hash && a.sha256 && !range) {
+      const verifier = sha256Stream(a.sha256, { strict: ON_MISMATCH === 'abort' });
+      verifier.on('verified', ({ ok, actual }) => {
+        if (ok) return;
+        console.warn(`[content] sha256 mismatch for ${a.slug}: expected ${a.sha256}, got ${actual}`);
+        setIntegrity(a.id, { integrity_status: 'mismatch', last_verified_at: dayjs().toISOString() })
+          .catch((e) => console.error('[content] failed to flag asset:', e?.message || e));
+      });
+      streams.push(verifier);
+    }
+
+    if (range) {
+      if (!got.partial) streams.push(sliceStream(range.start, range.end));
+      res.status(206).set({
+        'Content-Range': `bytes ${range.start}-${range.end}/${size}`,
+        'Content-Length': String(range.end - range.start + 1)
+      });
+    } else if (size != null) {
+      res.set('Content-Length', String(size));
+    }
+
+    pipeline(...streams, res, (err) => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE' && err.code !== 'HASH_MISMATCH') {
+        console.error(`[content] stream failed for ${a.slug}:`, err?.message || err);
+      }
+    });
+  } catch (e) {
+    if (e?.code === 'FILE_NOT_FOUND') {
+      return res.status(404).json({ ok: false, error: 'Content not found on storage' });
+    }
+    if (e?.code === 'INVALID_PATH') {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    console.error(e?.response?.data || e);
+    return res.status(502).json({ ok: false, error: 'Failed to fetch asset content' });
+  }
+}
+
@@ -0,0 +1,57 @@
+// src/controllers/integrity.controller.js
+import { z } from 'zod';
+import { findBySlug } from '../models/asset.model.js';
+import { verifyAsset, verifyAssets } from '../services/integrity.service.js';
+import { keyAllows } from '../middleware/apiKey.js';
+
+const toBool = (v) => {
+  if (typeof v === 'boolean') return v;
+  if (typeof v === 'string') return ['true','1','on','yes'].includes(v.toLowerCase());
+  if (typeof v === 'number') return v === 1;
+  return false;
+};
+
+/**
+ * POST /api/v1/assets/:slug/verify
+ * Body: { baseline? } — baseline=true stores the fetched hash when the asset has none.
+ */
+export async function verifyBySlug(req, res) {
+  const a = await findBySlug(req.params.slug);
+  if (!a || !keyAllows(req.apiKey, a)) return res.status(404).json({ ok: false, error: 'Not found' });
+
+  try {
+    const result = await verifyAsset(a, { baseline: toBool(req.body?.baseline ?? req.query.baseline) });
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ ok: false, error: 'Verification failed' });
+  }
+}
+
+/**
+ * POST /api/v1/assets/verify
+ * Body: { disk?, all?, concurrency? } — batch verification; only verify_hash assets unless all=true.
+ */
+export async function verifyBatch(req, res) {
+  const schema = z.object({
+    disk: z.enum(['remote','local','s3','github']).optional(),
+    all: z.preprocess(toBool, z.boolean().optional().default(false)),
+    concurrency: z.coerce.number().int().min(1).max(16).optional().default(4)
+  });
+
+  const parsed = schema.safeParse({ ...req.query, ...(req.body || {}) });
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  try {
+    const { summary, results } = await verifyAssets({
+      ...parsed.data,
+      filter: (a) => keyAllows(req.apiKey, a)
+    });
+    return res.json({ ok: true, summary, results });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ ok: false, error: 'Verification failed' });
+  }
+}
@@ -0,0 +1,14 @@
+// src/controllers/jobs.controller.js
+import { getJob, presentJob } from '../models/job.model.js';
+
+/**
+ * GET /api/v1/jobs/:id
+ * A request answered 202 (middleware/asyncJob.js): status queued | running | succeeded | failed,
+ * and once finished, the status and body the request would have answered (http_status, result).
+ * Only the key that sent the request sees its job.
+ */
+export async function getJobById(req, res) {
+  const job = await getJob(req.params.id);
+  if (!job || job.key_id !== req.apiKey.id) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, job: presentJob(job) });
+}
@@ -0,0 +1,116 @@
+// src/controllers/keys.controller.js
+import { z } from 'zod';
+import { SCOPES } from '../middleware/apiKey.js';
+import { createKey, listKeys, getKey, rotateKey, revokeKey, setKeyQuotas, presentKey } from '../models/apiKey.model.js';
+import { recordAudit } from '../services/audit.service.js';
+
+// ---- helpers ----------------------------------------------------------------
+const auditKey = (action, before, after) => recordAudit(action, {
+  target_type: 'api_key', target_id: (after || before).id, before: presentKey(before), after: presentKey(after)
+});
+
+// ---- schemas ----------------------------------------------------------------
+
+// services/quota.service.js: null (or leaving one out) means the default, 0 unlimited
+const quota = z.number().int().min(0).nullable().optional();
+const quotasSchema = z.object({ max_assets: quota, max_bytes: quota, max_file_size: quota }).strict();
+
+const createSchema = z.object({
+  name: z.string().min(1),
+  scopes: z.array(z.enum(SCOPES)).min(1),
+  expires_at: z.iso.datetime().optional(),
+  restrictions: z.object({
+    labels: z.array(z.string().min(1)).optional().default([]),
+    path_prefixes: z.array(z.string().min(1)).optional().default([])
+  }).optional().default({ labels: [], path_prefixes: [] }),
+  quotas: quotasSchema.optional().default({})
+});
+
+const updateSchema = z.object({ quotas: quotasSchema }).strict();
+
+const rotateSchema = z.object({
+  grace_seconds: z.coerce.number().int().min(0).max(30 * 86400).optional().default(0)
+});
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * POST /api/v1/admin/keys
+ * Body: { name, scopes[], expires_at?, restrictions?: { labels?, path_prefixes? },
+ *         quotas?: { max_assets?, max_bytes?, max_file_size? } }
+ * The plaintext key is only ever returned here and from rotate.
+ */
+export async function createApiKey(req, res) {
+  const parsed = createSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  const { key, secret } = await createKey(parsed.data);
+  await auditKey('key.create', null, key);
+  return res.status(201).json({ ok: true, key: presentKey(key), secret });
+}
+
+/**
+ * GET /api/v1/admin/keys
+ */
+export async function listApiKeys(req, res) {
+  const items = await listKeys();
+  return res.json({ ok: true, items: items.map(presentKey) });
+}
+
+/**
+ * GET /api/v1/admin/keys/:id
+ */
+export async function getApiKey(req, res) {
+  const key = await getKey(req.params.id);
+  if (!key) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, key: presentKey(key) });
+}
+
+/**
+ * PATCH /api/v1/admin/keys/:id
+ * Body: { quotas: { max_assets?, max_bytes?, max_file_size? } } — merged into the key's own;
+ * null drops one back to the default.
+ */
+export async function updateApiKey(req, res) {
+  const parsed = updateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  const before = await getKey(req.params.id);
+  if (!before) return res.status(404).json({ ok: false, error: 'Not found' });
+  const key = await setKeyQuotas(before.id, { ...before.quotas, ...parsed.data.quotas });
+  if (!key) return res.status(404).json({ ok: false, error: 'Not found' });
+  await auditKey('key.update', before, key);
+  return res.json({ ok: true, key: presentKey(key) });
+}
+
+/**
+ * POST /api/v1/admin/keys/:id/rotate
+ * Body: { grace_seconds? } — how long the previous secret keeps working.
+ */
+export async function rotateApiKey(req, res) {
+  const parsed = rotateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  const before = await getKey(req.params.id);
+  const out = await rotateKey(req.params.id, parsed.data);
+  if (!out) return res.status(404).json({ ok: false, error: 'Not found' });
+  await auditKey('key.rotate', before, out.key);
+  return res.json({ ok: true, key: presentKey(out.key), secret: out.secret });
+}
+
+/**
+ * DELETE /api/v1/admin/keys/:id
+ */
+export async function revokeApiKey(req, res) {
+  const before = await getKey(req.params.id);
+  const ok = await revokeKey(req.params.id);
+  if (!ok) return res.status(404).json({ ok: false, error: 'Not found' });
+  await auditKey('key.revoke', before, await getKey(req.params.id));
+  return res.json({ ok: true, revoked: true });
+}
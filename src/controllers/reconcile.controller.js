@@ -0,0 +1,45 @@
+// src/controllers/reconcile.controller.js
+import { z } from 'zod';
+import { reconcileGithub } from '../services/reconcile.service.js';
+
+// ---- schemas ----------------------------------------------------------------
+const toBool = (v) => v === true || v === 'true' || v === '1';
+const flag = (fallback) => z.any().optional().transform(v => v === undefined ? fallback : toBool(v));
+
+const reconcileSchema = z.object({
+  target: z.string().min(1).optional(),
+  branch: z.string().min(1).optional(),
+  prefix: z.string().optional(),
+  hash: flag(true),
+  register: flag(false),
+  remove: flag(false),
+  label: z.string().min(1).optional(),
+  visibility: z.enum(['public', 'private']).optional()
+});
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * POST /api/v1/admin/reconcile/github
+ * Body or query: { target?, branch?, prefix?, hash? (default true), register?, remove?, label?, visibility? }
+ * Report only unless register/remove are set; see services/reconcile.service.js.
+ */
+export async function reconcileGithubRepo(req, res) {
+  const parsed = reconcileSchema.safeParse({ ...req.query, ...(req.body || {}) });
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  try {
+    const report = await reconcileGithub(parsed.data);
+    return res.json({ ok: true, ...report });
+  } catch (e) {
+    if (e?.code === 'UNKNOWN_TARGET') return res.status(422).json({ ok: false, error: e.message });
+    if (e?.response?.status === 404) {
+      return res.status(404).json({ ok: false, error: 'Repository or branch not found' });
+    }
+    const ghPayload = e?.response?.data;
+    if (ghPayload) return res.status(502).json({ ok: false, error: ghPayload });
+    throw e;
+  }
+}
@@ -0,0 +1,110 @@
+// src/controllers/search.controller.js
+import { z } from 'zod';
+import { searchAssets as search } from '../services/search.service.js';
+import { resolveCollection, subtreeIds } from '../services/collection.service.js';
+import { redactAsset } from '../utils/visibility.js';
+import { listAssets, listQuerySchema } from './assets.controller.js';
+
+/**
+ * Full-text search (services/search.service.js):
+ *   GET /api/v1/assets/search?q=   ranked matches with highlights and facet counts
+ * Without q the endpoint is still the filtered, keyset-paginated listing it has always been
+ * (GET /api/v1/assets). With q it used to keep assets whose label, slug or filename contained q;
+ * it now ranks them through the index instead, returning { asset, score, highlights } items.
+ * GET /api/v1/assets?q= still lists by a plain substring of label, slug or filename.
+ */
+
+// ---- schemas ----------------------------------------------------------------
+
+// the listing's filters; results come in rank order, so there's nothing to sort by
+const searchQuerySchema = listQuerySchema.omit({ sort: true, order: true }).extend({
+  q: z.string().trim().min(1).max(500),
+  offset: z.coerce.number().int().min(0).optional().default(0)
+});
+
+// ---- helpers ----------------------------------------------------------------
+
+// Ranks have no stable key to page by, so a search cursor is the position of the next match
+// (base64url JSON), tied to the query it was issued for.
+const encodeSearchCursor = (q, offset) => Buffer.from(JSON.stringify({ q, n: offset })).toString('base64url');
+
+function decodeSearchCursor(str, q) {
+  try {
+    const c = JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8'));
+    return c?.q === q && Number.isInteger(c.n) && c.n >= 0 ? c.n : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/assets/search?q=&cursor=&limit=&offset= plus any filter of GET /api/v1/assets
+ * q: words (each has to match; the last letters may be left off, and a word matching nothing
+ * also matches close misspellings) and "quoted phrases". Best match first:
+ *   { q, total, next_cursor, items: [{ asset, score, highlights: { label?, filename?, tags?, metadata?, content? } }],
+ *     facets: { disk, mime, visibility } }  (facets: [{ value, count }] over every match)
+ * Highlights are HTML-escaped, with the matched words in <mark>. `next_cursor` (also sent as a
+ * Link rel="next" header) fetches the following page; matches indexed in between can shift it.
+ */
+export async function searchAssets(req, res) {
+  if (!String(req.query.q ?? '').trim()) return listAssets(req, res);
+
+  const parsed = searchQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const { q, cursor, collection: ref, recursive, tag, limit, offset: start, ...filters } = parsed.data;
+
+  let offset = start;
+  if (cursor) {
+    offset = decodeSearchCursor(cursor, q);
+    if (offset === null) return res.status(400).json({ ok: false, error: 'Invalid cursor for this query' });
+  }
+
+  let collection_ids;
+  if (ref) {
+    const collection = await resolveCollection(ref);
+    if (!collection) return res.status(422).json({ ok: false, error: `Unknown collection '${ref}'` });
+    collection_ids = recursive ? await subtreeIds(collection) : [collection.id];
+  }
+
+  try {
+    const found = await search({
+      q,
+      filters: {
+        ...filters,
+        collection_ids,
+        tags: tag,
+        label_prefixes: req.apiKey.restrictions.labels,
+        path_prefixes: req.apiKey.restrictions.path_prefixes
+      },
+      limit,
+      offset
+    });
+
+    let next_cursor = null;
+    if (offset + found.items.length < found.total) {
+      next_cursor = encodeSearchCursor(q, offset + found.items.length);
+
+      const qs = new URLSearchParams(req.query);
+      qs.delete('offset');
+      qs.set('cursor', next_cursor);
+      res.set('Link', `<${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${qs}>; rel="next"`);
+    }
+
+    return res.json({
+      ok: true,
+      q,
+      total: found.total,
+      next_cursor,
+      items: found.items.map(({ asset, score, highlights }) => ({ asset: redactAsset(asset), score, highlights })),
+      facets: found.facets
+    });
+  } catch (e) {
+    if (e?.code === 'SEARCH_QUERY_EMPTY') return res.status(422).json({ ok: false, error: e.message });
+    console.error(e);
+    return res.status(500).json({ ok: false, error: 'Search failed' });
+  }
+}
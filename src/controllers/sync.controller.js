@@ -0,0 +1,67 @@
+// src/controllers/sync.controller.js
+import dayjs from 'dayjs';
+import { z } from 'zod';
+import { FORMATS, exportSnapshot, ndjsonLines, parseSnapshot, importSnapshot } from '../services/sync.service.js';
+
+// ---- schemas ----------------------------------------------------------------
+const toBool = (v) => v === true || v === 'true' || v === '1';
+
+const exportQuery = z.object({
+  format: z.enum(FORMATS).optional().default('json')
+});
+
+const importQuery = z.object({
+  dry_run: z.any().optional().transform(v => v === undefined ? true : toBool(v)),
+  overwrite: z.any().optional().transform(toBool)
+});
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/admin/export?format=json|ndjson
+ * Every asset, soft-deleted ones included, plus the slug index, as a download.
+ */
+export async function exportAssets(req, res) {
+  const parsed = exportQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  const { format } = parsed.data;
+  const snapshot = await exportSnapshot();
+  const name = `assets-${dayjs(snapshot.exported_at).format('YYYYMMDD-HHmmss')}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${name}"`);
+
+  if (format === 'json') return res.json(snapshot);
+
+  res.type('application/x-ndjson');
+  for (const line of ndjsonLines(snapshot)) res.write(line + '\n');
+  res.end();
+}
+
+/**
+ * POST /api/v1/admin/import?dry_run=true&overwrite=false
+ * Body: a JSON snapshot (application/json) or NDJSON (application/x-ndjson).
+ * Dry run unless dry_run=false; the report lists what would be / was created,
+ * updated, and every slug or id conflict.
+ */
+export async function importAssets(req, res) {
+  const parsed = importQuery.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  let snapshot;
+  try {
+    snapshot = parseSnapshot(req.body);
+  } catch (e) {
+    if (e?.code === 'INVALID_SNAPSHOT') return res.status(400).json({ ok: false, error: e.message });
+    throw e;
+  }
+
+  const report = await importSnapshot(snapshot, {
+    dryRun: parsed.data.dry_run,
+    overwrite: parsed.data.overwrite
+  });
+  return res.json({ ok: true, ...report });
+}
@@ -0,0 +1,53 @@
+// src/controllers/tags.controller.js
+import { z } from 'zod';
+import { getById, updateAsset, listTags } from '../models/asset.model.js';
+import { keyAllows } from '../middleware/apiKey.js';
+import { redactAsset } from '../utils/visibility.js';
+import { tagsSchema, MAX_TAGS } from '../utils/metadata.js';
+
+/**
+ * Tags (see utils/metadata.js); an asset's whole list can also be replaced with PATCH /assets/:id.
+ *   GET  /api/v1/tags              every tag in use, with how many live assets carry it
+ *   POST /api/v1/assets/:id/tags   { add?, remove? }
+ */
+
+// ---- schemas ----------------------------------------------------------------
+const changeSchema = z.object({
+  add: tagsSchema.optional().default([]),
+  remove: tagsSchema.optional().default([])
+}).strict().refine((v) => v.add.length || v.remove.length, { message: 'Nothing to change' });
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/tags
+ */
+export async function listAssetTags(req, res) {
+  return res.json({ ok: true, items: await listTags() });
+}
+
+/**
+ * POST /api/v1/assets/:id/tags
+ * Body: { add?: [...], remove?: [...] } (or comma-separated strings); a tag in both is removed.
+ */
+export async function changeAssetTags(req, res) {
+  const parsed = changeSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const { add, remove } = parsed.data;
+
+  const cur = await getById(req.params.id);
+  if (!cur || cur.deleted_at || !keyAllows(req.apiKey, cur)) {
+    return res.status(404).json({ ok: false, error: 'Not found' });
+  }
+
+  const tags = [...new Set([...cur.tags, ...add])].filter(t => !remove.includes(t));
+  if (tags.length > MAX_TAGS) {
+    return res.status(422).json({ ok: false, error: `An asset may have at most ${MAX_TAGS} tags` });
+  }
+
+  const updated = await updateAsset(cur.id, { tags });
+  if (!updated) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, tags: updated.tags, asset: redactAsset(updated) });
+}
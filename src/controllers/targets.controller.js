@@ -0,0 +1,170 @@
+// src/controllers/targets.controller.js
+import { z } from 'zod';
+import {
+  getTarget, createTarget, updateTarget, deleteTarget, presentTarget
+} from '../models/githubTarget.model.js';
+import { getAllAssets } from '../models/asset.model.js';
+import {
+  TARGET_NAME, CONFIG_NAMES, allTargets, findTarget, refreshTargets, targetsChanged, repoOf, normalizePrefix, cdnProblem
+} from '../services/targets.service.js';
+import { CDN_PROVIDERS } from '../cdn/index.js';
+import { recordAudit } from '../services/audit.service.js';
+
+/**
+ * GitHub storage targets (see services/targets.service.js):
+ *   GET    /api/v1/admin/targets          config and stored targets
+ *   POST   /api/v1/admin/targets          { name, owner, repo, branch?, prefix?, cdn_provider?, cdn_base?,
+ *                                          cdn_purge_url?, token? }
+ *   GET    /api/v1/admin/targets/:name
+ *   PATCH  /api/v1/admin/targets/:name    any of the fields but name
+ *   DELETE /api/v1/admin/targets/:name
+ * Targets from configuration are read-only here. Tokens are write-only.
+ */
+
+// ---- schemas ----------------------------------------------------------------
+const targetFields = {
+  owner: z.string().regex(/^[\w.-]+$/),
+  repo: z.string().regex(/^[\w.-]+$/),
+  branch: z.string().min(1).nullable(),
+  prefix: z.string().transform(normalizePrefix),
+  cdn_provider: z.enum(CDN_PROVIDERS),
+  cdn_base: z.url({ protocol: /^https?$/ }).nullable(), // for custom, a URL template (cdn/custom.cdn.js)
+  cdn_purge_url: z.url({ protocol: /^https?$/ }).nullable(),
+  token: z.string().min(1).nullable()
+};
+
+const createSchema = z.object({
+  name: z.string().regex(TARGET_NAME, 'lowercase letters, digits, - and _ (at most 40)'),
+  ...targetFields,
+  branch: targetFields.branch.optional(),
+  prefix: targetFields.prefix.optional(),
+  cdn_provider: targetFields.cdn_provider.optional(),
+  cdn_base: targetFields.cdn_base.optional(),
+  cdn_purge_url: targetFields.cdn_purge_url.optional(),
+  token: targetFields.token.optional()
+}).superRefine((v, ctx) => {
+  const problem = cdnProblem(v);
+  if (problem) ctx.addIssue({ code: 'custom', message: problem, path: ['cdn_base'] });
+});
+
+const updateSchema = z.object(targetFields).partial().strict()
+  .refine((v) => Object.keys(v).length > 0, { message: 'Nothing to update' });
+
+// ---- helpers ----------------------------------------------------------------
+
+// presentTarget drops the token, so none ever lands in the audit trail
+const auditTarget = (action, before, after) => recordAudit(action, {
+  target_type: 'github_target', target_id: (after || before).name, before: presentTarget(before), after: presentTarget(after)
+});
+
+function readOnly(res, name) {
+  return res.status(409).json({ ok: false, error: `Target '${name}' is set in configuration and can't be changed here` });
+}
+
+// live assets stored in the target's repo that no other target covers
+async function assetsRelyingOn(t) {
+  const full = `${t.owner}/${t.repo}`.toLowerCase();
+  const sameRepo = (o) => `${o.owner}/${o.repo}`.toLowerCase() === full;
+  if (allTargets().some(o => o.name !== t.name && sameRepo(o))) return 0;
+  return (await getAllAssets({ disk: 'github' })).filter(a => repoOf(a)?.toLowerCase() === full).length;
+}
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/admin/targets
+ */
+export async function listGithubTargets(req, res) {
+  const items = await refreshTargets();
+  return res.json({ ok: true, items: items.map(presentTarget) });
+}
+
+/**
+ * GET /api/v1/admin/targets/:name
+ */
+export async function getGithubTarget(req, res) {
+  await refreshTargets();
+  const t = findTarget(req.params.name);
+  if (!t) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, target: presentTarget(t) });
+}
+
+/**
+ * POST /api/v1/admin/targets
+ * Body: { name, owner, repo, branch?, prefix?, cdn_provider?, cdn_base?, cdn_purge_url?, token? }
+ * (no token: GITHUB_TOKEN is used; cdn_provider defaults to jsdelivr)
+ */
+export async function createGithubTarget(req, res) {
+  const parsed = createSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  if (CONFIG_NAMES.has(parsed.data.name)) return readOnly(res, parsed.data.name);
+
+  let t;
+  try {
+    t = await createTarget({ ...parsed.data, created_by: req.apiKey.id });
+  } catch (e) {
+    if (e?.code === 'TARGET_EXISTS') return res.status(409).json({ ok: false, error: e.message });
+    throw e;
+  }
+  await targetsChanged();
+  await auditTarget('target.create', null, t);
+  return res.status(201).json({ ok: true, target: presentTarget({ ...t, source: 'api' }) });
+}
+
+/**
+ * PATCH /api/v1/admin/targets/:name
+ * Body: any of owner, repo, branch, prefix, cdn_provider, cdn_base, cdn_purge_url, token
+ * (null clears the nullable ones).
+ * Assets keep the repo they were written to; moving a target that live assets still rely on
+ * (no other target for their repo) is refused.
+ */
+export async function updateGithubTarget(req, res) {
+  const { name } = req.params;
+  if (CONFIG_NAMES.has(name)) return readOnly(res, name);
+  const parsed = updateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+
+  const before = await getTarget(name);
+  if (!before) return res.status(404).json({ ok: false, error: 'Not found' });
+  const problem = cdnProblem({ ...before, ...parsed.data });
+  if (problem) return res.status(422).json({ ok: false, error: problem });
+  const { owner = before.owner, repo = before.repo } = parsed.data;
+  if (`${owner}/${repo}`.toLowerCase() !== `${before.owner}/${before.repo}`.toLowerCase()) {
+    const used = await assetsRelyingOn(before);
+    if (used) {
+      return res.status(409).json({ ok: false, error: `${used} asset(s) are stored in ${before.owner}/${before.repo}; add a new target instead` });
+    }
+  }
+
+  const t = await updateTarget(name, parsed.data);
+  if (!t) return res.status(404).json({ ok: false, error: 'Not found' });
+  await targetsChanged();
+  await auditTarget('target.update', before, t);
+  return res.json({ ok: true, target: presentTarget({ ...t, source: 'api' }) });
+}
+
+/**
+ * DELETE /api/v1/admin/targets/:name
+ * Refused while live assets rely on it (see updateGithubTarget).
+ */
+export async function deleteGithubTarget(req, res) {
+  const { name } = req.params;
+  if (CONFIG_NAMES.has(name)) return readOnly(res, name);
+  const before = await getTarget(name);
+  if (!before) return res.status(404).json({ ok: false, error: 'Not found' });
+
+  const used = await assetsRelyingOn(before);
+  if (used) {
+    return res.status(409).json({ ok: false, error: `${used} asset(s) are stored in ${before.owner}/${before.repo}` });
+  }
+
+  const ok = await deleteTarget(name);
+  if (!ok) return res.status(404).json({ ok: false, error: 'Not found' });
+  await targetsChanged();
+  await auditTarget('target.delete', before, null);
+  return res.json({ ok: true, deleted: true });
+}
@@ -0,0 +1,201 @@
+// src/controllers/uploads.controller.js
+import { z } from 'zod';
+import mime from 'mime-types';
+import { UPLOAD_DISKS } from '../storage/index.js';
+import { prepareUpload, storeUpload, quotaRefused } from './assets.controller.js';
+import { maxBytesFor } from '../services/ingest.service.js';
+import { checkQuota, isQuotaError } from '../services/quota.service.js';
+import {
+  MIN_PART_SIZE, MAX_PART_SIZE, MAX_UPLOAD_BYTES,
+  createSession, getSession, setState, receivedParts, expectedPartSize, writePart, assemble,
+  removeSession, sweepExpiredSessions
+} from '../services/uploadSession.service.js';
+
+/**
+ * Chunked, resumable uploads for files too big for one multipart request:
+ *   POST   /api/v1/uploads                    announce the file (size, sha256?) + the usual upload fields
+ *   PUT    /api/v1/uploads/:id/parts/:n       raw bytes of part n (1-based)
+ *   GET    /api/v1/uploads/:id                which parts arrived, to resume after a failure
+ *   POST   /api/v1/uploads/:id/complete       assemble, check size/sha256, store + register
+ *   DELETE /api/v1/uploads/:id                abort
+ * A session belongs to the API key that opened it.
+ */
+
+// ---- schemas ----------------------------------------------------------------
+const initSchema = z.object({
+  disk: z.enum(UPLOAD_DISKS),
+  filename: z.string().min(1),
+  size: z.number().int().min(1).max(MAX_UPLOAD_BYTES),
+  mime: z.string().optional(),
+  sha256: z.string().regex(/^[a-f0-9]{64}$/i).optional(),
+  part_size: z.number().int().min(MIN_PART_SIZE).max(MAX_PART_SIZE).optional()
+});
+
+// ---- helpers ----------------------------------------------------------------
+async function presentSession(req, s) {
+  const received = await receivedParts(s);
+  const have = new Set(received);
+  const missing = [];
+  for (let n = 1; n <= s.total_parts; n++) if (!have.has(n)) missing.push(n);
+
+  return {
+    id: s.id,
+    disk: s.disk,
+    filename: s.filename,
+    size: s.size,
+    sha256: s.sha256,
+    part_size: s.part_size,
+    total_parts: s.total_parts,
+    parts_received: received,
+    parts_missing: missing,
+    state: s.state,
+    part_url: `${req.protocol}://${req.get('host')}/api/v1/uploads/${s.id}/parts/{n}`,
+    created_at: s.created_at,
+    expires_at: s.expires_at
+  };
+}
+
+async function ownSession(req, res) {
+  const s = await getSession(req.params.id);
+  if (!s || s.key_id !== req.apiKey.id) {
+    res.status(404).json({ ok: false, error: 'Upload not found' });
+    return null;
+  }
+  return s;
+}
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * POST /api/v1/uploads
+ * Body: { disk, filename, size, mime?, sha256?, part_size?, label, slug?, path|repo_path,
+ *         branch?, disposition?, visibility?, verify_hash?, collection?, tags?, metadata? }
+ * Metadata is checked now (slug, label/path restrictions), not after the last part.
+ */
+export async function initUpload(req, res) {
+  const parsed = initSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const { disk, filename, size, sha256, part_size } = parsed.data;
+  // everything else is upload metadata, validated like the multipart fields
+  const fields = Object.fromEntries(Object.entries(req.body).filter(([k]) => !(k in initSchema.shape)));
+
+  const prep = await prepareUpload(req.apiKey, { disk, fields, originalname: filename });
+  if (prep.error) return res.status(prep.status).json({ ok: false, error: prep.error });
+
+  // the type is only known for sure once the bytes are in; refuse what's too big for it already
+  const expected = mime.lookup(prep.filename) || 'application/octet-stream';
+  if (size > maxBytesFor(expected)) {
+    return res.status(413).json({ ok: false, error: `${expected} files may be at most ${maxBytesFor(expected)} bytes` });
+  }
+  // checked again on complete, when other uploads may have used the room up
+  try {
+    await checkQuota(req.apiKey, { assets: 1, bytes: size, largest: size });
+  } catch (e) {
+    if (isQuotaError(e)) return quotaRefused(res, e);
+    throw e;
+  }
+
+  await sweepExpiredSessions();
+  const s = await createSession({
+    key_id: req.apiKey.id,
+    disk,
+    filename,
+    mime: parsed.data.mime || mime.lookup(prep.filename) || 'application/octet-stream',
+    size,
+    sha256,
+    part_size,
+    fields
+  });
+  return res.status(201).json({ ok: true, upload: await presentSession(req, s) });
+}
+
+/**
+ * GET /api/v1/uploads/:id
+ */
+export async function getUpload(req, res) {
+  const s = await ownSession(req, res);
+  if (!s) return;
+  return res.json({ ok: true, upload: await presentSession(req, s) });
+}
+
+/**
+ * PUT /api/v1/uploads/:id/parts/:n
+ * Body: raw bytes, Content-Type application/octet-stream (JSON/form bodies are eaten by the
+ * app-wide parsers). Optional header X-Content-SHA256 is checked against the part.
+ */
+export async function putUploadPart(req, res) {
+  if (req.is(['application/json', 'application/x-www-form-urlencoded', 'multipart/*'])) {
+    return res.status(415).json({ ok: false, error: 'Send parts as application/octet-stream' });
+  }
+  const s = await ownSession(req, res);
+  if (!s) return;
+  if (s.state !== 'open') return res.status(409).json({ ok: false, error: 'Upload is being completed' });
+
+  const n = Number(req.params.n);
+  const declared = req.get('content-length');
+  if (Number.isInteger(n) && n >= 1 && n <= s.total_parts && declared != null
+      && Number(declared) !== expectedPartSize(s, n)) {
+    return res.status(400).json({ ok: false, error: `Part ${n} must be ${expectedPartSize(s, n)} bytes` });
+  }
+
+  try {
+    const part = await writePart(s, n, req, { sha256: req.get('x-content-sha256') });
+    return res.json({ ok: true, part });
+  } catch (e) {
+    if (['PART_OUT_OF_RANGE', 'PART_SIZE_MISMATCH'].includes(e?.code)) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    if (e?.code === 'HASH_MISMATCH') return res.status(422).json({ ok: false, error: e.message });
+    throw e;
+  }
+}
+
+/**
+ * POST /api/v1/uploads/:id/complete
+ * On success the response is the same as POST /assets/upload and the session is gone.
+ * If storing fails the parts are kept, so complete can simply be retried.
+ */
+export async function completeUpload(req, res) {
+  const s = await ownSession(req, res);
+  if (!s) return;
+  if (s.state !== 'open') return res.status(409).json({ ok: false, error: 'Upload is already being completed' });
+
+  await setState(s, 'completing');
+  try {
+    let built;
+    try {
+      built = await assemble(s);
+    } catch (e) {
+      if (e?.code === 'PARTS_MISSING') return res.status(409).json({ ok: false, error: e.message, missing: e.missing });
+      throw e;
+    }
+
+    if (built.size !== s.size) {
+      return res.status(422).json({ ok: false, error: `Assembled ${built.size} bytes, expected ${s.size}` });
+    }
+    if (s.sha256 && built.sha256 !== s.sha256) {
+      return res.status(422).json({ ok: false, error: 'sha256 mismatch', expected: s.sha256, actual: built.sha256 });
+    }
+
+    await storeUpload(req, res, {
+      disk: s.disk,
+      fields: s.fields,
+      file: { path: built.file, originalname: s.filename, mimetype: s.mime, size: built.size, sha256: built.sha256 }
+    });
+    if (res.statusCode < 400) await removeSession(s.id);
+  } finally {
+    if (await getSession(s.id)) await setState(s, 'open');
+  }
+}
+
+/**
+ * DELETE /api/v1/uploads/:id
+ */
+export async function abortUpload(req, res) {
+  const s = await ownSession(req, res);
+  if (!s) return;
+  await removeSession(s.id);
+  return res.json({ ok: true, aborted: true });
+}
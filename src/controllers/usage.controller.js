@@ -0,0 +1,50 @@
+// src/controllers/usage.controller.js
+import { listKeys } from '../models/apiKey.model.js';
+import { usageByCreator } from '../models/asset.model.js';
+import { quotasFor, usageReport } from '../services/quota.service.js';
+
+/**
+ * Storage usage per API key, summed from the `size` of the live assets each one created
+ * (services/quota.service.js):
+ *   GET /api/v1/usage          the calling key's usage, quotas and what is left of them
+ *   GET /api/v1/admin/usage    every key, plus assets created before keys were recorded (key_id null)
+ */
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/usage
+ */
+export async function getOwnUsage(req, res) {
+  return res.json({ ok: true, key_id: req.apiKey.id, ...(await usageReport(req.apiKey)) });
+}
+
+/**
+ * GET /api/v1/admin/usage
+ * Largest first; revoked keys are listed while assets of theirs are still live.
+ */
+export async function listUsage(req, res) {
+  const [rows, keys] = await Promise.all([usageByCreator(), listKeys()]);
+  const used = new Map(rows.map(r => [r.created_by, r]));
+  const ids = new Set(keys.map(k => k.id));
+
+  const items = keys
+    .filter(k => !k.revoked_at || used.has(k.id))
+    .map(k => ({
+      key_id: k.id, name: k.name, assets: used.get(k.id)?.assets ?? 0, bytes: used.get(k.id)?.bytes ?? 0, quotas: quotasFor(k)
+    }));
+  // APP_KEY (root) and creators no longer on record
+  for (const r of rows.filter(r => !ids.has(r.created_by))) {
+    items.push({
+      key_id: r.created_by,
+      name: r.created_by === 'root' ? 'APP_KEY' : null,
+      assets: r.assets,
+      bytes: r.bytes,
+      quotas: r.created_by ? quotasFor(null) : null
+    });
+  }
+  items.sort((a, b) => b.bytes - a.bytes);
+
+  const total = rows.reduce((t, r) => ({ assets: t.assets + r.assets, bytes: t.bytes + r.bytes }), { assets: 0, bytes: 0 });
+  return res.json({ ok: true, total, items });
+}
@@ -0,0 +1,216 @@
+// src/controllers/versions.controller.js
+import { z } from 'zod';
+import { unlinkSync } from 'fs';
+import { findBySlug, updateAsset } from '../models/asset.model.js';
+import { getDriver } from '../storage/index.js';
+import { sha256File } from '../utils/hash.js';
+import { redactAsset } from '../utils/visibility.js';
+import { keyAllows } from '../middleware/apiKey.js';
+import { publicUrlFromAsset, pinnedUrlFromAsset, tryStoreVariants, githubBusy, quotaRefused } from './assets.controller.js';
+import { sendAsset } from './content.controller.js';
+import { inspectUpload, isRejection } from '../services/ingest.service.js';
+import { checkQuota, isQuotaError } from '../services/quota.service.js';
+import { ON_CONFLICT, planStore, recordStored, blobLocation } from '../services/blob.service.js';
+import { targetForRepo, branchOf, repoOf } from '../services/targets.service.js';
+import {
+  assetHistory, findVersion, nextVersion, recordVersion, currentFields
+} from '../services/version.service.js';
+
+/**
+ * Asset version history (see services/version.service.js):
+ *   GET  /api/v1/assets/:slug/versions                      list, oldest first
+ *   POST /api/v1/assets/:slug/versions                      upload new bytes as the next version
+ *   POST /api/v1/assets/:slug/versions/:version/rollback    make an older (or newer) version current
+ *   GET  /api/v1/assets/:slug/versions/:version/content     bytes of one version
+ * The slug and /a/:slug always follow the current version; `pinned_url` never does.
+ */
+
+// ---- schemas ----------------------------------------------------------------
+const versionSchema = z.object({
+  message: z.string().max(500).optional(),
+  on_conflict: z.enum(ON_CONFLICT).optional().default('reuse') // see services/blob.service.js
+});
+
+const versionParam = z.coerce.number().int().min(1);
+
+// ---- helpers ----------------------------------------------------------------
+async function ownAsset(req, res) {
+  const a = await findBySlug(req.params.slug);
+  if (!a || !keyAllows(req.apiKey, a)) {
+    res.status(404).json({ ok: false, error: 'Not found' });
+    return null;
+  }
+  return a;
+}
+
+async function ownVersion(req, res) {
+  const a = await ownAsset(req, res);
+  if (!a) return {};
+  const n = versionParam.safeParse(req.params.version);
+  const v = n.success ? await findVersion(a, n.data) : null;
+  if (!v) {
+    res.status(404).json({ ok: false, error: 'Version not found' });
+    return {};
+  }
+  return { a, v };
+}
+
+function presentVersion(req, a, v) {
+  const base = `${req.protocol}://${req.get('host')}/api/v1/assets/${encodeURIComponent(a.slug)}/versions/${v.version}`;
+  return {
+    version: v.version,
+    current: v.version === a.version,
+    sha256: v.sha256,
+    size: v.size,
+    mime: v.mime,
+    path: v.path,
+    branch: v.branch,
+    commit_sha: v.commit_sha,
+    uploaded_by: v.uploaded_by,
+    message: v.message,
+    created_at: v.created_at,
+    pinned_url: pinnedUrlFromAsset({ ...a, ...currentFields(v) }),
+    content_url: `${base}/content`
+  };
+}
+
+function presentAsset(req, a) {
+  return { asset: redactAsset(a), public_url: publicUrlFromAsset(a, req), pinned_url: pinnedUrlFromAsset(a) };
+}
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * GET /api/v1/assets/:slug/versions
+ */
+export async function listAssetVersions(req, res) {
+  const a = await ownAsset(req, res);
+  if (!a) return;
+  const history = await assetHistory(a);
+  return res.json({ ok: true, current: a.version, items: history.map(v => presentVersion(req, a, v)) });
+}
+
+/**
+ * POST /api/v1/assets/:slug/versions
+ * Multipart: file + message?, on_conflict? (query or field)
+ * Stores the file next to the original (name.vN.ext) and makes it the current version.
+ */
+export async function addAssetVersion(req, res) {
+  const file = req.file;
+  let driver = null;
+  try {
+    if (!file) return res.status(400).json({ ok: false, error: 'file is required' });
+
+    const parsed = versionSchema.safeParse({ on_conflict: req.query.on_conflict, ...req.body });
+    if (!parsed.success) {
+      return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+    }
+    const { message, on_conflict } = parsed.data;
+
+    const a = await ownAsset(req, res);
+    if (!a) return;
+    if (a.disk === 'remote') {
+      return res.status(400).json({ ok: false, error: 'Remote assets are not stored here and have no versions' });
+    }
+    driver = getDriver(a.disk);
+    // the asset's size is its creator's usage; only a growing one of the key's own can go over
+    await checkQuota(req.apiKey, {
+      bytes: a.created_by === req.apiKey.id ? Math.max(0, file.size - (a.size ?? 0)) : 0,
+      largest: file.size
+    });
+
+    // a new version has to be the same kind of file as the asset's name says
+    const checked = await inspectUpload({ file: file.path, filename: a.filename, size: file.size });
+    const sha256 = await sha256File(file.path);
+    if (sha256 === a.sha256) {
+      return res.status(409).json({ ok: false, error: 'Content is identical to the current version' });
+    }
+
+    const { version, path } = await nextVersion(a);
+    // new versions go to the repo the asset is already in, whatever the default target is now
+    const repo = a.disk === 'github' ? repoOf(a) : null;
+    const branch = a.disk === 'github' ? (a.branch || branchOf(targetForRepo(repo))) : null;
+
+    const plan = await planStore({
+      disk: a.disk,
+      driver,
+      sha256,
+      path,
+      branch,
+      repo,
+      onConflict: on_conflict,
+      canReuse: (b) => keyAllows(req.apiKey, { label: a.label, path: b.path })
+    });
+    if (plan.conflict) return res.status(409).json({ ok: false, error: plan.conflict });
+
+    const stored = plan.reuse ? blobLocation(plan.reuse) : await driver.put({
+      path,
+      file: file.path,
+      size: checked.size,
+      mime: checked.mime,
+      sha256,
+      branch,
+      repo,
+      message: message || `Add version ${version} of ${a.filename}`,
+      overwrite: plan.overwrite
+    });
+    if (!plan.reuse) {
+      stored.variants = await tryStoreVariants({
+        file: file.path, path, mime: checked.mime, driver, branch, repo,
+        message: `Add variants of ${a.filename} v${version}`, overwrite: plan.overwrite
+      });
+    }
+
+    const entry = await recordVersion(a, {
+      version, stored, sha256, size: checked.size, mime: checked.mime, scan: checked, uploaded_by: req.apiKey.id, message
+    });
+    const blob = await recordStored({ disk: a.disk, sha256, size: checked.size, mime: checked.mime, stored, plan });
+
+    const updated = await updateAsset(a.id, { ...currentFields(entry), integrity_status: null, last_verified_at: null }, { action: 'asset.version' });
+    if (!updated) return res.status(404).json({ ok: false, error: 'Not found' });
+
+    return res.status(201).json({ ok: true, version: presentVersion(req, updated, entry), ...presentAsset(req, updated), blob });
+  } catch (e) {
+    if (e?.code === 'VERSION_EXISTS') {
+      return res.status(409).json({ ok: false, error: 'Another version was added at the same time; retry' });
+    }
+    if (isRejection(e)) return res.status(e.status).json({ ok: false, error: e.message });
+    if (isQuotaError(e)) return quotaRefused(res, e);
+    console.error(e?.response?.data || e);
+    if (e?.code === 'INVALID_PATH') return res.status(400).json({ ok: false, error: e.message });
+    if (e?.code === 'BRANCH_NOT_FOUND') return res.status(409).json({ ok: false, error: `${e.message}; the asset's branch is gone` });
+    if (e?.code === 'PATH_EXISTS') return res.status(409).json({ ok: false, error: e.message });
+    if (e?.code === 'GITHUB_RATE_LIMITED') return githubBusy(res, e);
+    return res.status(500).json({ ok: false, error: `${driver?.title || 'Storage'} upload failed` });
+  } finally {
+    try { if (file?.path) unlinkSync(file.path); } catch {}
+  }
+}
+
+/**
+ * POST /api/v1/assets/:slug/versions/:version/rollback
+ * Points the asset (slug, /a/:slug, public_url) at that version; nothing is deleted.
+ */
+export async function rollbackAssetVersion(req, res) {
+  const { a, v } = await ownVersion(req, res);
+  if (!v) return;
+
+  if (v.version === a.version) {
+    return res.json({ ok: true, unchanged: true, version: presentVersion(req, a, v), ...presentAsset(req, a) });
+  }
+
+  const updated = await updateAsset(a.id, { ...currentFields(v), integrity_status: null, last_verified_at: null }, { action: 'asset.rollback' });
+  if (!updated) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, version: presentVersion(req, updated, v), ...presentAsset(req, updated) });
+}
+
+/**
+ * GET /api/v1/assets/:slug/versions/:version/content
+ */
+export async function streamAssetVersion(req, res) {
+  const { a, v } = await ownVersion(req, res);
+  if (!v) return;
+  // a mismatch on an old version says nothing about the asset's current bytes, so don't flag it
+  const current = v.version === a.version;
+  return sendAsset(req, res, { ...a, ...currentFields(v), verify_hash: a.verify_hash && current });
+}
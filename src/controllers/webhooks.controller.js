@@ -0,0 +1,172 @@
+// src/controllers/webhooks.controller.js
+import { z } from 'zod';
+import {
+  createWebhook, listWebhooks, getWebhook, updateWebhook, deleteWebhook, listDeliveries, getDelivery,
+  presentWebhook, newWebhookSecret
+} from '../models/webhook.model.js';
+import { EVENTS, webhooksChanged, redeliver } from '../services/webhook.service.js';
+import { recordAudit } from '../services/audit.service.js';
+
+/**
+ * Webhook endpoints (see services/webhook.service.js for payloads and signatures):
+ *   POST   /api/v1/admin/webhooks                                     register; returns the secret once
+ *   GET    /api/v1/admin/webhooks                                     list
+ *   GET    /api/v1/admin/webhooks/:id
+ *   PATCH  /api/v1/admin/webhooks/:id                                 url, events, description, active
+ *   POST   /api/v1/admin/webhooks/:id/rotate                          new signing secret
+ *   DELETE /api/v1/admin/webhooks/:id                                 with its delivery log
+ *   GET    /api/v1/admin/webhooks/:id/deliveries?status=&limit=       delivery log, newest first
+ *   GET    /api/v1/admin/webhooks/:id/deliveries/:delivery            one delivery, payload and attempts
+ *   POST   /api/v1/admin/webhooks/:id/deliveries/:delivery/redeliver  send that event again
+ */
+
+// ---- schemas ----------------------------------------------------------------
+const hookFields = {
+  url: z.url({ protocol: /^https?$/ }),
+  events: z.array(z.enum(EVENTS)).min(1),
+  description: z.string().max(500).nullable(),
+  active: z.boolean()
+};
+
+const createSchema = z.object({
+  ...hookFields,
+  events: hookFields.events.optional().default(EVENTS),
+  description: hookFields.description.optional(),
+  active: hookFields.active.optional().default(true)
+});
+
+const updateSchema = z.object(hookFields).partial().strict()
+  .refine((v) => Object.keys(v).length > 0, { message: 'Nothing to update' });
+
+const deliveriesQuerySchema = z.object({
+  status: z.enum(['pending', 'sending', 'delivered', 'failed']).optional(),
+  limit: z.coerce.number().int().min(1).max(200).optional().default(50)
+});
+
+// ---- helpers ----------------------------------------------------------------
+async function ownDelivery(req, res) {
+  const hook = await getWebhook(req.params.id);
+  const d = hook && await getDelivery(req.params.delivery);
+  if (!d || d.webhook_id !== hook.id) {
+    res.status(404).json({ ok: false, error: 'Not found' });
+    return {};
+  }
+  return { hook, d };
+}
+
+// snapshots go through presentWebhook, so no secret ever lands in the audit trail
+const auditHook = (action, before, after) => recordAudit(action, {
+  target_type: 'webhook', target_id: (after || before).id, before: presentWebhook(before), after: presentWebhook(after)
+});
+
+// ---- controllers ------------------------------------------------------------
+
+/**
+ * POST /api/v1/admin/webhooks
+ * Body: { url, events?, description?, active? } (events default to all of them)
+ */
+export async function createWebhookEndpoint(req, res) {
+  const parsed = createSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const hook = await createWebhook({ ...parsed.data, created_by: req.apiKey.id });
+  webhooksChanged();
+  await auditHook('webhook.create', null, hook);
+  return res.status(201).json({ ok: true, webhook: presentWebhook(hook), secret: hook.secret });
+}
+
+/**
+ * GET /api/v1/admin/webhooks
+ */
+export async function listWebhookEndpoints(req, res) {
+  const items = await listWebhooks();
+  return res.json({ ok: true, events: EVENTS, items: items.map(presentWebhook) });
+}
+
+/**
+ * GET /api/v1/admin/webhooks/:id
+ */
+export async function getWebhookEndpoint(req, res) {
+  const hook = await getWebhook(req.params.id);
+  if (!hook) return res.status(404).json({ ok: false, error: 'Not found' });
+  return res.json({ ok: true, webhook: presentWebhook(hook) });
+}
+
+/**
+ * PATCH /api/v1/admin/webhooks/:id
+ * Body: any of url, events, description, active
+ */
+export async function updateWebhookEndpoint(req, res) {
+  const parsed = updateSchema.safeParse(req.body || {});
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const before = await getWebhook(req.params.id);
+  const hook = await updateWebhook(req.params.id, parsed.data);
+  if (!hook) return res.status(404).json({ ok: false, error: 'Not found' });
+  webhooksChanged();
+  await auditHook('webhook.update', before, hook);
+  return res.json({ ok: true, webhook: presentWebhook(hook) });
+}
+
+/**
+ * POST /api/v1/admin/webhooks/:id/rotate
+ * The old secret stops signing immediately; deliveries already queued use the new one.
+ */
+export async function rotateWebhookSecret(req, res) {
+  const before = await getWebhook(req.params.id);
+  const hook = await updateWebhook(req.params.id, { secret: newWebhookSecret() });
+  if (!hook) return res.status(404).json({ ok: false, error: 'Not found' });
+  webhooksChanged();
+  await auditHook('webhook.rotate', before, hook);
+  return res.json({ ok: true, webhook: presentWebhook(hook), secret: hook.secret });
+}
+
+/**
+ * DELETE /api/v1/admin/webhooks/:id
+ */
+export async function deleteWebhookEndpoint(req, res) {
+  const before = await getWebhook(req.params.id);
+  const ok = await deleteWebhook(req.params.id);
+  if (!ok) return res.status(404).json({ ok: false, error: 'Not found' });
+  webhooksChanged();
+  await auditHook('webhook.delete', before, null);
+  return res.json({ ok: true, deleted: true });
+}
+
+/**
+ * GET /api/v1/admin/webhooks/:id/deliveries?status=&limit=
+ */
+export async function listWebhookDeliveries(req, res) {
+  const parsed = deliveriesQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(422).json({ ok: false, error: parsed.error.flatten() });
+  }
+  const hook = await getWebhook(req.params.id);
+  if (!hook) return res.status(404).json({ ok: false, error: 'Not found' });
+  const items = await listDeliveries(hook.id, parsed.data);
+  // the log is about outcomes; payloads are on the single-delivery route
+  return res.json({ ok: true, items: items.map(({ payload, ...d }) => d) });
+}
+
+/**
+ * GET /api/v1/admin/webhooks/:id/deliveries/:delivery
+ */
+export async function getWebhookDelivery(req, res) {
+  const { d } = await ownDelivery(req, res);
+  if (!d) return;
+  return res.json({ ok: true, delivery: d });
+}
+
+/**
+ * POST /api/v1/admin/webhooks/:id/deliveries/:delivery/redeliver
+ * Queues the same event (same event id, new delivery id) and starts sending it.
+ */
+export async function redeliverWebhookDelivery(req, res) {
+  const { hook, d } = await ownDelivery(req, res);
+  if (!d) return;
+  if (!hook.active) return res.status(409).json({ ok: false, error: 'Webhook is disabled' });
+  const copy = await redeliver(hook, d);
+  return res.status(202).json({ ok: true, delivery: copy });
+}
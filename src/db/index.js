@@ -0,0 +1,32 @@
+// src/db/index.js
+// Which metadata store the models talk to (METADATA_BACKEND):
+//   rtdb   Firebase Realtime Database (needs FIREBASE_SERVICE_ACCOUNT_FILE)
+//   sqlite local better-sqlite3 file (SQLITE_FILE, default data/app.sqlite)
+//   libsql libsql/Turso (LIBSQL_URL, LIBSQL_AUTH_TOKEN)
+// Unset means rtdb when Firebase is configured, sqlite otherwise, so dev/CI run offline.
+
+const BACKENDS = ['rtdb', 'sqlite', 'libsql'];
+
+export const METADATA_BACKEND = (() => {
+  const v = (process.env.METADATA_BACKEND || '').trim().toLowerCase();
+  if (!v) return process.env.FIREBASE_SERVICE_ACCOUNT_FILE ? 'rtdb' : 'sqlite';
+  if (!BACKENDS.includes(v)) {
+    throw new Error(`METADATA_BACKEND must be one of: ${BACKENDS.join(', ')}`);
+  }
+  return v;
+})();
+
+export const isSql = METADATA_BACKEND !== 'rtdb';
+
+// Lazily opened so importing this module never touches a database.
+let sqlPromise = null;
+export function getSql() {
+  if (!isSql) throw new Error('SQL metadata backend is not selected');
+  sqlPromise ??= (METADATA_BACKEND === 'libsql' ? import('./libsql.js') : import('./sqlite.js')).then(m => m.sql);
+  return sqlPromise;
+}
+
+// Pick the repository module for the active backend.
+export function selectRepo({ rtdb, sql }) {
+  return isSql ? sql() : rtdb();
+}
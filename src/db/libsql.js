@@ -0,0 +1,39 @@
+// src/db/libsql.js
+// libsql/Turso (or a local file: URL) behind the same interface as db/sqlite.js.
+import { createClient } from '@libsql/client';
+import { migrate, bindable } from './schema.js';
+
+const url = process.env.LIBSQL_URL;
+if (!url) {
+  throw new Error('LIBSQL_URL is not set.');
+}
+
+const client = createClient({ url, authToken: process.env.LIBSQL_AUTH_TOKEN });
+
+await migrate({
+  exec: (s) => client.executeMultiple(s),
+  columns: async (table) => (await client.execute(`PRAGMA table_info(${table})`)).rows.map(c => c.name)
+});
+
+const plain = (row) => (row ? { ...row } : null);
+
+export const sql = {
+  async all(q, args) {
+    const { rows } = await client.execute({ sql: q, args: bindable(args) });
+    return rows.map(plain);
+  },
+  async get(q, args) {
+    const { rows } = await client.execute({ sql: q, args: bindable(args) });
+    return plain(rows[0]);
+  },
+  async run(q, args) {
+    const { rowsAffected } = await client.execute({ sql: q, args: bindable(args) });
+    return { changes: rowsAffected };
+  },
+  async batch(stmts) {
+    const results = await client.batch(stmts.map(({ sql: q, args }) => ({ sql: q, args: bindable(args) })), 'write');
+    return results.map(r => r.rowsAffected);
+  }
+};
+
+export default client;
@@ -0,0 +1,316 @@
+// src/db/schema.js
+// Shared by the better-sqlite3 and libsql connections.
+// ids are text; created_at/updated_at etc. are ISO-8601 strings; JSON columns hold arrays/objects.
+
+export const SCHEMA = `
+CREATE TABLE IF NOT EXISTS assets (
+  id           TEXT PRIMARY KEY,
+  label        TEXT NOT NULL,
+  slug         TEXT NOT NULL UNIQUE,
+  filename     TEXT NOT NULL,
+  disk         TEXT NOT NULL CHECK (disk IN ('remote','local','s3','github')),
+  path         TEXT NOT NULL,
+  repo         TEXT,
+  branch       TEXT,
+  mime         TEXT,
+  size         INTEGER,
+  sha256       TEXT,
+  verify_hash  INTEGER NOT NULL DEFAULT 0,
+  disposition  TEXT NOT NULL DEFAULT 'inline',
+  visibility   TEXT NOT NULL DEFAULT 'public',
+  collection_id TEXT,
+  tags         TEXT NOT NULL DEFAULT '[]',
+  metadata     TEXT NOT NULL DEFAULT '{}',
+  github_url   TEXT,
+  cdn_url      TEXT,
+  storage_strategy TEXT,
+  storage_ref  TEXT,
+  commit_sha   TEXT,
+  version      INTEGER,
+  variants     TEXT NOT NULL DEFAULT '[]',
+  scan_status  TEXT,
+  scanned_at   TEXT,
+  created_by   TEXT,
+  integrity_status TEXT,
+  last_verified_at TEXT,
+  created_at   TEXT NOT NULL,
+  updated_at   TEXT,
+  deleted_at   TEXT,
+  purged_at    TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_assets_created_at ON assets (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_assets_visibility ON assets (visibility);
+CREATE INDEX IF NOT EXISTS idx_assets_disk ON assets (disk);
+CREATE INDEX IF NOT EXISTS idx_assets_sha256 ON assets (sha256);
+
+-- nested folders for assets (services/collection.service.js); 'a/b' is a child of 'a'
+CREATE TABLE IF NOT EXISTS collections (
+  id           TEXT PRIMARY KEY,
+  slug         TEXT NOT NULL UNIQUE,
+  name         TEXT NOT NULL,
+  description  TEXT,
+  repo_path_prefix TEXT,
+  visibility   TEXT,
+  created_by   TEXT,
+  created_at   TEXT NOT NULL,
+  updated_at   TEXT
+);
+
+-- full-text search documents, one per asset (repositories/search.common.js); search_fts indexes
+-- them and the triggers keep it in step, search_terms lists its vocabulary (for typo matching)
+CREATE TABLE IF NOT EXISTS search_docs (
+  rid          INTEGER PRIMARY KEY,
+  asset_id     TEXT NOT NULL UNIQUE,
+  sha256       TEXT,
+  stamp        TEXT NOT NULL,
+  label        TEXT NOT NULL DEFAULT '',
+  filename     TEXT NOT NULL DEFAULT '',
+  tags         TEXT NOT NULL DEFAULT '',
+  metadata     TEXT NOT NULL DEFAULT '',
+  content      TEXT NOT NULL DEFAULT '',
+  content_sha  TEXT
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts5(
+  label, filename, tags, metadata, content,
+  content = 'search_docs', content_rowid = 'rid', tokenize = 'unicode61 remove_diacritics 2'
+);
+CREATE VIRTUAL TABLE IF NOT EXISTS search_terms USING fts5vocab(search_fts, row);
+
+CREATE TRIGGER IF NOT EXISTS search_docs_ai AFTER INSERT ON search_docs BEGIN
+  INSERT INTO search_fts (rowid, label, filename, tags, metadata, content)
+  VALUES (new.rid, new.label, new.filename, new.tags, new.metadata, new.content);
+END;
+CREATE TRIGGER IF NOT EXISTS search_docs_ad AFTER DELETE ON search_docs BEGIN
+  INSERT INTO search_fts (search_fts, rowid, label, filename, tags, metadata, content)
+  VALUES ('delete', old.rid, old.label, old.filename, old.tags, old.metadata, old.content);
+END;
+CREATE TRIGGER IF NOT EXISTS search_docs_au AFTER UPDATE ON search_docs BEGIN
+  INSERT INTO search_fts (search_fts, rowid, label, filename, tags, metadata, content)
+  VALUES ('delete', old.rid, old.label, old.filename, old.tags, old.metadata, old.content);
+  INSERT INTO search_fts (rowid, label, filename, tags, metadata, content)
+  VALUES (new.rid, new.label, new.filename, new.tags, new.metadata, new.content);
+END;
+
+-- stored content, one row per (disk, sha256); assets with the same bytes share it
+CREATE TABLE IF NOT EXISTS blobs (
+  disk         TEXT NOT NULL,
+  sha256       TEXT NOT NULL,
+  path         TEXT NOT NULL,
+  repo         TEXT,
+  branch       TEXT,
+  size         INTEGER,
+  mime         TEXT,
+  github_url   TEXT,
+  cdn_url      TEXT,
+  storage_strategy TEXT,
+  storage_ref  TEXT,
+  commit_sha   TEXT,
+  variants     TEXT NOT NULL DEFAULT '[]',
+  refcount     INTEGER NOT NULL DEFAULT 0,
+  created_at   TEXT NOT NULL,
+  PRIMARY KEY (disk, sha256)
+);
+
+CREATE INDEX IF NOT EXISTS idx_blobs_path ON blobs (disk, path);
+
+-- every stored revision of an asset; assets.version says which one is current
+CREATE TABLE IF NOT EXISTS asset_versions (
+  asset_id     TEXT NOT NULL,
+  version      INTEGER NOT NULL,
+  sha256       TEXT,
+  size         INTEGER,
+  mime         TEXT,
+  path         TEXT NOT NULL,
+  repo         TEXT,
+  branch       TEXT,
+  github_url   TEXT,
+  cdn_url      TEXT,
+  storage_strategy TEXT,
+  storage_ref  TEXT,
+  commit_sha   TEXT,
+  variants     TEXT NOT NULL DEFAULT '[]',
+  scan_status  TEXT,
+  scanned_at   TEXT,
+  uploaded_by  TEXT,
+  message      TEXT,
+  created_at   TEXT NOT NULL,
+  PRIMARY KEY (asset_id, version)
+);
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id           TEXT PRIMARY KEY,
+  name         TEXT NOT NULL,
+  prefix       TEXT NOT NULL,
+  hash         TEXT NOT NULL UNIQUE,
+  scopes       TEXT NOT NULL DEFAULT '[]',
+  restrictions TEXT NOT NULL DEFAULT '{}',
+  quotas       TEXT NOT NULL DEFAULT '{}',
+  expires_at   TEXT,
+  last_used_at TEXT,
+  created_at   TEXT NOT NULL,
+  rotated_at   TEXT,
+  revoked_at   TEXT
+);
+
+-- rotated-out secrets that still work until expires_at
+CREATE TABLE IF NOT EXISTS api_key_grace (
+  hash         TEXT PRIMARY KEY,
+  key_id       TEXT NOT NULL,
+  expires_at   TEXT NOT NULL
+);
+
+-- endpoints notified of asset events (services/webhook.service.js)
+CREATE TABLE IF NOT EXISTS webhooks (
+  id           TEXT PRIMARY KEY,
+  url          TEXT NOT NULL,
+  description  TEXT,
+  events       TEXT NOT NULL DEFAULT '[]',
+  active       INTEGER NOT NULL DEFAULT 1,
+  secret       TEXT NOT NULL,
+  created_by   TEXT,
+  created_at   TEXT NOT NULL,
+  updated_at   TEXT
+);
+
+-- the delivery queue and its log: one row per (event, endpoint), kept after delivery
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id           TEXT PRIMARY KEY,
+  webhook_id   TEXT NOT NULL,
+  event_id     TEXT NOT NULL,
+  event        TEXT NOT NULL,
+  payload      TEXT NOT NULL,
+  status       TEXT NOT NULL DEFAULT 'pending',
+  attempts     INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TEXT,
+  last_status_code INTEGER,
+  last_error   TEXT,
+  log          TEXT NOT NULL DEFAULT '[]',
+  redelivery_of TEXT,
+  created_at   TEXT NOT NULL,
+  delivered_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, created_at DESC);
+
+-- named places github assets are written to (services/targets.service.js)
+CREATE TABLE IF NOT EXISTS github_targets (
+  name         TEXT PRIMARY KEY,
+  owner        TEXT NOT NULL,
+  repo         TEXT NOT NULL,
+  branch       TEXT,
+  prefix       TEXT NOT NULL DEFAULT '',
+  cdn_base     TEXT,
+  token        TEXT,
+  created_by   TEXT,
+  created_at   TEXT NOT NULL,
+  updated_at   TEXT
+);
+
+-- work of async requests, polled at GET /api/v1/jobs/:id (services/job.service.js)
+CREATE TABLE IF NOT EXISTS jobs (
+  id           TEXT PRIMARY KEY,
+  type         TEXT NOT NULL,
+  status       TEXT NOT NULL DEFAULT 'queued',
+  key_id       TEXT,
+  request_id   TEXT,
+  http_status  INTEGER,
+  result       TEXT,
+  error        TEXT,
+  created_at   TEXT NOT NULL,
+  started_at   TEXT,
+  finished_at  TEXT,
+  expires_at   TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs (created_at);
+
+-- who changed what (services/audit.service.js); rows are only ever inserted
+CREATE TABLE IF NOT EXISTS audit_log (
+  id           TEXT PRIMARY KEY,
+  at           TEXT NOT NULL,
+  actor        TEXT,
+  action       TEXT NOT NULL,
+  target_type  TEXT NOT NULL,
+  target_id    TEXT,
+  target_slug  TEXT,
+  target_path  TEXT,
+  before       TEXT,
+  after        TEXT,
+  commit_sha   TEXT,
+  details      TEXT,
+  request_id   TEXT,
+  ip           TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_at ON audit_log (at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log (actor, at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log (target_id, at DESC);
+
+CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+`;
+
+// Columns added after a table first shipped. CREATE TABLE IF NOT EXISTS won't add them
+// to an existing database, so migrate() ALTERs them in.
+export const ADDED_COLUMNS = {
+  assets: [
+    ['integrity_status', 'TEXT'],
+    ['last_verified_at', 'TEXT'],
+    ['purged_at', 'TEXT'],
+    ['storage_strategy', 'TEXT'],
+    ['storage_ref', 'TEXT'],
+    ['commit_sha', 'TEXT'],
+    ['version', 'INTEGER'],
+    ['variants', "TEXT NOT NULL DEFAULT '[]'"],
+    ['scan_status', 'TEXT'],
+    ['scanned_at', 'TEXT'],
+    ['created_by', 'TEXT'],
+    ['collection_id', 'TEXT'],
+    ['tags', "TEXT NOT NULL DEFAULT '[]'"],
+    ['metadata', "TEXT NOT NULL DEFAULT '{}'"]
+  ],
+  blobs: [
+    ['commit_sha', 'TEXT'],
+    ['variants', "TEXT NOT NULL DEFAULT '[]'"]
+  ],
+  asset_versions: [
+    ['variants', "TEXT NOT NULL DEFAULT '[]'"],
+    ['scan_status', 'TEXT'],
+    ['scanned_at', 'TEXT']
+  ],
+  api_keys: [
+    ['quotas', "TEXT NOT NULL DEFAULT '{}'"]
+  ],
+  github_targets: [
+    ['cdn_provider', 'TEXT'],
+    ['cdn_purge_url', 'TEXT']
+  ]
+};
+
+/**
+ * Bring a database up to date.
+ * `exec(sql)` runs a multi-statement script, `columns(table)` lists existing column names.
+ */
+export async function migrate({ exec, columns }) {
+  await exec(SCHEMA);
+  for (const [table, cols] of Object.entries(ADDED_COLUMNS)) {
+    const have = new Set(await columns(table));
+    for (const [name, type] of cols) {
+      if (!have.has(name)) await exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+// SQLite can't bind booleans or undefined
+export function bindable(args = {}) {
+  const out = {};
+  for (const [k, v] of Object.entries(args)) {
+    out[k] = v === undefined ? null : typeof v === 'boolean' ? Number(v) : v;
+  }
+  return out;
+}
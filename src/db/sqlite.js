@@ -2,6 +2,7 @@
 import Database from 'better-sqlite3';
 import fs from 'fs';
 import path from 'path';
+import { migrate, bindable } from './schema.js';
 
 const FILE = process.env.SQLITE_FILE || path.join(process.cwd(), 'data', 'app.sqlite');
 
@@ -12,33 +13,31 @@ const db = new Database(FILE, { fileMustExist: false });
 db.pragma('journal_mode = WAL');
 db.pragma('synchronous = NORMAL');
 
-// schema (id is text; created_at/updated_at ISO-8601 strings)
-db.exec(`
-CREATE TABLE IF NOT EXISTS assets (
-  id           TEXT PRIMARY KEY,
-  label        TEXT NOT NULL,
-  slug         TEXT NOT NULL UNIQUE,
-  filename     TEXT NOT NULL,
-  disk         TEXT NOT NULL CHECK (disk IN ('remote','local','s3','github')),
-  path         TEXT NOT NULL,
-  repo         TEXT,
-  branch       TEXT,
-  mime         TEXT,
-  size         INTEGER,
-  sha256       TEXT,
-  verify_hash  INTEGER NOT NULL DEFAULT 0,
-  disposition  TEXT NOT NULL DEFAULT 'inline',
-  visibility   TEXT NOT NULL DEFAULT 'public',
-  github_url   TEXT,
-  cdn_url      TEXT,
-  created_at   TEXT NOT NULL,
-  updated_at   TEXT,
-  deleted_at   TEXT
-);
+await migrate({
+  exec: (s) => db.exec(s),
+  columns: (table) => db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name)
+});
 
-CREATE INDEX IF NOT EXISTS idx_assets_created_at ON assets (created_at DESC);
-CREATE INDEX IF NOT EXISTS idx_assets_visibility ON assets (visibility);
-CREATE INDEX IF NOT EXISTS idx_assets_disk ON assets (disk);
-`);
+/**
+ * Async query interface shared with db/libsql.js so repositories don't care which one they get.
+ * Named parameters use @name in SQL and plain keys in `args`.
+ * batch() runs statements atomically (all or nothing).
+ */
+export const sql = {
+  async all(q, args) {
+    return db.prepare(q).all(bindable(args));
+  },
+  async get(q, args) {
+    return db.prepare(q).get(bindable(args)) ?? null;
+  },
+  async run(q, args) {
+    const { changes } = db.prepare(q).run(bindable(args));
+    return { changes };
+  },
+  async batch(stmts) {
+    const tx = db.transaction((list) => list.map(({ sql: q, args }) => db.prepare(q).run(bindable(args)).changes));
+    return tx(stmts);
+  }
+};
 
 export default db;
@@ -0,0 +1,36 @@
+// src/jobs/reconcile.job.js
+import { reconcileGithub } from '../services/reconcile.service.js';
+import { allTargets } from '../services/targets.service.js';
+
+/**
+ * Periodically compare github assets with the repo of every GitHub target
+ * (ASSET_RECONCILE_INTERVAL_MIN, minutes) and log the drift. Report only unless ASSET_RECONCILE_APPLY lists what to fix: register, remove.
+ * Runs never overlap; the timer is unref'd so it doesn't keep the process alive.
+ */
+export function startReconcileJob(minutes = Number(process.env.ASSET_RECONCILE_INTERVAL_MIN)) {
+  if (!minutes || minutes <= 0) return null;
+
+  const apply = (process.env.ASSET_RECONCILE_APPLY || '').split(',').map(s => s.trim().toLowerCase());
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const { name } of allTargets()) {
+        try {
+          const { summary } = await reconcileGithub({ target: name, register: apply.includes('register'), remove: apply.includes('remove') });
+          console.log(`[reconcile] ${name}: run complete`, summary);
+        } catch (e) {
+          console.error(`[reconcile] ${name}: run failed:`, e?.response?.data || e?.message || e);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, minutes * 60_000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,32 @@
+// src/jobs/search.job.js
+import { exportAll } from '../models/asset.model.js';
+import { syncSearchIndex } from '../services/search.service.js';
+
+/**
+ * Catch the search index up with the assets at startup and then every ASSET_SEARCH_SYNC_MIN
+ * minutes (default 60; 0 for startup only): assets written before the index existed or by
+ * another process, and PDFs whose text couldn't be fetched yet (services/search.service.js).
+ * Runs never overlap; the timer is unref'd so it doesn't keep the process alive.
+ */
+export function startSearchJob(minutes = Number(process.env.ASSET_SEARCH_SYNC_MIN ?? 60)) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { assets } = await exportAll();
+      const summary = await syncSearchIndex(assets);
+      if (summary.indexed || summary.removed) console.log('[search] index synced', summary);
+    } catch (e) {
+      console.error('[search] sync failed:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  if (!minutes || minutes <= 0) return null;
+  const timer = setInterval(tick, minutes * 60_000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,28 @@
+// src/jobs/verify.job.js
+import { verifyAssets } from '../services/integrity.service.js';
+
+/**
+ * Periodically re-verify verify_hash assets (ASSET_VERIFY_INTERVAL_MIN, minutes).
+ * Runs never overlap; the timer is unref'd so it doesn't keep the process alive.
+ */
+export function startVerifyJob(minutes = Number(process.env.ASSET_VERIFY_INTERVAL_MIN)) {
+  if (!minutes || minutes <= 0) return null;
+
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const { summary } = await verifyAssets();
+      console.log('[verify] run complete', summary);
+    } catch (e) {
+      console.error('[verify] run failed:', e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, minutes * 60_000);
+  timer.unref();
+  return timer;
+}
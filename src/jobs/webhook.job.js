@@ -0,0 +1,20 @@
+// src/jobs/webhook.job.js
+import { deliverDue } from '../services/webhook.service.js';
+
+/**
+ * Send queued webhook deliveries whose retry time has come (ASSET_WEBHOOK_POLL_SEC, default 15).
+ * New events are sent right away; this picks up retries and anything left over from a restart.
+ * The timer is unref'd so it doesn't keep the process alive.
+ */
+export function startWebhookJob(seconds = Number(process.env.ASSET_WEBHOOK_POLL_SEC) || 15) {
+  if (seconds <= 0) return null;
+
+  const tick = () => deliverDue().catch((e) => {
+    console.error('[webhooks] run failed:', e?.message || e);
+  });
+
+  const timer = setInterval(tick, seconds * 1000);
+  timer.unref();
+  tick();
+  return timer;
+}
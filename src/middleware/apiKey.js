@@ -1,7 +1,73 @@
-export default function apiKey(req, res, next) {
+import crypto from 'crypto';
+import { findKeyBySecret, touchKey } from '../models/apiKey.model.js';
+
+export const SCOPES = ['assets:read', 'assets:write', 'assets:delete', 'github:delete', 'admin:keys', 'admin:data', 'admin:webhooks', 'admin:audit', 'admin:targets'];
+
+// APP_KEY stays valid as a bootstrap/root key with every scope, so existing
+// deployments keep working and someone can create the first managed keys.
+const ROOT_KEY = { id: 'root', name: 'APP_KEY', scopes: SCOPES, restrictions: { labels: [], path_prefixes: [] }, quotas: {} };
+
+const TOUCH_EVERY_MS = 60_000;
+const lastTouched = new Map();
+
+function isRootKey(key) {
+  const root = process.env.APP_KEY;
+  if (!root || !key) return false;
+  const a = Buffer.from(key);
+  const b = Buffer.from(root);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// last_used_at is best-effort and throttled so reads don't turn into writes
+function markUsed(id) {
+  const now = Date.now();
+  if (now - (lastTouched.get(id) || 0) < TOUCH_EVERY_MS) return;
+  lastTouched.set(id, now);
+  touchKey(id).catch((e) => console.error('[apiKey] last_used_at update failed:', e?.message || e));
+}
+
+export default async function apiKey(req, res, next) {
   const key = req.header('x-api-key');
-  if (!key || key !== process.env.APP_KEY) {
-    return res.status(401).json({ ok: false, error: 'Unauthorized' });
+  if (!key) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+
+  if (isRootKey(key)) {
+    req.apiKey = ROOT_KEY;
+    return next();
+  }
+
+  try {
+    const found = await findKeyBySecret(key);
+    if (!found) return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    req.apiKey = found;
+    markUsed(found.id);
+    next();
+  } catch (e) {
+    console.error('[apiKey] lookup failed:', e?.message || e);
+    return res.status(500).json({ ok: false, error: 'Failed to verify API key' });
+  }
+}
+
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey?.scopes?.includes(scope)) {
+      return res.status(403).json({ ok: false, error: `API key lacks scope ${scope}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Per-key restrictions: an asset (or a would-be asset) is in reach when its label starts
+ * with one of the key's label prefixes and its storage path with one of its path prefixes.
+ * Empty lists mean unrestricted.
+ */
+export function keyAllows(key, { label, path } = {}) {
+  const { labels = [], path_prefixes = [] } = key?.restrictions || {};
+  if (labels.length && !labels.some(p => String(label || '').toLowerCase().startsWith(p.toLowerCase()))) {
+    return false;
+  }
+  if (path_prefixes.length && !path_prefixes.some(p => String(path || '').startsWith(p))) {
+    return false;
   }
-  next();
+  return true;
 }
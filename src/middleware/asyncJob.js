@@ -0,0 +1,63 @@
+// src/middleware/asyncJob.js
+import { unlinkSync } from 'fs';
+import { enqueueJob } from '../services/job.service.js';
+import { presentJob } from '../models/job.model.js';
+
+/**
+ * Wraps a slow route so callers may choose not to wait: with `async=true` (query or field) or
+ * `Prefer: respond-async`, the request is answered 202 with a job (services/job.service.js) and
+ * `handler` runs in the background. What it answers becomes the job's http_status and result,
+ * polled at GET /api/v1/jobs/:id (also in the Location header). Otherwise `handler` runs as usual.
+ */
+
+const ASYNC_VALUES = ['true', '1', 'yes', 'on'];
+
+function wantsAsync(req) {
+  const flag = req.query?.async ?? req.body?.async;
+  if (flag != null) return ASYNC_VALUES.includes(String(flag).toLowerCase());
+  return /\brespond-async\b/i.test(req.header('prefer') || '');
+}
+
+// stands in for `res` while the job runs, keeping what the handler answers
+function recorder() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+export default function asyncJob(type, handler) {
+  return async (req, res, next) => {
+    if (!wantsAsync(req)) return handler(req, res, next);
+
+    let job;
+    try {
+      job = await enqueueJob({ type, key_id: req.apiKey?.id, request_id: req.id }, async () => {
+        const out = recorder();
+        await handler(req, out);
+        return { status: out.statusCode, body: out.body };
+      });
+    } catch (e) {
+      // the handler never runs, so nothing else removes the uploaded files
+      for (const f of [req.file, ...(req.files || [])]) {
+        try { if (f?.path) unlinkSync(f.path); } catch {}
+      }
+      console.error('[jobs] could not queue:', e?.message || e);
+      return res.status(500).json({ ok: false, error: 'Could not queue the request' });
+    }
+
+    res.set('Location', `/api/v1/jobs/${job.id}`);
+    return res.status(202).json({ ok: true, job: presentJob(job) });
+  };
+}
@@ -0,0 +1,80 @@
+// src/middleware/rateLimit.js
+import { takeToken } from '../ratelimit/index.js';
+
+/**
+ * Token-bucket rate limits (ratelimit/index.js). Each is "<requests>/<seconds>": a bucket holds
+ * `requests` tokens and refills at requests per seconds, so short bursts pass while the average
+ * is held to the rate. "off" turns one off.
+ *   ip     ASSET_RATE_LIMIT_IP     (300/60)  every /api/v1 request and /a/:slug link, by client IP,
+ *                                            before any key is checked
+ *   key    ASSET_RATE_LIMIT_KEY    (120/60)  every authenticated request, by API key
+ *   write  ASSET_RATE_LIMIT_WRITE  (20/60)   requests that write to storage (uploads, versions,
+ *                                            GitHub deletes), by API key
+ * Responses carry RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+ * (IETF RateLimit header fields) for whichever bucket is closest to empty; a refused request is
+ * answered 429 with Retry-After. When the store fails (e.g. Redis is down) requests go through.
+ */
+
+const POLICIES = {
+  ip: { env: 'ASSET_RATE_LIMIT_IP', fallback: '300/60', id: (req) => req.ip },
+  key: { env: 'ASSET_RATE_LIMIT_KEY', fallback: '120/60', id: (req) => req.apiKey?.id },
+  write: { env: 'ASSET_RATE_LIMIT_WRITE', fallback: '20/60', id: (req) => req.apiKey?.id }
+};
+
+// "<requests>/<seconds>" -> { limit, window }, or null when off
+function parsePolicy(env, raw) {
+  const v = String(raw).trim().toLowerCase();
+  if (['off', 'false', '0'].includes(v)) return null;
+  const m = /^(\d+)\s*\/\s*(\d+)$/.exec(v);
+  if (!m || !Number(m[1]) || !Number(m[2])) throw new Error(`${env}: expected <requests>/<seconds> or off, got '${raw}'`);
+  return { limit: Number(m[1]), window: Number(m[2]) };
+}
+
+const LIMITS = Object.fromEntries(Object.entries(POLICIES).map(([name, p]) =>
+  [name, parsePolicy(p.env, process.env[p.env] ?? p.fallback)]
+));
+
+// ---- helpers ----------------------------------------------------------------
+
+// the headers describe the tightest bucket this request drew from
+function describe(req, res, limit, out) {
+  if (req.rateLimit && req.rateLimit.remaining < out.remaining) return;
+  req.rateLimit = { limit: limit.limit, remaining: out.remaining, reset: out.reset };
+  res.set({
+    'RateLimit-Policy': `${limit.limit};w=${limit.window}`,
+    'RateLimit-Limit': String(limit.limit),
+    'RateLimit-Remaining': String(out.remaining),
+    'RateLimit-Reset': String(out.reset)
+  });
+}
+
+// ---- middleware -------------------------------------------------------------
+
+/**
+ * Spend one token of the `name` bucket (ip | key | write) belonging to the request's client IP
+ * or API key; 429 once it is empty.
+ */
+export default function rateLimit(name) {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit '${name}'`);
+  const limit = LIMITS[name];
+
+  return async (req, res, next) => {
+    const id = policy.id(req);
+    if (!limit || id == null) return next();
+
+    let out;
+    try {
+      out = await takeToken(`${name}:${id}`, { capacity: limit.limit, rate: limit.limit / (limit.window * 1000) });
+    } catch (e) {
+      console.error(`[ratelimit] ${name} bucket unavailable, letting the request through:`, e?.message || e);
+      return next();
+    }
+    describe(req, res, limit, out);
+    if (!out.allowed) {
+      res.set('Retry-After', String(out.retry_after));
+      return res.status(429).json({ ok: false, error: 'Too many requests', retry_after: out.retry_after });
+    }
+    next();
+  };
+}
@@ -0,0 +1,24 @@
+// src/middleware/requestContext.js
+import { AsyncLocalStorage } from 'async_hooks';
+import { nanoid } from 'nanoid';
+
+/**
+ * Gives every request an id (the caller's X-Request-Id when it looks sane, otherwise a new one),
+ * echoes it back, and keeps the request reachable from code that only sees models and services,
+ * e.g. the audit trail attributing a change to the API key behind it.
+ */
+
+const storage = new AsyncLocalStorage();
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export default function requestContext(req, res, next) {
+  const given = req.header('x-request-id');
+  req.id = given && REQUEST_ID.test(given) ? given : `req_${nanoid(16)}`;
+  res.setHeader('X-Request-Id', req.id);
+  storage.run(req, next);
+}
+
+// The request being handled, or undefined outside one (jobs, CLI).
+export function currentRequest() {
+  return storage.getStore();
+}
@@ -0,0 +1,12 @@
+// src/models/apiKey.model.js
+// API key persistence for the active METADATA_BACKEND (see db/index.js).
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/apiKey.repo.js'),
+  sql: () => import('../repositories/sql/apiKey.repo.js')
+});
+
+export const { createKey, listKeys, getKey, findKeyBySecret, rotateKey, revokeKey, setKeyQuotas, touchKey } = repo;
+
+export { presentKey } from '../repositories/apiKey.common.js';
@@ -1,227 +1,117 @@
-// src/models/asset.model.js (Firebase RTDB)
-import { rtdb } from '../db/firebase.js';
-import dayjs from 'dayjs';
-
-/**
- * Data layout in RTDB
- * /assets/{id} => full asset object
- * /slugs/{slug} => { id: '...' }  (quick slug lookup)
- * Soft delete: asset.deleted_at set to ISO string
- */
-
-// normalize booleans consistently
-const toBool = (v) => v === true || v === 'true' || v === 1 || v === '1';
-
-function normalizeAsset(a) {
-  if (!a) return null;
-  return {
-    id: a.id,
-    label: a.label,
-    slug: a.slug,
-    filename: a.filename,
-    disk: a.disk,
-    path: a.path,
-    repo: a.repo ?? null,
-    branch: a.branch ?? null,
-    mime: a.mime ?? null,
-    size: a.size ?? null,
-    sha256: a.sha256 ?? null,
-    verify_hash: toBool(a.verify_hash),
-    disposition: a.disposition || 'inline',
-    visibility: a.visibility || 'public',
-    github_url: a.github_url ?? null,
-    cdn_url: a.cdn_url ?? null,
-    created_at: a.created_at,
-    updated_at: a.updated_at ?? null,
-    deleted_at: a.deleted_at ?? null
-  };
-}
-
-async function getAssetById(id) {
-  const snap = await rtdb.ref(`/assets/${id}`).get();
-  return normalizeAsset(snap.val());
-}
-
-async function setAsset(id, data) {
-  await rtdb.ref(`/assets/${id}`).set(data);
-}
-
-async function reserveSlug(slug, id) {
-  // write if empty; prevents collisions
-  const ref = rtdb.ref(`/slugs/${slug}`);
-  const res = await ref.transaction((current) => {
-    if (current === null) {
-      return { id };
-    }
-    return; // abort (collision)
-  });
-  return res.committed;
-}
-
-async function releaseSlug(slug) {
-  await rtdb.ref(`/slugs/${slug}`).remove();
-}
-
-async function getIdBySlug(slug) {
-  const snap = await rtdb.ref(`/slugs/${slug}`).get();
-  return snap.val()?.id || null;
-}
-
-async function fetchAllAssetsRaw() {
-  const snap = await rtdb.ref('/assets').get();
-  const obj = snap.val() || {};
-  return Object.values(obj).map(normalizeAsset);
-}
-
-// ---------------- Public model API ----------------
+// src/models/asset.model.js
+// Asset persistence, backed by whichever store METADATA_BACKEND selects (see db/index.js).
+// Both repositories implement the same functions with the same semantics:
+//   insertAsset, insertAssets, removeAssets, slugTaken, findBySlug, recentAssets, getAllAssets,
+//   listAssets, countAssets, listTags, usageByCreator, assetsAt, updateAsset, softDeleteAsset,
+//   restoreAsset, setIntegrity, getById, exportAll, putAsset
+// Lifecycle changes made through here are announced to webhooks (services/webhook.service.js),
+// written to the audit trail (services/audit.service.js) and reflected in the search index
+// (services/search.service.js).
+import { selectRepo } from '../db/index.js';
+import { assetEvent } from '../services/webhook.service.js';
+import { auditAsset } from '../services/audit.service.js';
+import { indexAssets, unindexAssets } from '../services/search.service.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/asset.repo.js'),
+  sql: () => import('../repositories/sql/asset.repo.js')
+});
+
+export const {
+  slugTaken, findBySlug, recentAssets, getAllAssets,
+  listAssets, countAssets, listTags, usageByCreator, assetsAt, getById, exportAll
+} = repo;
+
+export { SORTABLE, normalizeAsset } from '../repositories/asset.common.js';
+
+const FAILED_INTEGRITY = ['mismatch', 'missing'];
 
 export async function insertAsset(asset) {
-  const now = dayjs().toISOString();
-  const data = normalizeAsset({ ...asset, created_at: now, updated_at: null, deleted_at: null });
-
-  // reserve slug (unique)
-  const ok = await reserveSlug(data.slug, data.id);
-  if (!ok) {
-    const err = new Error('Slug already exists');
-    err.code = 'SLUG_EXISTS';
-    throw err;
-  }
-
-  try {
-    await setAsset(data.id, data);
-    return data;
-  } catch (e) {
-    // rollback slug reservation on failure
-    await releaseSlug(data.slug);
-    throw e;
-  }
+  const created = await repo.insertAsset(asset);
+  await indexAssets([created]);
+  await announceCreated([created]);
+  return created;
 }
 
-export async function findBySlug(slug) {
-  const id = await getIdBySlug(slug);
-  if (!id) return null;
-  const a = await getAssetById(id);
-  if (!a || a.deleted_at) return null;
-  return a;
+// { notify: false } leaves announceCreated to the caller (e.g. once a batch commit is published)
+export async function insertAssets(assets, { notify = true } = {}) {
+  const created = await repo.insertAssets(assets);
+  await indexAssets(created);
+  if (notify) await announceCreated(created);
+  return created;
 }
 
-export async function recentAssets({ label, disk, visibility, limit = 10 }) {
-  // RTDB queries are limited; fetch then filter in memory for flexibility
-  let list = await fetchAllAssetsRaw();
-  list = list.filter(a => !a.deleted_at);
-
-  if (label) list = list.filter(a => a.label?.toLowerCase().includes(String(label).toLowerCase()));
-  if (disk) list = list.filter(a => a.disk === disk);
-  if (visibility) list = list.filter(a => a.visibility === visibility);
-
-  // sort by created_at desc
-  list.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
-  return list.slice(0, Math.max(1, Math.min(100, +limit)));
+// undoing insertAssets: nothing is announced, as nothing was
+export async function removeAssets(ids) {
+  await repo.removeAssets(ids);
+  await unindexAssets(ids);
 }
 
-export async function getAllAssets({ label, disk, visibility } = {}) {
-  let list = await fetchAllAssetsRaw();
-  list = list.filter(a => !a.deleted_at);
-
-  if (label) list = list.filter(a => a.label?.toLowerCase().includes(String(label).toLowerCase()));
-  if (disk) list = list.filter(a => a.disk === disk);
-  if (visibility) list = list.filter(a => a.visibility === visibility);
-
-  return list;
+// import (services/sync.service.js)
+export async function putAsset(asset) {
+  const data = await repo.putAsset(asset);
+  await indexAssets([data]);
+  return data;
 }
 
-// Advanced list with search/sort/pagination (server-side in memory)
-export async function listAssets({
-  q, label, disk, visibility,
-  includeDeleted = false,
-  sort = 'created_at',
-  order = 'desc',
-  limit = 20,
-  offset = 0
-}) {
-  const allowedSort = new Set(['created_at', 'label', 'slug', 'disk', 'visibility', 'filename']);
-  const sortKey = allowedSort.has(String(sort)) ? String(sort) : 'created_at';
-  const dir = String(order).toLowerCase() === 'asc' ? 1 : -1;
-
-  let list = await fetchAllAssetsRaw();
-  if (!includeDeleted) list = list.filter(a => !a.deleted_at);
-
-  if (q) {
-    const s = String(q).toLowerCase();
-    list = list.filter(a =>
-      a.label?.toLowerCase().includes(s) ||
-      a.slug?.toLowerCase().includes(s) ||
-      a.filename?.toLowerCase().includes(s)
-    );
+export async function announceCreated(assets) {
+  for (const a of assets) {
+    await auditAsset('asset.create', null, a);
+    await assetEvent('asset.created', a);
   }
-  if (label) list = list.filter(a => a.label?.toLowerCase().includes(String(label).toLowerCase()));
-  if (disk) list = list.filter(a => a.disk === disk);
-  if (visibility) list = list.filter(a => a.visibility === visibility);
-
-  list.sort((a, b) => {
-    const av = (a[sortKey] ?? '').toString();
-    const bv = (b[sortKey] ?? '').toString();
-    return dir * av.localeCompare(bv);
-  });
-
-  const total = list.length;
-  const start = Math.max(0, Number(offset) || 0);
-  const end = start + Math.max(1, Math.min(100, Number(limit) || 20));
-  const items = list.slice(start, end);
-
-  return { items, total };
 }
 
-export async function countAssets(filters = {}) {
-  const { items, total } = await listAssets({ ...filters, limit: 1, offset: 0 });
-  return total;
-}
-
-// Optional: updates & soft-delete if you need full CRUD later
-export async function updateAsset(id, patch) {
-  const cur = await getAssetById(id);
-  if (!cur || cur.deleted_at) return null;
-
-  // handle slug change: re-index
-  if (patch.slug && patch.slug !== cur.slug) {
-    const ok = await reserveSlug(patch.slug, id);
-    if (!ok) {
-      const err = new Error('Slug already exists');
-      err.code = 'SLUG_EXISTS';
-      throw err;
+// `action` names the audit entry when the update is more specific, e.g. a version rollback
+export async function updateAsset(id, patch, { action = 'asset.update' } = {}) {
+  const before = await repo.getById(id);
+  const updated = await repo.updateAsset(id, patch);
+  if (updated) {
+    await indexAssets([updated]);
+    const changed = Object.keys(patch).filter(k => JSON.stringify(before?.[k]) !== JSON.stringify(updated[k]));
+    if (changed.length) {
+      await auditAsset(action, before, updated);
+      await assetEvent('asset.updated', updated, { changed });
     }
-    await releaseSlug(cur.slug);
   }
-
-  const updated = normalizeAsset({
-    ...cur,
-    ...patch,
-    verify_hash: patch.verify_hash ?? cur.verify_hash,
-    updated_at: dayjs().toISOString()
-  });
-
-  await setAsset(id, updated);
   return updated;
 }
 
-export async function softDeleteAsset(id) {
-  const cur = await getAssetById(id);
-  if (!cur || cur.deleted_at) return false;
-
-  cur.deleted_at = dayjs().toISOString();
-  await setAsset(id, cur);
-  // keep slug reserved to avoid reuse (change this if you prefer freeing)
-  return true;
+// opts.commit_sha: the commit that removed the stored file, when purged
+export async function softDeleteAsset(id, opts = {}) {
+  const before = await repo.getById(id);
+  const ok = await repo.softDeleteAsset(id, opts);
+  if (ok) {
+    const after = await repo.getById(id);
+    await indexAssets([after]);
+    await auditAsset('asset.delete', before, after, { commit_sha: opts.commit_sha ?? null, details: { purged: Boolean(opts.purged) } });
+    await assetEvent('asset.deleted', after, { purged: Boolean(opts.purged) });
+  }
+  return ok;
 }
 
 export async function restoreAsset(id) {
-  const cur = await getAssetById(id);
-  if (!cur || !cur.deleted_at) return false;
-  cur.deleted_at = null;
-  await setAsset(id, cur);
-  return true;
+  const before = await repo.getById(id);
+  const ok = await repo.restoreAsset(id);
+  if (ok) {
+    const after = await repo.getById(id);
+    await indexAssets([after]);
+    await auditAsset('asset.restore', before, after);
+    await assetEvent('asset.restored', after);
+  }
+  return ok;
 }
 
-export async function getById(id) {
-  return getAssetById(id);
+// only the move into a failed state is announced, not every failed re-check; the audit trail
+// gets any change of status or adopted hash
+export async function setIntegrity(id, result) {
+  const before = await repo.getById(id);
+  const updated = await repo.setIntegrity(id, result);
+  if (updated && before?.sha256 !== updated.sha256) await indexAssets([updated]);
+  if (updated && (before?.integrity_status !== updated.integrity_status || before?.sha256 !== updated.sha256)) {
+    await auditAsset('asset.integrity', before, updated);
+  }
+  if (updated && FAILED_INTEGRITY.includes(result.integrity_status) && before?.integrity_status !== result.integrity_status) {
+    await assetEvent('asset.integrity_failed', updated, { integrity_status: result.integrity_status });
+  }
+  return updated;
 }
@@ -0,0 +1,12 @@
+// src/models/audit.model.js
+// The append-only audit trail for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/audit.repo.js'),
+  sql: () => import('../repositories/sql/audit.repo.js')
+});
+
+export const { appendAudit, listAudit } = repo;
+
+export { newAuditId } from '../repositories/audit.common.js';
@@ -0,0 +1,10 @@
+// src/models/blob.model.js
+// Content index (sha256 -> stored copy, with reference counts) for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/blob.repo.js'),
+  sql: () => import('../repositories/sql/blob.repo.js')
+});
+
+export const { findBlob, findBlobAt, addBlobRef, releaseBlobRef } = repo;
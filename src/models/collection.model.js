@@ -0,0 +1,14 @@
+// src/models/collection.model.js
+// Asset collections (services/collection.service.js) for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/collection.repo.js'),
+  sql: () => import('../repositories/sql/collection.repo.js')
+});
+
+export const {
+  listCollections, getCollection, findCollectionBySlug, createCollection, updateCollection, deleteCollection
+} = repo;
+
+export { normalizeCollection, presentCollection, parentSlug } from '../repositories/collection.common.js';
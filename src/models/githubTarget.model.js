@@ -0,0 +1,12 @@
+// src/models/githubTarget.model.js
+// GitHub storage targets managed through the admin API, for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/githubTarget.repo.js'),
+  sql: () => import('../repositories/sql/githubTarget.repo.js')
+});
+
+export const { listTargets, getTarget, createTarget, updateTarget, deleteTarget } = repo;
+
+export { normalizeTarget, presentTarget } from '../repositories/githubTarget.common.js';
@@ -0,0 +1,12 @@
+// src/models/job.model.js
+// Background jobs of async requests for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/job.repo.js'),
+  sql: () => import('../repositories/sql/job.repo.js')
+});
+
+export const { createJob, getJob, saveJob, pruneJobs } = repo;
+
+export { presentJob } from '../repositories/job.common.js';
@@ -0,0 +1,15 @@
+// src/models/search.model.js
+// The full-text search index (services/search.service.js) for the active METADATA_BACKEND:
+// FTS5 in SQLite / libsql, an in-process index over RTDB.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/search.repo.js'),
+  sql: () => import('../repositories/sql/search.repo.js')
+});
+
+export const {
+  putDocuments, staleContent, setContent, removeDocuments, indexState, searchDocuments
+} = repo;
+
+export { searchDocument, parseQuery, hasText, stampOf, renderHighlight } from '../repositories/search.common.js';
@@ -0,0 +1,10 @@
+// src/models/version.model.js
+// Asset version history for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/version.repo.js'),
+  sql: () => import('../repositories/sql/version.repo.js')
+});
+
+export const { listVersions, getVersion, addVersion } = repo;
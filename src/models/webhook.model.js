@@ -0,0 +1,15 @@
+// src/models/webhook.model.js
+// Webhook endpoints and their delivery queue/log for the active METADATA_BACKEND.
+import { selectRepo } from '../db/index.js';
+
+const repo = await selectRepo({
+  rtdb: () => import('../repositories/rtdb/webhook.repo.js'),
+  sql: () => import('../repositories/sql/webhook.repo.js')
+});
+
+export const {
+  createWebhook, listWebhooks, getWebhook, updateWebhook, deleteWebhook,
+  addDeliveries, listDeliveries, getDelivery, dueDeliveries, claimDelivery, saveDelivery
+} = repo;
+
+export { presentWebhook, newWebhookSecret } from '../repositories/webhook.common.js';
@@ -0,0 +1,40 @@
+// src/ratelimit/index.js
+
+/**
+ * Token buckets behind middleware/rateLimit.js. Store contract:
+ *   take(key, { capacity, rate, cost, now }) -> { allowed, tokens }
+ * `rate` is tokens added per ms, up to `capacity`; a bucket never seen before starts full.
+ * `tokens` is what the bucket holds afterwards (refused: what it held, untouched).
+ *
+ * ASSET_RATE_LIMIT_REDIS_URL picks the store:
+ *   unset              memory.store.js, one set of buckets per process
+ *   redis:// rediss:// redis.store.js, shared by every instance (any Redis-compatible server)
+ *   mock://            redis.store.js on ioredis-mock, an in-process fake for local runs (dev dependency)
+ */
+
+const REDIS_URL = process.env.ASSET_RATE_LIMIT_REDIS_URL;
+
+// Lazily loaded so the Redis client is only ever required when configured.
+let storePromise = null;
+function getStore() {
+  storePromise ??= REDIS_URL
+    ? import('./redis.store.js').then(m => m.createRedisStore(REDIS_URL))
+    : import('./memory.store.js').then(m => m.default);
+  return storePromise;
+}
+
+/**
+ * Take `cost` tokens from bucket `key` holding up to `capacity` and refilling at `rate` per ms.
+ * Resolves to { allowed, remaining, reset, retry_after }: whole tokens left, seconds until the
+ * bucket is full again, and (when refused) seconds until `cost` tokens are back.
+ */
+export async function takeToken(key, { capacity, rate, cost = 1 }) {
+  const store = await getStore();
+  const { allowed, tokens } = await store.take(key, { capacity, rate, cost, now: Date.now() });
+  return {
+    allowed,
+    remaining: Math.max(0, Math.floor(tokens)),
+    reset: Math.max(0, Math.ceil((capacity - tokens) / rate / 1000)),
+    retry_after: allowed ? 0 : Math.max(1, Math.ceil((cost - tokens) / rate / 1000))
+  };
+}
@@ -0,0 +1,26 @@
+// src/ratelimit/memory.store.js
+// Buckets in this process's memory: each instance counts on its own, and a restart forgets them.
+
+const SWEEP_MS = 60_000;
+
+// key -> { tokens, at, full_at }
+const buckets = new Map();
+
+export default {
+  async take(key, { capacity, rate, cost, now }) {
+    const b = buckets.get(key);
+    let tokens = b ? Math.min(capacity, b.tokens + Math.max(0, now - b.at) * rate) : capacity;
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+    buckets.set(key, { tokens, at: now, full_at: now + (capacity - tokens) / rate });
+    return { allowed, tokens };
+  }
+};
+
+// a bucket that has filled up again is the same as none
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, b] of buckets) {
+    if (b.full_at <= now) buckets.delete(key);
+  }
+}, SWEEP_MS).unref();
@@ -0,0 +1,52 @@
+// src/ratelimit/redis.store.js
+import Redis from 'ioredis';
+
+// keeps the buckets apart from anything else in the same database
+const PREFIX = process.env.ASSET_RATE_LIMIT_REDIS_PREFIX || 'sak:rl:';
+
+// Refill, take and write back in one atomic round trip; the hash expires once it would be full
+// anyway. Numbers go back as strings: Lua integers would truncate the fractional tokens.
+const TAKE = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local b = redis.call('HMGET', KEYS[1], 'tokens', 'at')
+local tokens = capacity
+local held, at = tonumber(b[1]), tonumber(b[2])
+if held and at then
+  tokens = math.min(capacity, held + math.max(0, now - at) * rate)
+end
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * A store (ratelimit/index.js) on the Redis at `url`; mock:// uses ioredis-mock instead.
+ * Commands give up quickly so a slow Redis can't hold requests up (middleware/rateLimit.js
+ * lets requests through when the store fails).
+ */
+export async function createRedisStore(url) {
+  let client;
+  if (url.startsWith('mock:')) {
+    const { default: RedisMock } = await import('ioredis-mock');
+    client = new RedisMock();
+  } else {
+    client = new Redis(url, { maxRetriesPerRequest: 1, commandTimeout: 1000 });
+    client.on('error', (e) => console.error('[ratelimit] redis:', e?.message || e));
+  }
+  client.defineCommand('takeToken', { numberOfKeys: 1, lua: TAKE });
+
+  return {
+    async take(key, { capacity, rate, cost, now }) {
+      const [allowed, tokens] = await client.takeToken(`${PREFIX}${key}`, capacity, rate, cost, now);
+      return { allowed: Number(allowed) === 1, tokens: Number(tokens) };
+    }
+  };
+}
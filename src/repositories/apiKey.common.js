@@ -0,0 +1,42 @@
+// src/repositories/apiKey.common.js
+// API key shape shared by every metadata backend.
+import { nanoid } from 'nanoid';
+import { sha256Hex } from '../utils/hash.js';
+
+export const KEY_PREFIX = 'sak_';
+
+// per-key limits on what it may store (services/quota.service.js); a missing one means the default
+export const QUOTA_FIELDS = ['max_assets', 'max_bytes', 'max_file_size'];
+
+export function normalizeKey(k) {
+  if (!k) return null;
+  return {
+    id: k.id,
+    name: k.name,
+    prefix: k.prefix,
+    scopes: Array.isArray(k.scopes) ? k.scopes : [],
+    restrictions: {
+      labels: k.restrictions?.labels || [],
+      path_prefixes: k.restrictions?.path_prefixes || []
+    },
+    quotas: Object.fromEntries(QUOTA_FIELDS.filter(f => k.quotas?.[f] != null).map(f => [f, k.quotas[f]])),
+    expires_at: k.expires_at ?? null,
+    last_used_at: k.last_used_at ?? null,
+    created_at: k.created_at,
+    rotated_at: k.rotated_at ?? null,
+    revoked_at: k.revoked_at ?? null,
+    hash: k.hash
+  };
+}
+
+// public shape: everything but the hash
+export function presentKey(k) {
+  if (!k) return null;
+  const { hash, ...rest } = k;
+  return rest;
+}
+
+export function newSecret() {
+  const secret = `${KEY_PREFIX}${nanoid(40)}`;
+  return { secret, hash: sha256Hex(secret), prefix: secret.slice(0, KEY_PREFIX.length + 6) };
+}
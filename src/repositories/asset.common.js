@@ -0,0 +1,66 @@
+// src/repositories/asset.common.js
+// Asset shape shared by every metadata backend.
+
+// normalize booleans consistently
+export const toBool = (v) => v === true || v === 'true' || v === 1 || v === '1';
+
+// JSON list columns arrive as text from SQL and as arrays (or nothing, when empty) from RTDB
+export const jsonList = (v) => (typeof v === 'string' ? JSON.parse(v || '[]') : v) || [];
+export const jsonObject = (v) => (typeof v === 'string' ? JSON.parse(v || '{}') : v) || {};
+
+export function normalizeAsset(a) {
+  if (!a) return null;
+  return {
+    id: a.id,
+    label: a.label,
+    slug: a.slug,
+    filename: a.filename,
+    disk: a.disk,
+    path: a.path,
+    repo: a.repo ?? null,
+    branch: a.branch ?? null,
+    mime: a.mime ?? null,
+    size: a.size ?? null,
+    sha256: a.sha256 ?? null,
+    verify_hash: toBool(a.verify_hash),
+    disposition: a.disposition || 'inline',
+    visibility: a.visibility || 'public',
+    // the collection it is filed in (services/collection.service.js), its tags, and descriptive
+    // metadata such as alt text, credit and license (utils/metadata.js)
+    collection_id: a.collection_id ?? null,
+    tags: jsonList(a.tags),
+    metadata: jsonObject(a.metadata),
+    github_url: a.github_url ?? null,
+    cdn_url: a.cdn_url ?? null,
+    // github only: how the bytes were stored ('contents' | 'release' | 'lfs') and the handle
+    // needed to reach them again (release asset id, LFS oid)
+    storage_strategy: a.storage_strategy ?? null,
+    storage_ref: a.storage_ref ?? null,
+    // commit that wrote the current bytes (github), and which entry of the version history is current
+    commit_sha: a.commit_sha ?? null,
+    version: a.version ?? 1,
+    // image renditions stored next to the file (services/image.service.js)
+    variants: jsonList(a.variants),
+    // malware scan verdict at upload (services/scanner.service.js): clean | skipped | error
+    scan_status: a.scan_status ?? null,
+    scanned_at: a.scanned_at ?? null,
+    // API key that created the asset; its size counts toward that key's usage (services/quota.service.js)
+    created_by: a.created_by ?? null,
+    integrity_status: a.integrity_status ?? null,
+    last_verified_at: a.last_verified_at ?? null,
+    created_at: a.created_at,
+    updated_at: a.updated_at ?? null,
+    deleted_at: a.deleted_at ?? null,
+    purged_at: a.purged_at ?? null
+  };
+}
+
+export const SORTABLE = ['created_at', 'updated_at', 'label', 'slug', 'disk', 'visibility', 'filename', 'size'];
+export const NUMERIC_SORT = new Set(['size']);
+
+export function slugExistsError(slug) {
+  const err = new Error('Slug already exists');
+  err.code = 'SLUG_EXISTS';
+  err.slug = slug;
+  return err;
+}
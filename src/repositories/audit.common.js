@@ -0,0 +1,58 @@
+// src/repositories/audit.common.js
+// Audit entry shape shared by every metadata backend.
+import { nanoid } from 'nanoid';
+
+const json = (v) => (typeof v === 'string' ? JSON.parse(v || 'null') : v) ?? null;
+
+/**
+ * One change, as recorded by services/audit.service.js.
+ * actor: API key id ('root' for APP_KEY, 'system' for jobs and the CLI)
+ * target_type: asset | github_file | api_key | webhook | github_target | data
+ * before/after: only the fields that changed (after alone for a creation)
+ */
+export function normalizeAudit(e) {
+  if (!e) return null;
+  return {
+    id: e.id,
+    at: e.at,
+    actor: e.actor ?? null,
+    action: e.action,
+    target_type: e.target_type,
+    target_id: e.target_id ?? null,
+    target_slug: e.target_slug ?? null,
+    target_path: e.target_path ?? null,
+    before: json(e.before),
+    after: json(e.after),
+    commit_sha: e.commit_sha ?? null,
+    details: json(e.details),
+    request_id: e.request_id ?? null,
+    ip: e.ip ?? null
+  };
+}
+
+// sortable by creation within the same millisecond as well
+export const newAuditId = () => `aud_${Date.now().toString(36).padStart(9, '0')}${nanoid(10)}`;
+
+// `asset.*` matches every asset action
+export function actionMatches(filter, action) {
+  if (!filter) return true;
+  return filter.endsWith('.*') ? action.startsWith(filter.slice(0, -1)) : action === filter;
+}
+
+/**
+ * listAudit filters, applied the same way by both backends:
+ * { actor, action, target_type, target_id, slug, path, request_id, from, to, after: { at, id }, limit }
+ * Newest first.
+ */
+export function auditMatches(e, f) {
+  return (!f.actor || e.actor === f.actor) &&
+    actionMatches(f.action, e.action) &&
+    (!f.target_type || e.target_type === f.target_type) &&
+    (!f.target_id || e.target_id === f.target_id) &&
+    (!f.slug || e.target_slug === f.slug) &&
+    (!f.path || e.target_path === f.path) &&
+    (!f.request_id || e.request_id === f.request_id) &&
+    (!f.from || e.at >= f.from) &&
+    (!f.to || e.at <= f.to) &&
+    (!f.after || e.at < f.after.at || (e.at === f.after.at && e.id < f.after.id));
+}
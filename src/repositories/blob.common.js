@@ -0,0 +1,31 @@
+// src/repositories/blob.common.js
+// Blob (stored content) shape shared by every metadata backend.
+import { jsonList } from './asset.common.js';
+
+export function normalizeBlob(b) {
+  if (!b) return null;
+  return {
+    disk: b.disk,
+    sha256: b.sha256,
+    path: b.path,
+    repo: b.repo ?? null,
+    branch: b.branch ?? null,
+    size: b.size ?? null,
+    mime: b.mime ?? null,
+    github_url: b.github_url ?? null,
+    cdn_url: b.cdn_url ?? null,
+    storage_strategy: b.storage_strategy ?? null,
+    storage_ref: b.storage_ref ?? null,
+    commit_sha: b.commit_sha ?? null,
+    variants: jsonList(b.variants),
+    refcount: Number(b.refcount) || 0,
+    created_at: b.created_at
+  };
+}
+
+// An asset (or upload target) is a reference to a blob only when it points at the blob's own copy.
+// A missing repo on either side (records from before GitHub targets) doesn't rule a match out.
+export function sameLocation(blob, loc) {
+  return blob.path === loc.path && (blob.branch ?? null) === (loc.branch ?? null) &&
+    (!blob.repo || !loc.repo || blob.repo === loc.repo);
+}
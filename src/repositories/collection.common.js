@@ -0,0 +1,37 @@
+// src/repositories/collection.common.js
+// Collection shape shared by every metadata backend.
+
+/**
+ * A folder for assets. `slug` is its path ('brand/logos'), so nesting follows from it; uploads
+ * filed into it default to its repo_path_prefix (GitHub) and visibility when set.
+ */
+export function normalizeCollection(c) {
+  if (!c) return null;
+  return {
+    id: c.id,
+    slug: c.slug,
+    name: c.name,
+    description: c.description ?? null,
+    repo_path_prefix: c.repo_path_prefix ?? null,
+    visibility: c.visibility ?? null,
+    created_by: c.created_by ?? null,
+    created_at: c.created_at,
+    updated_at: c.updated_at ?? null
+  };
+}
+
+// 'brand/logos/2024' -> 'brand/logos'; top-level collections have none
+export const parentSlug = (slug) => (slug.includes('/') ? slug.slice(0, slug.lastIndexOf('/')) : null);
+
+// public shape: with the parent's slug spelled out
+export function presentCollection(c) {
+  if (!c) return null;
+  return { ...c, parent: parentSlug(c.slug) };
+}
+
+export function collectionExistsError(slug) {
+  const err = new Error(`Collection '${slug}' already exists`);
+  err.code = 'COLLECTION_EXISTS';
+  err.slug = slug;
+  return err;
+}
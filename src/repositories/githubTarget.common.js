@@ -0,0 +1,33 @@
+// src/repositories/githubTarget.common.js
+// GitHub storage target shape shared by every metadata backend.
+
+/**
+ * A named place github assets are written to: owner/repo, the branch writes default to, a path
+ * prefix every stored path starts with, the token used for it (GITHUB_TOKEN when null) and how
+ * public URLs are made: cdn_provider (cdn/index.js) with its cdn_base, and cdn_purge_url, a hook
+ * called to purge a changed file instead of the provider's own purge.
+ */
+export function normalizeTarget(t) {
+  if (!t) return null;
+  return {
+    name: t.name,
+    owner: t.owner,
+    repo: t.repo,
+    branch: t.branch ?? null,
+    prefix: t.prefix ?? '',
+    cdn_provider: t.cdn_provider || 'jsdelivr',
+    cdn_base: t.cdn_base ?? null,
+    cdn_purge_url: t.cdn_purge_url ?? null,
+    token: t.token ?? null,
+    created_by: t.created_by ?? null,
+    created_at: t.created_at,
+    updated_at: t.updated_at ?? null
+  };
+}
+
+// public shape: the token never leaves
+export function presentTarget(t) {
+  if (!t) return null;
+  const { token, token_env, ...rest } = t;
+  return { ...rest, has_token: Boolean(token) };
+}
@@ -0,0 +1,38 @@
+// src/repositories/job.common.js
+// Background job shape shared by every metadata backend.
+import dayjs from 'dayjs';
+
+const json = (v) => (typeof v === 'string' ? JSON.parse(v || 'null') : v) ?? null;
+
+/**
+ * Work a request handed off to run after it was answered (services/job.service.js).
+ * status: queued | running | succeeded | failed
+ * http_status / result: what the request would have answered, once the job finished
+ * expires_at: lease while queued or running; past it, the process running the job is assumed gone
+ */
+export function normalizeJob(j) {
+  if (!j) return null;
+  return {
+    id: j.id,
+    type: j.type,
+    status: j.status || 'queued',
+    key_id: j.key_id ?? null,
+    request_id: j.request_id ?? null,
+    http_status: j.http_status ?? null,
+    result: json(j.result),
+    error: j.error ?? null,
+    created_at: j.created_at,
+    started_at: j.started_at ?? null,
+    finished_at: j.finished_at ?? null,
+    expires_at: j.expires_at ?? null
+  };
+}
+
+// public shape: an unfinished job whose lease lapsed shows as failed
+export function presentJob(j) {
+  if (!j) return null;
+  const { expires_at, ...rest } = j;
+  const lost = (j.status === 'queued' || j.status === 'running') && expires_at && expires_at < dayjs().toISOString();
+  if (!lost) return rest;
+  return { ...rest, status: 'failed', error: 'The job was interrupted before it finished; send the request again' };
+}
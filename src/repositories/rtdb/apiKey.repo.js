@@ -0,0 +1,113 @@
+// src/repositories/rtdb/apiKey.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+import { normalizeKey, newSecret, KEY_PREFIX } from '../apiKey.common.js';
+import { sha256Hex } from '../../utils/hash.js';
+
+/**
+ * Data layout in RTDB
+ * /api_keys/{id}          => key record (never the plaintext secret)
+ * /api_key_hashes/{hash}  => { id, expires_at? }  (lookup by sha256 of the presented key;
+ *                            expires_at is set on a rotated-out secret during its grace period)
+ * Revoked keys keep their record (revoked_at set) so audits can still name them.
+ */
+
+async function getKeyById(id) {
+  const snap = await rtdb.ref(`/api_keys/${id}`).get();
+  return normalizeKey(snap.val());
+}
+
+// ---------------- Public model API ----------------
+
+export async function createKey({ name, scopes, expires_at = null, restrictions = {}, quotas = {} }) {
+  const { secret, hash, prefix } = newSecret();
+  const key = normalizeKey({
+    id: nanoid(12),
+    name,
+    prefix,
+    scopes,
+    restrictions,
+    quotas,
+    expires_at,
+    created_at: dayjs().toISOString(),
+    hash
+  });
+
+  await rtdb.ref(`/api_key_hashes/${hash}`).set({ id: key.id });
+  await rtdb.ref(`/api_keys/${key.id}`).set(key);
+  return { key, secret };
+}
+
+export async function listKeys() {
+  const snap = await rtdb.ref('/api_keys').get();
+  return Object.values(snap.val() || {}).map(normalizeKey)
+    .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+export async function getKey(id) {
+  return getKeyById(id);
+}
+
+// Resolve a presented secret to an active key, or null.
+export async function findKeyBySecret(secret) {
+  if (!secret || !secret.startsWith(KEY_PREFIX)) return null;
+  const hash = sha256Hex(secret);
+  const snap = await rtdb.ref(`/api_key_hashes/${hash}`).get();
+  const idx = snap.val();
+  if (!idx) return null;
+
+  if (idx.expires_at && dayjs(idx.expires_at).isBefore(dayjs())) {
+    await rtdb.ref(`/api_key_hashes/${hash}`).remove(); // grace period over
+    return null;
+  }
+
+  const key = await getKeyById(idx.id);
+  if (!key || key.revoked_at) return null;
+  if (key.expires_at && dayjs(key.expires_at).isBefore(dayjs())) return null;
+  return key;
+}
+
+/**
+ * Issue a new secret for a key. The old secret keeps working for `grace_seconds`
+ * (0 = invalid immediately) so integrations can roll over without downtime.
+ */
+export async function rotateKey(id, { grace_seconds = 0 } = {}) {
+  const cur = await getKeyById(id);
+  if (!cur || cur.revoked_at) return null;
+
+  const { secret, hash, prefix } = newSecret();
+  const oldRef = rtdb.ref(`/api_key_hashes/${cur.hash}`);
+  if (grace_seconds > 0) {
+    await oldRef.set({ id, expires_at: dayjs().add(grace_seconds, 'second').toISOString() });
+  } else {
+    await oldRef.remove();
+  }
+
+  const updated = normalizeKey({ ...cur, hash, prefix, rotated_at: dayjs().toISOString() });
+  await rtdb.ref(`/api_key_hashes/${hash}`).set({ id });
+  await rtdb.ref(`/api_keys/${id}`).set(updated);
+  return { key: updated, secret };
+}
+
+export async function revokeKey(id) {
+  const cur = await getKeyById(id);
+  if (!cur || cur.revoked_at) return false;
+
+  await rtdb.ref(`/api_key_hashes/${cur.hash}`).remove();
+  await rtdb.ref(`/api_keys/${id}`).set({ ...cur, revoked_at: dayjs().toISOString() });
+  return true;
+}
+
+// Replace a key's quotas; resolves to the updated key, or null when there is no such key.
+export async function setKeyQuotas(id, quotas) {
+  const cur = await getKeyById(id);
+  if (!cur) return null;
+  const key = normalizeKey({ ...cur, quotas });
+  await rtdb.ref(`/api_keys/${id}/quotas`).set(key.quotas);
+  return key;
+}
+
+export async function touchKey(id) {
+  await rtdb.ref(`/api_keys/${id}/last_used_at`).set(dayjs().toISOString());
+}
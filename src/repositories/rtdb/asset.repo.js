@@ -0,0 +1,348 @@
+// src/repositories/rtdb/asset.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import dayjs from 'dayjs';
+import { normalizeAsset, SORTABLE, NUMERIC_SORT, slugExistsError } from '../asset.common.js';
+import { sameLocation } from '../blob.common.js';
+
+/**
+ * Data layout in RTDB
+ * /assets/{id} => full asset object
+ * /slugs/{slug} => { id: '...' }  (quick slug lookup)
+ * Soft delete: asset.deleted_at set to ISO string
+ */
+
+async function getAssetById(id) {
+  const snap = await rtdb.ref(`/assets/${id}`).get();
+  return normalizeAsset(snap.val());
+}
+
+async function setAsset(id, data) {
+  await rtdb.ref(`/assets/${id}`).set(data);
+}
+
+async function reserveSlug(slug, id) {
+  // write if empty; prevents collisions
+  const ref = rtdb.ref(`/slugs/${slug}`);
+  const res = await ref.transaction((current) => {
+    if (current === null) {
+      return { id };
+    }
+    return; // abort (collision)
+  });
+  return res.committed;
+}
+
+async function releaseSlug(slug) {
+  await rtdb.ref(`/slugs/${slug}`).remove();
+}
+
+async function getIdBySlug(slug) {
+  const snap = await rtdb.ref(`/slugs/${slug}`).get();
+  return snap.val()?.id || null;
+}
+
+// every asset, soft-deleted ones included
+export async function fetchAllAssetsRaw() {
+  const snap = await rtdb.ref('/assets').get();
+  const obj = snap.val() || {};
+  return Object.values(obj).map(normalizeAsset);
+}
+
+// ---------------- Public model API ----------------
+
+export async function insertAsset(asset) {
+  const now = dayjs().toISOString();
+  const data = normalizeAsset({ ...asset, created_at: now, updated_at: null, deleted_at: null });
+
+  // reserve slug (unique)
+  const ok = await reserveSlug(data.slug, data.id);
+  if (!ok) throw slugExistsError(data.slug);
+
+  try {
+    await setAsset(data.id, data);
+    return data;
+  } catch (e) {
+    // rollback slug reservation on failure
+    await releaseSlug(data.slug);
+    throw e;
+  }
+}
+
+// All or nothing: slugs are reserved one by one and released again on the first collision,
+// then every record lands in a single multi-path update.
+export async function insertAssets(assets) {
+  const now = dayjs().toISOString();
+  const list = assets.map(a => normalizeAsset({ ...a, created_at: now, updated_at: null, deleted_at: null }));
+
+  const reserved = [];
+  for (const a of list) {
+    if (!(await reserveSlug(a.slug, a.id))) {
+      await Promise.all(reserved.map(releaseSlug));
+      throw slugExistsError(a.slug);
+    }
+    reserved.push(a.slug);
+  }
+
+  await rtdb.ref('/').update(Object.fromEntries(list.map(a => [`assets/${a.id}`, a])));
+  return list;
+}
+
+// Hard delete, freeing the slugs; only for undoing insertAssets when the storage write fails.
+export async function removeAssets(ids) {
+  const updates = {};
+  for (const id of ids) {
+    const cur = await getAssetById(id);
+    if (cur) updates[`slugs/${cur.slug}`] = null;
+    updates[`assets/${id}`] = null;
+  }
+  await rtdb.ref('/').update(updates);
+}
+
+// true while any asset (deleted ones included) holds the slug
+export async function slugTaken(slug) {
+  return (await getIdBySlug(slug)) !== null;
+}
+
+export async function findBySlug(slug) {
+  const id = await getIdBySlug(slug);
+  if (!id) return null;
+  const a = await getAssetById(id);
+  if (!a || a.deleted_at) return null;
+  return a;
+}
+
+export async function recentAssets({ label, disk, visibility, limit = 10 }) {
+  // RTDB queries are limited; fetch then filter in memory for flexibility
+  let list = await fetchAllAssetsRaw();
+  list = list.filter(a => !a.deleted_at);
+
+  if (label) list = list.filter(a => a.label?.toLowerCase().includes(String(label).toLowerCase()));
+  if (disk) list = list.filter(a => a.disk === disk);
+  if (visibility) list = list.filter(a => a.visibility === visibility);
+
+  // sort by created_at desc
+  list.sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  return list.slice(0, Math.max(1, Math.min(100, +limit)));
+}
+
+export async function getAllAssets({ label, disk, visibility } = {}) {
+  let list = await fetchAllAssetsRaw();
+  list = list.filter(a => !a.deleted_at);
+
+  if (label) list = list.filter(a => a.label?.toLowerCase().includes(String(label).toLowerCase()));
+  if (disk) list = list.filter(a => a.disk === disk);
+  if (visibility) list = list.filter(a => a.visibility === visibility);
+
+  return list;
+}
+
+// Advanced list with search/filter/sort/pagination (server-side in memory)
+
+// The assets in `list` that pass the listAssets filters (also used by the search repository).
+export function filterAssets(list, {
+  q, label, disk, visibility,
+  mime, min_size, max_size, created_from, created_to,
+  repo, branch, integrity_status, collection_ids, tags = [],
+  label_prefixes = [], path_prefixes = [],
+  includeDeleted = false,
+  onlyDeleted = false
+} = {}) {
+  if (onlyDeleted) list = list.filter(a => a.deleted_at);
+  else if (!includeDeleted) list = list.filter(a => !a.deleted_at);
+
+  if (q) {
+    const s = String(q).toLowerCase();
+    list = list.filter(a =>
+      a.label?.toLowerCase().includes(s) ||
+      a.slug?.toLowerCase().includes(s) ||
+      a.filename?.toLowerCase().includes(s)
+    );
+  }
+  if (label) list = list.filter(a => a.label?.toLowerCase().includes(String(label).toLowerCase()));
+  if (disk) list = list.filter(a => a.disk === disk);
+  if (visibility) list = list.filter(a => a.visibility === visibility);
+  if (mime) {
+    const m = String(mime).toLowerCase();
+    list = m.endsWith('/*')
+      ? list.filter(a => a.mime?.toLowerCase().startsWith(m.slice(0, -1)))
+      : list.filter(a => a.mime?.toLowerCase() === m);
+  }
+  if (min_size != null) list = list.filter(a => a.size != null && a.size >= Number(min_size));
+  if (max_size != null) list = list.filter(a => a.size != null && a.size <= Number(max_size));
+  if (created_from) list = list.filter(a => (a.created_at || '') >= created_from);
+  if (created_to) list = list.filter(a => (a.created_at || '') <= created_to);
+  if (repo) list = list.filter(a => a.repo === repo);
+  if (branch) list = list.filter(a => a.branch === branch);
+  if (integrity_status) list = list.filter(a => a.integrity_status === integrity_status);
+  if (collection_ids) list = list.filter(a => collection_ids.includes(a.collection_id));
+  if (tags.length) list = list.filter(a => tags.every(t => a.tags.includes(t)));
+  if (label_prefixes.length) {
+    list = list.filter(a => label_prefixes.some(p => (a.label || '').toLowerCase().startsWith(p.toLowerCase())));
+  }
+  if (path_prefixes.length) list = list.filter(a => path_prefixes.some(p => (a.path || '').startsWith(p)));
+
+  return list;
+}
+
+/**
+ * Filters: q, label, disk, visibility, mime ('image/png' or 'image/*'), min_size, max_size,
+ * created_from, created_to (ISO), repo, branch, integrity_status, collection_ids (any of),
+ * tags (all of), label_prefixes, path_prefixes.
+ * Paging: `after` ({ value, id } of the last row seen, keyset) or `offset`.
+ * Rows are ordered by the sort key, then id, so keyset paging is stable under ties.
+ */
+export async function listAssets({
+  sort = 'created_at',
+  order = 'desc',
+  limit = 20,
+  offset = 0,
+  after = null,
+  ...filters
+} = {}) {
+  const sortKey = SORTABLE.includes(String(sort)) ? String(sort) : 'created_at';
+  const dir = String(order).toLowerCase() === 'asc' ? 1 : -1;
+
+  const list = filterAssets(await fetchAllAssetsRaw(), filters);
+
+  const cmp = (a, b) => {
+    const av = a[sortKey] ?? null;
+    const bv = b[sortKey] ?? null;
+    const primary = NUMERIC_SORT.has(sortKey)
+      ? (av ?? -1) - (bv ?? -1)
+      : (av ?? '').toString().localeCompare((bv ?? '').toString());
+    return dir * (primary || (a.id || '').localeCompare(b.id || ''));
+  };
+  list.sort(cmp);
+
+  const total = list.length;
+  const pageSize = Math.max(1, Math.min(100, Number(limit) || 20));
+
+  let start = Math.max(0, Number(offset) || 0);
+  if (after) {
+    const pivot = { [sortKey]: after.value, id: after.id };
+    start = list.findIndex(a => cmp(a, pivot) > 0);
+    if (start === -1) start = list.length;
+  }
+  const items = list.slice(start, start + pageSize);
+  const hasMore = start + pageSize < list.length;
+
+  return { items, total, hasMore, sortKey };
+}
+
+export async function countAssets(filters = {}) {
+  const { total } = await listAssets({ ...filters, limit: 1, offset: 0 });
+  return total;
+}
+
+// Every tag on a live asset with how many carry it, most used first.
+export async function listTags() {
+  const counts = new Map();
+  for (const a of await fetchAllAssetsRaw()) {
+    if (a.deleted_at) continue;
+    for (const t of a.tags) counts.set(t, (counts.get(t) || 0) + 1);
+  }
+  return [...counts].map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Live assets and the sum of their sizes per creating API key (all keys, or just `created_by`).
+export async function usageByCreator({ created_by } = {}) {
+  const totals = new Map();
+  for (const a of await fetchAllAssetsRaw()) {
+    if (a.deleted_at || (created_by !== undefined && a.created_by !== created_by)) continue;
+    const t = totals.get(a.created_by) || { created_by: a.created_by, assets: 0, bytes: 0 };
+    t.assets++;
+    t.bytes += a.size || 0;
+    totals.set(a.created_by, t);
+  }
+  return [...totals.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+// Assets not purged whose current file is at `loc` (matched as sameLocation in blob.common.js).
+export async function assetsAt({ disk, path, branch = null, repo = null }) {
+  return (await fetchAllAssetsRaw()).filter(a => a.disk === disk && !a.purged_at && sameLocation(a, { path, branch, repo }));
+}
+
+export async function updateAsset(id, patch) {
+  const cur = await getAssetById(id);
+  if (!cur || cur.deleted_at) return null;
+
+  // handle slug change: re-index
+  if (patch.slug && patch.slug !== cur.slug) {
+    const ok = await reserveSlug(patch.slug, id);
+    if (!ok) throw slugExistsError(patch.slug);
+    await releaseSlug(cur.slug);
+  }
+
+  const updated = normalizeAsset({
+    ...cur,
+    ...patch,
+    verify_hash: patch.verify_hash ?? cur.verify_hash,
+    updated_at: dayjs().toISOString()
+  });
+
+  await setAsset(id, updated);
+  return updated;
+}
+
+// `purged` marks that the stored bytes were removed too, so the asset can't be restored
+export async function softDeleteAsset(id, { purged = false } = {}) {
+  const cur = await getAssetById(id);
+  if (!cur || cur.deleted_at) return false;
+
+  cur.deleted_at = dayjs().toISOString();
+  if (purged) cur.purged_at = cur.deleted_at;
+  await setAsset(id, cur);
+  // keep slug reserved to avoid reuse (change this if you prefer freeing)
+  return true;
+}
+
+export async function restoreAsset(id) {
+  const cur = await getAssetById(id);
+  if (!cur || !cur.deleted_at) return false;
+  cur.deleted_at = null;
+  await setAsset(id, cur);
+  return true;
+}
+
+// Record a verification outcome; not a user edit, so updated_at is left alone.
+export async function setIntegrity(id, { integrity_status, last_verified_at, sha256 }) {
+  const cur = await getAssetById(id);
+  if (!cur) return null;
+  const updated = normalizeAsset({
+    ...cur,
+    integrity_status,
+    last_verified_at,
+    sha256: sha256 ?? cur.sha256
+  });
+  await setAsset(id, updated);
+  return updated;
+}
+
+// ---- bulk export / import (services/sync.service.js) ----
+
+// Everything, soft-deleted assets and raw slug index entries included.
+export async function exportAll() {
+  const [all, slugsSnap] = await Promise.all([fetchAllAssetsRaw(), rtdb.ref('/slugs').get()]);
+  const assets = all.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || '') || a.id.localeCompare(b.id));
+  const slugs = Object.entries(slugsSnap.val() || {}).map(([slug, v]) => ({ slug, id: v?.id ?? null }));
+  return { assets, slugs };
+}
+
+// Write a record exactly as given (timestamps included); keeps the slug index in step.
+export async function putAsset(asset) {
+  const data = normalizeAsset(asset);
+  const cur = await getAssetById(data.id);
+  if (!cur || cur.slug !== data.slug) {
+    const owner = await getIdBySlug(data.slug);
+    if (owner && owner !== data.id) throw slugExistsError(data.slug);
+    if (!owner && !(await reserveSlug(data.slug, data.id))) throw slugExistsError(data.slug);
+    if (cur) await releaseSlug(cur.slug);
+  }
+  await setAsset(data.id, data);
+  return data;
+}
+
+export async function getById(id) {
+  return getAssetById(id);
+}
@@ -0,0 +1,30 @@
+// src/repositories/rtdb/audit.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import { normalizeAudit, auditMatches } from '../audit.common.js';
+
+/**
+ * Data layout in RTDB
+ * /audit/{id} => audit entry (ids sort by time)
+ * Entries are only ever created; pair this with a security rule such as
+ *   "audit": { "$id": { ".write": "!data.exists()" } }
+ * so nothing can rewrite them either.
+ */
+
+// ---------------- Public model API ----------------
+
+export async function appendAudit(entry) {
+  const data = normalizeAudit(entry);
+  const res = await rtdb.ref(`/audit/${data.id}`).transaction((cur) => (cur === null ? data : undefined));
+  if (!res.committed) throw new Error(`Audit entry ${data.id} already exists`);
+  return data;
+}
+
+// Filters as described in audit.common.js; newest first.
+export async function listAudit(filters = {}) {
+  const snap = await rtdb.ref('/audit').get();
+  return Object.values(snap.val() || {})
+    .map(normalizeAudit)
+    .filter(e => auditMatches(e, filters))
+    .sort((a, b) => b.at.localeCompare(a.at) || b.id.localeCompare(a.id))
+    .slice(0, filters.limit || 50);
+}
@@ -0,0 +1,60 @@
+// src/repositories/rtdb/blob.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import dayjs from 'dayjs';
+import { normalizeBlob, sameLocation } from '../blob.common.js';
+
+/**
+ * Data layout in RTDB
+ * /blobs/{disk}/{sha256} => blob record with refcount
+ * Lookups by path scan the disk's blobs, like the asset listing does.
+ */
+
+const blobRef = (disk, sha256) => rtdb.ref(`/blobs/${disk}/${sha256}`);
+
+// ---------------- Public model API ----------------
+
+export async function findBlob(disk, sha256) {
+  const snap = await blobRef(disk, sha256).get();
+  return normalizeBlob(snap.val());
+}
+
+export async function findBlobAt({ disk, path, branch, repo = null }) {
+  const snap = await rtdb.ref(`/blobs/${disk}`).get();
+  const found = Object.values(snap.val() || {}).find(b => sameLocation(b, { path, branch, repo }));
+  return normalizeBlob(found);
+}
+
+/**
+ * Count one more reference. Creates the blob (refcount 1) if it's new; if the same content
+ * is already indexed at a different location, nothing changes and `counted` is false.
+ */
+export async function addBlobRef(blob) {
+  const data = normalizeBlob({ ...blob, refcount: 0, created_at: dayjs().toISOString() });
+  let counted = false;
+  const res = await blobRef(data.disk, data.sha256).transaction((cur) => {
+    counted = false;
+    if (cur === null) {
+      counted = true;
+      return { ...data, refcount: 1 };
+    }
+    if (!sameLocation(cur, data)) return; // abort
+    counted = true;
+    return { ...cur, refcount: (Number(cur.refcount) || 0) + 1 };
+  });
+  return { blob: normalizeBlob(res.snapshot.val()), counted: counted && res.committed };
+}
+
+/**
+ * Drop one reference held by an asset at `loc`. Returns null when the asset isn't a reference
+ * to the indexed copy, otherwise { refcount } left; the record goes away at 0.
+ */
+export async function releaseBlobRef({ disk, sha256, path, branch, repo = null }) {
+  let remaining = null;
+  const res = await blobRef(disk, sha256).transaction((cur) => {
+    remaining = null;
+    if (cur === null || !sameLocation(cur, { path, branch, repo })) return; // abort
+    remaining = Math.max(0, (Number(cur.refcount) || 0) - 1);
+    return remaining > 0 ? { ...cur, refcount: remaining } : null;
+  });
+  return res.committed ? { refcount: remaining } : null;
+}
@@ -0,0 +1,78 @@
+// src/repositories/rtdb/collection.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import dayjs from 'dayjs';
+import { normalizeCollection, collectionExistsError } from '../collection.common.js';
+
+/**
+ * Data layout in RTDB
+ * /collections/{id}   => collection record
+ * Slugs are paths ('a/b') and can't be keys, so writes that set one run as a transaction over
+ * the whole node (there are few collections) to keep them unique.
+ */
+
+const root = () => rtdb.ref('/collections');
+
+async function fetchAll() {
+  const snap = await root().get();
+  return Object.values(snap.val() || {}).map(normalizeCollection);
+}
+
+// ---------------- Public model API ----------------
+
+export async function listCollections() {
+  return (await fetchAll()).sort((a, b) => a.slug.localeCompare(b.slug));
+}
+
+export async function getCollection(id) {
+  const snap = await rtdb.ref(`/collections/${id}`).get();
+  return normalizeCollection(snap.val());
+}
+
+export async function findCollectionBySlug(slug) {
+  return (await fetchAll()).find(c => c.slug === slug) ?? null;
+}
+
+// Throws code COLLECTION_EXISTS when the slug is taken.
+export async function createCollection(data) {
+  const c = normalizeCollection({ ...data, created_at: dayjs().toISOString() });
+  const res = await root().transaction((all) => {
+    if (Object.values(all || {}).some(o => o.slug === c.slug)) return; // abort (taken)
+    return { ...all, [c.id]: c };
+  });
+  if (!res.committed) throw collectionExistsError(c.slug);
+  return c;
+}
+
+/**
+ * patch: slug, name, description, repo_path_prefix, visibility. A new slug moves the
+ * sub-collections along with it, all or nothing; throws COLLECTION_EXISTS when a path is taken.
+ */
+export async function updateCollection(id, patch) {
+  const cur = await getCollection(id);
+  if (!cur) return null;
+  const now = dayjs().toISOString();
+  const updated = normalizeCollection({ ...cur, ...patch, id, updated_at: now });
+  let conflict = null;
+  const res = await root().transaction((all) => {
+    const next = { ...all, [id]: updated };
+    if (updated.slug !== cur.slug) {
+      for (const [key, o] of Object.entries(next)) {
+        if (key !== id && o.slug.startsWith(`${cur.slug}/`)) {
+          next[key] = { ...o, slug: updated.slug + o.slug.slice(cur.slug.length), updated_at: now };
+        }
+      }
+    }
+    const slugs = Object.values(next).map(o => o.slug);
+    conflict = slugs.find((s, i) => slugs.indexOf(s) !== i) ?? null;
+    return conflict ? undefined : next;
+  });
+  if (!res.committed) throw collectionExistsError(conflict ?? updated.slug);
+  return updated;
+}
+
+export async function deleteCollection(id) {
+  const cur = await getCollection(id);
+  if (!cur) return false;
+  await rtdb.ref(`/collections/${id}`).remove();
+  return true;
+}
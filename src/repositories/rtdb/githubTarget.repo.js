@@ -0,0 +1,52 @@
+// src/repositories/rtdb/githubTarget.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import dayjs from 'dayjs';
+import { normalizeTarget } from '../githubTarget.common.js';
+
+/**
+ * Data layout in RTDB
+ * /github_targets/{name}   => target record (created with a transaction, so names stay unique)
+ */
+
+const targetRef = (name) => rtdb.ref(`/github_targets/${name}`);
+
+// ---------------- Public model API ----------------
+
+export async function listTargets() {
+  const snap = await rtdb.ref('/github_targets').get();
+  return Object.values(snap.val() || {}).map(normalizeTarget)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getTarget(name) {
+  const snap = await targetRef(name).get();
+  return normalizeTarget(snap.val());
+}
+
+// Throws code TARGET_EXISTS when the name is taken.
+export async function createTarget(data) {
+  const target = normalizeTarget({ ...data, created_at: dayjs().toISOString() });
+  const res = await targetRef(target.name).transaction((cur) => (cur === null ? target : undefined));
+  if (!res.committed) {
+    const err = new Error(`Target '${target.name}' already exists`);
+    err.code = 'TARGET_EXISTS';
+    throw err;
+  }
+  return target;
+}
+
+// patch: owner, repo, branch, prefix, cdn_provider, cdn_base, cdn_purge_url, token
+export async function updateTarget(name, patch) {
+  const cur = await getTarget(name);
+  if (!cur) return null;
+  const updated = normalizeTarget({ ...cur, ...patch, name, updated_at: dayjs().toISOString() });
+  await targetRef(name).set(updated);
+  return updated;
+}
+
+export async function deleteTarget(name) {
+  const cur = await getTarget(name);
+  if (!cur) return false;
+  await targetRef(name).remove();
+  return true;
+}
@@ -0,0 +1,38 @@
+// src/repositories/rtdb/job.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import { normalizeJob } from '../job.common.js';
+
+/**
+ * Data layout in RTDB
+ * /jobs/{id}   => job record
+ */
+
+const jobRef = (id) => rtdb.ref(`/jobs/${id}`);
+
+// ---------------- Public model API ----------------
+
+export async function createJob(data) {
+  const job = normalizeJob(data);
+  await jobRef(job.id).set(job);
+  return job;
+}
+
+export async function getJob(id) {
+  const snap = await jobRef(id).get();
+  return normalizeJob(snap.val());
+}
+
+// Record progress (status, http_status, result, error, started_at, finished_at, expires_at).
+export async function saveJob(j) {
+  const data = normalizeJob(j);
+  await jobRef(data.id).set(data);
+  return data;
+}
+
+// Drop jobs created before `before` (ISO); resolves to how many.
+export async function pruneJobs(before) {
+  const snap = await rtdb.ref('/jobs').get();
+  const ids = Object.values(snap.val() || {}).filter(j => j.created_at < before).map(j => j.id);
+  if (ids.length) await rtdb.ref('/jobs').update(Object.fromEntries(ids.map(id => [id, null])));
+  return ids.length;
+}
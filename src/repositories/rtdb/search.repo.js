@@ -0,0 +1,210 @@
+// src/repositories/rtdb/search.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import {
+  FIELDS, WEIGHTS, WHOLE_FIELDS, SNIPPET_TOKENS, FACETS,
+  tokenize, stampOf, searchDocument, prefixable, closeTerms, markTokens
+} from '../search.common.js';
+import { fetchAllAssetsRaw, filterAssets } from './asset.repo.js';
+
+/**
+ * Data layout in RTDB
+ * /search_text/{asset_id} => { sha256, text }   text extracted from those bytes
+ * RTDB has no full-text search, so the index itself lives in this process: an inverted index
+ * built from the assets on first use. Every search reads the assets anyway (to filter them, as
+ * listAssets does) and re-indexes any that changed, so writes made by other processes show up
+ * too. Ranking is BM25 per field, weighted as in search.common.js.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+
+const texts = new Map(); // asset_id -> { sha256, text }, as in /search_text
+const docs = new Map(); // asset_id -> indexed document
+const postings = new Map(); // term -> Map(asset_id -> { [field]: occurrences })
+const totals = Object.fromEntries(FIELDS.map(f => [f, 0])); // tokens per field, over all documents
+
+let loading = null;
+const ready = () => (loading ??= rtdb.ref('/search_text').get().then((snap) => {
+  for (const [id, v] of Object.entries(snap.val() || {})) texts.set(id, { sha256: v.sha256 ?? null, text: v.text || '' });
+}).catch((e) => {
+  loading = null;
+  throw e;
+}));
+
+function unindex(id) {
+  const d = docs.get(id);
+  if (!d) return;
+  for (const term of d.terms.keys()) {
+    const p = postings.get(term);
+    p.delete(id);
+    if (!p.size) postings.delete(term);
+  }
+  for (const f of FIELDS) totals[f] -= d.lengths[f];
+  docs.delete(id);
+}
+
+function index(doc) {
+  unindex(doc.asset_id);
+  const saved = texts.get(doc.asset_id);
+  const fresh = saved && saved.sha256 === doc.sha256;
+  const d = {
+    ...doc,
+    content: fresh ? saved.text : '',
+    content_sha: fresh ? saved.sha256 : null,
+    terms: new Map(),
+    lengths: {},
+    folded: {}
+  };
+  for (const f of FIELDS) {
+    const words = tokenize(d[f]);
+    d.lengths[f] = words.length;
+    d.folded[f] = ` ${words.join(' ')} `; // for phrases
+    totals[f] += words.length;
+    for (const w of words) {
+      const counts = d.terms.get(w) || {};
+      counts[f] = (counts[f] || 0) + 1;
+      d.terms.set(w, counts);
+    }
+  }
+  for (const [w, counts] of d.terms) {
+    if (!postings.has(w)) postings.set(w, new Map());
+    postings.get(w).set(d.asset_id, counts);
+  }
+  docs.set(d.asset_id, d);
+}
+
+// bring the index in line with `assets` (all of them, trashed ones included)
+function refresh(assets) {
+  const seen = new Set();
+  for (const a of assets) {
+    if (a.purged_at) continue;
+    seen.add(a.id);
+    if (docs.get(a.id)?.stamp !== stampOf(a)) index(searchDocument(a));
+  }
+  for (const id of [...docs.keys()]) if (!seen.has(id)) unindex(id);
+}
+
+// the indexed terms `term` stands for: itself and what it prefixes, or else close misspellings
+function expand(term, vocab) {
+  const found = prefixable(term) ? vocab.filter(t => t.startsWith(term)) : (postings.has(term) ? [term] : []);
+  if (found.length) return found;
+  const first = String.fromCodePoint(term.codePointAt(0));
+  return closeTerms(term, vocab.filter(t => t.startsWith(first)));
+}
+
+function bm25(d, term) {
+  const p = postings.get(term);
+  const counts = p?.get(d.asset_id);
+  if (!counts) return 0;
+  const idf = Math.log(1 + (docs.size - p.size + 0.5) / (p.size + 0.5));
+  let score = 0;
+  for (const [f, tf] of Object.entries(counts)) {
+    const avg = totals[f] / docs.size || 1;
+    score += WEIGHTS[f] * idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * d.lengths[f] / avg));
+  }
+  return score;
+}
+
+// ---------------- Public model API ----------------
+
+// Add or refresh documents; extracted content is kept while the bytes (sha256) stay the same.
+export async function putDocuments(list) {
+  await ready();
+  for (const doc of list) index(doc);
+}
+
+// Of `ids`, the documents without content extracted from their current bytes (another process
+// may have stored it since this one loaded /search_text).
+export async function staleContent(ids) {
+  await ready();
+  const stale = [];
+  for (const id of ids) {
+    const d = docs.get(id);
+    if (!d || d.content_sha === d.sha256) continue;
+    const v = (await rtdb.ref(`/search_text/${id}`).get()).val();
+    if (v && v.sha256 === d.sha256) {
+      texts.set(id, { sha256: v.sha256, text: v.text || '' });
+      index(d);
+    } else {
+      stale.push(id);
+    }
+  }
+  return stale;
+}
+
+// Store text extracted from the bytes with `sha256`; ignored once the document has moved on.
+export async function setContent(asset_id, { sha256, text }) {
+  await ready();
+  const d = docs.get(asset_id);
+  if (!d || d.sha256 !== sha256) return false;
+  await rtdb.ref(`/search_text/${asset_id}`).set({ sha256, text });
+  texts.set(asset_id, { sha256, text });
+  index(d);
+  return true;
+}
+
+export async function removeDocuments(ids) {
+  if (!ids.length) return;
+  await ready();
+  await rtdb.ref('/').update(Object.fromEntries(ids.map(id => [`search_text/${id}`, null])));
+  for (const id of ids) {
+    texts.delete(id);
+    unindex(id);
+  }
+}
+
+// What is indexed: [{ asset_id, stamp, sha256, content_sha }]
+export async function indexState() {
+  await ready();
+  return [...docs.values()].map(d => ({ asset_id: d.asset_id, stamp: d.stamp, sha256: d.sha256, content_sha: d.content_sha }));
+}
+
+/**
+ * query: { terms, phrases } (search.common.js parseQuery); filters: as for listAssets.
+ * -> { total, items: [{ asset, score, highlights }], facets: { disk, mime, visibility } }, best
+ * match first. Highlights hold the matched words between MARKS.
+ */
+export async function searchDocuments({ query, filters = {}, limit = 20, offset = 0 }) {
+  await ready();
+  const assets = await fetchAllAssetsRaw();
+  refresh(assets);
+
+  const vocab = [...postings.keys()];
+  const groups = query.terms.map(t => expand(t, vocab));
+  const matched = new Set([...groups.flat(), ...query.phrases.flat()]);
+
+  const hits = [];
+  for (const a of filterAssets(assets, filters)) {
+    const d = docs.get(a.id);
+    if (!d) continue;
+    if (!groups.every(alts => alts.some(t => d.terms.has(t)))) continue;
+    if (!query.phrases.every(words => FIELDS.some(f => d.folded[f].includes(` ${words.join(' ')} `)))) continue;
+    let score = 0;
+    for (const t of matched) score += bm25(d, t);
+    hits.push({ asset: a, score, d });
+  }
+  hits.sort((x, y) => y.score - x.score || x.asset.id.localeCompare(y.asset.id));
+
+  const facets = {};
+  for (const f of FACETS) {
+    const counts = new Map();
+    for (const { asset } of hits) counts.set(asset[f] ?? null, (counts.get(asset[f] ?? null) || 0) + 1);
+    facets[f] = [...counts].map(([value, count]) => ({ value, count }))
+      .sort((x, y) => y.count - x.count || String(x.value ?? '').localeCompare(String(y.value ?? '')));
+  }
+
+  const start = Math.max(0, Number(offset) || 0);
+  const page = hits.slice(start, start + Math.max(1, Math.min(100, Number(limit) || 20)));
+  const hit = (w) => matched.has(w);
+  return {
+    total: hits.length,
+    items: page.map(({ asset, score, d }) => ({
+      asset,
+      score,
+      highlights: Object.fromEntries(FIELDS.map(f => [
+        f, markTokens(d[f], hit, WHOLE_FIELDS.has(f) ? {} : { window: SNIPPET_TOKENS })
+      ]))
+    })),
+    facets
+  };
+}
@@ -0,0 +1,37 @@
+// src/repositories/rtdb/version.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import { normalizeVersion, versionExistsError } from '../version.common.js';
+
+/**
+ * Data layout in RTDB
+ * /versions/{assetId}/v{n} => version record
+ * (keys are prefixed so RTDB doesn't turn the numbered children into an array)
+ */
+
+const versionRef = (assetId, version) => rtdb.ref(`/versions/${assetId}/v${version}`);
+
+// ---------------- Public model API ----------------
+
+// Oldest first.
+export async function listVersions(assetId) {
+  const snap = await rtdb.ref(`/versions/${assetId}`).get();
+  return Object.values(snap.val() || {})
+    .map(normalizeVersion)
+    .sort((a, b) => a.version - b.version);
+}
+
+export async function getVersion(assetId, version) {
+  const snap = await versionRef(assetId, version).get();
+  return normalizeVersion(snap.val());
+}
+
+// Throws VERSION_EXISTS when the number is already taken (two uploads racing for it).
+export async function addVersion(version) {
+  const data = normalizeVersion(version);
+  const res = await versionRef(data.asset_id, data.version).transaction((cur) => {
+    if (cur !== null) return; // abort
+    return data;
+  });
+  if (!res.committed) throw versionExistsError(data.version);
+  return data;
+}
@@ -0,0 +1,131 @@
+// src/repositories/rtdb/webhook.repo.js (Firebase RTDB)
+import { rtdb } from '../../db/firebase.js';
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+import { normalizeWebhook, normalizeDelivery, newWebhookSecret } from '../webhook.common.js';
+
+/**
+ * Data layout in RTDB
+ * /webhooks/{id}                           => endpoint record
+ * /webhook_deliveries/{webhookId}/{id}     => delivery record (the log)
+ * /webhook_queue/{id}                      => { webhook_id, next_attempt_at } while pending or sending
+ *                                             (claimed with a transaction on this entry)
+ */
+
+const deliveryRef = (webhookId, id) => rtdb.ref(`/webhook_deliveries/${webhookId}/${id}`);
+const queueRef = (id) => rtdb.ref(`/webhook_queue/${id}`);
+
+const isQueued = (d) => d.status === 'pending' || d.status === 'sending';
+
+// ---------------- Public model API ----------------
+
+export async function createWebhook({ url, description = null, events, active = true, created_by = null }) {
+  const hook = normalizeWebhook({
+    id: nanoid(12),
+    url,
+    description,
+    events,
+    active,
+    secret: newWebhookSecret(),
+    created_by,
+    created_at: dayjs().toISOString()
+  });
+  await rtdb.ref(`/webhooks/${hook.id}`).set(hook);
+  return hook;
+}
+
+export async function listWebhooks() {
+  const snap = await rtdb.ref('/webhooks').get();
+  return Object.values(snap.val() || {}).map(normalizeWebhook)
+    .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+export async function getWebhook(id) {
+  const snap = await rtdb.ref(`/webhooks/${id}`).get();
+  return normalizeWebhook(snap.val());
+}
+
+// patch: url, description, events, active, secret
+export async function updateWebhook(id, patch) {
+  const cur = await getWebhook(id);
+  if (!cur) return null;
+  const updated = normalizeWebhook({ ...cur, ...patch, updated_at: dayjs().toISOString() });
+  await rtdb.ref(`/webhooks/${id}`).set(updated);
+  return updated;
+}
+
+// Removes the endpoint and its delivery log.
+export async function deleteWebhook(id) {
+  const cur = await getWebhook(id);
+  if (!cur) return false;
+  const snap = await rtdb.ref(`/webhook_deliveries/${id}`).get();
+  for (const d of Object.keys(snap.val() || {})) await queueRef(d).remove();
+  await rtdb.ref(`/webhook_deliveries/${id}`).remove();
+  await rtdb.ref(`/webhooks/${id}`).remove();
+  return true;
+}
+
+export async function addDeliveries(list) {
+  const data = list.map(normalizeDelivery);
+  for (const d of data) {
+    await deliveryRef(d.webhook_id, d.id).set(d);
+    if (isQueued(d)) await queueRef(d.id).set({ webhook_id: d.webhook_id, next_attempt_at: d.next_attempt_at });
+  }
+  return data;
+}
+
+// Newest first.
+export async function listDeliveries(webhookId, { status, limit = 50 } = {}) {
+  const snap = await rtdb.ref(`/webhook_deliveries/${webhookId}`).get();
+  return Object.values(snap.val() || {})
+    .map(normalizeDelivery)
+    .filter(d => !status || d.status === status)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id))
+    .slice(0, limit);
+}
+
+export async function getDelivery(id) {
+  const snap = await queueRef(id).get();
+  if (snap.val()) return normalizeDelivery((await deliveryRef(snap.val().webhook_id, id).get()).val());
+  // no longer queued: look through the logs
+  const all = (await rtdb.ref('/webhook_deliveries').get()).val() || {};
+  for (const byId of Object.values(all)) {
+    if (byId[id]) return normalizeDelivery(byId[id]);
+  }
+  return null;
+}
+
+// Deliveries whose next attempt is due (a 'sending' one is due again once its claim has lapsed).
+export async function dueDeliveries(now, limit) {
+  const snap = await rtdb.ref('/webhook_queue').get();
+  const due = Object.entries(snap.val() || {})
+    .filter(([, q]) => q.next_attempt_at <= now)
+    .sort(([, a], [, b]) => a.next_attempt_at.localeCompare(b.next_attempt_at))
+    .slice(0, limit);
+  const out = [];
+  for (const [id, q] of due) {
+    const d = normalizeDelivery((await deliveryRef(q.webhook_id, id).get()).val());
+    if (d) out.push({ ...d, next_attempt_at: q.next_attempt_at });
+  }
+  return out;
+}
+
+// Take a due delivery until `until`; false when another worker got it first.
+export async function claimDelivery(d, until) {
+  const res = await queueRef(d.id).transaction((cur) => {
+    if (!cur || cur.next_attempt_at !== d.next_attempt_at) return; // abort
+    return { ...cur, next_attempt_at: until };
+  });
+  if (!res.committed) return false;
+  await deliveryRef(d.webhook_id, d.id).update({ status: 'sending', next_attempt_at: until });
+  return true;
+}
+
+// Record the outcome of an attempt (status, attempts, next_attempt_at, last_*, log, delivered_at).
+export async function saveDelivery(d) {
+  const data = normalizeDelivery(d);
+  await deliveryRef(data.webhook_id, data.id).set(data);
+  if (isQueued(data)) await queueRef(data.id).set({ webhook_id: data.webhook_id, next_attempt_at: data.next_attempt_at });
+  else await queueRef(data.id).remove();
+  return data;
+}
@@ -0,0 +1,159 @@
+// src/repositories/search.common.js
+// Search documents and query handling shared by every metadata backend (services/search.service.js).
+
+/**
+ * One document per asset. Fields, in ranking order of weight:
+ *   label, filename, tags, metadata (its values), content (text extracted from the file, PDFs only)
+ * Text is folded to lower case without diacritics and split into runs of letters and digits,
+ * which is what SQLite's unicode61 tokenizer does with remove_diacritics 2.
+ */
+export const FIELDS = ['label', 'filename', 'tags', 'metadata', 'content'];
+export const WEIGHTS = { label: 10, filename: 6, tags: 5, metadata: 3, content: 1 };
+
+// label and filename are highlighted whole, the rest as a window of this many tokens
+export const WHOLE_FIELDS = new Set(['label', 'filename']);
+export const SNIPPET_TOKENS = 16;
+
+export const FACETS = ['disk', 'mime', 'visibility'];
+
+// types whose text is extracted into `content`
+export const TEXT_MIMES = ['application/pdf'];
+
+const MAX_TERMS = 16;
+const MIN_PREFIX = 2; // shorter terms only match whole words
+const MAX_VARIANTS = 8; // spellings tried for a term that matches nothing
+
+// ---- documents --------------------------------------------------------------
+
+const TOKEN = /[\p{L}\p{N}]+/gu;
+
+export const foldTerm = (s) => s.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+export const tokenize = (text) => [...String(text ?? '').matchAll(TOKEN)].map(m => foldTerm(m[0]));
+
+// string and number values, nested ones included; keys aren't searchable
+function metadataText(v) {
+  if (v == null || typeof v === 'boolean') return '';
+  if (typeof v !== 'object') return String(v);
+  return Object.values(v).map(metadataText).filter(Boolean).join(' · ');
+}
+
+// changes whenever anything indexed (or the bytes text is extracted from) may have
+export const stampOf = (a) => `${a.updated_at || a.created_at}|${a.sha256 ?? ''}`;
+
+export const hasText = (a) => TEXT_MIMES.includes(String(a.mime || '').toLowerCase());
+
+// normalized asset -> its document, without content (that comes from extraction, separately)
+export function searchDocument(a) {
+  return {
+    asset_id: a.id,
+    sha256: a.sha256 ?? null,
+    stamp: stampOf(a),
+    label: a.label || '',
+    filename: a.filename || '',
+    tags: a.tags.join(' '),
+    metadata: metadataText(a.metadata)
+  };
+}
+
+// ---- queries ----------------------------------------------------------------
+
+/**
+ * 'brand logo "annual report"' -> { terms: ['brand', 'logo'], phrases: [['annual', 'report']] }.
+ * Every term and phrase has to match (in any field).
+ */
+export function parseQuery(q) {
+  const terms = [];
+  const phrases = [];
+  const rest = String(q ?? '').replace(/"([^"]*)"?/g, (_, p) => {
+    const words = tokenize(p);
+    if (words.length > 1) phrases.push(words);
+    else terms.push(...words);
+    return ' ';
+  });
+  terms.push(...tokenize(rest));
+  return { terms: [...new Set(terms)].slice(0, MAX_TERMS), phrases: phrases.slice(0, MAX_TERMS) };
+}
+
+export const prefixable = (term) => term.length >= MIN_PREFIX;
+
+// how many edits a misspelling of `term` may be away: none for short words and numbers
+export function typoAllowance(term) {
+  if (/^\d+$/.test(term) || term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+// Optimal string alignment distance (adjacent swaps count as one edit); max + 1 once it's past max.
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+      cur.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    before = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Indexed terms close enough to `term` to be a misspelling of it, closest first. `vocab` only
+// needs to hold the terms starting with the same letter (a typo in the first letter isn't found).
+export function closeTerms(term, vocab) {
+  const max = typoAllowance(term);
+  if (!max) return [];
+  const found = [];
+  for (const t of vocab) {
+    if (t === term) continue;
+    const d = editDistance(term, t, max);
+    if (d <= max) found.push([t, d]);
+  }
+  return found.sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0])).slice(0, MAX_VARIANTS).map(([t]) => t);
+}
+
+// ---- highlighting -----------------------------------------------------------
+
+// what the backends wrap matches in; turned into <mark> once the text around them is escaped
+export const MARKS = ['\u0002', '\u0003'];
+
+const escapeHtml = (s) => s.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// backend highlight -> HTML-escaped text with <mark>s; null when nothing in it matched
+export function renderHighlight(s) {
+  if (!s || !s.includes(MARKS[0])) return null;
+  return escapeHtml(s).replaceAll(MARKS[0], '<mark>').replaceAll(MARKS[1], '</mark>');
+}
+
+/**
+ * Wrap the tokens of `text` that `hit(foldedToken)` accepts in MARKS, like SQLite's highlight();
+ * with `window`, only that many tokens around the first hit are kept, like snippet().
+ */
+export function markTokens(text, hit, { window } = {}) {
+  const s = String(text ?? '');
+  const tokens = [...s.matchAll(TOKEN)];
+  const hits = tokens.map(m => hit(foldTerm(m[0])));
+  const first = hits.indexOf(true);
+  if (first === -1) return null;
+
+  let from = 0;
+  let to = tokens.length;
+  if (window && tokens.length > window) {
+    from = Math.max(0, Math.min(first - Math.floor(window / 4), tokens.length - window));
+    to = from + window;
+  }
+  let out = from > 0 ? '…' : '';
+  let pos = from > 0 ? tokens[from].index : 0;
+  for (let i = from; i < to; i++) {
+    const m = tokens[i];
+    out += s.slice(pos, m.index) + (hits[i] ? `${MARKS[0]}${m[0]}${MARKS[1]}` : m[0]);
+    pos = m.index + m[0].length;
+  }
+  return out + (to < tokens.length ? '…' : s.slice(pos));
+}
@@ -0,0 +1,123 @@
+// src/repositories/sql/apiKey.repo.js (SQLite / libsql)
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+import { getSql } from '../../db/index.js';
+import { normalizeKey, newSecret, KEY_PREFIX } from '../apiKey.common.js';
+import { sha256Hex } from '../../utils/hash.js';
+
+/**
+ * Tables `api_keys` (current secret's hash in `hash`) and `api_key_grace`
+ * (rotated-out secrets that keep working until expires_at). See db/schema.js.
+ */
+
+const sql = await getSql();
+
+function fromRow(row) {
+  if (!row) return null;
+  return normalizeKey({ ...row, scopes: JSON.parse(row.scopes || '[]'), restrictions: JSON.parse(row.restrictions || '{}'), quotas: JSON.parse(row.quotas || '{}') });
+}
+
+async function getKeyById(id) {
+  return fromRow(await sql.get('SELECT * FROM api_keys WHERE id = @id', { id }));
+}
+
+// ---------------- Public model API ----------------
+
+export async function createKey({ name, scopes, expires_at = null, restrictions = {}, quotas = {} }) {
+  const { secret, hash, prefix } = newSecret();
+  const key = normalizeKey({
+    id: nanoid(12),
+    name,
+    prefix,
+    scopes,
+    restrictions,
+    quotas,
+    expires_at,
+    created_at: dayjs().toISOString(),
+    hash
+  });
+
+  await sql.run(
+    `INSERT INTO api_keys (id, name, prefix, hash, scopes, restrictions, quotas, expires_at, created_at)
+     VALUES (@id, @name, @prefix, @hash, @scopes, @restrictions, @quotas, @expires_at, @created_at)`,
+    { ...key, scopes: JSON.stringify(key.scopes), restrictions: JSON.stringify(key.restrictions), quotas: JSON.stringify(key.quotas) }
+  );
+  return { key, secret };
+}
+
+export async function listKeys() {
+  const rows = await sql.all('SELECT * FROM api_keys ORDER BY created_at DESC');
+  return rows.map(fromRow);
+}
+
+export async function getKey(id) {
+  return getKeyById(id);
+}
+
+// Resolve a presented secret to an active key, or null.
+export async function findKeyBySecret(secret) {
+  if (!secret || !secret.startsWith(KEY_PREFIX)) return null;
+  const hash = sha256Hex(secret);
+
+  let key = fromRow(await sql.get('SELECT * FROM api_keys WHERE hash = @hash', { hash }));
+  if (!key) {
+    const grace = await sql.get('SELECT * FROM api_key_grace WHERE hash = @hash', { hash });
+    if (!grace) return null;
+    if (dayjs(grace.expires_at).isBefore(dayjs())) {
+      await sql.run('DELETE FROM api_key_grace WHERE hash = @hash', { hash }); // grace period over
+      return null;
+    }
+    key = await getKeyById(grace.key_id);
+  }
+
+  if (!key || key.revoked_at) return null;
+  if (key.expires_at && dayjs(key.expires_at).isBefore(dayjs())) return null;
+  return key;
+}
+
+/**
+ * Issue a new secret for a key. The old secret keeps working for `grace_seconds`
+ * (0 = invalid immediately) so integrations can roll over without downtime.
+ */
+export async function rotateKey(id, { grace_seconds = 0 } = {}) {
+  const cur = await getKeyById(id);
+  if (!cur || cur.revoked_at) return null;
+
+  const { secret, hash, prefix } = newSecret();
+  const rotated_at = dayjs().toISOString();
+  const stmts = [{
+    sql: 'UPDATE api_keys SET hash = @hash, prefix = @prefix, rotated_at = @rotated_at WHERE id = @id',
+    args: { id, hash, prefix, rotated_at }
+  }];
+  if (grace_seconds > 0) {
+    stmts.push({
+      sql: 'INSERT OR REPLACE INTO api_key_grace (hash, key_id, expires_at) VALUES (@hash, @id, @expires_at)',
+      args: { hash: cur.hash, id, expires_at: dayjs().add(grace_seconds, 'second').toISOString() }
+    });
+  }
+  await sql.batch(stmts);
+
+  return { key: normalizeKey({ ...cur, hash, prefix, rotated_at }), secret };
+}
+
+export async function revokeKey(id) {
+  const { changes } = await sql.run(
+    'UPDATE api_keys SET revoked_at = @now WHERE id = @id AND revoked_at IS NULL',
+    { id, now: dayjs().toISOString() }
+  );
+  if (changes) await sql.run('DELETE FROM api_key_grace WHERE key_id = @id', { id });
+  return changes > 0;
+}
+
+// Replace a key's quotas; resolves to the updated key, or null when there is no such key.
+export async function setKeyQuotas(id, quotas) {
+  const cur = await getKeyById(id);
+  if (!cur) return null;
+  const key = normalizeKey({ ...cur, quotas });
+  await sql.run('UPDATE api_keys SET quotas = @quotas WHERE id = @id', { id, quotas: JSON.stringify(key.quotas) });
+  return key;
+}
+
+export async function touchKey(id) {
+  await sql.run('UPDATE api_keys SET last_used_at = @now WHERE id = @id', { id, now: dayjs().toISOString() });
+}
@@ -0,0 +1,313 @@
+// src/repositories/sql/asset.repo.js (SQLite / libsql)
+import dayjs from 'dayjs';
+import { getSql } from '../../db/index.js';
+import { normalizeAsset, SORTABLE, NUMERIC_SORT, slugExistsError } from '../asset.common.js';
+
+/**
+ * Table `assets` (db/schema.js). The UNIQUE slug column plays the role of RTDB's /slugs index:
+ * a soft-deleted asset keeps its slug reserved, renames free the old one.
+ */
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeAsset({}));
+const INSERT = `INSERT INTO assets (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`;
+const UPDATE = `UPDATE assets SET ${COLUMNS.filter(c => c !== 'id').map(c => `${c} = @${c}`).join(', ')} WHERE id = @id`;
+
+// normalized asset -> bind parameters (JSON columns as text)
+const toRow = (a) => ({
+  ...a, variants: JSON.stringify(a.variants), tags: JSON.stringify(a.tags), metadata: JSON.stringify(a.metadata)
+});
+
+const isSlugConflict = (e) => /UNIQUE constraint failed: assets\.slug/.test(e?.message || '');
+
+// escape LIKE wildcards in user input (used with ESCAPE '\')
+const likeEscape = (s) => String(s).replace(/[\\%_]/g, (c) => `\\${c}`);
+
+async function getAssetById(id) {
+  return normalizeAsset(await sql.get('SELECT * FROM assets WHERE id = @id', { id }));
+}
+
+async function writeAsset(data) {
+  try {
+    await sql.run(UPDATE, toRow(data));
+  } catch (e) {
+    if (isSlugConflict(e)) throw slugExistsError(data.slug);
+    throw e;
+  }
+}
+
+// ---------------- Public model API ----------------
+
+export async function insertAsset(asset) {
+  const now = dayjs().toISOString();
+  const data = normalizeAsset({ ...asset, created_at: now, updated_at: null, deleted_at: null });
+  try {
+    await sql.run(INSERT, toRow(data));
+  } catch (e) {
+    if (isSlugConflict(e)) throw slugExistsError(data.slug);
+    throw e;
+  }
+  return data;
+}
+
+// All or nothing: one slug conflict and none of them are inserted.
+export async function insertAssets(assets) {
+  const now = dayjs().toISOString();
+  const list = assets.map(a => normalizeAsset({ ...a, created_at: now, updated_at: null, deleted_at: null }));
+  try {
+    await sql.batch(list.map(a => ({ sql: INSERT, args: toRow(a) })));
+  } catch (e) {
+    if (isSlugConflict(e)) {
+      const taken = await sql.all(
+        `SELECT slug FROM assets WHERE slug IN (${list.map((_, i) => `@s${i}`).join(', ')})`,
+        Object.fromEntries(list.map((a, i) => [`s${i}`, a.slug]))
+      );
+      throw slugExistsError(taken[0]?.slug ?? list[0].slug);
+    }
+    throw e;
+  }
+  return list;
+}
+
+// Hard delete, freeing the slugs; only for undoing insertAssets when the storage write fails.
+export async function removeAssets(ids) {
+  await sql.batch(ids.map(id => ({ sql: 'DELETE FROM assets WHERE id = @id', args: { id } })));
+}
+
+export async function slugTaken(slug) {
+  return Boolean(await sql.get('SELECT 1 AS x FROM assets WHERE slug = @slug', { slug }));
+}
+
+export async function findBySlug(slug) {
+  return normalizeAsset(await sql.get('SELECT * FROM assets WHERE slug = @slug AND deleted_at IS NULL', { slug }));
+}
+
+function basicWhere({ label, disk, visibility }, where, args) {
+  if (label) { where.push("label LIKE @label ESCAPE '\\'"); args.label = `%${likeEscape(label)}%`; }
+  if (disk) { where.push('disk = @disk'); args.disk = disk; }
+  if (visibility) { where.push('visibility = @visibility'); args.visibility = visibility; }
+}
+
+export async function recentAssets({ label, disk, visibility, limit = 10 }) {
+  const where = ['deleted_at IS NULL'];
+  const args = { limit: Math.max(1, Math.min(100, +limit || 10)) };
+  basicWhere({ label, disk, visibility }, where, args);
+  const rows = await sql.all(
+    `SELECT * FROM assets WHERE ${where.join(' AND ')} ORDER BY created_at DESC LIMIT @limit`, args
+  );
+  return rows.map(normalizeAsset);
+}
+
+export async function getAllAssets({ label, disk, visibility } = {}) {
+  const where = ['deleted_at IS NULL'];
+  const args = {};
+  basicWhere({ label, disk, visibility }, where, args);
+  const rows = await sql.all(`SELECT * FROM assets WHERE ${where.join(' AND ')} ORDER BY created_at DESC`, args);
+  return rows.map(normalizeAsset);
+}
+
+/**
+ * WHERE conditions (joined with AND) and their bind parameters for the listAssets filters;
+ * also used by the search repository, so column names are left unqualified.
+ */
+export function filterWhere({
+  q, label, disk, visibility,
+  mime, min_size, max_size, created_from, created_to,
+  repo, branch, integrity_status, collection_ids, tags = [],
+  label_prefixes = [], path_prefixes = [],
+  includeDeleted = false,
+  onlyDeleted = false
+} = {}) {
+  const where = [];
+  const args = {};
+
+  if (onlyDeleted) where.push('deleted_at IS NOT NULL');
+  else if (!includeDeleted) where.push('deleted_at IS NULL');
+
+  if (q) {
+    where.push("(label LIKE @q ESCAPE '\\' OR slug LIKE @q ESCAPE '\\' OR filename LIKE @q ESCAPE '\\')");
+    args.q = `%${likeEscape(q)}%`;
+  }
+  basicWhere({ label, disk, visibility }, where, args);
+  if (mime) {
+    const m = String(mime).toLowerCase();
+    if (m.endsWith('/*')) { where.push("lower(mime) LIKE @mime ESCAPE '\\'"); args.mime = `${likeEscape(m.slice(0, -1))}%`; }
+    else { where.push('lower(mime) = @mime'); args.mime = m; }
+  }
+  if (min_size != null) { where.push('size >= @min_size'); args.min_size = Number(min_size); }
+  if (max_size != null) { where.push('size <= @max_size'); args.max_size = Number(max_size); }
+  if (created_from) { where.push('created_at >= @created_from'); args.created_from = created_from; }
+  if (created_to) { where.push('created_at <= @created_to'); args.created_to = created_to; }
+  if (repo) { where.push('repo = @repo'); args.repo = repo; }
+  if (branch) { where.push('branch = @branch'); args.branch = branch; }
+  if (integrity_status) { where.push('integrity_status = @integrity_status'); args.integrity_status = integrity_status; }
+  if (collection_ids) {
+    where.push(`collection_id IN (${collection_ids.map((id, i) => {
+      args[`c${i}`] = id;
+      return `@c${i}`;
+    }).join(', ') || 'NULL'})`);
+  }
+  for (const [i, tag] of tags.entries()) {
+    where.push(`EXISTS (SELECT 1 FROM json_each(assets.tags) WHERE value = @tag${i})`);
+    args[`tag${i}`] = tag;
+  }
+  if (label_prefixes.length) {
+    where.push(`(${label_prefixes.map((p, i) => {
+      args[`lp${i}`] = p.toLowerCase();
+      return `lower(substr(label, 1, length(@lp${i}))) = @lp${i}`;
+    }).join(' OR ')})`);
+  }
+  if (path_prefixes.length) {
+    where.push(`(${path_prefixes.map((p, i) => {
+      args[`pp${i}`] = p;
+      return `substr(path, 1, length(@pp${i})) = @pp${i}`;
+    }).join(' OR ')})`);
+  }
+
+  return { where, args };
+}
+
+// Same contract as the RTDB listAssets; filtering, ordering and paging happen in SQL.
+export async function listAssets({
+  sort = 'created_at',
+  order = 'desc',
+  limit = 20,
+  offset = 0,
+  after = null,
+  ...filters
+} = {}) {
+  const sortKey = SORTABLE.includes(String(sort)) ? String(sort) : 'created_at';
+  const dir = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  const { where, args } = filterWhere(filters);
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  const { n: total } = await sql.get(`SELECT COUNT(*) AS n FROM assets ${whereSql}`, args);
+
+  // NULLs sort like '' / -1, matching the RTDB implementation
+  const sortExpr = NUMERIC_SORT.has(sortKey) ? `COALESCE(${sortKey}, -1)` : `COALESCE(${sortKey}, '')`;
+  const pageSize = Math.max(1, Math.min(100, Number(limit) || 20));
+
+  let pageWhere = where.slice();
+  let skip = Math.max(0, Number(offset) || 0);
+  if (after) {
+    pageWhere.push(`(${sortExpr}, id) ${dir === 'ASC' ? '>' : '<'} (@after_value, @after_id)`);
+    args.after_value = after.value ?? (NUMERIC_SORT.has(sortKey) ? -1 : '');
+    args.after_id = after.id;
+    skip = 0;
+  }
+
+  const rows = await sql.all(
+    `SELECT * FROM assets ${pageWhere.length ? `WHERE ${pageWhere.join(' AND ')}` : ''}
+     ORDER BY ${sortExpr} ${dir}, id ${dir} LIMIT @limit OFFSET @offset`,
+    { ...args, limit: pageSize + 1, offset: skip }
+  );
+
+  const hasMore = rows.length > pageSize;
+  const items = rows.slice(0, pageSize).map(normalizeAsset);
+  return { items, total, hasMore, sortKey };
+}
+
+export async function countAssets(filters = {}) {
+  const { total } = await listAssets({ ...filters, limit: 1, offset: 0 });
+  return total;
+}
+
+// Every tag on a live asset with how many carry it, most used first.
+export async function listTags() {
+  const rows = await sql.all(
+    `SELECT t.value AS tag, COUNT(*) AS count FROM assets, json_each(assets.tags) AS t
+     WHERE assets.deleted_at IS NULL GROUP BY t.value ORDER BY count DESC, tag ASC`
+  );
+  return rows.map(r => ({ tag: r.tag, count: Number(r.count) }));
+}
+
+// Live assets and the sum of their sizes per creating API key (all keys, or just `created_by`).
+export async function usageByCreator({ created_by } = {}) {
+  const where = ['deleted_at IS NULL'];
+  const args = {};
+  if (created_by !== undefined) { where.push('created_by = @created_by'); args.created_by = created_by; }
+  const rows = await sql.all(
+    `SELECT created_by, COUNT(*) AS assets, COALESCE(SUM(size), 0) AS bytes
+     FROM assets WHERE ${where.join(' AND ')} GROUP BY created_by ORDER BY bytes DESC`, args
+  );
+  return rows.map(r => ({ created_by: r.created_by ?? null, assets: Number(r.assets), bytes: Number(r.bytes) }));
+}
+
+// Assets not purged whose current file is at `loc` (matched as sameLocation in blob.common.js).
+export async function assetsAt({ disk, path, branch = null, repo = null }) {
+  const rows = await sql.all(
+    `SELECT * FROM assets WHERE disk = @disk AND path = @path AND COALESCE(branch, '') = COALESCE(@branch, '')
+       AND (repo IS NULL OR @repo IS NULL OR repo = @repo) AND purged_at IS NULL`,
+    { disk, path, branch, repo }
+  );
+  return rows.map(normalizeAsset);
+}
+
+export async function updateAsset(id, patch) {
+  const cur = await getAssetById(id);
+  if (!cur || cur.deleted_at) return null;
+
+  const updated = normalizeAsset({
+    ...cur,
+    ...patch,
+    verify_hash: patch.verify_hash ?? cur.verify_hash,
+    updated_at: dayjs().toISOString()
+  });
+
+  await writeAsset(updated);
+  return updated;
+}
+
+// `purged` marks that the stored bytes were removed too, so the asset can't be restored
+export async function softDeleteAsset(id, { purged = false } = {}) {
+  const now = dayjs().toISOString();
+  const { changes } = await sql.run(
+    'UPDATE assets SET deleted_at = @now, purged_at = CASE WHEN @purged THEN @now ELSE purged_at END WHERE id = @id AND deleted_at IS NULL',
+    { id, now, purged }
+  );
+  return changes > 0;
+}
+
+export async function restoreAsset(id) {
+  const { changes } = await sql.run(
+    'UPDATE assets SET deleted_at = NULL WHERE id = @id AND deleted_at IS NOT NULL', { id }
+  );
+  return changes > 0;
+}
+
+// Record a verification outcome; not a user edit, so updated_at is left alone.
+export async function setIntegrity(id, { integrity_status, last_verified_at, sha256 }) {
+  await sql.run(
+    `UPDATE assets SET integrity_status = @integrity_status, last_verified_at = @last_verified_at,
+       sha256 = COALESCE(@sha256, sha256) WHERE id = @id`,
+    { id, integrity_status, last_verified_at, sha256 }
+  );
+  return getAssetById(id);
+}
+
+// ---- bulk export / import (services/sync.service.js) ----
+
+// Everything, soft-deleted assets included; the slug index is the slug column itself.
+export async function exportAll() {
+  const rows = await sql.all('SELECT * FROM assets ORDER BY created_at ASC, id ASC');
+  const assets = rows.map(normalizeAsset);
+  return { assets, slugs: assets.map(a => ({ slug: a.slug, id: a.id })) };
+}
+
+// Write a record exactly as given (timestamps included).
+export async function putAsset(asset) {
+  const data = normalizeAsset(asset);
+  try {
+    const { changes } = await sql.run(UPDATE, toRow(data));
+    if (!changes) await sql.run(INSERT, toRow(data));
+  } catch (e) {
+    if (isSlugConflict(e)) throw slugExistsError(data.slug);
+    throw e;
+  }
+  return data;
+}
+
+export async function getById(id) {
+  return getAssetById(id);
+}
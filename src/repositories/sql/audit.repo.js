@@ -0,0 +1,61 @@
+// src/repositories/sql/audit.repo.js (SQLite / libsql)
+import { getSql } from '../../db/index.js';
+import { normalizeAudit } from '../audit.common.js';
+
+/**
+ * Table `audit_log` (db/schema.js). There is deliberately no update or delete here, and
+ * triggers on the table reject both, so an entry stays as it was written.
+ */
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeAudit({}));
+
+const row = (e) => ({
+  ...e,
+  before: e.before == null ? null : JSON.stringify(e.before),
+  after: e.after == null ? null : JSON.stringify(e.after),
+  details: e.details == null ? null : JSON.stringify(e.details)
+});
+
+// ---------------- Public model API ----------------
+
+export async function appendAudit(entry) {
+  const data = normalizeAudit(entry);
+  await sql.run(
+    `INSERT INTO audit_log (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`,
+    row(data)
+  );
+  return data;
+}
+
+// Filters as described in audit.common.js; newest first.
+export async function listAudit({
+  actor, action, target_type, target_id, slug, path, request_id, from, to, after = null, limit = 50
+} = {}) {
+  const where = [];
+  const args = { limit };
+
+  const eq = { actor, target_type, target_id, target_slug: slug, target_path: path, request_id };
+  for (const [col, v] of Object.entries(eq)) {
+    if (v) { where.push(`${col} = @${col}`); args[col] = v; }
+  }
+  if (action) {
+    if (action.endsWith('.*')) { where.push('substr(action, 1, length(@action)) = @action'); args.action = action.slice(0, -1); }
+    else { where.push('action = @action'); args.action = action; }
+  }
+  if (from) { where.push('at >= @from'); args.from = from; }
+  if (to) { where.push('at <= @to'); args.to = to; }
+  if (after) {
+    where.push('(at < @after_at OR (at = @after_at AND id < @after_id))');
+    args.after_at = after.at;
+    args.after_id = after.id;
+  }
+
+  const rows = await sql.all(
+    `SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY at DESC, id DESC LIMIT @limit`,
+    args
+  );
+  return rows.map(normalizeAudit);
+}
@@ -0,0 +1,51 @@
+// src/repositories/sql/blob.repo.js (SQLite / libsql)
+import dayjs from 'dayjs';
+import { getSql } from '../../db/index.js';
+import { normalizeBlob } from '../blob.common.js';
+
+/**
+ * Table `blobs` (db/schema.js), primary key (disk, sha256).
+ */
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeBlob({}));
+// see sameLocation in blob.common.js
+const SAME_LOCATION = `path = @path AND COALESCE(branch, '') = COALESCE(@branch, '')
+  AND (repo IS NULL OR @repo IS NULL OR repo = @repo)`;
+
+// ---------------- Public model API ----------------
+
+export async function findBlob(disk, sha256) {
+  return normalizeBlob(await sql.get('SELECT * FROM blobs WHERE disk = @disk AND sha256 = @sha256', { disk, sha256 }));
+}
+
+export async function findBlobAt({ disk, path, branch, repo = null }) {
+  return normalizeBlob(await sql.get(`SELECT * FROM blobs WHERE disk = @disk AND ${SAME_LOCATION}`, { disk, path, branch, repo }));
+}
+
+// Same contract as the RTDB repo: create with refcount 1, or +1 when indexed at the same location.
+export async function addBlobRef(blob) {
+  const data = normalizeBlob({ ...blob, refcount: 1, created_at: dayjs().toISOString() });
+  const { changes } = await sql.run(
+    `INSERT INTO blobs (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})
+     ON CONFLICT (disk, sha256) DO UPDATE SET refcount = blobs.refcount + 1
+     WHERE blobs.path = excluded.path AND COALESCE(blobs.branch, '') = COALESCE(excluded.branch, '')
+       AND (blobs.repo IS NULL OR excluded.repo IS NULL OR blobs.repo = excluded.repo)`,
+    { ...data, variants: JSON.stringify(data.variants) }
+  );
+  return { blob: await findBlob(data.disk, data.sha256), counted: changes > 0 };
+}
+
+export async function releaseBlobRef({ disk, sha256, path, branch, repo = null }) {
+  const args = { disk, sha256, path, branch, repo };
+  const { changes } = await sql.run(
+    `UPDATE blobs SET refcount = MAX(refcount - 1, 0) WHERE disk = @disk AND sha256 = @sha256 AND ${SAME_LOCATION}`,
+    args
+  );
+  if (!changes) return null;
+
+  const { refcount } = await sql.get('SELECT refcount FROM blobs WHERE disk = @disk AND sha256 = @sha256', args);
+  if (refcount <= 0) await sql.run('DELETE FROM blobs WHERE disk = @disk AND sha256 = @sha256', args);
+  return { refcount };
+}
@@ -0,0 +1,74 @@
+// src/repositories/sql/collection.repo.js (SQLite / libsql)
+import dayjs from 'dayjs';
+import { getSql } from '../../db/index.js';
+import { normalizeCollection, collectionExistsError } from '../collection.common.js';
+
+// Table `collections` (db/schema.js); the UNIQUE slug column keeps paths unique.
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeCollection({}));
+
+const isSlugConflict = (e) => /UNIQUE constraint failed: collections\.slug/.test(e?.message || '');
+
+// ---------------- Public model API ----------------
+
+export async function listCollections() {
+  const rows = await sql.all('SELECT * FROM collections ORDER BY slug');
+  return rows.map(normalizeCollection);
+}
+
+export async function getCollection(id) {
+  return normalizeCollection(await sql.get('SELECT * FROM collections WHERE id = @id', { id }));
+}
+
+export async function findCollectionBySlug(slug) {
+  return normalizeCollection(await sql.get('SELECT * FROM collections WHERE slug = @slug', { slug }));
+}
+
+// Throws code COLLECTION_EXISTS when the slug is taken.
+export async function createCollection(data) {
+  const c = normalizeCollection({ ...data, created_at: dayjs().toISOString() });
+  try {
+    await sql.run(`INSERT INTO collections (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(k => `@${k}`).join(', ')})`, c);
+  } catch (e) {
+    if (isSlugConflict(e)) throw collectionExistsError(c.slug);
+    throw e;
+  }
+  return c;
+}
+
+/**
+ * patch: slug, name, description, repo_path_prefix, visibility. A new slug moves the
+ * sub-collections along with it, all or nothing; throws COLLECTION_EXISTS when a path is taken.
+ */
+export async function updateCollection(id, patch) {
+  const cur = await getCollection(id);
+  if (!cur) return null;
+  const now = dayjs().toISOString();
+  const updated = normalizeCollection({ ...cur, ...patch, id, updated_at: now });
+  const stmts = [{
+    sql: `UPDATE collections SET slug = @slug, name = @name, description = @description,
+            repo_path_prefix = @repo_path_prefix, visibility = @visibility, updated_at = @updated_at WHERE id = @id`,
+    args: updated
+  }];
+  if (updated.slug !== cur.slug) {
+    stmts.push({
+      sql: `UPDATE collections SET slug = @to || substr(slug, length(@from) + 1), updated_at = @now
+            WHERE substr(slug, 1, length(@from) + 1) = @from || '/'`,
+      args: { from: cur.slug, to: updated.slug, now }
+    });
+  }
+  try {
+    await sql.batch(stmts);
+  } catch (e) {
+    if (isSlugConflict(e)) throw collectionExistsError(updated.slug);
+    throw e;
+  }
+  return updated;
+}
+
+export async function deleteCollection(id) {
+  const { changes } = await sql.run('DELETE FROM collections WHERE id = @id', { id });
+  return changes > 0;
+}
@@ -0,0 +1,57 @@
+// src/repositories/sql/githubTarget.repo.js (SQLite / libsql)
+import dayjs from 'dayjs';
+import { getSql } from '../../db/index.js';
+import { normalizeTarget } from '../githubTarget.common.js';
+
+// Table `github_targets` (db/schema.js), keyed by name.
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeTarget({}));
+
+// ---------------- Public model API ----------------
+
+export async function listTargets() {
+  const rows = await sql.all('SELECT * FROM github_targets ORDER BY name');
+  return rows.map(normalizeTarget);
+}
+
+export async function getTarget(name) {
+  return normalizeTarget(await sql.get('SELECT * FROM github_targets WHERE name = @name', { name }));
+}
+
+// Throws code TARGET_EXISTS when the name is taken.
+export async function createTarget(data) {
+  const target = normalizeTarget({ ...data, created_at: dayjs().toISOString() });
+  try {
+    await sql.run(
+      `INSERT INTO github_targets (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`,
+      target
+    );
+  } catch (e) {
+    if (!/UNIQUE constraint failed: github_targets\./.test(e?.message || '')) throw e;
+    const err = new Error(`Target '${target.name}' already exists`);
+    err.code = 'TARGET_EXISTS';
+    throw err;
+  }
+  return target;
+}
+
+// patch: owner, repo, branch, prefix, cdn_provider, cdn_base, cdn_purge_url, token
+export async function updateTarget(name, patch) {
+  const cur = await getTarget(name);
+  if (!cur) return null;
+  const updated = normalizeTarget({ ...cur, ...patch, name, updated_at: dayjs().toISOString() });
+  await sql.run(
+    `UPDATE github_targets SET owner = @owner, repo = @repo, branch = @branch, prefix = @prefix,
+       cdn_provider = @cdn_provider, cdn_base = @cdn_base, cdn_purge_url = @cdn_purge_url, token = @token,
+       updated_at = @updated_at WHERE name = @name`,
+    updated
+  );
+  return updated;
+}
+
+export async function deleteTarget(name) {
+  const { changes } = await sql.run('DELETE FROM github_targets WHERE name = @name', { name });
+  return changes > 0;
+}
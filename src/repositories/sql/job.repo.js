@@ -0,0 +1,43 @@
+// src/repositories/sql/job.repo.js (SQLite / libsql)
+import { getSql } from '../../db/index.js';
+import { normalizeJob } from '../job.common.js';
+
+// Table `jobs` (db/schema.js).
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeJob({}));
+
+const jobRow = (j) => ({ ...j, result: j.result == null ? null : JSON.stringify(j.result) });
+
+// ---------------- Public model API ----------------
+
+export async function createJob(data) {
+  const job = normalizeJob(data);
+  await sql.run(
+    `INSERT INTO jobs (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`,
+    jobRow(job)
+  );
+  return job;
+}
+
+export async function getJob(id) {
+  return normalizeJob(await sql.get('SELECT * FROM jobs WHERE id = @id', { id }));
+}
+
+// Record progress (status, http_status, result, error, started_at, finished_at, expires_at).
+export async function saveJob(j) {
+  const data = normalizeJob(j);
+  await sql.run(
+    `UPDATE jobs SET status = @status, http_status = @http_status, result = @result, error = @error,
+       started_at = @started_at, finished_at = @finished_at, expires_at = @expires_at WHERE id = @id`,
+    jobRow(data)
+  );
+  return data;
+}
+
+// Drop jobs created before `before` (ISO); resolves to how many.
+export async function pruneJobs(before) {
+  const { changes } = await sql.run('DELETE FROM jobs WHERE created_at < @before', { before });
+  return changes;
+}
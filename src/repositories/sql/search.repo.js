@@ -0,0 +1,143 @@
+// src/repositories/sql/search.repo.js (SQLite / libsql)
+import { getSql } from '../../db/index.js';
+import { normalizeAsset } from '../asset.common.js';
+import {
+  FIELDS, WEIGHTS, WHOLE_FIELDS, SNIPPET_TOKENS, FACETS, MARKS, prefixable, closeTerms
+} from '../search.common.js';
+import { filterWhere } from './asset.repo.js';
+
+/**
+ * Table `search_docs` with the FTS5 index `search_fts` over it (db/schema.js). Ranking is FTS5's
+ * bm25() with the field weights from search.common.js; misspelt terms are matched through the
+ * index's vocabulary (search_terms).
+ */
+
+const sql = await getSql();
+
+const UPSERT = `INSERT INTO search_docs (asset_id, sha256, stamp, label, filename, tags, metadata)
+  VALUES (@asset_id, @sha256, @stamp, @label, @filename, @tags, @metadata)
+  ON CONFLICT (asset_id) DO UPDATE SET
+    sha256 = excluded.sha256, stamp = excluded.stamp, label = excluded.label, filename = excluded.filename,
+    tags = excluded.tags, metadata = excluded.metadata,
+    content = CASE WHEN content_sha IS excluded.sha256 THEN content ELSE '' END,
+    content_sha = CASE WHEN content_sha IS excluded.sha256 THEN content_sha ELSE NULL END`;
+
+const RANK = `bm25(search_fts, ${FIELDS.map(f => WEIGHTS[f]).join(', ')})`;
+
+const HIGHLIGHTS = FIELDS.map((f, i) => (WHOLE_FIELDS.has(f)
+  ? `highlight(search_fts, ${i}, @open, @close) AS ${f}`
+  : `snippet(search_fts, ${i}, @open, @close, '…', ${SNIPPET_TOKENS}) AS ${f}`)).join(', ');
+
+const inList = (values, name, args) => values.map((v, i) => {
+  args[`${name}${i}`] = v;
+  return `@${name}${i}`;
+}).join(', ');
+
+// the first code point after `c`: terms starting with c sort in [c, after(c))
+const after = (c) => String.fromCodePoint(c.codePointAt(0) + 1);
+
+async function termExists(term) {
+  const row = prefixable(term)
+    ? await sql.get('SELECT 1 AS x FROM search_terms WHERE term >= @t AND term < @hi LIMIT 1', { t: term, hi: `${term}\u{10FFFF}` })
+    : await sql.get('SELECT 1 AS x FROM search_terms WHERE term = @t', { t: term });
+  return Boolean(row);
+}
+
+// FTS5 query: every term (as a prefix, or else as its likely misspellings) and phrase
+async function matchExpression({ terms, phrases }) {
+  const groups = [];
+  for (const t of terms) {
+    const alts = [`"${t}"${prefixable(t) ? '*' : ''}`];
+    if (!(await termExists(t))) {
+      const first = String.fromCodePoint(t.codePointAt(0));
+      const vocab = await sql.all('SELECT term FROM search_terms WHERE term >= @lo AND term < @hi', { lo: first, hi: after(first) });
+      alts.push(...closeTerms(t, vocab.map(r => r.term)).map(v => `"${v}"`));
+    }
+    groups.push(alts.length > 1 ? `(${alts.join(' OR ')})` : alts[0]);
+  }
+  for (const words of phrases) groups.push(`"${words.join(' ')}"`);
+  return groups.join(' AND ');
+}
+
+// ---------------- Public model API ----------------
+
+// Add or refresh documents; extracted content is kept while the bytes (sha256) stay the same.
+export async function putDocuments(docs) {
+  if (!docs.length) return;
+  await sql.batch(docs.map(d => ({ sql: UPSERT, args: d })));
+}
+
+// Of `ids`, the documents without content extracted from their current bytes.
+export async function staleContent(ids) {
+  if (!ids.length) return [];
+  const args = {};
+  const rows = await sql.all(
+    `SELECT asset_id FROM search_docs WHERE asset_id IN (${inList(ids, 'id', args)}) AND content_sha IS NOT sha256`, args
+  );
+  return rows.map(r => r.asset_id);
+}
+
+// Store text extracted from the bytes with `sha256`; ignored once the document has moved on.
+export async function setContent(asset_id, { sha256, text }) {
+  const { changes } = await sql.run(
+    'UPDATE search_docs SET content = @text, content_sha = @sha256 WHERE asset_id = @asset_id AND sha256 IS @sha256',
+    { asset_id, sha256, text }
+  );
+  return changes > 0;
+}
+
+export async function removeDocuments(ids) {
+  if (!ids.length) return;
+  await sql.batch(ids.map(id => ({ sql: 'DELETE FROM search_docs WHERE asset_id = @id', args: { id } })));
+}
+
+// What is indexed: [{ asset_id, stamp, sha256, content_sha }]
+export async function indexState() {
+  return sql.all('SELECT asset_id, stamp, sha256, content_sha FROM search_docs');
+}
+
+/**
+ * query: { terms, phrases } (search.common.js parseQuery); filters: as for listAssets.
+ * -> { total, items: [{ asset, score, highlights }], facets: { disk, mime, visibility } }, best
+ * match first. Highlights hold the matched words between MARKS.
+ */
+export async function searchDocuments({ query, filters = {}, limit = 20, offset = 0 }) {
+  const match = await matchExpression(query);
+  const { where, args } = filterWhere(filters);
+  Object.assign(args, { match });
+
+  const base = `FROM (
+      SELECT d.asset_id AS hit_id, d.rid AS hit_rid, ${RANK} AS hit_rank
+      FROM search_fts JOIN search_docs d ON d.rid = search_fts.rowid
+      WHERE search_fts MATCH @match
+    ) h JOIN assets ON assets.id = h.hit_id
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+
+  const facets = {};
+  for (const f of FACETS) {
+    const rows = await sql.all(`SELECT assets.${f} AS value, COUNT(*) AS n ${base} GROUP BY assets.${f} ORDER BY n DESC, value`, args);
+    facets[f] = rows.map(r => ({ value: r.value ?? null, count: Number(r.n) }));
+  }
+  const total = facets[FACETS[0]].reduce((sum, r) => sum + r.count, 0);
+
+  const rows = await sql.all(
+    `SELECT assets.*, h.hit_rid, h.hit_rank ${base} ORDER BY h.hit_rank, assets.id LIMIT @limit OFFSET @offset`,
+    { ...args, limit: Math.max(1, Math.min(100, Number(limit) || 20)), offset: Math.max(0, Number(offset) || 0) }
+  );
+
+  const marked = new Map();
+  if (rows.length) {
+    const hl = { match, open: MARKS[0], close: MARKS[1] };
+    const found = await sql.all(
+      `SELECT rowid AS rid, ${HIGHLIGHTS} FROM search_fts WHERE search_fts MATCH @match AND rowid IN (${inList(rows.map(r => r.hit_rid), 'r', hl)})`,
+      hl
+    );
+    for (const { rid, ...fields } of found) marked.set(rid, fields);
+  }
+
+  return {
+    total,
+    items: rows.map(r => ({ asset: normalizeAsset(r), score: -r.hit_rank, highlights: marked.get(r.hit_rid) || {} })),
+    facets
+  };
+}
@@ -0,0 +1,40 @@
+// src/repositories/sql/version.repo.js (SQLite / libsql)
+import { getSql } from '../../db/index.js';
+import { normalizeVersion, versionExistsError } from '../version.common.js';
+
+/**
+ * Table `asset_versions` (db/schema.js), primary key (asset_id, version).
+ */
+
+const sql = await getSql();
+
+const COLUMNS = Object.keys(normalizeVersion({}));
+const INSERT = `INSERT INTO asset_versions (${COLUMNS.join(', ')}) VALUES (${COLUMNS.map(c => `@${c}`).join(', ')})`;
+
+// ---------------- Public model API ----------------
+
+// Oldest first.
+export async function listVersions(assetId) {
+  const rows = await sql.all(
+    'SELECT * FROM asset_versions WHERE asset_id = @assetId ORDER BY version ASC', { assetId }
+  );
+  return rows.map(normalizeVersion);
+}
+
+export async function getVersion(assetId, version) {
+  return normalizeVersion(await sql.get(
+    'SELECT * FROM asset_versions WHERE asset_id = @assetId AND version = @version', { assetId, version }
+  ));
+}
+
+// Throws VERSION_EXISTS when the number is already taken (two uploads racing for it).
+export async function addVersion(version) {
+  const data = normalizeVersion(version);
+  try {
+    await sql.run(INSERT, { ...data, variants: JSON.stringify(data.variants) });
+  } catch (e) {
+    if (/UNIQUE constraint failed: asset_versions\./.test(e?.message || '')) throw versionExistsError(data.version);
+    throw e;
+  }
+  return data;
+}
@@ -0,0 +1,125 @@
+// src/repositories/sql/webhook.repo.js (SQLite / libsql)
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+import { getSql } from '../../db/index.js';
+import { normalizeWebhook, normalizeDelivery, newWebhookSecret } from '../webhook.common.js';
+
+/**
+ * Tables `webhooks` and `webhook_deliveries` (db/schema.js). Pending deliveries are found
+ * through the (status, next_attempt_at) index; claiming one is a conditional UPDATE, so two
+ * workers never send the same attempt.
+ */
+
+const sql = await getSql();
+
+const WEBHOOK_COLUMNS = Object.keys(normalizeWebhook({}));
+const DELIVERY_COLUMNS = Object.keys(normalizeDelivery({}));
+
+const webhookRow = (w) => ({ ...w, events: JSON.stringify(w.events) });
+const deliveryRow = (d) => ({ ...d, payload: JSON.stringify(d.payload), log: JSON.stringify(d.log) });
+
+const INSERT_DELIVERY = `INSERT INTO webhook_deliveries (${DELIVERY_COLUMNS.join(', ')})
+  VALUES (${DELIVERY_COLUMNS.map(c => `@${c}`).join(', ')})`;
+
+// ---------------- Public model API ----------------
+
+export async function createWebhook({ url, description = null, events, active = true, created_by = null }) {
+  const hook = normalizeWebhook({
+    id: nanoid(12),
+    url,
+    description,
+    events,
+    active,
+    secret: newWebhookSecret(),
+    created_by,
+    created_at: dayjs().toISOString()
+  });
+  await sql.run(
+    `INSERT INTO webhooks (${WEBHOOK_COLUMNS.join(', ')}) VALUES (${WEBHOOK_COLUMNS.map(c => `@${c}`).join(', ')})`,
+    webhookRow(hook)
+  );
+  return hook;
+}
+
+export async function listWebhooks() {
+  const rows = await sql.all('SELECT * FROM webhooks ORDER BY created_at DESC');
+  return rows.map(normalizeWebhook);
+}
+
+export async function getWebhook(id) {
+  return normalizeWebhook(await sql.get('SELECT * FROM webhooks WHERE id = @id', { id }));
+}
+
+// patch: url, description, events, active, secret
+export async function updateWebhook(id, patch) {
+  const cur = await getWebhook(id);
+  if (!cur) return null;
+  const updated = normalizeWebhook({ ...cur, ...patch, updated_at: dayjs().toISOString() });
+  await sql.run(
+    `UPDATE webhooks SET url = @url, description = @description, events = @events, active = @active,
+       secret = @secret, updated_at = @updated_at WHERE id = @id`,
+    webhookRow(updated)
+  );
+  return updated;
+}
+
+// Removes the endpoint and its delivery log.
+export async function deleteWebhook(id) {
+  const [changes] = await sql.batch([
+    { sql: 'DELETE FROM webhooks WHERE id = @id', args: { id } },
+    { sql: 'DELETE FROM webhook_deliveries WHERE webhook_id = @id', args: { id } }
+  ]);
+  return changes > 0;
+}
+
+export async function addDeliveries(list) {
+  const data = list.map(normalizeDelivery);
+  if (data.length) await sql.batch(data.map(d => ({ sql: INSERT_DELIVERY, args: deliveryRow(d) })));
+  return data;
+}
+
+// Newest first.
+export async function listDeliveries(webhookId, { status, limit = 50 } = {}) {
+  const rows = await sql.all(
+    `SELECT * FROM webhook_deliveries WHERE webhook_id = @webhookId
+       ${status ? 'AND status = @status' : ''} ORDER BY created_at DESC, id DESC LIMIT @limit`,
+    { webhookId, status, limit }
+  );
+  return rows.map(normalizeDelivery);
+}
+
+export async function getDelivery(id) {
+  return normalizeDelivery(await sql.get('SELECT * FROM webhook_deliveries WHERE id = @id', { id }));
+}
+
+// Deliveries whose next attempt is due (a 'sending' one is due again once its claim has lapsed).
+export async function dueDeliveries(now, limit) {
+  const rows = await sql.all(
+    `SELECT * FROM webhook_deliveries WHERE status IN ('pending', 'sending') AND next_attempt_at <= @now
+       ORDER BY next_attempt_at ASC LIMIT @limit`,
+    { now, limit }
+  );
+  return rows.map(normalizeDelivery);
+}
+
+// Take a due delivery until `until`; false when another worker got it first.
+export async function claimDelivery(d, until) {
+  const { changes } = await sql.run(
+    `UPDATE webhook_deliveries SET status = 'sending', next_attempt_at = @until
+       WHERE id = @id AND status = @status AND next_attempt_at = @next_attempt_at`,
+    { id: d.id, status: d.status, next_attempt_at: d.next_attempt_at, until }
+  );
+  return changes > 0;
+}
+
+// Record the outcome of an attempt (status, attempts, next_attempt_at, last_*, log, delivered_at).
+export async function saveDelivery(d) {
+  const data = normalizeDelivery(d);
+  await sql.run(
+    `UPDATE webhook_deliveries SET status = @status, attempts = @attempts, next_attempt_at = @next_attempt_at,
+       last_status_code = @last_status_code, last_error = @last_error, log = @log, delivered_at = @delivered_at
+       WHERE id = @id`,
+    deliveryRow(data)
+  );
+  return data;
+}
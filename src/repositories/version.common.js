@@ -0,0 +1,35 @@
+// src/repositories/version.common.js
+// Asset version shape shared by every metadata backend.
+import { jsonList } from './asset.common.js';
+
+export function normalizeVersion(v) {
+  if (!v) return null;
+  return {
+    asset_id: v.asset_id,
+    version: Number(v.version),
+    sha256: v.sha256 ?? null,
+    size: v.size ?? null,
+    mime: v.mime ?? null,
+    path: v.path,
+    repo: v.repo ?? null,
+    branch: v.branch ?? null,
+    github_url: v.github_url ?? null,
+    cdn_url: v.cdn_url ?? null,
+    storage_strategy: v.storage_strategy ?? null,
+    storage_ref: v.storage_ref ?? null,
+    commit_sha: v.commit_sha ?? null,
+    variants: jsonList(v.variants),
+    scan_status: v.scan_status ?? null,
+    scanned_at: v.scanned_at ?? null,
+    uploaded_by: v.uploaded_by ?? null,
+    message: v.message ?? null,
+    created_at: v.created_at
+  };
+}
+
+export function versionExistsError(version) {
+  const err = new Error(`Version ${version} already exists`);
+  err.code = 'VERSION_EXISTS';
+  err.version = version;
+  return err;
+}
@@ -0,0 +1,58 @@
+// src/repositories/webhook.common.js
+// Webhook endpoint and delivery shapes shared by every metadata backend.
+import { nanoid } from 'nanoid';
+import { toBool } from './asset.common.js';
+
+export const SECRET_PREFIX = 'whsec_';
+
+const json = (v, fallback) => (typeof v === 'string' ? JSON.parse(v || 'null') : v) ?? fallback;
+
+export function normalizeWebhook(w) {
+  if (!w) return null;
+  return {
+    id: w.id,
+    url: w.url,
+    description: w.description ?? null,
+    events: json(w.events, []),
+    active: w.active === undefined ? true : toBool(w.active),
+    secret: w.secret,
+    created_by: w.created_by ?? null,
+    created_at: w.created_at,
+    updated_at: w.updated_at ?? null
+  };
+}
+
+// public shape: the signing secret only ever leaves through create/rotate
+export function presentWebhook(w) {
+  if (!w) return null;
+  const { secret, ...rest } = w;
+  return { ...rest, secret_prefix: secret ? secret.slice(0, SECRET_PREFIX.length + 4) : null };
+}
+
+export const newWebhookSecret = () => `${SECRET_PREFIX}${nanoid(32)}`;
+
+/**
+ * One delivery of one event to one endpoint.
+ * status: pending (waiting for its next attempt) | sending (claimed until next_attempt_at)
+ *         | delivered | failed (out of attempts)
+ * log: one entry per attempt, { at, status_code, error, duration_ms }
+ */
+export function normalizeDelivery(d) {
+  if (!d) return null;
+  return {
+    id: d.id,
+    webhook_id: d.webhook_id,
+    event_id: d.event_id,
+    event: d.event,
+    payload: json(d.payload, null),
+    status: d.status || 'pending',
+    attempts: Number(d.attempts) || 0,
+    next_attempt_at: d.next_attempt_at ?? null,
+    last_status_code: d.last_status_code ?? null,
+    last_error: d.last_error ?? null,
+    log: json(d.log, []),
+    redelivery_of: d.redelivery_of ?? null,
+    created_at: d.created_at,
+    delivered_at: d.delivered_at ?? null
+  };
+}
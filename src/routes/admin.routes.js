@@ -0,0 +1,60 @@
+import express, { Router } from 'express';
+import apiKey, { requireScope } from '../middleware/apiKey.js';
+import rateLimit from '../middleware/rateLimit.js';
+import {
+  createApiKey, listApiKeys, getApiKey, updateApiKey, rotateApiKey, revokeApiKey
+} from '../controllers/keys.controller.js';
+import { listUsage } from '../controllers/usage.controller.js';
+import { exportAssets, importAssets } from '../controllers/sync.controller.js';
+import { reconcileGithubRepo } from '../controllers/reconcile.controller.js';
+import {
+  listGithubTargets, getGithubTarget, createGithubTarget, updateGithubTarget, deleteGithubTarget
+} from '../controllers/targets.controller.js';
+import {
+  createWebhookEndpoint, listWebhookEndpoints, getWebhookEndpoint, updateWebhookEndpoint, rotateWebhookSecret,
+  deleteWebhookEndpoint, listWebhookDeliveries, getWebhookDelivery, redeliverWebhookDelivery
+} from '../controllers/webhooks.controller.js';
+
+const r = Router();
+
+r.use(apiKey, rateLimit('key'));
+
+r.post('/keys', requireScope('admin:keys'), createApiKey);
+r.get('/keys', requireScope('admin:keys'), listApiKeys);
+r.get('/keys/:id', requireScope('admin:keys'), getApiKey);
+r.patch('/keys/:id', requireScope('admin:keys'), updateApiKey);
+r.post('/keys/:id/rotate', requireScope('admin:keys'), rotateApiKey);
+r.delete('/keys/:id', requireScope('admin:keys'), revokeApiKey);
+
+// stored bytes per key, against their quotas
+r.get('/usage', requireScope('admin:keys'), listUsage);
+
+// metadata export / import (JSON bodies go through the app-wide express.json)
+r.get('/export', requireScope('admin:data'), exportAssets);
+r.post('/import', requireScope('admin:data'),
+  express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '50mb' }), importAssets);
+
+// metadata vs. the GitHub repo
+r.post('/reconcile/github', requireScope('admin:data'), reconcileGithubRepo);
+
+// GitHub storage targets
+const targets = requireScope('admin:targets');
+r.get('/targets', targets, listGithubTargets);
+r.post('/targets', targets, createGithubTarget);
+r.get('/targets/:name', targets, getGithubTarget);
+r.patch('/targets/:name', targets, updateGithubTarget);
+r.delete('/targets/:name', targets, deleteGithubTarget);
+
+// webhook endpoints and their delivery log
+const hooks = requireScope('admin:webhooks');
+r.post('/webhooks', hooks, createWebhookEndpoint);
+r.get('/webhooks', hooks, listWebhookEndpoints);
+r.get('/webhooks/:id', hooks, getWebhookEndpoint);
+r.patch('/webhooks/:id', hooks, updateWebhookEndpoint);
+r.post('/webhooks/:id/rotate', hooks, rotateWebhookSecret);
+r.delete('/webhooks/:id', hooks, deleteWebhookEndpoint);
+r.get('/webhooks/:id/deliveries', hooks, listWebhookDeliveries);
+r.get('/webhooks/:id/deliveries/:delivery', hooks, getWebhookDelivery);
+r.post('/webhooks/:id/deliveries/:delivery/redeliver', hooks, redeliverWebhookDelivery);
+
+export default r;
@@ -1,19 +1,87 @@
 import { Router } from 'express';
 import multer from 'multer';
-import apiKey from '../middleware/apiKey.js';
-import { registerExisting, uploadGithubRegister, listRecent, resolveBySlug, deleteGithubAsset,listAllAssets } from '../controllers/assets.controller.js';
+import apiKey, { requireScope } from '../middleware/apiKey.js';
+import asyncJob from '../middleware/asyncJob.js';
+import rateLimit from '../middleware/rateLimit.js';
+import {
+  registerExisting, uploadAsset, uploadGithubRegister, uploadGithubBatch, listRecent, resolveBySlug,
+  deleteGithubAsset, listAssets, listTrash, updateAssetById, deleteAssetById, restoreAssetById
+} from '../controllers/assets.controller.js';
+import { streamAsset, signAssetUrl } from '../controllers/content.controller.js';
+import { verifyBySlug, verifyBatch } from '../controllers/integrity.controller.js';
+import {
+  initUpload, getUpload, putUploadPart, completeUpload, abortUpload
+} from '../controllers/uploads.controller.js';
+import { listAuditLog, exportAuditLog } from '../controllers/audit.controller.js';
+import {
+  listAssetVersions, addAssetVersion, rollbackAssetVersion, streamAssetVersion
+} from '../controllers/versions.controller.js';
+import { getJobById } from '../controllers/jobs.controller.js';
+import { getOwnUsage } from '../controllers/usage.controller.js';
+import {
+  listAssetCollections, getAssetCollection, createAssetCollection, updateAssetCollection, deleteAssetCollection
+} from '../controllers/collections.controller.js';
+import { listAssetTags, changeAssetTags } from '../controllers/tags.controller.js';
+import { searchAssets } from '../controllers/search.controller.js';
 
 const upload = multer({ dest: 'uploads/' });
 const r = Router();
 
-r.use(apiKey);
+r.use(apiKey, rateLimit('key'));
 
-r.post('/assets/register', registerExisting);
-r.post('/assets/github', upload.single('file'), uploadGithubRegister);
-r.get('/assets/recent', listRecent);
-r.get('/assets/:slug', resolveBySlug);
-r.delete('/assets/github', deleteGithubAsset);
-r.get('/assets', listAllAssets);
+const read = requireScope('assets:read');
+const write = requireScope('assets:write');
+const del = requireScope('assets:delete');
+// requests that write to storage (and spend the GitHub token's quota) draw on a smaller bucket
+const writes = rateLimit('write');
+
+r.post('/assets/register', write, registerExisting);
+r.post('/assets/upload', write, writes, upload.single('file'), asyncJob('asset.upload', uploadAsset));
+r.post('/assets/github', write, writes, upload.single('file'), asyncJob('asset.upload', uploadGithubRegister));
+r.post('/assets/github/batch', write, writes, upload.array('files'), asyncJob('asset.batch', uploadGithubBatch));
+r.post('/assets/verify', write, verifyBatch);
+r.get('/assets/recent', read, listRecent);
+r.get('/assets/trash', read, listTrash);
+r.get('/assets/search', read, searchAssets);
+r.get('/assets/:slug/content', read, streamAsset);
+r.post('/assets/:slug/verify', write, verifyBySlug);
+r.post('/assets/:slug/sign', read, signAssetUrl);
+r.get('/assets/:slug/versions', read, listAssetVersions);
+r.post('/assets/:slug/versions', write, writes, upload.single('file'), asyncJob('asset.version', addAssetVersion));
+r.post('/assets/:slug/versions/:version/rollback', write, rollbackAssetVersion);
+r.get('/assets/:slug/versions/:version/content', read, streamAssetVersion);
+r.get('/assets/:slug', read, resolveBySlug);
+r.delete('/assets/github', requireScope('github:delete'), writes, deleteGithubAsset);
+r.post('/assets/:id/tags', write, changeAssetTags);
+r.patch('/assets/:id', write, updateAssetById);
+r.delete('/assets/:id', del, deleteAssetById);
+r.post('/assets/:id/restore', del, restoreAssetById);
+r.get('/assets', read, listAssets);
+
+// collections (folders) and tags
+r.get('/collections', read, listAssetCollections);
+r.post('/collections', write, createAssetCollection);
+r.get('/collections/:ref', read, getAssetCollection);
+r.patch('/collections/:ref', write, updateAssetCollection);
+r.delete('/collections/:ref', del, deleteAssetCollection);
+r.get('/tags', read, listAssetTags);
+
+// chunked / resumable uploads
+r.post('/uploads', write, initUpload);
+r.get('/uploads/:id', write, getUpload);
+r.put('/uploads/:id/parts/:n', write, putUploadPart);
+r.post('/uploads/:id/complete', write, writes, asyncJob('upload.complete', completeUpload));
+r.delete('/uploads/:id', write, abortUpload);
+
+// work of requests answered 202 (async=true)
+r.get('/jobs/:id', getJobById);
+
+// what this key has stored, against its quotas
+r.get('/usage', getOwnUsage);
+
+// audit trail (read-only)
+r.get('/audit', requireScope('admin:audit'), listAuditLog);
+r.get('/audit/export', requireScope('admin:audit'), exportAuditLog);
 
 
 export default r;
@@ -0,0 +1,11 @@
+import { Router } from 'express';
+import { streamPublicAsset } from '../controllers/content.controller.js';
+import rateLimit from '../middleware/rateLimit.js';
+
+// Short links that need no API key (private assets need a signed link).
+const r = Router();
+
+// github assets are streamed with the GitHub token, so anonymous clients draw on the per-IP bucket too
+r.get('/a/:slug', rateLimit('ip'), streamPublicAsset);
+
+export default r;
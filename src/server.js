@@ -4,10 +4,24 @@ import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import assetsRoutes from './routes/assets.routes.js';
+import publicRoutes from './routes/public.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import requestContext from './middleware/requestContext.js';
+import rateLimit from './middleware/rateLimit.js';
 import swaggerUi from 'swagger-ui-express';
 import { loadOpenApi } from './docs.js';
+import { startVerifyJob } from './jobs/verify.job.js';
+import { startWebhookJob } from './jobs/webhook.job.js';
+import { startReconcileJob } from './jobs/reconcile.job.js';
+import { startSearchJob } from './jobs/search.job.js';
 
 const app = express();
+// behind a proxy/CDN, req.ip must come from X-Forwarded-For (signed URL IP binding relies on it)
+if (process.env.TRUST_PROXY) {
+  const tp = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(tp) ? Number(tp) : tp === 'true' ? true : tp);
+}
+app.use(requestContext);
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -21,8 +35,18 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(openapi, {
 }));
 
 app.get('/health', (_,res)=>res.json({ ok:true, service:'secure-asset-api' }));
+// per client IP, ahead of the per-key limits the routers add once the key is known (the
+// public router applies it to /a/:slug itself)
+app.use('/api/v1', rateLimit('ip'));
+app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1', assetsRoutes);
+app.use('/', publicRoutes);
 
 app.listen(process.env.PORT || 3000, () =>
   console.log(`Secure Asset API running on :${process.env.PORT || 3000}`)
 );
+
+startVerifyJob();
+startWebhookJob();
+startReconcileJob();
+startSearchJob();
@@ -0,0 +1,88 @@
+// src/services/audit.service.js
+import dayjs from 'dayjs';
+import { appendAudit, newAuditId } from '../models/audit.model.js';
+import { currentRequest } from '../middleware/requestContext.js';
+
+/**
+ * The audit trail: one append-only entry per change to assets, stored files, API keys, webhooks,
+ * GitHub targets and imported data. Who and where come from the request being handled (middleware/requestContext.js):
+ * actor is the API key id, plus the request id and client IP. Outside a request (verify job, CLI)
+ * the actor is 'system'.
+ *
+ * Asset changes are recorded by models/asset.model.js, so every route that writes an asset is
+ * covered; controllers record the rest.
+ */
+
+// bookkeeping that changes with every write and says nothing about what happened
+const IGNORED = new Set(['updated_at']);
+
+// ---- helpers ----------------------------------------------------------------
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * The fields that differ between two snapshots, as { before, after } holding just those keys.
+ * A creation (no before) keeps the whole new record; a removal (no after) the whole old one.
+ */
+export function diffFields(before, after) {
+  if (!before || !after) return { before: before ?? null, after: after ?? null };
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const out = { before: {}, after: {} };
+  for (const k of keys) {
+    if (IGNORED.has(k) || same(before[k], after[k])) continue;
+    out.before[k] = before[k] ?? null;
+    out.after[k] = after[k] ?? null;
+  }
+  return out;
+}
+
+// ---- recording --------------------------------------------------------------
+
+/**
+ * Append one entry. `before`/`after` are full snapshots; only their difference is kept.
+ * Never throws: by the time this runs the change has happened, so a failure is logged loudly
+ * instead of turning a completed request into an error.
+ */
+export async function recordAudit(action, {
+  target_type, target_id = null, target_slug = null, target_path = null,
+  before = null, after = null, commit_sha = null, details = null
+}) {
+  const req = currentRequest();
+  const entry = {
+    id: newAuditId(),
+    at: dayjs().toISOString(),
+    actor: req ? req.apiKey?.id ?? null : 'system',
+    action,
+    target_type,
+    target_id,
+    target_slug,
+    target_path,
+    ...diffFields(before, after),
+    commit_sha,
+    details,
+    request_id: req?.id ?? null,
+    ip: req?.ip ?? null
+  };
+  try {
+    return await appendAudit(entry);
+  } catch (e) {
+    console.error(`[audit] could not record ${action} ${target_type}:${target_id}:`, e?.message || e, JSON.stringify(entry));
+    return null;
+  }
+}
+
+// An asset change; the commit sha defaults to the one that wrote the asset's new bytes.
+export function auditAsset(action, before, after, { commit_sha, details } = {}) {
+  const a = after || before;
+  const wrote = after?.commit_sha && after.commit_sha !== before?.commit_sha ? after.commit_sha : null;
+  return recordAudit(action, {
+    target_type: 'asset',
+    target_id: a.id,
+    target_slug: a.slug,
+    target_path: a.path,
+    before,
+    after,
+    commit_sha: commit_sha ?? wrote,
+    details
+  });
+}
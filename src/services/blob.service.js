@@ -0,0 +1,106 @@
+// src/services/blob.service.js
+import { findBlob, findBlobAt, addBlobRef, releaseBlobRef } from '../models/blob.model.js';
+import { assetsAt } from '../models/asset.model.js';
+import { removeVariants } from './image.service.js';
+
+/**
+ * Content-addressed storage on top of the drivers: every (disk, sha256) is stored once and
+ * assets holding the same bytes reference that copy. `refcount` counts those assets; the bytes
+ * are only deleted when the last one is purged. Assets from before the index (or whose copy
+ * lives elsewhere) aren't counted and own their bytes outright.
+ *
+ * on_conflict, for an upload:
+ *   reuse      (default) identical bytes already stored -> reference them; a different file
+ *              already at the requested path -> 409
+ *   reject     409 for either case
+ *   overwrite  identical bytes -> reference them; otherwise write, replacing what's at the path,
+ *              unless that file is itself referenced by assets (409: overwriting would change them)
+ */
+export const ON_CONFLICT = ['reuse', 'reject', 'overwrite'];
+
+// where an asset's bytes are, as copied from a blob onto a new asset
+export function blobLocation(b) {
+  return {
+    path: b.path,
+    repo: b.repo,
+    branch: b.branch,
+    github_url: b.github_url,
+    cdn_url: b.cdn_url,
+    storage_strategy: b.storage_strategy,
+    storage_ref: b.storage_ref,
+    commit_sha: b.commit_sha,
+    variants: b.variants
+  };
+}
+
+async function pathOccupied(driver, loc) {
+  try {
+    return Boolean(await driver.stat(loc));
+  } catch (e) {
+    if (e?.code === 'FILE_NOT_FOUND') return false;
+    throw e;
+  }
+}
+
+/**
+ * Decide how to store `sha256` at `path`:
+ *   { reuse: blob }               reference an existing copy, write nothing
+ *   { write: true, overwrite? }   store the bytes (overwrite: replacing a file already at the path)
+ *   { conflict: message }         refuse (409)
+ * `canReuse(blob)` lets the caller veto copies it may not point at (e.g. key path restrictions);
+ * the upload then gets its own copy.
+ */
+export async function planStore({ disk, driver, sha256, path, branch = null, repo = null, onConflict = 'reuse', canReuse = () => true }) {
+  const existing = await findBlob(disk, sha256);
+  // a copy in another GitHub repo is no use to an upload aimed at this one
+  const sameRepo = !repo || !existing?.repo || existing.repo === repo;
+  if (existing && sameRepo && canReuse(existing)) {
+    if (onConflict === 'reject') return { conflict: 'Identical content is already stored' };
+    return { reuse: existing };
+  }
+
+  const occupant = await findBlobAt({ disk, path, branch, repo });
+  if (occupant) {
+    return { conflict: `Path '${path}' holds different content used by ${occupant.refcount} asset(s)` };
+  }
+  if (!(await pathOccupied(driver, { path, branch, repo }))) return { write: true };
+
+  if (onConflict === 'overwrite') return { write: true, overwrite: true };
+  return { conflict: `Path '${path}' already holds different content` };
+}
+
+/**
+ * Book-keeping once an asset pointing at `stored` is registered.
+ * Returns { reused, refcount } for the response.
+ */
+export async function recordStored({ disk, sha256, size, mime, stored, plan }) {
+  const { blob, counted } = await addBlobRef({ disk, sha256, size, mime, ...stored });
+  return { reused: Boolean(plan.reuse), refcount: counted ? blob.refcount : null };
+}
+
+/**
+ * Purge an asset's bytes (and their image variants) unless other assets still reference them.
+ * The copy is looked up by where the asset points, not by its sha256 (a re-hash may have changed
+ * that since the bytes were stored), and is never deleted while another asset that isn't purged
+ * points at the same location, counted or not.
+ * Returns the driver's delete result, or { path, shared: true, refcount } when kept.
+ */
+export async function releaseStored(a, driver, opts) {
+  const loc = { disk: a.disk, path: a.path, branch: a.branch, repo: a.repo };
+  const blob = await findBlobAt(loc);
+  if (blob) {
+    const left = await releaseBlobRef({ ...loc, sha256: blob.sha256 });
+    if (left?.refcount > 0) return { path: a.path, shared: true, refcount: left.refcount };
+  }
+  const others = (await assetsAt(loc)).filter(o => o.id !== a.id);
+  if (others.length) return { path: a.path, shared: true, refcount: others.length };
+
+  const result = await driver.delete(a, opts);
+  const variants = await removeVariants(a, driver, opts);
+  return variants.length ? { ...result, variants } : result;
+}
+
+// Assets still counted against the indexed copy at `loc` (0 when untracked).
+export async function refsAt(loc) {
+  return (await findBlobAt(loc))?.refcount ?? 0;
+}
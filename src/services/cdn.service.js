@@ -0,0 +1,56 @@
+// src/services/cdn.service.js
+import { getCdnProvider } from '../cdn/index.js';
+import { purgeHook } from '../cdn/common.js';
+import { targetForRepo, branchOf } from './targets.service.js';
+import { recordAudit } from './audit.service.js';
+
+/**
+ * CDN cache purging for GitHub files whose bytes changed under an unchanged URL: a path written
+ * again (on_conflict=overwrite) or deleted. The URL and the way to purge it come from the target
+ * writing to the repo (cdn_provider, cdn_base, cdn_purge_url). Each purge made is recorded in the
+ * audit trail as cdn.purge with its outcome; a failed purge is logged and reported, never thrown,
+ * since the write itself already happened.
+ */
+
+// ---- helpers ----------------------------------------------------------------
+
+// The branch URL of `path` and how to purge it; purge is null when nothing can be purged.
+export function cdnLocation({ owner, repo, branch, path }) {
+  const target = targetForRepo(`${owner}/${repo}`);
+  const provider = getCdnProvider(target?.cdn_provider);
+  const loc = { owner, repo, ref: branch || branchOf(target), path };
+  loc.url = provider.url(loc, { base: target?.cdn_base });
+  const purge = target?.cdn_purge_url
+    ? () => purgeHook(loc, target.cdn_purge_url)
+    : provider.purge && (() => provider.purge(loc));
+  return { provider: provider.name, loc, purge: purge || null };
+}
+
+// ---- purging ----------------------------------------------------------------
+
+/**
+ * Purge the branch URLs of `files` ([{ owner, repo, branch, path }]); `reason` is overwrite or
+ * delete. Resolves to one { url, provider, ok, status?, error? } per purge made.
+ */
+export async function purgeCdn(files, { reason }) {
+  const results = [];
+  for (const f of files) {
+    const { provider, loc, purge } = cdnLocation(f);
+    if (!purge) continue;
+    let result;
+    try {
+      const { status } = await purge();
+      result = { url: loc.url, provider, ok: true, status };
+    } catch (e) {
+      result = { url: loc.url, provider, ok: false, status: e?.response?.status ?? null, error: e?.message || String(e) };
+      console.warn(`[cdn] purge of ${loc.url} failed: ${result.error}`);
+    }
+    results.push(result);
+    await recordAudit('cdn.purge', {
+      target_type: 'github_file',
+      target_path: loc.path,
+      details: { repo: `${loc.owner}/${loc.repo}`, branch: loc.ref, reason, ...result }
+    });
+  }
+  return results;
+}
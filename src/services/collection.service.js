@@ -0,0 +1,60 @@
+// src/services/collection.service.js
+import { getCollection, findCollectionBySlug, listCollections } from '../models/collection.model.js';
+import { slugify } from '../utils/slugify.js';
+
+/**
+ * Collections are nested folders for assets, addressed by a path-like slug: 'brand/logos' sits
+ * in 'brand', which has to exist first. An asset is filed in at most one (asset.collection_id);
+ * moving it, or renaming a collection, never moves stored files.
+ * What a collection sets applies to uploads filed into it that don't say otherwise, and so do the
+ * settings of the collections above it that it leaves unset (the nearest one wins):
+ *   repo_path_prefix  GitHub uploads are stored under it (inside the target's own prefix);
+ *                     with it, repo_path may be left out and the asset's slug is used
+ *   visibility        the asset's visibility
+ */
+
+export const MAX_DEPTH = 8;
+
+// ' Brand / Logos 2024/ ' -> 'brand/logos-2024'; '' when nothing is left
+export function normalizeCollectionSlug(slug) {
+  return String(slug || '').split('/').map(s => slugify(s)).filter(Boolean).join('/');
+}
+
+// 'img//logos' -> 'img/logos/', like a target prefix (services/targets.service.js)
+export function normalizeRepoPathPrefix(prefix) {
+  const p = String(prefix || '').split('/').filter(Boolean).join('/');
+  return p ? `${p}/` : null;
+}
+
+// A collection by id, or by slug ('brand/logos'); null when neither matches.
+export async function resolveCollection(ref) {
+  if (!ref) return null;
+  const byId = /^[\w-]+$/.test(ref) ? await getCollection(ref) : null;
+  return byId ?? findCollectionBySlug(normalizeCollectionSlug(ref));
+}
+
+// ids of `c` and every collection nested under it
+export async function subtreeIds(c) {
+  const all = await listCollections();
+  return all.filter(o => o.id === c.id || o.slug.startsWith(`${c.slug}/`)).map(o => o.id);
+}
+
+// { repo_path_prefix, visibility } for uploads filed into `c`: each from `c` itself, or else from
+// the nearest collection above it that sets it; null where none does (or without a collection)
+export async function uploadDefaults(c) {
+  const out = { repo_path_prefix: null, visibility: null };
+  const parts = c ? c.slug.split('/') : [];
+  for (let n = parts.length; n > 0 && !(out.repo_path_prefix && out.visibility); n--) {
+    const o = n === parts.length ? c : await findCollectionBySlug(parts.slice(0, n).join('/'));
+    out.repo_path_prefix ??= o?.repo_path_prefix ?? null;
+    out.visibility ??= o?.visibility ?? null;
+  }
+  return out;
+}
+
+// `path` under the repo_path_prefix of uploadDefaults() (left alone when it's already there)
+export function inCollection(defaults, path) {
+  const p = String(path).replace(/^\/+/, '');
+  const prefix = defaults?.repo_path_prefix;
+  return !prefix || p.startsWith(prefix) ? p : `${prefix}${p}`;
+}
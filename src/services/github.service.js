@@ -1,92 +1,447 @@
 // src/services/github.service.js
+import fs from 'fs';
 import axios from 'axios';
+import { tokenFor } from './targets.service.js';
+import { cdnLocation } from './cdn.service.js';
 
-const gh = axios.create({
-  baseURL: 'https://api.github.com',
-  headers: {
-    Authorization: `Bearer ${process.env.GITHUB_TOKEN}`,
-    'User-Agent': 'secure-asset-api',
-    Accept: 'application/vnd.github+json'
-  },
-  timeout: 20000
-});
+// ---- client -----------------------------------------------------------------
+// GitHub answers a spent quota with 403 or 429 and says when to come back: Retry-After, or
+// X-RateLimit-Reset once X-RateLimit-Remaining is 0 (secondary limits may only say so in the
+// message). Such requests are sent again after that wait; so are reads that hit a network error or
+// a 5xx, with jittered exponential backoff. Writes that may have reached GitHub are not repeated.
+// A wait over MAX_WAIT_MS fails right away instead, with code GITHUB_RATE_LIMITED (retry_after: seconds).
+
+const MAX_RETRIES = Number(process.env.ASSET_GH_MAX_RETRIES ?? 4);
+const MAX_WAIT_MS = (Number(process.env.ASSET_GH_MAX_WAIT_SEC) || 60) * 1000;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 10_000;
+const SECONDARY_WAIT_MS = 60_000; // GitHub's advice when a secondary limit gives no time
+const RETRY_METHODS = new Set(['get', 'head']);
+const RETRY_STATUS = new Set([500, 502, 503, 504]);
+const RETRY_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// anywhere up to BACKOFF_BASE_MS * 2^attempt, so retries from one outage spread out
+const backoff = (attempt) => Math.round(Math.random() * Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS));
+
+function rateLimited(ms) {
+  const retryAfter = Math.ceil(ms / 1000);
+  const err = new Error(`GitHub rate limit reached; try again in ${retryAfter}s`);
+  err.code = 'GITHUB_RATE_LIMITED';
+  err.retry_after = retryAfter;
+  return err;
+}
+
+// ms to wait before sending again, or null when `res` isn't a rate limit answer
+function rateLimitWait(res) {
+  if (res?.status !== 403 && res?.status !== 429) return null;
+  const h = res.headers || {};
+  if (h['retry-after'] != null && Number.isFinite(Number(h['retry-after']))) return Number(h['retry-after']) * 1000;
+  if (h['x-ratelimit-remaining'] === '0' && h['x-ratelimit-reset']) {
+    return Math.max(0, Number(h['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+  }
+  if (res.status === 429 || /secondary rate limit/i.test(res.data?.message || '')) return SECONDARY_WAIT_MS;
+  return null; // a plain 403: no access
+}
+
+// the core quota per token, from the headers of its last answer; { remaining, reset_ms }
+const quotas = new Map();
+
+function noteQuota(token, res) {
+  const h = res?.headers;
+  if (!h?.['x-ratelimit-remaining'] || (h['x-ratelimit-resource'] && h['x-ratelimit-resource'] !== 'core')) return;
+  quotas.set(token, { remaining: Number(h['x-ratelimit-remaining']), reset_ms: Number(h['x-ratelimit-reset']) * 1000 });
+}
+
+// hold a request back while its token's quota is known to be spent
+async function awaitQuota(token) {
+  const q = quotas.get(token);
+  if (!q || q.remaining > 0 || q.reset_ms <= Date.now()) return;
+  const ms = q.reset_ms - Date.now() + 1000;
+  if (ms > MAX_WAIT_MS) throw rateLimited(ms);
+  await sleep(ms);
+}
+
+async function retry(client, err) {
+  const config = err.config;
+  if (!config) throw err;
+  const attempt = config.retryAttempt || 0;
+  const replayable = typeof config.data?.pipe !== 'function'; // a streamed body is gone after one try
+
+  let ms = null;
+  const wait = rateLimitWait(err.response);
+  if (wait != null) {
+    if (wait > MAX_WAIT_MS || attempt >= MAX_RETRIES || !replayable) throw rateLimited(wait);
+    ms = wait + backoff(0);
+  } else if (
+    attempt < MAX_RETRIES && replayable && RETRY_METHODS.has(config.method) &&
+    (RETRY_STATUS.has(err.response?.status) || (!err.response && RETRY_CODES.has(err.code)))
+  ) {
+    ms = backoff(attempt + 1);
+  }
+  if (ms == null) throw err;
+  await sleep(ms);
+  return client.request({ ...config, retryAttempt: attempt + 1 });
+}
+
+// REST API root; GitHub Enterprise Server's is https://HOST/api/v3 (tests point it at a local mock)
+const API_URL = process.env.ASSET_GH_API_URL || 'https://api.github.com';
+
+// one client per token; the token is the one of the target writing to owner/repo (services/targets.service.js)
+const clients = new Map();
+function gh(owner, repo) {
+  const token = tokenFor(owner, repo);
+  let client = clients.get(token);
+  if (!client) {
+    client = axios.create({
+      baseURL: API_URL,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'User-Agent': 'secure-asset-api',
+        Accept: 'application/vnd.github+json'
+      },
+      timeout: 20000
+    });
+    client.interceptors.request.use(async (config) => {
+      await awaitQuota(token);
+      return config;
+    });
+    client.interceptors.response.use(
+      (res) => {
+        noteQuota(token, res);
+        return res;
+      },
+      (err) => {
+        noteQuota(token, err.response);
+        return retry(client, err);
+      }
+    );
+    clients.set(token, client);
+  }
+  return client;
+}
+
+// ---- repo and branch info ---------------------------------------------------
+// Looked up before every write, so kept for REPO_CACHE_MS. Only answers worth keeping are:
+// an empty repo or a missing branch may be fixed any moment.
+
+const REPO_CACHE_MS = (Number(process.env.ASSET_GH_REPO_CACHE_SEC) || 300) * 1000;
+const infoCache = new Map();
+
+function cached(key, load, keep) {
+  const hit = infoCache.get(key);
+  if (hit && hit.at > Date.now() - REPO_CACHE_MS) return hit.value;
+  const entry = { at: Date.now(), value: load() };
+  infoCache.set(key, entry);
+  const drop = () => { if (infoCache.get(key) === entry) infoCache.delete(key); };
+  entry.value.then((v) => { if (!keep(v)) drop(); }, drop);
+  return entry.value;
+}
+
+// after a write fails in a way that may mean the repo or branch changed
+function forgetRepo(owner, repo) {
+  const prefix = `${owner}/${repo}`.toLowerCase();
+  for (const key of infoCache.keys()) {
+    if (key === prefix || key.startsWith(`${prefix}@`)) infoCache.delete(key);
+  }
+}
 
 // Get repo info (verifies repo + token + returns default_branch)
 export async function getRepoInfo(owner, repo) {
-  const { data } = await gh.get(`/repos/${owner}/${repo}`);
-  return data; // includes .default_branch and .size (0 if empty)
+  return cached(`${owner}/${repo}`.toLowerCase(), async () => {
+    const { data } = await gh(owner, repo).get(`/repos/${owner}/${repo}`);
+    return data; // includes .default_branch and .size (0 if empty)
+  }, (info) => info.size !== 0);
 }
 
 // Try to get branch; return null on 404 instead of throwing
-async function tryGetBranch(owner, repo, branch) {
+function tryGetBranch(owner, repo, branch) {
+  return cached(`${owner}/${repo}@${branch}`.toLowerCase(), async () => {
+    try {
+      const { data } = await gh(owner, repo).get(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+      return data;
+    } catch (e) {
+      if (e?.response?.status === 404) return null;
+      throw e;
+    }
+  }, Boolean);
+}
+
+// ---- write serialization ----------------------------------------------------
+// Writes to one branch go one at a time (within this process): Contents API commits racing on a
+// branch fail with 409, and a tree commit can't be fast-forwarded once another write moved the branch.
+
+const branchQueues = new Map();
+
+/**
+ * Wait for the branch to be free and take it; resolves to the function that lets it go.
+ * Not reentrant: code holding a branch must not call uploadToGitHub / deleteFromGitHub on it.
+ */
+export async function lockBranch({ owner, repo, branch }) {
+  const key = `${owner}/${repo}@${branch}`.toLowerCase();
+  const prev = branchQueues.get(key) ?? Promise.resolve();
+  let release;
+  const held = new Promise(r => { release = r; });
+  const tail = prev.then(() => held);
+  branchQueues.set(key, tail);
+  await prev;
+  return () => {
+    release();
+    if (branchQueues.get(key) === tail) branchQueues.delete(key);
+  };
+}
+
+async function withBranchLock(location, fn) {
+  const unlock = await lockBranch(location);
   try {
-    const { data } = await gh.get(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
-    return data;
-  } catch (e) {
-    if (e?.response?.status === 404) return null;
-    throw e;
+    return await fn();
+  } finally {
+    unlock();
   }
 }
 
+// What a write does when the branch it names doesn't exist:
+//   strict    fail (code BRANCH_NOT_FOUND)
+//   fallback  write to the repo's default branch instead (the branch written is returned)
+//   create    create it from the default branch's head
+export const BRANCH_POLICIES = ['strict', 'fallback', 'create'];
+export const DEFAULT_BRANCH_POLICY = process.env.ASSET_GH_BRANCH_POLICY || 'strict';
+if (!BRANCH_POLICIES.includes(DEFAULT_BRANCH_POLICY)) {
+  throw new Error(`ASSET_GH_BRANCH_POLICY must be one of: ${BRANCH_POLICIES.join(', ')}`);
+}
+
 /**
- * Upload a file to GitHub (create/update).
- * - Auto-detect default branch if none provided
- * - If requested branch doesn't exist, fall back to default branch
- * - If repo is empty (size === 0), explain clearly (contents API cannot create the first commit)
+ * Branch a write should land on: `branch`, or the repo's default branch when none is given.
+ * A missing branch is handled by `policy` (BRANCH_POLICIES).
+ * An empty repo (size === 0) fails with code EMPTY_REPO: the API cannot create the first commit.
  */
-export async function uploadToGitHub({ owner, repo, branch, path, contentBase64, message, committer }) {
+export async function resolveWriteBranch(owner, repo, branch, policy = DEFAULT_BRANCH_POLICY) {
   const info = await getRepoInfo(owner, repo); // throws 404 if bad owner/repo or no access
   const defaultBranch = info.default_branch;   // e.g., 'main' or 'master'
-  const repoIsEmpty = (info.size === 0);
 
-  if (repoIsEmpty) {
-    // The Contents API cannot create the very first commit in an empty repo.
+  if (info.size === 0) {
     const help = `GitHub repo '${owner}/${repo}' is empty. Initialize it with any file (README.md) on GitHub first.`;
     const err = new Error(help);
     err.code = 'EMPTY_REPO';
     throw err;
   }
 
-  // Resolve the branch
-  let targetBranch = branch || defaultBranch;
-  // If user supplied a custom branch that doesn't exist, fall back to default
-  const branchExists = await tryGetBranch(owner, repo, targetBranch);
-  if (!branchExists) {
-    targetBranch = defaultBranch;
+  const targetBranch = branch || defaultBranch;
+  if (await tryGetBranch(owner, repo, targetBranch)) return targetBranch;
+  if (policy === 'fallback') return defaultBranch;
+  if (policy === 'create') {
+    await createBranch({ owner, repo, branch: targetBranch, from: defaultBranch });
+    return targetBranch;
   }
+  const err = new Error(`Branch '${targetBranch}' does not exist in ${owner}/${repo}`);
+  err.code = 'BRANCH_NOT_FOUND';
+  throw err;
+}
 
-  // Determine if file already exists (to include sha)
-  let sha = undefined;
+/**
+ * Create `branch` at commit `sha`, or at the head of branch `from`.
+ * A branch that already exists (e.g. made by a concurrent request) is left as it is.
+ */
+export async function createBranch({ owner, repo, branch, from, sha }) {
+  if (!sha) {
+    const { data: ref } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/ref/heads/${encodeURIComponent(from)}`);
+    sha = ref.object.sha;
+  }
   try {
-    const { data } = await gh.get(
-      `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${encodeURIComponent(targetBranch)}`
+    await gh(owner, repo).post(`/repos/${owner}/${repo}/git/refs`, { ref: `refs/heads/${branch}`, sha });
+  } catch (e) {
+    if (e?.response?.status !== 422 || !/already exists/i.test(e.response.data?.message || '')) throw e;
+  }
+  infoCache.delete(`${owner}/${repo}@${branch}`.toLowerCase());
+  return { branch, sha };
+}
+
+/**
+ * Open a pull request merging `head` into `base`.
+ * Resolves to { number, url, head, base }.
+ */
+export async function openPullRequest({ owner, repo, head, base, title, body }) {
+  const { data } = await gh(owner, repo).post(`/repos/${owner}/${repo}/pulls`, { title, head, base, body });
+  return { number: data.number, url: data.html_url, head, base };
+}
+
+/**
+ * Close pull request `number` without merging it (e.g. when the upload it was opened for is
+ * undone). Delete its head branch separately, with deleteBranch.
+ */
+export async function closePullRequest({ owner, repo, number }) {
+  await gh(owner, repo).patch(`/repos/${owner}/${repo}/pulls/${number}`, { state: 'closed' });
+}
+
+// Delete `branch`; one that's already gone is fine.
+export async function deleteBranch({ owner, repo, branch }) {
+  try {
+    await gh(owner, repo).delete(`/repos/${owner}/${repo}/git/refs/heads/${encodeURIComponent(branch)}`);
+  } catch (e) {
+    if (![404, 422].includes(e?.response?.status)) throw e;
+  }
+  infoCache.delete(`${owner}/${repo}@${branch}`.toLowerCase());
+}
+
+function pathExists(path) {
+  const err = new Error(`Path '${path}' already holds different content`);
+  err.code = 'PATH_EXISTS';
+  err.status = 409;
+  return err;
+}
+
+// blob sha of the file at `path` on `branch`, null when there is none
+async function fileSha(owner, repo, branch, path) {
+  try {
+    const { data } = await gh(owner, repo).get(
+      `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${encodeURIComponent(branch)}`
     );
-    sha = data.sha;
+    return data.sha ?? null;
   } catch (e) {
-    // 404 here = new file; that's fine
-    if (e?.response?.status && e.response.status !== 404) throw e;
+    if (e?.response?.status === 404) return null;
+    throw e;
   }
+}
+
+/**
+ * Upload a file to GitHub (create/update) via the Contents API; one commit per file.
+ * Branch resolution as in resolveWriteBranch; `branch` in the result is the one written to. `replaced` says whether a file was already there.
+ * Most uploads are new files, so the file is first sent without a sha. GitHub answers 422 when
+ * one exists (409 when the sha is stale, e.g. another instance wrote it meanwhile). With
+ * `overwrite` its sha is then fetched and the write sent again; otherwise the upload fails with
+ * code PATH_EXISTS (status 409) and the file is left alone.
+ */
+export async function uploadToGitHub({ owner, repo, branch, path, contentBase64, message, committer, overwrite = false }) {
+  const targetBranch = await resolveWriteBranch(owner, repo, branch);
 
   const payload = {
     message: message || `chore(asset): upload ${path}`,
     content: contentBase64,
     branch: targetBranch,
-    sha,
     committer: committer || { name: owner, email: `${owner}@users.noreply.github.com` }
   };
 
-  const { data } = await gh.put(
-    `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}`,
-    payload
-  );
+  return withBranchLock({ owner, repo, branch: targetBranch }, async () => {
+    let sha;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const { data } = await gh(owner, repo).put(
+          `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}`,
+          { ...payload, sha }
+        );
+        return {
+          contentUrl: data.content?.html_url,
+          sha: data.content?.sha,
+          branch: targetBranch,
+          commit_sha: data.commit?.sha ?? null,
+          replaced: Boolean(sha)
+        };
+      } catch (e) {
+        const status = e?.response?.status;
+        if (status === 404) forgetRepo(owner, repo);
+        if ((status !== 422 && status !== 409) || attempt >= 3) throw e;
+        const current = await fileSha(owner, repo, targetBranch, path);
+        if (!current || current === sha) throw e; // refused for another reason
+        if (!overwrite) throw pathExists(path);
+        sha = current;
+      }
+    }
+  });
+}
+
+/**
+ * Write many files as one commit with the Git Data API (blobs -> tree -> commit).
+ * The branch ref is NOT moved here: call updateBranchRef with the returned commit sha
+ * once the caller is ready to publish it. Until then the commit is unreachable and harmless.
+ * Callers hold lockBranch on the resolved branch (resolveWriteBranch) from here until the ref
+ * update, so no other write from this process moves the branch in between.
+ * files: [{ path, contentBase64 }]
+ */
+export async function createTreeCommit({ owner, repo, branch, files, message, committer }) {
+  const targetBranch = await resolveWriteBranch(owner, repo, branch);
+
+  const { data: ref } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/ref/heads/${encodeURIComponent(targetBranch)}`);
+  const parent = ref.object.sha;
+  const { data: parentCommit } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/commits/${parent}`);
+
+  const tree = [];
+  for (const f of files) {
+    const { data: blob } = await gh(owner, repo).post(`/repos/${owner}/${repo}/git/blobs`, {
+      content: f.contentBase64,
+      encoding: 'base64'
+    });
+    tree.push({ path: f.path, mode: '100644', type: 'blob', sha: blob.sha });
+  }
+
+  const { data: newTree } = await gh(owner, repo).post(`/repos/${owner}/${repo}/git/trees`, {
+    base_tree: parentCommit.tree.sha,
+    tree
+  });
+
+  const { data: commit } = await gh(owner, repo).post(`/repos/${owner}/${repo}/git/commits`, {
+    message: message || `chore(asset): upload ${files.length} files`,
+    tree: newTree.sha,
+    parents: [parent],
+    committer: committer || { name: owner, email: `${owner}@users.noreply.github.com` }
+  });
+
+  return {
+    branch: targetBranch,
+    parent,
+    commit_sha: commit.sha,
+    commit_url: commit.html_url,
+    blobs: tree.map(t => ({ path: t.path, sha: t.sha }))
+  };
+}
 
-  return { contentUrl: data.content?.html_url, sha: data.content?.sha, branch: targetBranch };
+// Fast-forward a branch to `sha`; fails (422) if the branch moved since the commit was built.
+export async function updateBranchRef({ owner, repo, branch, sha }) {
+  const { data } = await gh(owner, repo).patch(`/repos/${owner}/${repo}/git/refs/heads/${encodeURIComponent(branch)}`, {
+    sha,
+    force: false
+  });
+  return data;
+}
+
+/**
+ * Every file on a branch via the Git Trees API: { commit_sha, files: [{ path, sha, size }] }
+ * (sha is the git blob sha). GitHub truncates very large recursive listings; the tree is then
+ * walked one directory at a time instead. 404 when the repo or branch doesn't exist.
+ */
+export async function listRepoTree({ owner, repo, branch }) {
+  const { data: ref } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/ref/heads/${encodeURIComponent(branch)}`);
+  const commit_sha = ref.object.sha;
+  const { data: commit } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/commits/${commit_sha}`);
+
+  const blobs = (entries, prefix = '') => entries
+    .filter(e => e.type === 'blob')
+    .map(e => ({ path: prefix + e.path, sha: e.sha, size: e.size ?? null }));
+
+  const { data: full } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/trees/${commit.tree.sha}?recursive=1`);
+  if (!full.truncated) return { commit_sha, files: blobs(full.tree) };
+
+  const files = [];
+  const pending = [{ sha: commit.tree.sha, prefix: '' }];
+  while (pending.length) {
+    const { sha, prefix } = pending.pop();
+    const { data } = await gh(owner, repo).get(`/repos/${owner}/${repo}/git/trees/${sha}`);
+    files.push(...blobs(data.tree, prefix));
+    for (const e of data.tree) {
+      if (e.type === 'tree') pending.push({ sha: e.sha, prefix: `${prefix}${e.path}/` });
+    }
+  }
+  return { commit_sha, files };
+}
+
+export function makeGithubUrl({ owner, repo, branch, path }) {
+  return `https://github.com/${owner}/${repo}/blob/${branch}/${path}`;
 }
 
+// `branch` may also be a commit sha: the CDN then serves that exact revision (pinned URL).
+// Provider, base and default branch are those of the target writing to owner/repo (cdn/index.js).
 export function makeCdnUrl({ owner, repo, branch, path }) {
-  const base = process.env.ASSET_CDN_BASE || 'https://cdn.jsdelivr.net/gh';
-  const b = branch || process.env.ASSET_DEFAULT_BRANCH || 'main';
-  return `${base}/${owner}/${repo}@${b}/${path}`.replace(/([^:]\/)\/+/g, '$1');
+  return cdnLocation({ owner, repo, branch, path }).loc.url;
 }
 
 // 
@@ -96,13 +451,51 @@ export async function deleteFromGitHub({ owner, repo, branch, path, message, com
   const info = await getRepoInfo(owner, repo);
   const targetBranch = branch || info.default_branch;
 
-  // find current blob sha
-  let sha;
-  try {
-    const { data } = await gh.get(
-      `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}?ref=${encodeURIComponent(targetBranch)}`
+  return withBranchLock({ owner, repo, branch: targetBranch }, async () => {
+    // find current blob sha
+    const sha = await fileSha(owner, repo, targetBranch, path);
+    if (!sha) {
+      const err = new Error('File not found in repository');
+      err.code = 'FILE_NOT_FOUND';
+      throw err;
+    }
+
+    const payload = {
+      message: message || `chore(asset): delete ${path}`,
+      sha,
+      branch: targetBranch,
+      committer: committer || { name: owner, email: `${owner}@users.noreply.github.com` }
+    };
+
+    const { data } = await gh(owner, repo).delete(
+      `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}`,
+      { data: payload }
     );
-    sha = data.sha;
+
+    return {
+      path,
+      branch: targetBranch,
+      commit_sha: data.commit?.sha,
+      commit_url: data.commit?.html_url
+    };
+  });
+}
+
+// Stream a file's raw bytes from the Contents API.
+// `range` is passed through as-is; GitHub may ignore it and answer 200 with the full body.
+export async function downloadFromGitHub({ owner, repo, branch, path, range }) {
+  const ref = branch ? `?ref=${encodeURIComponent(branch)}` : '';
+  try {
+    const res = await gh(owner, repo).get(`/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}${ref}`, {
+      headers: { Accept: 'application/vnd.github.raw', ...(range ? { Range: range } : {}) },
+      responseType: 'stream',
+      timeout: 0
+    });
+    return {
+      stream: res.data,
+      partial: res.status === 206,
+      headers: res.headers
+    };
   } catch (e) {
     if (e?.response?.status === 404) {
       const err = new Error('File not found in repository');
@@ -111,23 +504,178 @@ export async function deleteFromGitHub({ owner, repo, branch, path, message, com
     }
     throw e;
   }
+}
 
-  const payload = {
-    message: message || `chore(asset): delete ${path}`,
-    sha,
-    branch: targetBranch,
-    committer: committer || { name: owner, email: `${owner}@users.noreply.github.com` }
-  };
+// File metadata (size + blob sha) without the content; null on 404.
+export async function statGitHubFile({ owner, repo, branch, path }) {
+  const ref = branch ? `?ref=${encodeURIComponent(branch)}` : '';
+  try {
+    const { data } = await gh(owner, repo).get(`/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}${ref}`);
+    if (Array.isArray(data) || data.type !== 'file') return null;
+    return { size: data.size, sha: data.sha, html_url: data.html_url };
+  } catch (e) {
+    if (e?.response?.status === 404) return null;
+    throw e;
+  }
+}
+
+// ---- large files: Releases assets and Git LFS --------------------------------
+// The Contents API wants the whole file base64-encoded in one JSON body (and refuses ~100MB+),
+// so bigger files are streamed to a release asset or an LFS object instead.
+
+export const CONTENTS_MAX_BYTES = Number(process.env.ASSET_GH_CONTENTS_MAX_BYTES) || 25 * 1024 * 1024;
+
+function notFoundError(msg) {
+  const err = new Error(msg);
+  err.code = 'FILE_NOT_FOUND';
+  return err;
+}
+
+// Release used as a bucket for large assets; created on first use.
+async function getOrCreateRelease(owner, repo, tag) {
+  try {
+    const { data } = await gh(owner, repo).get(`/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+    return data;
+  } catch (e) {
+    if (e?.response?.status !== 404) throw e;
+  }
+  const { data } = await gh(owner, repo).post(`/repos/${owner}/${repo}/releases`, {
+    tag_name: tag,
+    name: tag,
+    body: 'Large files stored by secure-asset-api. Do not edit by hand.'
+  });
+  return data;
+}
+
+// Release asset names are flat; keep the repo path readable in them.
+export function releaseAssetName(path) {
+  return String(path).replace(/^\/+/, '').replace(/\//g, '--');
+}
 
-  const { data } = await gh.delete(
-    `/repos/${owner}/${repo}/contents/${encodeURIComponent(path)}`,
-    { data: payload }
+/**
+ * Stream a file from disk into a release asset (replacing one with the same name).
+ * Returns { id, name, browser_download_url, html_url }.
+ */
+export async function uploadReleaseAsset({ owner, repo, tag, name, file, size, mime }) {
+  const release = await getOrCreateRelease(owner, repo, tag);
+
+  const existing = (release.assets || []).find(a => a.name === name);
+  if (existing) await gh(owner, repo).delete(`/repos/${owner}/${repo}/releases/assets/${existing.id}`);
+
+  const { data } = await gh(owner, repo).post(
+    `https://uploads.github.com/repos/${owner}/${repo}/releases/${release.id}/assets?name=${encodeURIComponent(name)}`,
+    fs.createReadStream(file),
+    {
+      headers: { 'Content-Type': mime || 'application/octet-stream', 'Content-Length': size },
+      maxBodyLength: Infinity,
+      timeout: 0
+    }
   );
+  return { id: data.id, name: data.name, browser_download_url: data.browser_download_url, html_url: release.html_url };
+}
 
-  return {
+export async function downloadReleaseAsset({ owner, repo, id, range }) {
+  try {
+    // answers with a redirect to storage; follow-redirects drops our Authorization on the way
+    const res = await gh(owner, repo).get(`/repos/${owner}/${repo}/releases/assets/${id}`, {
+      headers: { Accept: 'application/octet-stream', ...(range ? { Range: range } : {}) },
+      responseType: 'stream',
+      timeout: 0
+    });
+    return { stream: res.data, partial: res.status === 206, headers: res.headers };
+  } catch (e) {
+    if (e?.response?.status === 404) throw notFoundError('Release asset not found');
+    throw e;
+  }
+}
+
+export async function statReleaseAsset({ owner, repo, id }) {
+  try {
+    const { data } = await gh(owner, repo).get(`/repos/${owner}/${repo}/releases/assets/${id}`);
+    return { size: data.size, id: data.id, updated_at: data.updated_at };
+  } catch (e) {
+    if (e?.response?.status === 404) return null;
+    throw e;
+  }
+}
+
+export async function deleteReleaseAsset({ owner, repo, id }) {
+  try {
+    await gh(owner, repo).delete(`/repos/${owner}/${repo}/releases/assets/${id}`);
+  } catch (e) {
+    if (e?.response?.status === 404) throw notFoundError('Release asset not found');
+    throw e;
+  }
+  return { id };
+}
+
+// Git LFS batch API (https://github.com/git-lfs/git-lfs/blob/main/docs/api/batch.md)
+async function lfsBatch({ owner, repo, operation, oid, size }) {
+  const { data } = await axios.post(
+    `https://github.com/${owner}/${repo}.git/info/lfs/objects/batch`,
+    { operation, transfers: ['basic'], objects: [{ oid, size }] },
+    {
+      auth: { username: 'x-access-token', password: tokenFor(owner, repo) },
+      headers: { Accept: 'application/vnd.git-lfs+json', 'Content-Type': 'application/vnd.git-lfs+json' },
+      timeout: 20000
+    }
+  );
+  const obj = data.objects?.[0];
+  if (obj?.error) {
+    const err = new Error(`LFS ${operation} failed: ${obj.error.message}`);
+    if (obj.error.code === 404) err.code = 'FILE_NOT_FOUND';
+    throw err;
+  }
+  return obj?.actions || {};
+}
+
+export function lfsPointer({ oid, size }) {
+  return `version https://git-lfs.github.com/spec/v1\noid sha256:${oid}\nsize ${size}\n`;
+}
+
+/**
+ * Upload the object to LFS storage (skipped when the server already has it), then commit
+ * the pointer file at `path`. The repo needs a matching .gitattributes `filter=lfs` rule
+ * for GitHub to treat the pointer as LFS content.
+ */
+export async function uploadLfsFile({ owner, repo, branch, path, file, size, oid, message, overwrite }) {
+  const actions = await lfsBatch({ owner, repo, operation: 'upload', oid, size });
+
+  if (actions.upload) {
+    await axios.put(actions.upload.href, fs.createReadStream(file), {
+      headers: { ...(actions.upload.header || {}), 'Content-Type': 'application/octet-stream', 'Content-Length': size },
+      maxBodyLength: Infinity,
+      timeout: 0
+    });
+  }
+  if (actions.verify) {
+    await axios.post(actions.verify.href, { oid, size }, {
+      headers: { ...(actions.verify.header || {}), 'Content-Type': 'application/vnd.git-lfs+json' }
+    });
+  }
+
+  return uploadToGitHub({
+    owner,
+    repo,
+    branch,
     path,
-    branch: targetBranch,
-    commit_sha: data.commit?.sha,
-    commit_url: data.commit?.html_url
-  };
+    contentBase64: Buffer.from(lfsPointer({ oid, size })).toString('base64'),
+    message,
+    overwrite
+  });
+}
+
+export async function downloadLfsObject({ owner, repo, oid, size, range }) {
+  const actions = await lfsBatch({ owner, repo, operation: 'download', oid, size });
+  if (!actions.download) throw notFoundError('LFS object not found');
+  const res = await axios.get(actions.download.href, {
+    headers: { ...(actions.download.header || {}), ...(range ? { Range: range } : {}) },
+    responseType: 'stream',
+    timeout: 0
+  });
+  return { stream: res.data, partial: res.status === 206, headers: res.headers };
+}
+
+export function makeLfsMediaUrl({ owner, repo, branch, path }) {
+  return `https://media.githubusercontent.com/media/${owner}/${repo}/${branch}/${path}`;
 }
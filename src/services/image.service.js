@@ -0,0 +1,257 @@
+// src/services/image.service.js
+import fs from 'fs';
+import fse from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { z } from 'zod';
+import { nanoid } from 'nanoid';
+
+/**
+ * Image derivatives.
+ *   variants   preset renditions (thumb/medium/og by default) made at upload and stored next to
+ *              the original: img/logo.png -> img/logo.thumb.webp, img/logo.og.jpeg, ...
+ *   transform  on-demand resize/convert for GET /a/:slug?w=&h=&fit=&format=, cached on disk by
+ *              sha256 + params. The cache only holds derived data and can be deleted at any time.
+ * Decoding is capped at MAX_PIXELS (width x height, checked from the header before decoding)
+ * so a small file can't expand into gigabytes of memory.
+ */
+
+const MiB = 1024 * 1024;
+
+export const MAX_PIXELS = Number(process.env.ASSET_IMAGE_MAX_PIXELS) || 40_000_000;
+export const MAX_INPUT_BYTES = Number(process.env.ASSET_IMAGE_MAX_INPUT_BYTES) || 50 * MiB;
+const MAX_DIMENSION = 4096;
+const CACHE_DIR = path.resolve(process.env.ASSET_IMAGE_CACHE_DIR || path.join(process.cwd(), 'uploads', 'image-cache'));
+
+export const FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+export const FORMATS = ['webp', 'avif', 'jpeg', 'png'];
+
+// SVG is left alone on purpose: rasterizing untrusted SVG is its own can of worms
+const SOURCE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/gif': 'png',
+  'image/tiff': 'png'
+};
+
+export const isTransformable = (mime) => String(mime || '').toLowerCase() in SOURCE_FORMATS;
+
+const formatMime = (format) => `image/${format}`;
+
+// output format: the one asked for, else the source's own (or webp when there's no good match)
+const targetFormat = (format, sourceMime) => format || SOURCE_FORMATS[String(sourceMime || '').toLowerCase()] || 'webp';
+
+// ---- schemas ----------------------------------------------------------------
+const dimension = z.coerce.number().int().min(1).max(MAX_DIMENSION);
+
+const paramsSchema = z.object({
+  w: dimension.optional(),
+  h: dimension.optional(),
+  fit: z.enum(FITS).optional().default('cover'),
+  format: z.enum(FORMATS).optional(),
+  enlarge: z.boolean().optional().default(false) // presets only: upscale small images to the exact size
+});
+
+// GET /a/:slug query string; only consulted when one of w/h/fit/format is present
+export const transformSchema = paramsSchema.omit({ enlarge: true }).refine((v) => v.w || v.h || v.format, {
+  message: 'w, h or format is required'
+});
+
+export const wantsTransform = (query) => ['w', 'h', 'fit', 'format'].some(k => query[k] !== undefined);
+
+const DEFAULT_PRESETS = {
+  thumb: { w: 320, h: 320, fit: 'cover', format: 'webp' },
+  medium: { w: 1024, fit: 'inside', format: 'webp' },
+  og: { w: 1200, h: 630, fit: 'cover', format: 'jpeg', enlarge: true }
+};
+
+// ASSET_IMAGE_PRESETS='{"thumb":{"w":200,"h":200,"format":"webp"}}' replaces the defaults; '{}' turns variants off
+function loadPresets() {
+  const raw = process.env.ASSET_IMAGE_PRESETS;
+  const parsed = z.record(z.string().regex(/^[a-z0-9_-]+$/i), paramsSchema)
+    .safeParse(raw ? JSON.parse(raw) : DEFAULT_PRESETS);
+  if (!parsed.success) throw new Error(`ASSET_IMAGE_PRESETS is invalid: ${parsed.error.message}`);
+  return parsed.data;
+}
+
+export const PRESETS = loadPresets();
+
+// ---- helpers ----------------------------------------------------------------
+function imageError(code, msg) {
+  const err = new Error(msg);
+  err.code = code;
+  return err;
+}
+
+const sha256Of = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+async function readCapped(stream, max) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > max) {
+      stream.destroy?.();
+      throw imageError('IMAGE_TOO_LARGE', `Image is larger than ${max} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Resize/convert `input` (file path or Buffer). Returns { data, info, format, mime }.
+ * Throws IMAGE_TOO_LARGE past MAX_PIXELS and IMAGE_INVALID for anything sharp can't decode.
+ */
+export async function render(input, { w, h, fit = 'cover', format, enlarge = false }, sourceMime) {
+  const target = targetFormat(format, sourceMime);
+  try {
+    const { data, info } = await sharp(input, { limitInputPixels: MAX_PIXELS })
+      .rotate() // apply EXIF orientation before resizing
+      .resize({ width: w, height: h, fit, withoutEnlargement: !enlarge })
+      .toFormat(target)
+      .toBuffer({ resolveWithObject: true });
+    return { data, info, format: target, mime: formatMime(target) };
+  } catch (e) {
+    if (/pixel limit/i.test(e?.message || '')) {
+      throw imageError('IMAGE_TOO_LARGE', `Image exceeds the ${MAX_PIXELS} pixel limit`);
+    }
+    throw imageError('IMAGE_INVALID', `Image could not be processed: ${e?.message || e}`);
+  }
+}
+
+// ---- on-demand transforms ---------------------------------------------------
+
+// Cache key for an asset's bytes + normalized params; null when the asset has no sha256.
+export function transformKey(a, params) {
+  if (!a.sha256) return null;
+  const { w = '', h = '', fit } = params;
+  return sha256Of(Buffer.from([a.sha256, w, h, fit, targetFormat(params.format, a.mime)].join('\n')));
+}
+
+/**
+ * Transformed bytes for `a`, from the cache when possible.
+ * `open()` resolves to a readable stream of the original. Returns { file } (cached) or { data },
+ * plus mime and key.
+ */
+export async function transformAsset(a, params, open) {
+  const key = transformKey(a, params);
+  const target = targetFormat(params.format, a.mime);
+  const file = key && path.join(CACHE_DIR, key.slice(0, 2), `${key}.${target}`);
+
+  if (file && (await fse.pathExists(file))) return { file, mime: formatMime(target), key };
+
+  const original = await readCapped(await open(), MAX_INPUT_BYTES);
+  const out = await render(original, params, a.mime);
+  if (!file) return { data: out.data, mime: out.mime, key };
+
+  await fse.ensureDir(path.dirname(file));
+  const tmp = `${file}.${nanoid(6)}.tmp`;
+  await fs.promises.writeFile(tmp, out.data);
+  await fs.promises.rename(tmp, file);
+  return { file, mime: out.mime, key };
+}
+
+// ---- stored variants --------------------------------------------------------
+
+// img/logo.png + thumb/webp -> img/logo.thumb.webp
+export function variantPath(original, name, format) {
+  const ext = path.posix.extname(original);
+  return `${original.slice(0, original.length - ext.length)}.${name}.${format}`;
+}
+
+/**
+ * Render every preset of the image at `file`; nothing is stored.
+ * Returns [{ name, path, format, mime, width, height, size, sha256, data }].
+ */
+export async function renderVariants(file, { path: original, mime }) {
+  if (!isTransformable(mime)) return [];
+  const out = [];
+  for (const [name, preset] of Object.entries(PRESETS)) {
+    const r = await render(file, preset, mime);
+    out.push({
+      name,
+      path: variantPath(original, name, r.format),
+      format: r.format,
+      mime: r.mime,
+      width: r.info.width,
+      height: r.info.height,
+      size: r.data.length,
+      sha256: sha256Of(r.data),
+      data: r.data
+    });
+  }
+  return out;
+}
+
+/**
+ * Render and store every preset through `driver`, next to `original`.
+ * Returns the variant records kept on the asset (asset.variants).
+ */
+export async function storeVariants({ file, path: original, mime, driver, branch, repo, message, overwrite }) {
+  const rendered = await renderVariants(file, { path: original, mime });
+  if (!rendered.length) return [];
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'variants-'));
+  const out = [];
+  try {
+    for (const { data, ...v } of rendered) {
+      const tmp = path.join(dir, `${v.name}.${v.format}`);
+      await fs.promises.writeFile(tmp, data);
+      const stored = await driver.put({ path: v.path, file: tmp, size: v.size, mime: v.mime, branch, repo, message, overwrite });
+      out.push(variantRecord(v, stored));
+    }
+    return out;
+  } catch (e) {
+    // all or none: don't leave renditions behind that no asset lists
+    for (const v of out) await driver.delete({ ...v, repo }).catch(() => {});
+    throw e;
+  } finally {
+    await fse.remove(dir);
+  }
+}
+
+// what asset.variants keeps per variant: the rendition plus where the driver put it
+export function variantRecord(v, stored) {
+  return {
+    name: v.name,
+    path: stored.path,
+    format: v.format,
+    mime: v.mime,
+    width: v.width,
+    height: v.height,
+    size: v.size,
+    sha256: v.sha256,
+    branch: stored.branch ?? null,
+    github_url: stored.github_url ?? null,
+    cdn_url: stored.cdn_url ?? null,
+    storage_strategy: stored.storage_strategy ?? null,
+    storage_ref: stored.storage_ref ?? null,
+    commit_sha: stored.commit_sha ?? null
+  };
+}
+
+// The asset as seen through one of its variants (for serving or deleting it).
+export function asVariant(a, v) {
+  const base = a.filename ? a.filename.slice(0, a.filename.length - path.posix.extname(a.filename).length) : a.slug;
+  // verify_hash is about the original: a bad variant mustn't flag the asset
+  return { ...a, ...v, filename: `${base}.${v.name}.${v.format}`, variants: [], verify_hash: false };
+}
+
+// Delete the stored variants of `a`; ones already gone are skipped.
+export async function removeVariants(a, driver, opts) {
+  const removed = [];
+  for (const v of a.variants || []) {
+    try {
+      await driver.delete(asVariant(a, v), opts);
+      removed.push(v.path);
+    } catch (e) {
+      if (e?.code !== 'FILE_NOT_FOUND') throw e;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,194 @@
+// src/services/ingest.service.js
+import fs from 'fs';
+import mime from 'mime-types';
+import { sniff, readHead, STRICT_TYPES, SNIFF_BYTES } from '../utils/sniff.js';
+import { sanitizeSvg, SVG_MAX_BYTES } from '../utils/svg.js';
+import { scanFile } from './scanner.service.js';
+
+/**
+ * What an upload is, decided from its bytes rather than from what the client says.
+ *   - the type comes from magic bytes (utils/sniff.js) checked against the file extension:
+ *     a .png that isn't a PNG, or an HTML page named .jpg, is refused (415)
+ *   - HTML is refused unless ASSET_ALLOW_HTML=true, and then always served as an attachment
+ *   - SVG is sanitized (utils/svg.js); XML may not carry script or XHTML
+ *   - per-type size limits: ASSET_MAX_BYTES_BY_TYPE="image/*=20MB,application/pdf=50MB,*=100MB"
+ *     (exact type first, then type/*, then *; no entry means no limit)
+ *   - the malware scanner (services/scanner.service.js) runs last, on the bytes that get stored
+ * Errors carry a `status` for the response.
+ */
+
+const ALLOW_HTML = ['true', '1', 'yes'].includes(String(process.env.ASSET_ALLOW_HTML || '').toLowerCase());
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+function parseSizeLimits(raw) {
+  const limits = new Map();
+  for (const entry of String(raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^([\w.+*-]+(?:\/[\w.+*-]+)?)\s*=\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(entry);
+    if (!m) throw new Error(`ASSET_MAX_BYTES_BY_TYPE: can't parse '${entry}'`);
+    limits.set(m[1].toLowerCase(), Math.floor(Number(m[2]) * UNITS[(m[3] || 'b').toLowerCase()]));
+  }
+  return limits;
+}
+
+const SIZE_LIMITS = parseSizeLimits(process.env.ASSET_MAX_BYTES_BY_TYPE);
+
+// ---- helpers ----------------------------------------------------------------
+function ingestError(code, msg, status) {
+  const err = new Error(msg);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+const REJECTIONS = new Set(['UNSUPPORTED_TYPE', 'TYPE_MISMATCH', 'UNSAFE_CONTENT', 'FILE_TOO_LARGE', 'MALWARE_FOUND', 'SCAN_FAILED']);
+
+// an upload refused by the checks here; e.status is the response status
+export const isRejection = (e) => Boolean(e?.status) && REJECTIONS.has(e.code);
+
+const isHtml = (m) => m === 'text/html' || m === 'application/xhtml+xml';
+
+// types a browser renders as a document (and so can run script from) when served inline
+export const isActiveType = (m) => isHtml(m) || /[/+]xml$/.test(String(m || ''));
+
+// Largest size allowed for `mimeType` (Infinity when unlimited).
+export function maxBytesFor(mimeType) {
+  const m = String(mimeType || '').toLowerCase();
+  return SIZE_LIMITS.get(m) ?? SIZE_LIMITS.get(`${m.split('/')[0]}/*`) ?? SIZE_LIMITS.get('*') ?? Infinity;
+}
+
+// Throws FILE_TOO_LARGE (413) past the limit for the type.
+export function checkSize(mimeType, size) {
+  const max = maxBytesFor(mimeType);
+  if (size > max) throw ingestError('FILE_TOO_LARGE', `${mimeType} files may be at most ${max} bytes`, 413);
+}
+
+// whole text of a markup file; the checks below need all of it, not just the head
+async function readMarkup(file, size) {
+  if (size > SVG_MAX_BYTES) throw ingestError('FILE_TOO_LARGE', `Markup files may be at most ${SVG_MAX_BYTES} bytes`, 413);
+  return fs.promises.readFile(file, 'utf8');
+}
+
+function checkXml(text) {
+  if (/<!entity/i.test(text)) throw ingestError('UNSAFE_CONTENT', 'XML may not declare entities', 422);
+  if (/<([\w.-]+:)?script[\s>/]|http:\/\/www\.w3\.org\/1999\/xhtml|<\?xml-stylesheet/i.test(text)) {
+    throw ingestError('UNSAFE_CONTENT', 'XML may not contain script, XHTML or stylesheets', 422);
+  }
+}
+
+/**
+ * Decide the stored type of the file at `file` (uploaded as `filename`) and make it safe to store.
+ * Resolves to { mime, size, sanitized, disposition, scan_status, scanned_at }:
+ *   sanitized    the file was rewritten in place (SVG); size is the new size, hash it again
+ *   disposition  'attachment' when the file must never render inline, else null (caller's choice)
+ * Throws with code + status: UNSUPPORTED_TYPE / TYPE_MISMATCH (415), UNSAFE_CONTENT (422),
+ * FILE_TOO_LARGE (413), MALWARE_FOUND (422), SCAN_FAILED (503).
+ */
+export async function inspectUpload({ file, filename, size }) {
+  const extMime = mime.lookup(filename || '') || null;
+  const detected = sniff(readHead(file));
+  // a weak signature (e.g. MP3 frame sync) that doesn't fit the extension is no evidence either way
+  const kind = detected?.accepts && !detected.strict && !detected.accepts.includes(extMime) ? null : detected;
+
+  let type;
+  let sanitized = false;
+  let disposition = null;
+
+  if (kind?.accepts) {
+    if (extMime && !kind.accepts.includes(extMime)) {
+      throw ingestError('TYPE_MISMATCH', `File content is ${kind.mime}, not ${extMime} as its extension says`, 415);
+    }
+    type = extMime || kind.mime;
+  } else if (extMime && STRICT_TYPES.has(extMime)) {
+    throw ingestError('TYPE_MISMATCH', `File content is not ${extMime} as its extension says`, 415);
+  } else if (!kind) {
+    // binary we don't recognize: fine for inert types, never for markup
+    if (extMime && isActiveType(extMime)) {
+      throw ingestError('TYPE_MISMATCH', `File content is not ${extMime} as its extension says`, 415);
+    }
+    type = extMime || 'application/octet-stream';
+  } else if (kind.text === 'html' || isHtml(extMime)) {
+    if (!ALLOW_HTML) throw ingestError('UNSUPPORTED_TYPE', 'HTML files are not accepted', 415);
+    type = isHtml(extMime) ? extMime : 'text/html';
+    disposition = 'attachment';
+  } else if (extMime && !isActiveType(extMime)) {
+    // markup in a .txt/.csv/.json... is served as that type and stays text
+    type = extMime;
+  } else if (kind.text === 'svg' || extMime === 'image/svg+xml') {
+    const text = await readMarkup(file, size);
+    // the head may have ended inside a long leading comment; look at the whole document
+    if (sniff(Buffer.from(text))?.text !== 'svg') {
+      throw ingestError('TYPE_MISMATCH', 'File content is not image/svg+xml as its extension says', 415);
+    }
+    if (extMime && extMime !== 'image/svg+xml') {
+      throw ingestError('TYPE_MISMATCH', `File content is image/svg+xml, not ${extMime} as its extension says`, 415);
+    }
+    let result;
+    try {
+      result = sanitizeSvg(text);
+    } catch (e) {
+      if (e?.code === 'UNSAFE_CONTENT') e.status = 422;
+      throw e;
+    }
+    if (result.changed) {
+      await fs.promises.writeFile(file, result.svg);
+      size = Buffer.byteLength(result.svg);
+      sanitized = true;
+    }
+    type = 'image/svg+xml';
+  } else {
+    // XML, or text with no extension to go by
+    if (kind.text === 'xml' || extMime) checkXml(await readMarkup(file, size));
+    type = extMime || kind.mime;
+  }
+
+  checkSize(type, size);
+  const scan = await scanFile(file);
+  return { mime: type, size, sanitized, disposition, ...scan };
+}
+
+// First bytes of an already stored file, or null when they can't be read.
+export async function storedHead(driver, a) {
+  try {
+    const { stream } = await driver.get(a, { start: 0, end: SNIFF_BYTES - 1 });
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= SNIFF_BYTES) break; // the driver may ignore the range
+    }
+    stream.destroy?.();
+    return Buffer.concat(chunks).subarray(0, SNIFF_BYTES);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Best-effort check for POST /assets/register, where the bytes are already stored elsewhere.
+ * `head` is the start of the file when it could be read (null for remote URLs).
+ * Resolves to { mime, disposition }; throws like inspectUpload on a type mismatch.
+ */
+export function inspectRegistered({ filename, declared, head }) {
+  const extMime = mime.lookup(filename || '') || null;
+  const claimed = declared ? declared.split(';')[0].trim().toLowerCase() : null;
+  if (claimed && extMime && claimed !== extMime) {
+    throw ingestError('TYPE_MISMATCH', `mime ${claimed} does not match the .${filename.split('.').pop()} extension`, 415);
+  }
+  const type = claimed || extMime || 'application/octet-stream';
+
+  const detected = head?.length ? sniff(head) : null;
+  if (detected?.accepts && detected.strict && !detected.accepts.includes(type)) {
+    throw ingestError('TYPE_MISMATCH', `File content is ${detected.mime}, not ${type}`, 415);
+  }
+  if (detected && !detected.accepts && STRICT_TYPES.has(type)) {
+    throw ingestError('TYPE_MISMATCH', `File content is not ${type}`, 415);
+  }
+  if (!ALLOW_HTML && (isHtml(type) || detected?.text === 'html')) {
+    throw ingestError('UNSUPPORTED_TYPE', 'HTML files are not accepted', 415);
+  }
+
+  // bytes we can't clean up: markup never renders inline from here
+  return { mime: type, disposition: isActiveType(type) || detected?.text === 'html' ? 'attachment' : null };
+}
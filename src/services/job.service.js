@@ -0,0 +1,78 @@
+// src/services/job.service.js
+import { AsyncResource } from 'async_hooks';
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+import { createJob, saveJob, pruneJobs } from '../models/job.model.js';
+
+/**
+ * Background jobs for requests answered before their work is done (middleware/asyncJob.js).
+ * A job runs in the process that took the request, at most CONCURRENCY at a time, and keeps what
+ * the request would have answered (http_status, result) for GET /api/v1/jobs/:id.
+ * Nothing resumes a job after a restart: it shows as failed once its lease (TIMEOUT_MS) has lapsed.
+ * Jobs are dropped KEEP_MS after they were created.
+ */
+
+const CONCURRENCY = Number(process.env.ASSET_JOB_CONCURRENCY) || 2;
+const TIMEOUT_MS = (Number(process.env.ASSET_JOB_TIMEOUT_MIN) || 30) * 60_000;
+const KEEP_MS = (Number(process.env.ASSET_JOB_KEEP_HOURS) || 24) * 3600_000;
+const PRUNE_EVERY_MS = 3600_000;
+
+const queue = [];
+let running = 0;
+let prunedAt = 0;
+
+const lease = () => dayjs().add(TIMEOUT_MS, 'ms').toISOString();
+
+async function run(job, work) {
+  const started = await saveJob({ ...job, status: 'running', started_at: dayjs().toISOString(), expires_at: lease() });
+  let outcome;
+  try {
+    const { status, body } = await work();
+    outcome = { status: status < 400 ? 'succeeded' : 'failed', http_status: status, result: body };
+  } catch (e) {
+    console.error(`[jobs] ${job.id} (${job.type}) failed:`, e?.message || e);
+    outcome = { status: 'failed', http_status: 500, result: { ok: false, error: 'Job failed' }, error: e?.message || String(e) };
+  }
+  await saveJob({ ...started, ...outcome, finished_at: dayjs().toISOString(), expires_at: null });
+}
+
+function drain() {
+  while (running < CONCURRENCY && queue.length) {
+    const { job, work } = queue.shift();
+    running++;
+    run(job, work)
+      .catch((e) => console.error(`[jobs] ${job.id} could not be recorded:`, e?.message || e))
+      .finally(() => {
+        running--;
+        drain();
+      });
+  }
+}
+
+function pruneSoon() {
+  if (prunedAt > Date.now() - PRUNE_EVERY_MS) return;
+  prunedAt = Date.now();
+  pruneJobs(dayjs().subtract(KEEP_MS, 'ms').toISOString())
+    .catch((e) => console.error('[jobs] prune failed:', e?.message || e));
+}
+
+/**
+ * Record a job and queue `work`, which resolves to { status, body } (the answer it would have
+ * sent). `work` runs in the caller's async context, so what it records (e.g. the audit trail)
+ * is still attributed to the request. Resolves to the queued job.
+ */
+export async function enqueueJob({ type, key_id = null, request_id = null }, work) {
+  const job = await createJob({
+    id: `job_${nanoid(16)}`,
+    type,
+    status: 'queued',
+    key_id,
+    request_id,
+    created_at: dayjs().toISOString(),
+    expires_at: lease()
+  });
+  queue.push({ job, work: AsyncResource.bind(work) });
+  drain();
+  pruneSoon();
+  return job;
+}
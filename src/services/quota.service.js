@@ -0,0 +1,97 @@
+// src/services/quota.service.js
+import { usageByCreator } from '../models/asset.model.js';
+import { QUOTA_FIELDS } from '../repositories/apiKey.common.js';
+
+/**
+ * Per-key quotas on what an API key may store:
+ *   max_assets     live assets it created
+ *   max_bytes      the sum of their sizes
+ *   max_file_size  any one file
+ * A key's own value (key.quotas, set through PATCH /api/v1/admin/keys/:id) wins over the defaults
+ * ASSET_QUOTA_MAX_ASSETS / ASSET_QUOTA_MAX_BYTES / ASSET_QUOTA_MAX_FILE_SIZE (sizes take KB, MB, GB).
+ * 0 or nothing means unlimited.
+ *
+ * Usage is read from the assets themselves: the `size` of every live asset whose created_by is
+ * the key, as recorded when its bytes were stored (PATCH can't change it). Trashed assets don't
+ * count, nor do ones created before created_by was recorded. Uploads are checked before their
+ * bytes are stored, so uploads running side by side can go over by what they carry.
+ */
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+function parseQuota(env, { bytes = false } = {}) {
+  const raw = process.env[env];
+  if (!raw) return 0;
+  const m = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/i.exec(raw.trim());
+  if (!m || (m[2] && !bytes)) throw new Error(`${env}: can't parse '${raw}'`);
+  return Math.floor(Number(m[1]) * UNITS[(m[2] || 'b').toLowerCase()]);
+}
+
+const DEFAULTS = {
+  max_assets: parseQuota('ASSET_QUOTA_MAX_ASSETS'),
+  max_bytes: parseQuota('ASSET_QUOTA_MAX_BYTES', { bytes: true }),
+  max_file_size: parseQuota('ASSET_QUOTA_MAX_FILE_SIZE', { bytes: true })
+};
+
+// ---- helpers ----------------------------------------------------------------
+function quotaError(code, msg, status, details) {
+  const err = new Error(msg);
+  err.code = code;
+  err.status = status;
+  Object.assign(err, details);
+  return err;
+}
+
+// a store refused by checkQuota; e.status is the response status
+export const isQuotaError = (e) => Boolean(e?.status) && ['QUOTA_EXCEEDED', 'QUOTA_FILE_SIZE'].includes(e.code);
+
+// ---- quotas -----------------------------------------------------------------
+
+// The quotas in force for `key`: { max_assets, max_bytes, max_file_size }, null where unlimited.
+export function quotasFor(key) {
+  return Object.fromEntries(QUOTA_FIELDS.map(f => [f, (key?.quotas?.[f] ?? DEFAULTS[f]) || null]));
+}
+
+// What `keyId`'s live assets add up to: { assets, bytes }.
+export async function usageOf(keyId) {
+  const [row] = await usageByCreator({ created_by: keyId });
+  return { assets: row?.assets ?? 0, bytes: row?.bytes ?? 0 };
+}
+
+/**
+ * Throw unless `key` may store `assets` more assets adding `bytes` bytes, none larger than
+ * `largest`: QUOTA_FILE_SIZE (413), or QUOTA_EXCEEDED (429) carrying quota, limit and used.
+ * Usage is only read when the key has a count or size quota.
+ */
+export async function checkQuota(key, { assets = 0, bytes = 0, largest = 0 }) {
+  const q = quotasFor(key);
+  if (q.max_file_size && largest > q.max_file_size) {
+    throw quotaError('QUOTA_FILE_SIZE', `Files may be at most ${q.max_file_size} bytes for this API key`, 413,
+      { quota: 'max_file_size', limit: q.max_file_size });
+  }
+  if (!(q.max_assets && assets) && !(q.max_bytes && bytes)) return;
+
+  const used = await usageOf(key.id);
+  if (q.max_assets && assets && used.assets + assets > q.max_assets) {
+    throw quotaError('QUOTA_EXCEEDED', `API key may store at most ${q.max_assets} assets (${used.assets} stored)`, 429,
+      { quota: 'max_assets', limit: q.max_assets, used: used.assets });
+  }
+  if (q.max_bytes && bytes && used.bytes + bytes > q.max_bytes) {
+    throw quotaError('QUOTA_EXCEEDED', `API key may store at most ${q.max_bytes} bytes (${used.bytes} stored)`, 429,
+      { quota: 'max_bytes', limit: q.max_bytes, used: used.bytes });
+  }
+}
+
+// { usage, quotas, remaining } for `key`; remaining is null where unlimited.
+export async function usageReport(key) {
+  const usage = await usageOf(key.id);
+  const quotas = quotasFor(key);
+  return {
+    usage,
+    quotas,
+    remaining: {
+      assets: quotas.max_assets && Math.max(0, quotas.max_assets - usage.assets),
+      bytes: quotas.max_bytes && Math.max(0, quotas.max_bytes - usage.bytes)
+    }
+  };
+}
@@ -0,0 +1,242 @@
+// src/services/reconcile.service.js
+import crypto from 'crypto';
+import { extname, posix } from 'path';
+import { nanoid } from 'nanoid';
+import { exportAll, insertAsset, slugTaken, softDeleteAsset } from '../models/asset.model.js';
+import { listVersions } from '../models/version.model.js';
+import { getDriver } from '../storage/index.js';
+import { listRepoTree } from './github.service.js';
+import { inspectRegistered, isRejection } from './ingest.service.js';
+import { recordAudit } from './audit.service.js';
+import { findTarget, defaultTarget, targetForRepo, branchOf, repoOf } from './targets.service.js';
+import { slugify } from '../utils/slugify.js';
+import { SNIFF_BYTES } from '../utils/sniff.js';
+
+/**
+ * Drift between github assets and the repo of one GitHub target (services/targets.service.js),
+ * found by listing the branch with the Git Trees API:
+ *   untracked   files in the repo no asset, version or image variant points at
+ *   missing     live assets whose file is gone from the branch
+ *   mismatched  files whose size or sha256 differs from what the asset records
+ * Release-strategy assets aren't files in the tree and are left out. With `register`, untracked
+ * files become assets; with `remove`, missing ones are soft-deleted as purged (the bytes are gone).
+ */
+
+// where assets live in the repo; files outside it (README, workflows, ...) are never untracked.
+// Defaults to the target's path prefix.
+const PREFIX = process.env.ASSET_RECONCILE_PREFIX;
+
+const ALLOWED_EXT = (process.env.ASSET_ALLOWED_EXT || '')
+  .split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+// ---- helpers ----------------------------------------------------------------
+
+// sha256, size and first bytes of whatever the driver serves for `a`
+async function readStored(a) {
+  const { stream } = await getDriver('github').get(a);
+  const h = crypto.createHash('sha256');
+  const head = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    h.update(chunk);
+    if (size < SNIFF_BYTES) head.push(chunk);
+    size += chunk.length;
+  }
+  return { sha256: h.digest('hex'), size, head: Buffer.concat(head).subarray(0, SNIFF_BYTES) };
+}
+
+async function pool(items, concurrency, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+}
+
+// is `a` (an asset or a version of one) on `branch` of the target's repo?
+function onBranch(a, target, branch) {
+  const full = repoOf(a);
+  return full?.toLowerCase() === `${target.owner}/${target.repo}`.toLowerCase() &&
+    (a.branch || branchOf(targetForRepo(full))) === branch;
+}
+
+// every path on the branch that some asset record accounts for, deleted-but-restorable ones included
+async function knownPaths(assets, target, branch) {
+  const known = new Set();
+  for (const a of assets) {
+    if (a.purged_at) continue;
+    const history = await listVersions(a.id);
+    for (const v of [a, ...history]) {
+      if (!onBranch({ ...v, repo: v.repo || a.repo }, target, branch) || v.storage_strategy === 'release') continue;
+      known.add(v.path);
+      for (const variant of v.variants || []) known.add(variant.path);
+    }
+  }
+  return known;
+}
+
+async function freeSlug(filename) {
+  const base = slugify(posix.basename(filename, extname(filename))) || nanoid(8);
+  let slug = base;
+  while (await slugTaken(slug)) slug = `${base}-${nanoid(4).toLowerCase()}`;
+  return slug;
+}
+
+// Resolves to { path, id, slug }, or { path, skipped } when the file can't be registered as is.
+async function registerFile(f, { target, branch, label, visibility }) {
+  const filename = posix.basename(f.path);
+  const ext = (extname(filename) || '').slice(1).toLowerCase();
+  if (ALLOWED_EXT.length && !ALLOWED_EXT.includes(ext)) {
+    return { path: f.path, skipped: `File extension .${ext} not allowed` };
+  }
+  const repo = `${target.owner}/${target.repo}`;
+  const stored = await readStored({ path: f.path, repo, branch });
+  let checked;
+  try {
+    checked = inspectRegistered({ filename, declared: null, head: stored.head });
+  } catch (e) {
+    if (isRejection(e)) return { path: f.path, skipped: e.message };
+    throw e;
+  }
+
+  // files with the same name in different folders race for the same slug
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const asset = await insertAsset({
+        id: nanoid(12),
+        label,
+        slug: await freeSlug(filename),
+        filename,
+        disk: 'github',
+        path: f.path,
+        repo,
+        branch: branch === branchOf(target) ? null : branch,
+        mime: checked.mime,
+        size: stored.size,
+        sha256: stored.sha256,
+        verify_hash: false,
+        disposition: checked.disposition || 'inline',
+        visibility
+      });
+      return { path: f.path, id: asset.id, slug: asset.slug };
+    } catch (e) {
+      if (e?.code !== 'SLUG_EXISTS' || attempt >= 3) throw e;
+    }
+  }
+}
+
+// ---- reconcile --------------------------------------------------------------
+
+/**
+ * Compare `branch` (under `prefix`) of the `target` repo (by name, default target otherwise) with
+ * the github assets registered on it.
+ * `hash` downloads each matched file to compare sha256 (otherwise only sizes are compared);
+ * `register` / `remove` act on untracked / missing files. Resolves to the report.
+ * Throws code UNKNOWN_TARGET when there is no such target.
+ */
+export async function reconcileGithub({
+  target: name, branch, prefix, hash = true, register = false, remove = false,
+  label = 'reconciled', visibility = 'private', concurrency = 4
+} = {}) {
+  const target = name ? findTarget(name) : defaultTarget();
+  if (!target) {
+    const err = new Error(name ? `Unknown target '${name}'` : 'No GitHub target configured');
+    err.code = 'UNKNOWN_TARGET';
+    throw err;
+  }
+  branch ??= branchOf(target);
+  prefix ??= PREFIX ?? target.prefix;
+  const repo = `${target.owner}/${target.repo}`;
+
+  const tree = await listRepoTree({ owner: target.owner, repo: target.repo, branch });
+  const files = tree.files.filter(f => f.path.startsWith(prefix));
+  const byPath = new Map(files.map(f => [f.path, f]));
+
+  const assets = (await exportAll()).assets.filter(a => a.disk === 'github');
+  const known = await knownPaths(assets, target, branch);
+  const live = assets.filter(a =>
+    !a.deleted_at && onBranch(a, target, branch) && a.storage_strategy !== 'release' && a.path.startsWith(prefix)
+  );
+
+  const untracked = files.filter(f => !known.has(f.path)).map(({ path, sha, size }) => ({ path, git_sha: sha, size }));
+  const missing = live.filter(a => !byPath.has(a.path)).map(a => ({ id: a.id, slug: a.slug, path: a.path }));
+
+  const mismatched = [];
+  const errors = [];
+  let unhashed = 0;
+  await pool(live.filter(a => byPath.has(a.path)), concurrency, async (a) => {
+    const f = byPath.get(a.path);
+    const entry = { id: a.id, slug: a.slug, path: a.path, git_sha: f.sha };
+    // an LFS file's tree entry is its pointer, so only the downloaded object says anything
+    if (a.storage_strategy !== 'lfs' && a.size != null && f.size !== a.size) {
+      mismatched.push({ ...entry, reason: 'size', expected: a.size, actual: f.size });
+      return;
+    }
+    if (!hash) return;
+    if (!a.sha256) {
+      unhashed++;
+      return;
+    }
+    try {
+      const stored = await readStored(a);
+      if (stored.sha256 !== a.sha256) mismatched.push({ ...entry, reason: 'sha256', expected: a.sha256, actual: stored.sha256 });
+    } catch (e) {
+      errors.push({ ...entry, error: e?.message || String(e) });
+    }
+  });
+
+  const registered = [];
+  const skipped = [];
+  if (register) {
+    await pool(untracked, concurrency, async (f) => {
+      try {
+        const r = await registerFile(f, { target, branch, label, visibility });
+        (r.skipped ? skipped : registered).push(r);
+      } catch (e) {
+        errors.push({ path: f.path, error: e?.message || String(e) });
+      }
+    });
+  }
+
+  const removed = [];
+  if (remove) {
+    for (const m of missing) {
+      if (await softDeleteAsset(m.id, { purged: true })) removed.push(m.id);
+    }
+  }
+
+  const summary = {
+    files: files.length,
+    assets: live.length,
+    untracked: untracked.length,
+    missing: missing.length,
+    mismatched: mismatched.length,
+    unhashed,
+    errors: errors.length,
+    registered: registered.length,
+    skipped: skipped.length,
+    removed: removed.length
+  };
+  if (summary.registered || summary.removed) {
+    await recordAudit('github.reconcile', {
+      target_type: 'data',
+      commit_sha: tree.commit_sha,
+      details: { target: target.name, repo, branch, prefix, summary }
+    });
+  }
+
+  return {
+    target: target.name,
+    repo,
+    branch,
+    prefix,
+    commit_sha: tree.commit_sha,
+    summary,
+    untracked,
+    missing,
+    mismatched,
+    errors,
+    ...(register ? { registered, skipped } : {}),
+    ...(remove ? { removed } : {})
+  };
+}
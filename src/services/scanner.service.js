@@ -0,0 +1,116 @@
+// src/services/scanner.service.js
+import fs from 'fs';
+import net from 'net';
+import dayjs from 'dayjs';
+
+/**
+ * Malware scanning of uploads before they're stored. The verdict is kept on the asset
+ * (scan_status, scanned_at); infected files are refused, never stored.
+ *   ASSET_SCANNER=none     (default) nothing is scanned; scan_status 'skipped'
+ *   ASSET_SCANNER=clamav   clamd's INSTREAM command over CLAMAV_SOCKET (unix socket) or
+ *                          CLAMAV_HOST:CLAMAV_PORT (default 127.0.0.1:3310)
+ * A scanner is async (file) => { infected, signature? }; setScanner() swaps it (tests, other engines).
+ * When the scanner itself fails the upload is refused, unless ASSET_SCAN_FAIL_OPEN=true
+ * (stored as scan_status 'error').
+ */
+
+const SCANNER = (process.env.ASSET_SCANNER || 'none').toLowerCase();
+const FAIL_OPEN = ['true', '1', 'yes'].includes(String(process.env.ASSET_SCAN_FAIL_OPEN || '').toLowerCase());
+const TIMEOUT_MS = Number(process.env.CLAMAV_TIMEOUT_MS) || 60_000;
+const CHUNK = 64 * 1024;
+
+function scanError(code, msg, status) {
+  const err = new Error(msg);
+  err.code = code;
+  err.status = status;
+  return err;
+}
+
+// ---- clamd ------------------------------------------------------------------
+function clamdConnect() {
+  if (process.env.CLAMAV_SOCKET) return net.createConnection({ path: process.env.CLAMAV_SOCKET });
+  return net.createConnection({
+    host: process.env.CLAMAV_HOST || '127.0.0.1',
+    port: Number(process.env.CLAMAV_PORT) || 3310
+  });
+}
+
+// zINSTREAM: length-prefixed chunks, a zero-length chunk to finish; reply "stream: OK" or "stream: Name FOUND"
+export function clamavScanner(file) {
+  return new Promise((resolve, reject) => {
+    const socket = clamdConnect();
+    const reply = [];
+    let settled = false;
+    const done = (fn, v) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      fn(v);
+    };
+
+    socket.setTimeout(TIMEOUT_MS, () => done(reject, new Error('clamd timed out')));
+    socket.on('error', (e) => done(reject, e));
+    socket.on('data', (d) => reply.push(d));
+    socket.on('end', () => {
+      const text = Buffer.concat(reply).toString('utf8').replace(/\0/g, '').trim();
+      const found = /^stream: (.+) FOUND$/.exec(text);
+      if (found) return done(resolve, { infected: true, signature: found[1] });
+      if (/^stream: OK$/.test(text)) return done(resolve, { infected: false });
+      done(reject, new Error(`clamd: ${text || 'no reply'}`));
+    });
+
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+        for await (const chunk of fs.createReadStream(file, { highWaterMark: CHUNK })) {
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          if (!socket.write(Buffer.concat([size, chunk]))) await new Promise(r => socket.once('drain', r));
+        }
+        socket.end(Buffer.alloc(4));
+      } catch (e) {
+        done(reject, e);
+      }
+    });
+  });
+}
+
+const SCANNERS = {
+  none: null,
+  clamav: clamavScanner
+};
+
+if (!(SCANNER in SCANNERS)) throw new Error(`ASSET_SCANNER must be one of: ${Object.keys(SCANNERS).join(', ')}`);
+
+let scanner = SCANNERS[SCANNER];
+
+// Replace the scanner (null turns scanning off).
+export function setScanner(fn) {
+  scanner = fn;
+}
+
+/**
+ * Scan the file at `file`. Resolves to the fields stored on the asset:
+ *   { scan_status: 'clean' | 'skipped' | 'error', scanned_at }
+ * Throws MALWARE_FOUND (422), or SCAN_FAILED (503) when the scanner is unavailable and failing closed.
+ */
+export async function scanFile(file) {
+  const scanned_at = dayjs().toISOString();
+  if (!scanner) return { scan_status: 'skipped', scanned_at: null };
+
+  let verdict;
+  try {
+    verdict = await scanner(file);
+  } catch (e) {
+    console.error(`[scan] ${e?.message || e}`);
+    if (!FAIL_OPEN) throw scanError('SCAN_FAILED', 'Malware scan unavailable; try again later', 503);
+    return { scan_status: 'error', scanned_at };
+  }
+
+  if (verdict?.infected) {
+    const err = scanError('MALWARE_FOUND', `File rejected by malware scan (${verdict.signature || 'infected'})`, 422);
+    err.signature = verdict.signature || null;
+    throw err;
+  }
+  return { scan_status: 'clean', scanned_at };
+}
@@ -0,0 +1,173 @@
+// src/services/search.service.js
+import { getDriver } from '../storage/index.js';
+import {
+  putDocuments, staleContent, setContent, removeDocuments, indexState, searchDocuments,
+  searchDocument, parseQuery, hasText, stampOf, renderHighlight
+} from '../models/search.model.js';
+
+/**
+ * Full-text search over assets (repositories/search.common.js): label, filename, tags, metadata
+ * values and the text of PDFs, ranked with field weights, matching prefixes and (for terms that
+ * match nothing) close misspellings.
+ *
+ * The asset model keeps the index in step on every insert, update, delete and import; trashed
+ * assets stay indexed (a restore needn't extract their text again) but never match, purged ones
+ * are dropped. jobs/search.job.js catches up on anything missed. PDF text is extracted in the
+ * background, one file at a time, fetched through the asset's storage driver:
+ *   ASSET_SEARCH_TEXT_MAX_BYTES  larger files aren't read (default 20 MB)
+ *   ASSET_SEARCH_TEXT_MAX_CHARS  text kept per file (default 200000)
+ * Indexing never fails the write it follows; problems are logged and left to the next sync.
+ */
+
+const TEXT_MAX_BYTES = Number(process.env.ASSET_SEARCH_TEXT_MAX_BYTES) || 20 * 1024 * 1024;
+const TEXT_MAX_CHARS = Number(process.env.ASSET_SEARCH_TEXT_MAX_CHARS) || 200_000;
+
+// ---- text extraction --------------------------------------------------------
+
+let pdfjs = null;
+
+async function pdfText(buf) {
+  pdfjs ??= import('pdfjs-dist/legacy/build/pdf.mjs');
+  const { getDocument } = await pdfjs;
+  const doc = await getDocument({ data: new Uint8Array(buf), isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  try {
+    let text = '';
+    for (let n = 1; n <= doc.numPages && text.length < TEXT_MAX_CHARS; n++) {
+      const page = await doc.getPage(n);
+      const { items } = await page.getTextContent();
+      text += `${items.map(i => i.str ?? '').join(' ')}\n`;
+      page.cleanup();
+    }
+    return text.slice(0, TEXT_MAX_CHARS);
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// the stored bytes, or null past TEXT_MAX_BYTES
+async function readBytes(a) {
+  const { stream } = await getDriver(a.disk).get(a);
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    size += chunk.length;
+    if (size > TEXT_MAX_BYTES) {
+      stream.destroy?.();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// A file that can't be fetched is tried again by the next sync; one that can't be parsed (or is
+// too big) is recorded with no text, so it isn't.
+async function extractText(a) {
+  let buf = null;
+  if (!(a.size > TEXT_MAX_BYTES)) {
+    try {
+      buf = await readBytes(a);
+    } catch (e) {
+      console.warn(`[search] ${a.slug}: could not fetch ${a.disk}:${a.path}: ${e?.message || e}`);
+      return;
+    }
+  }
+  let text = '';
+  if (buf) {
+    try {
+      text = await pdfText(buf);
+    } catch (e) {
+      console.warn(`[search] ${a.slug}: no text extracted: ${e?.message || e}`);
+    }
+  }
+  await setContent(a.id, { sha256: a.sha256, text });
+}
+
+const queued = new Set(); // `${id}:${sha256}` waiting or being extracted
+let queue = Promise.resolve();
+
+function queueText(a) {
+  const key = `${a.id}:${a.sha256}`;
+  if (queued.has(key)) return;
+  queued.add(key);
+  queue = queue
+    .then(() => extractText(a))
+    .catch((e) => console.warn(`[search] ${a.slug}: text extraction failed: ${e?.message || e}`))
+    .finally(() => queued.delete(key));
+}
+
+// ---- index ------------------------------------------------------------------
+
+// (Re)index normalized assets; PDFs without text for their current bytes are queued for extraction.
+export async function indexAssets(assets) {
+  try {
+    const list = assets.filter(Boolean);
+    await removeDocuments(list.filter(a => a.purged_at).map(a => a.id));
+    const live = list.filter(a => !a.purged_at);
+    await putDocuments(live.map(searchDocument));
+
+    const texts = live.filter(hasText);
+    if (!texts.length) return;
+    const stale = new Set(await staleContent(texts.map(a => a.id)));
+    for (const a of texts) if (stale.has(a.id)) queueText(a);
+  } catch (e) {
+    console.error('[search] indexing failed:', e?.message || e);
+  }
+}
+
+export async function unindexAssets(ids) {
+  try {
+    await removeDocuments(ids);
+  } catch (e) {
+    console.error('[search] unindexing failed:', e?.message || e);
+  }
+}
+
+/**
+ * Bring the index in line with `assets` (every asset, trashed ones included): index the ones
+ * missing or changed since, drop documents of assets that are gone, and queue PDFs still
+ * without text. -> { indexed, removed }
+ */
+export async function syncSearchIndex(assets) {
+  const state = new Map((await indexState()).map(d => [d.asset_id, d]));
+  const live = assets.filter(a => !a.purged_at);
+  const changed = live.filter((a) => {
+    const d = state.get(a.id);
+    return !d || d.stamp !== stampOf(a) || (hasText(a) && d.content_sha !== a.sha256);
+  });
+  const keep = new Set(live.map(a => a.id));
+  const gone = [...state.keys()].filter(id => !keep.has(id));
+
+  await indexAssets(changed);
+  await unindexAssets(gone);
+  return { indexed: changed.length, removed: gone.length };
+}
+
+// ---- search -----------------------------------------------------------------
+
+/**
+ * Ranked matches for `q` among the assets passing `filters` (as for listAssets):
+ * { total, items: [{ asset, score, highlights }], facets: { disk, mime, visibility } }.
+ * highlights has an entry per field that matched: HTML-escaped text with <mark>ed words (label
+ * and filename whole, the others as a snippet). Throws code SEARCH_QUERY_EMPTY when q has
+ * nothing to search for.
+ */
+export async function searchAssets({ q, filters = {}, limit, offset }) {
+  const query = parseQuery(q);
+  if (!query.terms.length && !query.phrases.length) {
+    const err = new Error('q has no words to search for');
+    err.code = 'SEARCH_QUERY_EMPTY';
+    throw err;
+  }
+  const found = await searchDocuments({ query, filters, limit, offset });
+  return {
+    ...found,
+    items: found.items.map(({ asset, score, highlights }) => ({
+      asset,
+      score,
+      highlights: Object.fromEntries(Object.entries(highlights)
+        .map(([f, s]) => [f, renderHighlight(s)])
+        .filter(([, s]) => s))
+    }))
+  };
+}
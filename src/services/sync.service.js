@@ -0,0 +1,201 @@
+// src/services/sync.service.js
+import dayjs from 'dayjs';
+import { z } from 'zod';
+import { METADATA_BACKEND } from '../db/index.js';
+import { exportAll, putAsset, getById, normalizeAsset } from '../models/asset.model.js';
+import { auditAsset, recordAudit } from './audit.service.js';
+
+/**
+ * Moving asset metadata between stores (RTDB, SQLite/libsql, data/assets.json).
+ *
+ * Snapshot (JSON):   { version, backend, exported_at, assets: [...], slugs: [{ slug, id }] }
+ * Snapshot (NDJSON): one object per line —
+ *                    { type: 'meta', ... } | { type: 'asset', asset } | { type: 'slug', slug, id }
+ * Plain `{ assets: [...] }` files, bare arrays and NDJSON of bare asset objects are accepted on import.
+ *
+ * Import is idempotent: a record already present with identical fields is left alone,
+ * so the same file can be applied any number of times.
+ */
+
+export const FORMATS = ['json', 'ndjson'];
+const SNAPSHOT_VERSION = 1;
+
+const assetRecord = z.looseObject({
+  id: z.string().min(1),
+  slug: z.string().min(1),
+  label: z.string().min(1),
+  filename: z.string().min(1),
+  disk: z.string().min(1),
+  path: z.string().min(1),
+  created_at: z.string().min(1)
+});
+
+function invalidSnapshot(msg) {
+  const err = new Error(msg);
+  err.code = 'INVALID_SNAPSHOT';
+  return err;
+}
+
+// ---- export -----------------------------------------------------------------
+
+export async function exportSnapshot() {
+  const { assets, slugs } = await exportAll();
+  return {
+    version: SNAPSHOT_VERSION,
+    backend: METADATA_BACKEND,
+    exported_at: dayjs().toISOString(),
+    assets,
+    slugs
+  };
+}
+
+export function* ndjsonLines(snapshot) {
+  const { assets, slugs, ...meta } = snapshot;
+  yield JSON.stringify({ type: 'meta', ...meta });
+  for (const asset of assets) yield JSON.stringify({ type: 'asset', asset });
+  for (const s of slugs || []) yield JSON.stringify({ type: 'slug', ...s });
+}
+
+export function serializeSnapshot(snapshot, format = 'json') {
+  if (format === 'ndjson') return [...ndjsonLines(snapshot)].join('\n') + '\n';
+  return JSON.stringify(snapshot, null, 2) + '\n';
+}
+
+// ---- parse ------------------------------------------------------------------
+
+// Accepts an already-parsed body (JSON routes) or raw text (files, NDJSON routes).
+export function parseSnapshot(input) {
+  if (input && typeof input === 'object') return fromObject(input);
+
+  const text = String(input ?? '').trim();
+  if (!text) throw invalidSnapshot('Empty snapshot');
+
+  try {
+    const obj = JSON.parse(text);
+    if (Array.isArray(obj) || Array.isArray(obj?.assets)) return fromObject(obj);
+  } catch {
+    // not a single JSON document; fall through to NDJSON
+  }
+
+  const snapshot = { assets: [], slugs: [] };
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch {
+      throw invalidSnapshot(`Line ${i + 1} is not valid JSON`);
+    }
+    if (row?.type === 'meta') return;
+    if (row?.type === 'slug') snapshot.slugs.push({ slug: row.slug, id: row.id ?? null });
+    else snapshot.assets.push(row?.type === 'asset' ? row.asset : row);
+  });
+  return snapshot;
+}
+
+function fromObject(obj) {
+  if (Array.isArray(obj)) return { assets: obj, slugs: [] };
+  if (!Array.isArray(obj.assets)) throw invalidSnapshot('Expected an `assets` array');
+  return { assets: obj.assets, slugs: Array.isArray(obj.slugs) ? obj.slugs : [] };
+}
+
+// ---- import -----------------------------------------------------------------
+
+const FIELDS = Object.keys(normalizeAsset({}));
+const changedFields = (a, b) => FIELDS.filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+
+/**
+ * Work out what importing `snapshot` into the current backend would do, record by record:
+ *   create | update (only with `overwrite`) | unchanged | conflict | invalid
+ * Conflicts: the slug belongs to another id (in the target or earlier in the file), or the id
+ * exists with different fields and `overwrite` is off.
+ */
+export async function planImport(snapshot, { overwrite = false } = {}) {
+  const target = await exportAll();
+  const byId = new Map(target.assets.map(a => [a.id, a]));
+  const slugOwner = new Map(target.slugs.map(s => [s.slug, s.id]));
+  const seenIds = new Set();
+  const seenSlugs = new Map();
+
+  const plan = snapshot.assets.map((raw, index) => {
+    const parsed = assetRecord.safeParse(raw);
+    if (!parsed.success) {
+      return { action: 'invalid', index, id: raw?.id ?? null, slug: raw?.slug ?? null, error: parsed.error.flatten() };
+    }
+
+    const asset = normalizeAsset(parsed.data);
+    const base = { index, id: asset.id, slug: asset.slug, asset };
+
+    if (seenIds.has(asset.id)) {
+      return { ...base, action: 'conflict', conflict: 'id', reason: 'Duplicate id in input' };
+    }
+    seenIds.add(asset.id);
+
+    const inFile = seenSlugs.get(asset.slug);
+    if (inFile) {
+      return { ...base, action: 'conflict', conflict: 'slug', reason: 'Duplicate slug in input', existing_id: inFile };
+    }
+    seenSlugs.set(asset.slug, asset.id);
+
+    const owner = slugOwner.get(asset.slug);
+    if (owner && owner !== asset.id) {
+      return { ...base, action: 'conflict', conflict: 'slug', reason: 'Slug belongs to another asset', existing_id: owner };
+    }
+
+    const cur = byId.get(asset.id);
+    if (!cur) return { ...base, action: 'create' };
+
+    const fields = changedFields(cur, asset);
+    if (!fields.length) return { ...base, action: 'unchanged' };
+    if (!overwrite) {
+      return { ...base, action: 'conflict', conflict: 'id', reason: 'Id exists with different fields', fields };
+    }
+    return { ...base, action: 'update', fields };
+  });
+
+  // slug index entries that don't line up with any asset in the snapshot (e.g. RTDB leftovers)
+  const warnings = (snapshot.slugs || [])
+    .filter(s => seenSlugs.get(s.slug) !== s.id)
+    .map(s => ({ slug: s.slug, id: s.id, reason: 'Slug index entry has no matching asset in input' }));
+
+  return { plan, warnings };
+}
+
+/**
+ * Plan, then (unless `dryRun`) write the create/update records.
+ * Dry run is the default so callers see conflicts before anything changes.
+ */
+export async function importSnapshot(snapshot, { dryRun = true, overwrite = false } = {}) {
+  const { plan, warnings } = await planImport(snapshot, { overwrite });
+
+  if (!dryRun) {
+    for (const p of plan) {
+      if (p.action !== 'create' && p.action !== 'update') continue;
+      try {
+        const before = p.action === 'update' ? await getById(p.id) : null;
+        await putAsset(p.asset);
+        await auditAsset('asset.import', before, p.asset);
+      } catch (e) {
+        if (e?.code !== 'SLUG_EXISTS') throw e;
+        // lost a race with a live write since planning
+        Object.assign(p, { action: 'conflict', conflict: 'slug', reason: 'Slug was taken during import' });
+      }
+    }
+  }
+
+  const summary = { total: plan.length, create: 0, update: 0, unchanged: 0, conflict: 0, invalid: 0 };
+  for (const p of plan) summary[p.action]++;
+  if (!dryRun) await recordAudit('data.import', { target_type: 'data', details: { overwrite, summary } });
+
+  const pick = (action) => plan.filter(p => p.action === action).map(({ asset, ...rest }) => rest);
+  return {
+    dry_run: dryRun,
+    backend: METADATA_BACKEND,
+    summary,
+    created: pick('create'),
+    updated: pick('update'),
+    conflicts: pick('conflict'),
+    invalid: pick('invalid'),
+    warnings
+  };
+}
@@ -0,0 +1,167 @@
+// src/services/targets.service.js
+import { z } from 'zod';
+import { listTargets } from '../models/githubTarget.model.js';
+import { CDN_PROVIDERS } from '../cdn/index.js';
+
+/**
+ * Named GitHub storage targets: { name, owner, repo, branch, prefix, cdn_provider, cdn_base,
+ * cdn_purge_url, token } (repositories/githubTarget.common.js).
+ * Uploads pick one by name (default: ASSET_GH_DEFAULT_TARGET); everything else finds its target
+ * through the repo an asset records, so changing targets never moves existing assets' URLs.
+ *
+ * Two sources:
+ *   config  'default' from ASSET_GH_OWNER / ASSET_GH_REPO / ASSET_DEFAULT_BRANCH /
+ *           ASSET_CDN_PROVIDER / ASSET_CDN_BASE / ASSET_CDN_PURGE_URL, plus ASSET_GH_TARGETS, a JSON
+ *           array of targets (token_env names the env var holding the token). Read-only.
+ *   stored  created through /api/v1/admin/targets (models/githubTarget.model.js).
+ * A target without a token uses GITHUB_TOKEN; so does a repo no target knows.
+ *
+ * Lookups are synchronous (they sit under URL building), so stored targets are read into a
+ * snapshot that is refreshed in the background once it is older than REFRESH_MS, and right away
+ * after a local change (targetsChanged).
+ */
+
+export const TARGET_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+const DEFAULT_BRANCH = process.env.ASSET_DEFAULT_BRANCH || 'main';
+const REFRESH_MS = 60_000;
+
+// ---- helpers ----------------------------------------------------------------
+
+// '/img//logos' -> 'img/logos/'; '' stays ''
+export function normalizePrefix(prefix) {
+  const p = String(prefix || '').split('/').filter(Boolean).join('/');
+  return p ? `${p}/` : '';
+}
+
+// why a target's CDN settings can't make URLs, or null
+export function cdnProblem(t) {
+  if (!CDN_PROVIDERS.includes(t.cdn_provider || 'jsdelivr')) return `cdn_provider must be one of: ${CDN_PROVIDERS.join(', ')}`;
+  if (t.cdn_provider === 'custom' && !t.cdn_base?.includes('{path}')) return 'The custom CDN provider needs a cdn_base template with {path}';
+  return null;
+}
+
+const configSchema = z.array(z.object({
+  name: z.string().regex(TARGET_NAME),
+  owner: z.string().min(1),
+  repo: z.string().min(1),
+  branch: z.string().min(1).optional(),
+  prefix: z.string().optional(),
+  cdn_provider: z.enum(CDN_PROVIDERS).optional(),
+  cdn_base: z.url().optional(),
+  cdn_purge_url: z.url().optional(),
+  token_env: z.string().min(1).optional()
+}).strict());
+
+function configTargets() {
+  const out = [];
+  if (process.env.ASSET_GH_OWNER && process.env.ASSET_GH_REPO) {
+    out.push({
+      name: 'default',
+      owner: process.env.ASSET_GH_OWNER,
+      repo: process.env.ASSET_GH_REPO,
+      branch: process.env.ASSET_DEFAULT_BRANCH || null,
+      cdn_provider: process.env.ASSET_CDN_PROVIDER || null,
+      cdn_base: process.env.ASSET_CDN_BASE || null,
+      cdn_purge_url: process.env.ASSET_CDN_PURGE_URL || null
+    });
+  }
+  if (process.env.ASSET_GH_TARGETS) {
+    let list;
+    try {
+      list = configSchema.parse(JSON.parse(process.env.ASSET_GH_TARGETS));
+    } catch (e) {
+      throw new Error(`ASSET_GH_TARGETS is not a valid list of targets: ${e?.message || e}`);
+    }
+    for (const t of list) {
+      const i = out.findIndex(o => o.name === t.name);
+      const target = { ...t, token: t.token_env ? process.env[t.token_env] || null : null };
+      if (i >= 0) out[i] = target;
+      else out.push(target);
+    }
+  }
+  return out.map((t) => {
+    const problem = cdnProblem(t);
+    if (problem) throw new Error(`GitHub target '${t.name}': ${problem}`);
+    return {
+      branch: null, cdn_base: null, cdn_purge_url: null, token: null, ...t,
+      cdn_provider: t.cdn_provider || 'jsdelivr',
+      prefix: normalizePrefix(t.prefix),
+      source: 'config'
+    };
+  });
+}
+
+const CONFIG = configTargets();
+export const CONFIG_NAMES = new Set(CONFIG.map(t => t.name));
+
+let snapshot = { at: 0, targets: CONFIG };
+
+export async function refreshTargets() {
+  const stored = (await listTargets())
+    .filter(t => !CONFIG_NAMES.has(t.name))
+    .map(t => ({ ...t, prefix: normalizePrefix(t.prefix), source: 'api' }));
+  snapshot = { at: Date.now(), targets: [...CONFIG, ...stored] };
+  return snapshot.targets;
+}
+
+// the stored targets were changed here; later lookups see it
+export const targetsChanged = refreshTargets;
+
+await refreshTargets();
+
+function current() {
+  if (snapshot.at < Date.now() - REFRESH_MS) {
+    snapshot.at = Date.now(); // one refresh at a time
+    refreshTargets().catch((e) => console.error('[targets] refresh failed:', e?.message || e));
+  }
+  return snapshot.targets;
+}
+
+// ---- lookups ----------------------------------------------------------------
+
+export function allTargets() {
+  return current();
+}
+
+export function findTarget(name) {
+  return current().find(t => t.name === name) ?? null;
+}
+
+// null when neither a default target nor ASSET_GH_OWNER/ASSET_GH_REPO is configured
+export function defaultTarget() {
+  const name = process.env.ASSET_GH_DEFAULT_TARGET;
+  if (name) return findTarget(name);
+  return findTarget('default') ?? current()[0] ?? null;
+}
+
+// the target writing to "owner/repo" (case-insensitive); config targets win over stored ones
+export function targetForRepo(full) {
+  if (!full) return null;
+  const key = full.toLowerCase();
+  return current().find(t => `${t.owner}/${t.repo}`.toLowerCase() === key) ?? null;
+}
+
+export const branchOf = (t) => t?.branch || DEFAULT_BRANCH;
+
+export function tokenFor(owner, repo) {
+  return targetForRepo(`${owner}/${repo}`)?.token || process.env.GITHUB_TOKEN || '';
+}
+
+/**
+ * "owner/repo" an asset's bytes are in: its own `repo`, else the one in its github_url
+ * (older records), else the default target's.
+ */
+export function repoOf(a) {
+  if (a.repo) return a.repo;
+  const m = /^https:\/\/github\.com\/([^/]+)\/([^/]+)\//.exec(a.github_url || '');
+  if (m) return `${m[1]}/${m[2]}`;
+  const t = defaultTarget();
+  return t ? `${t.owner}/${t.repo}` : null;
+}
+
+// `path` under the target's prefix (left alone when it's already there)
+export function withPrefix(t, path) {
+  const p = String(path).replace(/^\/+/, '');
+  return !t?.prefix || p.startsWith(t.prefix) ? p : `${t.prefix}${p}`;
+}
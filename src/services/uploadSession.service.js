@@ -0,0 +1,176 @@
+// src/services/uploadSession.service.js
+import fs from 'fs';
+import fse from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { once } from 'events';
+import { Transform } from 'stream';
+import { pipeline, finished } from 'stream/promises';
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+
+const MiB = 1024 * 1024;
+
+const ROOT = path.resolve(process.env.UPLOAD_SESSION_DIR || path.join(process.cwd(), 'uploads', 'sessions'));
+export const DEFAULT_PART_SIZE = Number(process.env.UPLOAD_PART_SIZE) || 8 * MiB;
+export const MIN_PART_SIZE = 1 * MiB;
+export const MAX_PART_SIZE = 64 * MiB;
+export const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 2 * 1024 * MiB;
+const TTL_HOURS = Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24;
+
+/**
+ * Chunked upload sessions live on disk so they survive restarts:
+ *   ROOT/{id}/session.json   what was announced at init (size, part_size, fields, owner key)
+ *   ROOT/{id}/part-00001     each received part; re-sending a part replaces it
+ *   ROOT/{id}/assembled      the whole file, built at completion
+ * Every part has part_size bytes except the last, which has the remainder.
+ */
+
+const sessionDir = (id) => path.join(ROOT, id);
+const sessionFile = (id) => path.join(sessionDir(id), 'session.json');
+const partFile = (id, n) => path.join(sessionDir(id), `part-${String(n).padStart(5, '0')}`);
+
+function uploadError(code, msg, extra = {}) {
+  const err = new Error(msg);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+async function save(session) {
+  const tmp = `${sessionFile(session.id)}.${nanoid(6)}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(session));
+  await fs.promises.rename(tmp, sessionFile(session.id));
+  return session;
+}
+
+export function expectedPartSize(session, n) {
+  return n < session.total_parts ? session.part_size : session.size - session.part_size * (session.total_parts - 1);
+}
+
+export async function createSession({ key_id, disk, filename, mime, size, sha256, part_size, fields }) {
+  const partSize = part_size || DEFAULT_PART_SIZE;
+  const session = {
+    id: nanoid(16),
+    key_id,
+    disk,
+    filename,
+    mime: mime ?? null,
+    size,
+    sha256: sha256 ? sha256.toLowerCase() : null,
+    part_size: partSize,
+    total_parts: Math.ceil(size / partSize),
+    fields,
+    state: 'open',
+    created_at: dayjs().toISOString(),
+    expires_at: dayjs().add(TTL_HOURS, 'hour').toISOString()
+  };
+  await fse.ensureDir(sessionDir(session.id));
+  return save(session);
+}
+
+// null when unknown or expired (an expired session is removed on the way)
+export async function getSession(id) {
+  if (!/^[\w-]+$/.test(String(id))) return null;
+  let session;
+  try {
+    session = JSON.parse(await fs.promises.readFile(sessionFile(id), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  if (dayjs(session.expires_at).isBefore(dayjs())) {
+    await removeSession(id);
+    return null;
+  }
+  return session;
+}
+
+export async function setState(session, state) {
+  return save({ ...session, state });
+}
+
+export async function receivedParts(session) {
+  const names = await fs.promises.readdir(sessionDir(session.id)).catch(() => []);
+  return names
+    .map(n => /^part-(\d{5})$/.exec(n)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Stream one part to disk. The body must be exactly the expected length; with `sha256`
+ * the part's digest must match too. Extra bytes are drained (not stored) so the caller
+ * can still answer the request.
+ */
+export async function writePart(session, n, body, { sha256 } = {}) {
+  if (!Number.isInteger(n) || n < 1 || n > session.total_parts) {
+    throw uploadError('PART_OUT_OF_RANGE', `Part must be between 1 and ${session.total_parts}`);
+  }
+
+  const expected = expectedPartSize(session, n);
+  const hash = crypto.createHash('sha256');
+  let bytes = 0;
+  const meter = new Transform({
+    transform(chunk, enc, cb) {
+      bytes += chunk.length;
+      if (bytes > expected) return cb();
+      hash.update(chunk);
+      cb(null, chunk);
+    }
+  });
+
+  const tmp = `${partFile(session.id, n)}.${nanoid(6)}.tmp`;
+  try {
+    await pipeline(body, meter, fs.createWriteStream(tmp));
+    if (bytes !== expected) {
+      throw uploadError('PART_SIZE_MISMATCH', `Part ${n} must be ${expected} bytes, got ${bytes}`);
+    }
+    const digest = hash.digest('hex');
+    if (sha256 && sha256.toLowerCase() !== digest) {
+      throw uploadError('HASH_MISMATCH', `Part ${n} sha256 mismatch`);
+    }
+    await fs.promises.rename(tmp, partFile(session.id, n));
+    return { part: n, size: bytes, sha256: digest };
+  } finally {
+    await fse.remove(tmp);
+  }
+}
+
+/**
+ * Concatenate the parts into one file, hashing as it goes.
+ * Returns { file, size, sha256 }; throws PARTS_MISSING (with `missing`) when incomplete.
+ */
+export async function assemble(session) {
+  const have = new Set(await receivedParts(session));
+  const missing = [];
+  for (let n = 1; n <= session.total_parts; n++) if (!have.has(n)) missing.push(n);
+  if (missing.length) throw uploadError('PARTS_MISSING', `Missing ${missing.length} part(s)`, { missing });
+
+  const file = path.join(sessionDir(session.id), 'assembled');
+  const out = fs.createWriteStream(file);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+
+  for (let n = 1; n <= session.total_parts; n++) {
+    for await (const chunk of fs.createReadStream(partFile(session.id, n))) {
+      hash.update(chunk);
+      size += chunk.length;
+      if (!out.write(chunk)) await once(out, 'drain');
+    }
+  }
+  out.end();
+  await finished(out);
+
+  return { file, size, sha256: hash.digest('hex') };
+}
+
+export async function removeSession(id) {
+  await fse.remove(sessionDir(id));
+}
+
+// Drop sessions past their expiry; cheap enough to run whenever a new session starts.
+export async function sweepExpiredSessions() {
+  const ids = await fs.promises.readdir(ROOT).catch(() => []);
+  await Promise.all(ids.map(id => getSession(id).catch(() => null)));
+}
@@ -0,0 +1,109 @@
+// src/services/version.service.js
+import path from 'path';
+import dayjs from 'dayjs';
+import { listVersions, addVersion } from '../models/version.model.js';
+import { releaseStored } from './blob.service.js';
+
+/**
+ * Version history of an asset. Every version is a file of its own: version 1 keeps the original
+ * path and later ones sit next to it (`logo.png`, `logo.v2.png`, `logo.v3.png`, ...), so a new
+ * version never overwrites an old one and each version's URL keeps serving the same bytes.
+ * The asset record mirrors its current version (asset.version); rolling back only repoints it.
+ *
+ * Assets uploaded before versioning have no history rows: they are their own version 1,
+ * which is written down the first time another version is added.
+ */
+
+// asset fields that describe the stored bytes, copied between an asset and its versions
+const CONTENT_FIELDS = ['sha256', 'size', 'mime', 'scan_status', 'scanned_at'];
+const LOCATION_FIELDS = [
+  'path', 'repo', 'branch', 'github_url', 'cdn_url', 'storage_strategy', 'storage_ref', 'commit_sha', 'variants'
+];
+
+const pick = (o, keys) => Object.fromEntries(keys.map(k => [k, o[k] ?? null]));
+
+export function versionPath(original, n) {
+  if (n === 1) return original;
+  const ext = path.posix.extname(original);
+  return `${original.slice(0, original.length - ext.length)}.v${n}${ext}`;
+}
+
+// Patch that makes an asset record point at version `v`.
+export function currentFields(v) {
+  return { ...pick(v, [...CONTENT_FIELDS, ...LOCATION_FIELDS]), version: v.version };
+}
+
+function firstVersion(a) {
+  return {
+    asset_id: a.id,
+    version: 1,
+    ...pick(a, [...CONTENT_FIELDS, ...LOCATION_FIELDS]),
+    uploaded_by: a.created_by ?? null,
+    message: null,
+    created_at: a.created_at
+  };
+}
+
+// Oldest first; never empty.
+export async function assetHistory(a) {
+  const rows = await listVersions(a.id);
+  return rows.length ? rows : [firstVersion(a)];
+}
+
+export async function findVersion(a, n) {
+  return (await assetHistory(a)).find(v => v.version === n) ?? null;
+}
+
+/**
+ * Number and storage path for the next version. Persists the implicit version 1 first,
+ * so the current bytes stay reachable once the asset moves on.
+ */
+export async function nextVersion(a) {
+  let history = await listVersions(a.id);
+  if (!history.length) {
+    try {
+      history = [await addVersion(firstVersion(a))];
+    } catch (e) {
+      if (e?.code !== 'VERSION_EXISTS') throw e;
+      history = await listVersions(a.id);
+    }
+  }
+  const version = history[history.length - 1].version + 1;
+  return { version, path: versionPath(history[0].path, version) };
+}
+
+// Throws VERSION_EXISTS if another upload took the number first.
+export async function recordVersion(a, { version, stored, sha256, size, mime, scan, uploaded_by, message }) {
+  return addVersion({
+    asset_id: a.id,
+    version,
+    sha256,
+    size,
+    mime,
+    scan_status: scan?.scan_status ?? null,
+    scanned_at: scan?.scanned_at ?? null,
+    ...pick(stored, LOCATION_FIELDS),
+    uploaded_by,
+    message,
+    created_at: dayjs().toISOString()
+  });
+}
+
+/**
+ * Purge the bytes of every version except the current one (the caller purges that like any
+ * asset). Shared content is kept as long as something else references it; see releaseStored.
+ * Returns [{ version, ...result }].
+ */
+export async function releaseOtherVersions(a, driver, opts) {
+  const out = [];
+  for (const v of await listVersions(a.id)) {
+    if (v.version === a.version) continue;
+    try {
+      out.push({ version: v.version, ...(await releaseStored({ ...a, ...currentFields(v) }, driver, opts)) });
+    } catch (e) {
+      if (e?.code !== 'FILE_NOT_FOUND') throw e;
+      out.push({ version: v.version, path: v.path, missing: true });
+    }
+  }
+  return out;
+}
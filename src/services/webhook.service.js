@@ -0,0 +1,191 @@
+// src/services/webhook.service.js
+import crypto from 'crypto';
+import axios from 'axios';
+import dayjs from 'dayjs';
+import { nanoid } from 'nanoid';
+import {
+  listWebhooks, getWebhook, addDeliveries, dueDeliveries, claimDelivery, saveDelivery
+} from '../models/webhook.model.js';
+import { redactAsset } from '../utils/visibility.js';
+
+/**
+ * Asset lifecycle notifications. Each event is queued as one delivery per subscribed endpoint
+ * (webhook_deliveries), so nothing is lost across restarts; the queue is drained right after an
+ * event and by jobs/webhook.job.js. A failed attempt (network error, timeout or non-2xx) is retried
+ * with exponential backoff until ASSET_WEBHOOK_MAX_ATTEMPTS, then the delivery is 'failed' and
+ * can be sent again through the redeliver endpoint.
+ *
+ * Requests are POSTs of the event as JSON, { id, type, created_at, data }, with headers
+ *   X-Asset-Event       event type
+ *   X-Asset-Delivery    delivery id (a redelivery gets a new one; the event id stays the same)
+ *   X-Asset-Signature   t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the endpoint secret>
+ * Receivers should check the signature and reject stale timestamps.
+ */
+
+export const EVENTS = ['asset.created', 'asset.updated', 'asset.deleted', 'asset.restored', 'asset.integrity_failed'];
+
+const MAX_ATTEMPTS = Number(process.env.ASSET_WEBHOOK_MAX_ATTEMPTS) || 8;
+const BACKOFF_BASE_MS = (Number(process.env.ASSET_WEBHOOK_BACKOFF_SEC) || 30) * 1000;
+const BACKOFF_MAX_MS = 6 * 3600 * 1000;
+const TIMEOUT_MS = Number(process.env.ASSET_WEBHOOK_TIMEOUT_MS) || 10_000;
+const CLAIM_MS = TIMEOUT_MS + 30_000; // a worker that dies mid-attempt frees the delivery after this
+const BATCH = 20;
+const LOG_MAX = 20; // attempts kept per delivery
+const CACHE_MS = 30_000;
+
+// ---- helpers ----------------------------------------------------------------
+
+// active endpoints are read on every asset write; cached briefly, dropped on any local change
+let cached = null;
+async function activeWebhooks() {
+  if (!cached || cached.at < Date.now() - CACHE_MS) {
+    cached = { at: Date.now(), hooks: (await listWebhooks()).filter(w => w.active) };
+  }
+  return cached.hooks;
+}
+
+export function webhooksChanged() {
+  cached = null;
+}
+
+export function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 30s, 1m, 2m, ... capped at 6h, +-20% so retries from one outage don't arrive together
+function backoff(attempts) {
+  const ms = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(ms * (0.8 + Math.random() * 0.4));
+}
+
+function newDelivery(hook, event, extra = {}) {
+  const now = dayjs().toISOString();
+  return {
+    id: `dlv_${nanoid(16)}`,
+    webhook_id: hook.id,
+    event_id: event.id,
+    event: event.type,
+    payload: event,
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: now,
+    log: [],
+    created_at: now,
+    ...extra
+  };
+}
+
+// ---- events -----------------------------------------------------------------
+
+/**
+ * Queue `type` for every active endpoint subscribed to it and start delivering.
+ * Never throws: a notification problem must not fail the change that caused it.
+ */
+export async function emitEvent(type, data) {
+  try {
+    const hooks = (await activeWebhooks()).filter(w => w.events.includes(type));
+    if (!hooks.length) return null;
+    const event = { id: `evt_${nanoid(16)}`, type, created_at: dayjs().toISOString(), data };
+    await addDeliveries(hooks.map(w => newDelivery(w, event)));
+    deliverSoon();
+    return event;
+  } catch (e) {
+    console.error(`[webhooks] could not queue ${type}:`, e?.message || e);
+    return null;
+  }
+}
+
+// Asset events carry the asset as the API shows it (storage links stripped when private).
+export function assetEvent(type, asset, extra = {}) {
+  return emitEvent(type, { asset: redactAsset(asset), ...extra });
+}
+
+// ---- delivery ---------------------------------------------------------------
+
+async function attempt(d) {
+  const until = dayjs().add(CLAIM_MS, 'ms').toISOString();
+  if (!(await claimDelivery(d, until))) return; // another worker has it
+
+  const hook = await getWebhook(d.webhook_id);
+  const at = dayjs().toISOString();
+  if (!hook || !hook.active) {
+    const error = hook ? 'Webhook is disabled' : 'Webhook was deleted';
+    await saveDelivery({ ...d, status: 'failed', next_attempt_at: null, last_error: error, log: [...d.log, { at, status_code: null, error, duration_ms: 0 }].slice(-LOG_MAX) });
+    return;
+  }
+
+  const body = JSON.stringify(d.payload);
+  const t = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let status_code = null;
+  let error = null;
+  try {
+    const res = await axios.post(hook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'secure-asset-api-webhooks',
+        'X-Asset-Event': d.event,
+        'X-Asset-Delivery': d.id,
+        'X-Asset-Signature': `t=${t},v1=${signPayload(hook.secret, t, body)}`
+      },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: 64 * 1024,
+      responseType: 'text',
+      validateStatus: () => true
+    });
+    status_code = res.status;
+    if (res.status < 200 || res.status >= 300) error = `HTTP ${res.status}`;
+  } catch (e) {
+    error = e?.code || e?.message || String(e);
+  }
+
+  const attempts = d.attempts + 1;
+  const log = [...d.log, { at, status_code, error, duration_ms: Date.now() - started }].slice(-LOG_MAX);
+  const outcome = !error
+    ? { status: 'delivered', next_attempt_at: null, delivered_at: dayjs().toISOString() }
+    : attempts >= MAX_ATTEMPTS
+      ? { status: 'failed', next_attempt_at: null }
+      : { status: 'pending', next_attempt_at: dayjs().add(backoff(attempts), 'ms').toISOString() };
+  await saveDelivery({ ...d, ...outcome, attempts, last_status_code: status_code, last_error: error, log });
+}
+
+let running = false;
+let again = false;
+
+/**
+ * Send every delivery that is due. Overlapping calls fold into the running one.
+ */
+export async function deliverDue() {
+  if (running) {
+    again = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      again = false;
+      const due = await dueDeliveries(dayjs().toISOString(), BATCH);
+      await Promise.all(due.map(d => attempt(d).catch((e) => {
+        console.error(`[webhooks] delivery ${d.id} failed:`, e?.message || e);
+      })));
+      if (due.length === BATCH) again = true;
+    } while (again);
+  } finally {
+    running = false;
+  }
+}
+
+function deliverSoon() {
+  setImmediate(() => deliverDue().catch((e) => console.error('[webhooks] run failed:', e?.message || e)));
+}
+
+/**
+ * Queue the event of delivery `d` again for the same endpoint, as a new delivery with its own
+ * attempts and log. Returns the new delivery.
+ */
+export async function redeliver(hook, d) {
+  const [copy] = await addDeliveries([newDelivery(hook, d.payload, { redelivery_of: d.id })]);
+  deliverSoon();
+  return copy;
+}
@@ -0,0 +1,164 @@
+// src/storage/github.driver.js
+import { readFileSync } from 'fs';
+import {
+  uploadToGitHub, deleteFromGitHub, downloadFromGitHub, statGitHubFile, makeCdnUrl,
+  CONTENTS_MAX_BYTES, releaseAssetName, uploadReleaseAsset, downloadReleaseAsset, statReleaseAsset,
+  deleteReleaseAsset, uploadLfsFile, downloadLfsObject, makeLfsMediaUrl
+} from '../services/github.service.js';
+import { defaultTarget, targetForRepo, branchOf, repoOf } from '../services/targets.service.js';
+import { purgeCdn } from '../services/cdn.service.js';
+import { sha256File } from '../utils/hash.js';
+import { totalSizeFromHeaders } from '../utils/range.js';
+
+// files over CONTENTS_MAX_BYTES: 'release' (assets of one release) or 'lfs'
+const LARGE_STRATEGY = (process.env.ASSET_GH_LARGE_STRATEGY || 'release').toLowerCase();
+const RELEASE_TAG = process.env.ASSET_GH_RELEASE_TAG || 'assets';
+
+/**
+ * Storage strategy per asset (recorded as asset.storage_strategy):
+ *   contents  file committed via the Contents API (default, and every asset from before this existed)
+ *   release   release asset on RELEASE_TAG; storage_ref = release asset id
+ *   lfs       LFS object + pointer file committed at `path`; storage_ref = oid (sha256)
+ * Only `contents` files are served through the target's CDN, so only they are purged from it when
+ * overwritten or deleted (services/cdn.service.js).
+ */
+export function strategyFor(size) {
+  if (size == null || size <= CONTENTS_MAX_BYTES) return 'contents';
+  return LARGE_STRATEGY === 'lfs' ? 'lfs' : 'release';
+}
+
+// "owner/repo" -> { owner, repo }; every read and delete goes to the repo the asset was written to
+function repoParts(full) {
+  if (!full) {
+    const err = new Error('No GitHub target configured');
+    err.code = 'NO_TARGET';
+    throw err;
+  }
+  const [owner, repo] = full.split('/');
+  return { owner, repo };
+}
+
+function location(a) {
+  const full = repoOf(a);
+  return { ...repoParts(full), branch: a.branch || branchOf(targetForRepo(full)), path: a.path };
+}
+
+const githubDriver = {
+  name: 'github',
+  title: 'GitHub',
+
+  // `repo` ("owner/repo") defaults to the default target's. `branch` must exist (see
+  // resolveWriteBranch in services/github.service.js); the result names the branch written to.
+  async put({ path, file, size, mime, sha256, branch, message, repo: full, overwrite = false }) {
+    const strategy = strategyFor(size);
+    const dt = full ? null : defaultTarget();
+    const repo = full || (dt && `${dt.owner}/${dt.repo}`);
+    const { owner, repo: name } = repoParts(repo);
+
+    if (strategy === 'release') {
+      const ra = await uploadReleaseAsset({
+        owner, repo: name, tag: RELEASE_TAG, name: releaseAssetName(path), file, size, mime
+      });
+      return {
+        path,
+        repo,
+        branch: null,
+        github_url: ra.html_url,
+        cdn_url: ra.browser_download_url,
+        storage_strategy: strategy,
+        storage_ref: String(ra.id)
+      };
+    }
+
+    if (strategy === 'lfs') {
+      const oid = sha256 || (await sha256File(file));
+      const { contentUrl, branch: committed, commit_sha } = await uploadLfsFile({
+        owner, repo: name, branch, path, file, size, oid, message, overwrite
+      });
+      return {
+        path,
+        repo,
+        branch: committed,
+        github_url: contentUrl,
+        cdn_url: makeLfsMediaUrl({ owner, repo: name, branch: committed, path }),
+        storage_strategy: strategy,
+        storage_ref: oid,
+        commit_sha
+      };
+    }
+
+    const buf = readFileSync(file);
+    const { contentUrl, commit_sha, replaced, branch: committed } = await uploadToGitHub({
+      owner,
+      repo: name,
+      branch,
+      path,
+      contentBase64: buf.toString('base64'),
+      message,
+      overwrite
+    });
+    if (replaced) await purgeCdn([{ owner, repo: name, branch: committed, path }], { reason: 'overwrite' });
+    return {
+      path,
+      repo,
+      branch: committed,
+      github_url: contentUrl,
+      cdn_url: makeCdnUrl({ owner, repo: name, branch: committed, path }),
+      storage_strategy: strategy,
+      commit_sha
+    };
+  },
+
+  async get(a, { start, end } = {}) {
+    const range = start != null ? `bytes=${start}-${end ?? ''}` : undefined;
+    let res;
+    if (a.storage_strategy === 'release') {
+      res = await downloadReleaseAsset({ ...repoParts(repoOf(a)), id: a.storage_ref, range });
+    } else if (a.storage_strategy === 'lfs') {
+      res = await downloadLfsObject({ ...repoParts(repoOf(a)), oid: a.storage_ref, size: a.size, range });
+    } else {
+      res = await downloadFromGitHub({ ...location(a), range });
+    }
+    const { stream, partial, headers } = res;
+    return { stream, partial, size: totalSizeFromHeaders(headers, partial) };
+  },
+
+  async stat(a) {
+    if (a.storage_strategy === 'release') {
+      const info = await statReleaseAsset({ ...repoParts(repoOf(a)), id: a.storage_ref });
+      return info && { size: info.size, etag: String(info.id) };
+    }
+    const info = await statGitHubFile(location(a));
+    if (!info) return null;
+    // for LFS the file in the repo is only the pointer
+    return a.storage_strategy === 'lfs' ? { size: a.size, etag: a.storage_ref } : { size: info.size, etag: info.sha };
+  },
+
+  // LFS objects can't be removed through the API; deleting drops the pointer file
+  async delete(a, { message } = {}) {
+    if (a.storage_strategy === 'release') {
+      return deleteReleaseAsset({ ...repoParts(repoOf(a)), id: a.storage_ref });
+    }
+    const result = await deleteFromGitHub({
+      ...repoParts(repoOf(a)), branch: a.branch || undefined, path: a.path, message
+    });
+    if (a.storage_strategy === 'lfs') return result;
+    return { ...result, cdn_purge: await purgeCdn([location(a)], { reason: 'delete' }) };
+  },
+
+  url(a) {
+    if (a.storage_strategy === 'release') return a.cdn_url;
+    if (a.storage_strategy === 'lfs') return makeLfsMediaUrl(location(a));
+    return makeCdnUrl(location(a));
+  },
+
+  // the branch URL follows later commits; this one is fixed to the commit that wrote the bytes
+  pinnedUrl(a) {
+    if (a.storage_strategy === 'release') return a.cdn_url;
+    if (!a.commit_sha) return null;
+    const at = { ...location(a), branch: a.commit_sha };
+    return a.storage_strategy === 'lfs' ? makeLfsMediaUrl(at) : makeCdnUrl(at);
+  }
+};
+
+export default githubDriver;
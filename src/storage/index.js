@@ -0,0 +1,39 @@
+// src/storage/index.js
+import githubDriver from './github.driver.js';
+import localDriver from './local.driver.js';
+import s3Driver from './s3.driver.js';
+import remoteDriver from './remote.driver.js';
+
+/**
+ * Storage driver contract (one per `disk` value):
+ *   put({ path, file, size, mime, branch?, message?, overwrite? })
+ *                                 -> fields to merge into the asset (at least `path`); a driver
+ *                                    that sees a file already at `path` (github) refuses with
+ *                                    code PATH_EXISTS (409) unless `overwrite`
+ *   get(asset, { start?, end? })  -> { stream, partial, size }   (partial: stream already covers start..end)
+ *   stat(asset)                   -> { size, etag?, mime? } | null
+ *   delete(asset, opts?)          -> driver-specific result
+ *   url(asset)                    -> public URL or null
+ *   pinnedUrl(asset)              -> URL that keeps serving exactly these bytes, or null (optional;
+ *                                    without it url() is taken to be stable already)
+ * `file` is a path on local disk (multer temp file); drivers must not remove it.
+ */
+const drivers = {
+  github: githubDriver,
+  local: localDriver,
+  s3: s3Driver,
+  remote: remoteDriver
+};
+
+// disks that accept uploads through POST /assets/upload
+export const UPLOAD_DISKS = ['github', 'local', 's3'];
+
+export function getDriver(disk) {
+  const d = drivers[disk];
+  if (!d) {
+    const err = new Error(`Unknown storage disk '${disk}'`);
+    err.code = 'UNKNOWN_DISK';
+    throw err;
+  }
+  return d;
+}
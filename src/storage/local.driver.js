@@ -0,0 +1,68 @@
+// src/storage/local.driver.js
+import fs from 'fs';
+import fse from 'fs-extra';
+import path from 'path';
+
+const ROOT = path.resolve(process.env.ASSET_LOCAL_ROOT || path.join(process.cwd(), 'storage'));
+const BASE_URL = (process.env.ASSET_LOCAL_BASE_URL || '').replace(/\/+$/, '');
+
+// Map a stored key to an absolute path, refusing anything that escapes ROOT.
+function resolveKey(key) {
+  const full = path.resolve(ROOT, String(key || '').replace(/^\/+/, ''));
+  if (full === ROOT || !full.startsWith(ROOT + path.sep)) {
+    const err = new Error(`Invalid local path '${key}'`);
+    err.code = 'INVALID_PATH';
+    throw err;
+  }
+  return full;
+}
+
+function notFound() {
+  const err = new Error('File not found on local disk');
+  err.code = 'FILE_NOT_FOUND';
+  return err;
+}
+
+const localDriver = {
+  name: 'local',
+  title: 'Local disk',
+
+  async put({ path: key, file }) {
+    const full = resolveKey(key);
+    await fse.ensureDir(path.dirname(full));
+    await fse.copy(file, full, { overwrite: true });
+    return { path: key };
+  },
+
+  async get(a, { start, end } = {}) {
+    const full = resolveKey(a.path);
+    const st = await this.stat(a);
+    if (!st) throw notFound();
+    const partial = start != null;
+    const stream = fs.createReadStream(full, partial ? { start, end: end ?? st.size - 1 } : {});
+    return { stream, partial, size: st.size };
+  },
+
+  async stat(a) {
+    try {
+      const st = await fs.promises.stat(resolveKey(a.path));
+      return st.isFile() ? { size: st.size, mtime: st.mtime } : null;
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  },
+
+  async delete(a) {
+    const full = resolveKey(a.path);
+    if (!(await fse.pathExists(full))) throw notFound();
+    await fse.remove(full);
+    return { path: a.path };
+  },
+
+  url(a) {
+    return BASE_URL ? `${BASE_URL}/${String(a.path).replace(/^\/+/, '')}` : null;
+  }
+};
+
+export default localDriver;
@@ -0,0 +1,58 @@
+// src/storage/remote.driver.js
+// Third-party URLs registered via /assets/register. Read-only: we never own these bytes.
+import axios from 'axios';
+import { totalSizeFromHeaders } from '../utils/range.js';
+
+function readOnly(op) {
+  const err = new Error(`Remote assets do not support ${op}`);
+  err.code = 'UNSUPPORTED_OPERATION';
+  return err;
+}
+
+const remoteDriver = {
+  name: 'remote',
+  title: 'Remote',
+
+  async put() {
+    throw readOnly('upload');
+  },
+
+  async get(a, { start, end } = {}) {
+    try {
+      const res = await axios.get(a.path, {
+        responseType: 'stream',
+        headers: start != null ? { Range: `bytes=${start}-${end ?? ''}` } : {},
+        maxRedirects: 5
+      });
+      const partial = res.status === 206;
+      return { stream: res.data, partial, size: totalSizeFromHeaders(res.headers, partial) };
+    } catch (e) {
+      if (e?.response?.status === 404) {
+        const err = new Error('Remote file not found');
+        err.code = 'FILE_NOT_FOUND';
+        throw err;
+      }
+      throw e;
+    }
+  },
+
+  async stat(a) {
+    try {
+      const res = await axios.head(a.path, { maxRedirects: 5 });
+      return { size: totalSizeFromHeaders(res.headers), etag: res.headers.etag ?? null, mime: res.headers['content-type'] };
+    } catch (e) {
+      if (e?.response?.status === 404) return null;
+      throw e;
+    }
+  },
+
+  async delete() {
+    throw readOnly('delete');
+  },
+
+  url(a) {
+    return a.path;
+  }
+};
+
+export default remoteDriver;
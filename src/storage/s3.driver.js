@@ -0,0 +1,96 @@
+// src/storage/s3.driver.js
+// Any S3-compatible store (AWS, MinIO, R2...). For MinIO set ASSET_S3_ENDPOINT and ASSET_S3_FORCE_PATH_STYLE=true.
+import fs from 'fs';
+import {
+  S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+
+const BUCKET     = process.env.ASSET_S3_BUCKET;
+const REGION     = process.env.ASSET_S3_REGION || 'us-east-1';
+const ENDPOINT   = (process.env.ASSET_S3_ENDPOINT || '').replace(/\/+$/, '');
+const PATH_STYLE = ['true', '1', 'on', 'yes'].includes(String(process.env.ASSET_S3_FORCE_PATH_STYLE).toLowerCase());
+const PUBLIC_URL = (process.env.ASSET_S3_PUBLIC_URL || '').replace(/\/+$/, '');
+
+let client = null;
+
+function s3() {
+  if (!BUCKET) {
+    const err = new Error('ASSET_S3_BUCKET is not set.');
+    err.code = 'S3_NOT_CONFIGURED';
+    throw err;
+  }
+  if (!client) {
+    const accessKeyId = process.env.ASSET_S3_ACCESS_KEY;
+    const secretAccessKey = process.env.ASSET_S3_SECRET_KEY;
+    client = new S3Client({
+      region: REGION,
+      endpoint: ENDPOINT || undefined,
+      forcePathStyle: PATH_STYLE,
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+  return client;
+}
+
+const isNotFound = (e) =>
+  e?.name === 'NoSuchKey' || e?.name === 'NotFound' || e?.$metadata?.httpStatusCode === 404;
+
+const s3Driver = {
+  name: 's3',
+  title: 'S3',
+
+  async put({ path, file, size, mime }) {
+    const { ETag } = await s3().send(new PutObjectCommand({
+      Bucket: BUCKET,
+      Key: path,
+      Body: fs.createReadStream(file),
+      ContentLength: size,
+      ContentType: mime || undefined
+    }));
+    return { path, etag: ETag?.replace(/"/g, '') ?? null };
+  },
+
+  async get(a, { start, end } = {}) {
+    try {
+      const res = await s3().send(new GetObjectCommand({
+        Bucket: BUCKET,
+        Key: a.path,
+        Range: start != null ? `bytes=${start}-${end ?? ''}` : undefined
+      }));
+      const partial = Boolean(res.ContentRange);
+      const total = partial ? Number(/\/(\d+)$/.exec(res.ContentRange)?.[1]) : res.ContentLength;
+      return { stream: res.Body, partial, size: Number.isFinite(total) ? total : null };
+    } catch (e) {
+      if (isNotFound(e)) {
+        const err = new Error('Object not found in bucket');
+        err.code = 'FILE_NOT_FOUND';
+        throw err;
+      }
+      throw e;
+    }
+  },
+
+  async stat(a) {
+    try {
+      const res = await s3().send(new HeadObjectCommand({ Bucket: BUCKET, Key: a.path }));
+      return { size: res.ContentLength, etag: res.ETag?.replace(/"/g, '') ?? null, mime: res.ContentType };
+    } catch (e) {
+      if (isNotFound(e)) return null;
+      throw e;
+    }
+  },
+
+  async delete(a) {
+    await s3().send(new DeleteObjectCommand({ Bucket: BUCKET, Key: a.path }));
+    return { path: a.path };
+  },
+
+  url(a) {
+    if (PUBLIC_URL) return `${PUBLIC_URL}/${a.path}`;
+    if (!BUCKET) return null;
+    if (ENDPOINT) return `${ENDPOINT}/${BUCKET}/${a.path}`;
+    return `https://${BUCKET}.s3.${REGION}.amazonaws.com/${a.path}`;
+  }
+};
+
+export default s3Driver;
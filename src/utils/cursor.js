@@ -0,0 +1,16 @@
+// Opaque keyset cursors: base64url JSON of the sort it belongs to plus the last row's position.
+
+export function encodeCursor({ sort, order, value, id }) {
+  return Buffer.from(JSON.stringify({ s: sort, o: order, v: value ?? null, id })).toString('base64url');
+}
+
+// Returns { sort, order, value, id } or null when the cursor is malformed.
+export function decodeCursor(str) {
+  try {
+    const c = JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8'));
+    if (!c || typeof c.id !== 'string' || typeof c.s !== 'string' || typeof c.o !== 'string') return null;
+    return { sort: c.s, order: c.o, value: c.v, id: c.id };
+  } catch {
+    return null;
+  }
+}
@@ -1,7 +1,52 @@
 import crypto from 'crypto';
+import fs from 'fs';
+import { Transform } from 'stream';
 
 export function sha256Hex(bufOrStr) {
   const h = crypto.createHash('sha256');
   h.update(bufOrStr);
   return h.digest('hex');
 }
+
+// Hash a file on disk without loading it into memory.
+export function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => h.update(chunk))
+      .on('end', () => resolve(h.digest('hex')));
+  });
+}
+
+/**
+ * Pass-through that hashes bytes as they flow and compares against `expected` at the end.
+ * Emits 'verified' with { ok, actual }. With `strict`, the final chunk is held back and the
+ * stream errors (code HASH_MISMATCH) instead of releasing it, so the client never gets a
+ * complete body that failed verification.
+ */
+export function sha256Stream(expected, { strict = false } = {}) {
+  const h = crypto.createHash('sha256');
+  let held = null;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      h.update(chunk);
+      if (!strict) return cb(null, chunk);
+      if (held) this.push(held);
+      held = chunk;
+      cb();
+    },
+    flush(cb) {
+      const actual = h.digest('hex');
+      const ok = actual === String(expected).toLowerCase();
+      this.emit('verified', { ok, actual });
+      if (strict && !ok) {
+        const err = new Error(`sha256 mismatch: expected ${expected}, got ${actual}`);
+        err.code = 'HASH_MISMATCH';
+        return cb(err);
+      }
+      if (held) this.push(held);
+      cb();
+    }
+  });
+}
@@ -0,0 +1,40 @@
+// src/utils/metadata.js
+import { z } from 'zod';
+import { slugify } from './slugify.js';
+
+/**
+ * What an asset says about itself besides its file:
+ *   tags      free-form labels, many per asset ('Brand Kit' is stored as 'brand-kit')
+ *   metadata  a JSON object; alt, caption, credit, author, license, license_url and source_url
+ *             are checked for shape, anything else may be any JSON value.
+ *             At most ASSET_METADATA_MAX_BYTES (default 16 KB) as JSON.
+ */
+
+const METADATA_MAX_BYTES = Number(process.env.ASSET_METADATA_MAX_BYTES) || 16 * 1024;
+export const MAX_TAGS = 50;
+
+export const normalizeTag = (t) => slugify(String(t)).slice(0, 64);
+
+// a list, or (multipart fields) a JSON array or comma-separated string; normalized and deduplicated
+export const tagsSchema = z.preprocess((v) => {
+  if (typeof v !== 'string') return v;
+  if (!v.trim().startsWith('[')) return v.split(',');
+  try { return JSON.parse(v); } catch { return v; }
+}, z.array(z.string()).max(MAX_TAGS)).transform((list) => [...new Set(list.map(normalizeTag).filter(Boolean))]);
+
+export const metadataSchema = z.preprocess((v) => {
+  if (typeof v !== 'string') return v;
+  try { return JSON.parse(v); } catch { return v; }
+}, z.object({
+  alt: z.string().max(1000).optional(),
+  caption: z.string().max(2000).optional(),
+  credit: z.string().max(500).optional(),
+  author: z.string().max(200).optional(),
+  license: z.string().max(200).optional(),
+  license_url: z.url({ protocol: /^https?$/ }).optional(),
+  source_url: z.url({ protocol: /^https?$/ }).optional()
+}).catchall(z.json()).superRefine((v, ctx) => {
+  if (Buffer.byteLength(JSON.stringify(v)) > METADATA_MAX_BYTES) {
+    ctx.addIssue({ code: 'custom', message: `metadata may be at most ${METADATA_MAX_BYTES} bytes as JSON` });
+  }
+}));
@@ -0,0 +1,52 @@
+import { Transform } from 'stream';
+
+// Total object size from upstream response headers.
+// For a 206 the total lives in `Content-Range: bytes a-b/total`; otherwise in Content-Length.
+export function totalSizeFromHeaders(headers = {}, partial = false) {
+  if (partial) {
+    const m = /\/(\d+)\s*$/.exec(headers['content-range'] || '');
+    return m ? Number(m[1]) : null;
+  }
+  const len = headers['content-length'];
+  return len != null && len !== '' ? Number(len) : null;
+}
+
+/**
+ * Parse a single-range `Range: bytes=...` header against a known size.
+ * Returns null (serve the whole body), { start, end } (inclusive) or 'unsatisfiable'.
+ * Multi-range requests are answered with the full body, which RFC 9110 allows.
+ */
+export function parseRange(header, size) {
+  if (!header || size == null) return null;
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+
+  let start, end;
+  if (m[1] === '') {
+    // suffix range: last N bytes
+    const n = Number(m[2]);
+    if (n === 0) return 'unsatisfiable';
+    start = Math.max(0, size - n);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+// Cut start..end (inclusive) out of a full-body stream, for upstreams that ignore Range.
+export function sliceStream(start, end) {
+  let pos = 0;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      const from = Math.max(start - pos, 0);
+      const to = Math.min(end + 1 - pos, chunk.length);
+      pos += chunk.length;
+      if (to > from) this.push(chunk.subarray(from, to));
+      if (pos > end) this.push(null);
+      cb();
+    }
+  });
+}
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+
+/**
+ * HMAC-signed short links for /a/:slug.
+ * Signed fields: slug, expires (unix seconds), optional ip and disposition.
+ * The canonical string is newline-joined so no field can bleed into another.
+ */
+function secret() {
+  const s = process.env.ASSET_SIGNING_SECRET;
+  if (!s) {
+    const err = new Error('ASSET_SIGNING_SECRET is not set.');
+    err.code = 'SIGNING_NOT_CONFIGURED';
+    throw err;
+  }
+  return s;
+}
+
+// IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:/i, '');
+
+function hmac({ slug, expires, ip, disposition }) {
+  return crypto.createHmac('sha256', secret())
+    .update([slug, expires, ip || '', disposition || ''].join('\n'))
+    .digest('base64url');
+}
+
+export function signParams({ slug, expires, ip, disposition }) {
+  const params = { expires: String(expires) };
+  if (ip) params.ip = ip;
+  if (disposition) params.disposition = disposition;
+  params.sig = hmac({ slug, expires, ip, disposition });
+  return params;
+}
+
+/**
+ * Check query params from a signed link.
+ * Returns { ok: true, disposition } or { ok: false, reason }.
+ */
+export function verifyParams(slug, query, clientIp) {
+  const { expires, ip, disposition, sig } = query;
+  if (!sig || !expires) return { ok: false, reason: 'missing' };
+  if (!/^\d+$/.test(String(expires)) || Number(expires) < Math.floor(Date.now() / 1000)) {
+    return { ok: false, reason: 'expired' };
+  }
+
+  const expected = Buffer.from(hmac({ slug, expires, ip, disposition }));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return { ok: false, reason: 'invalid' };
+  }
+  if (ip && normalizeIp(ip) !== normalizeIp(clientIp)) return { ok: false, reason: 'ip' };
+  return { ok: true, disposition: disposition || null };
+}
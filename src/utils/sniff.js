@@ -0,0 +1,133 @@
+// src/utils/sniff.js
+import { openSync, readSync, closeSync } from 'fs';
+
+/**
+ * Content type detection from the first bytes of a file ("magic bytes").
+ * Each signature lists the extension types it's consistent with: a .docx is a zip, an .m4a
+ * is an ISO-BMFF file like .mp4, and so on. `strict` signatures are always present in valid
+ * files of those types, so a .png without the PNG header is rejected rather than guessed at.
+ */
+
+export const SNIFF_BYTES = 4100;
+
+const ascii = (buf, offset, s) => buf.length >= offset + s.length && buf.toString('latin1', offset, offset + s.length) === s;
+const bytes = (buf, offset, list) => list.every((b, i) => buf[offset + i] === b);
+
+const ZIP_BASED = [
+  'application/zip',
+  'application/epub+zip',
+  'application/java-archive',
+  'application/vnd.android.package-archive',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  'application/vnd.oasis.opendocument.text',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'application/vnd.oasis.opendocument.presentation'
+];
+
+const ISO_BMFF = ['video/mp4', 'audio/mp4', 'video/quicktime', 'video/3gpp', 'video/3gpp2', 'image/avif', 'image/heic', 'image/heif'];
+
+function ftypMime(buf) {
+  const brand = buf.toString('latin1', 8, 12);
+  if (brand === 'avif' || brand === 'avis') return 'image/avif';
+  if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  if (brand === 'qt  ') return 'video/quicktime';
+  if (brand.startsWith('M4A')) return 'audio/mp4';
+  return 'video/mp4';
+}
+
+const SIGNATURES = [
+  { mime: 'image/png', test: (b) => bytes(b, 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: 'image/jpeg', test: (b) => bytes(b, 0, [0xff, 0xd8, 0xff]) },
+  { mime: 'image/gif', test: (b) => ascii(b, 0, 'GIF87a') || ascii(b, 0, 'GIF89a') },
+  { mime: 'image/webp', test: (b) => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WEBP') },
+  { mime: 'audio/wav', also: ['audio/x-wav', 'audio/wave'], test: (b) => ascii(b, 0, 'RIFF') && ascii(b, 8, 'WAVE') },
+  { mime: 'video/x-msvideo', test: (b) => ascii(b, 0, 'RIFF') && ascii(b, 8, 'AVI ') },
+  { mime: 'image/bmp', test: (b) => ascii(b, 0, 'BM') && b.length > 18 && [12, 40, 52, 56, 108, 124].includes(b.readUInt32LE(14)) },
+  { mime: 'image/vnd.microsoft.icon', also: ['image/x-icon'], test: (b) => bytes(b, 0, [0x00, 0x00, 0x01, 0x00]) },
+  { mime: 'image/tiff', test: (b) => ascii(b, 0, 'II*\0') || ascii(b, 0, 'MM\0*') },
+  { mime: 'application/pdf', test: (b) => ascii(b, 0, '%PDF-') },
+  { mime: 'application/zip', also: ZIP_BASED, test: (b) => ascii(b, 0, 'PK\x03\x04') || ascii(b, 0, 'PK\x05\x06') },
+  { mime: 'application/gzip', also: ['application/x-gzip'], test: (b) => bytes(b, 0, [0x1f, 0x8b]) },
+  { mime: 'application/x-7z-compressed', test: (b) => bytes(b, 0, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+  { mime: 'application/vnd.rar', also: ['application/x-rar-compressed'], test: (b) => ascii(b, 0, 'Rar!\x1a\x07') },
+  { mime: ftypMime, also: ISO_BMFF, test: (b) => ascii(b, 4, 'ftyp') },
+  { mime: 'video/webm', also: ['audio/webm', 'video/x-matroska'], test: (b) => bytes(b, 0, [0x1a, 0x45, 0xdf, 0xa3]) },
+  { mime: 'audio/ogg', also: ['video/ogg', 'application/ogg'], test: (b) => ascii(b, 0, 'OggS') },
+  { mime: 'audio/x-flac', also: ['audio/flac'], test: (b) => ascii(b, 0, 'fLaC') },
+  { mime: 'font/woff', test: (b) => ascii(b, 0, 'wOFF') },
+  { mime: 'font/woff2', test: (b) => ascii(b, 0, 'wOF2') },
+  { mime: 'application/wasm', test: (b) => bytes(b, 0, [0x00, 0x61, 0x73, 0x6d]) },
+  // not strict: MP3s may start with junk before the first frame, TTF headers vary
+  { mime: 'audio/mpeg', strict: false, test: (b) => ascii(b, 0, 'ID3') || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) },
+  { mime: 'font/ttf', strict: false, test: (b) => bytes(b, 0, [0x00, 0x01, 0x00, 0x00]) },
+  { mime: 'font/otf', strict: false, test: (b) => ascii(b, 0, 'OTTO') },
+  // executables are never what an asset claims to be
+  { mime: 'application/x-msdownload', test: (b) => ascii(b, 0, 'MZ') && b.length >= 64 && ascii(b, b.readUInt32LE(60), 'PE\0\0') },
+  { mime: 'application/x-executable', test: (b) => bytes(b, 0, [0x7f, 0x45, 0x4c, 0x46]) }
+];
+
+// types a valid file can't be without its signature
+export const STRICT_TYPES = new Set(
+  SIGNATURES.filter(s => s.strict !== false && typeof s.mime === 'string')
+    .flatMap(s => [s.mime, ...(s.also || [])])
+    .concat(ISO_BMFF)
+);
+
+function decodeText(buf) {
+  if (buf.includes(0)) return null;
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+  // the sample may end in the middle of a multi-byte character
+  for (let cut = 0; cut <= 3 && cut < buf.length; cut++) {
+    try {
+      return decoder.decode(buf.subarray(0, buf.length - cut));
+    } catch {}
+  }
+  return null;
+}
+
+// WHATWG mime sniffing's list of tags that make a text resource HTML
+const HTML_START = /^<(!doctype\s+html|html|head|body|script|iframe|h1|div|font|table|a|style|title|b|br|p)[\s>/]/i;
+
+// strip BOM, the XML declaration, comments and doctypes to reach the first element
+function firstMarkup(text) {
+  let s = text.replace(/^\uFEFF/, '').trimStart();
+  for (;;) {
+    const next = s.replace(/^<\?xml[\s\S]*?\?>/i, '').replace(/^<!--[\s\S]*?-->/, '').replace(/^<!doctype\s+svg[^>]*>/i, '').trimStart();
+    if (next === s) return s;
+    s = next;
+  }
+}
+
+/**
+ * Classify the start of a file.
+ * Returns { mime, accepts, strict } for a binary signature, { text: kind, mime } for text
+ * (kind: 'svg' | 'html' | 'xml' | 'plain'), or null for binary data we don't recognize.
+ */
+export function sniff(buf) {
+  for (const s of SIGNATURES) {
+    if (!s.test(buf)) continue;
+    const mime = typeof s.mime === 'function' ? s.mime(buf) : s.mime;
+    return { mime, accepts: [mime, ...(s.also || [])], strict: s.strict !== false };
+  }
+
+  const text = decodeText(buf);
+  if (text === null) return null;
+  const start = firstMarkup(text);
+  if (/^<svg[\s>]/i.test(start)) return { text: 'svg', mime: 'image/svg+xml' };
+  if (HTML_START.test(start)) return { text: 'html', mime: 'text/html' };
+  if (/^<\?xml/i.test(text.replace(/^\uFEFF/, '').trimStart())) return { text: 'xml', mime: 'application/xml' };
+  return { text: 'plain', mime: 'text/plain' };
+}
+
+export function readHead(file, n = SNIFF_BYTES) {
+  const fd = openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(n);
+    const read = readSync(fd, buf, 0, n, 0);
+    return buf.subarray(0, read);
+  } finally {
+    closeSync(fd);
+  }
+}
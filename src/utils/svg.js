@@ -0,0 +1,209 @@
+// src/utils/svg.js
+
+/**
+ * SVG sanitizer for uploads. SVG is served as an image but is an XML document that can carry
+ * script: <script>, event handler attributes, javascript: links, <foreignObject> HTML, and
+ * animations that rewrite href at runtime. Those are removed; the drawing itself is kept
+ * byte for byte where nothing had to change.
+ *
+ * It is a tokenizer, not a full XML parser: anything that doesn't tokenize as markup is
+ * escaped as text, so a malformed tag can't survive into the output as one.
+ * Documents declaring entities are refused outright (entity expansion, external entities).
+ */
+
+export const SVG_MAX_BYTES = 10 * 1024 * 1024;
+
+// dropped together with everything inside them
+const DROP_ELEMENTS = new Set(['script', 'foreignobject', 'iframe', 'embed', 'object', 'handler', 'listener']);
+// their content is text, not markup: skipped or checked as a whole
+const RAW_TEXT = new Set(['script', 'style']);
+const ANIMATIONS = new Set(['set', 'animate', 'animatemotion', 'animatetransform', 'animatecolor']);
+
+const TAG = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>"'<]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>=`]+))?)*)\s*(\/?)>/y;
+const ATTR = /([^\s=/>"'<]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>=`]+)))?/g;
+const DOCTYPE = /<!doctype[^>[]*(\[[\s\S]*?\])?\s*>/iy;
+
+function unsafe(msg) {
+  const err = new Error(msg);
+  err.code = 'UNSAFE_CONTENT';
+  return err;
+}
+
+const localName = (name) => name.slice(name.lastIndexOf(':') + 1).toLowerCase();
+
+const NAMED = { colon: ':', tab: '\t', newline: '\n', lpar: '(', rpar: ')', sol: '/', amp: '&', quot: '"', apos: "'", lt: '<', gt: '>' };
+
+function decodeEntities(s) {
+  return s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));?/gi, (m, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff));
+    if (dec) return String.fromCodePoint(Math.min(parseInt(dec, 10), 0x10ffff));
+    return NAMED[name.toLowerCase()] ?? m;
+  });
+}
+
+// how a browser would read a URL-ish value: entities decoded, whitespace and controls ignored
+const normalizeValue = (v) => decodeEntities(v).replace(/[\u0000- \u007f-\u009f]/g, '').toLowerCase();
+
+const SAFE_DATA = /^data:image\/(png|jpeg|gif|webp)[;,]/;
+
+function dangerousValue(v) {
+  const n = normalizeValue(v);
+  if (SAFE_DATA.test(n)) return false;
+  return /^(javascript|vbscript|data):/.test(n) || /url\(['"]?(javascript|vbscript|data):/.test(n);
+}
+
+function unsafeCss(css) {
+  const n = decodeEntities(css).replace(/\\/g, '').replace(/\s+/g, '').toLowerCase();
+  if (/javascript:|vbscript:|expression\(|@import|behavior:|-moz-binding/.test(n)) return true;
+  // url() may only point inside the document
+  return [...n.matchAll(/url\(([^)]*)\)/g)].some(([, u]) => !u.replace(/^['"]/, '').startsWith('#'));
+}
+
+// Returns the attribute list to write back, or null when nothing had to go.
+function cleanAttributes(tag, raw) {
+  const kept = [];
+  let dropped = false;
+  for (const [, name, dq, sq, bare] of raw.matchAll(ATTR)) {
+    const value = dq ?? sq ?? bare ?? '';
+    const attr = localName(name);
+    let bad = attr.startsWith('on') ||
+      (attr === 'style' && unsafeCss(value)) ||
+      dangerousValue(value);
+    // <use> may only reference shapes in this document
+    if (!bad && tag === 'use' && attr === 'href') bad = !normalizeValue(value).startsWith('#');
+    if (bad) dropped = true;
+    else kept.push(` ${name}="${value.replace(/"/g, '&quot;').replace(/</g, '&lt;')}"`);
+  }
+  return dropped ? kept.join('') : null;
+}
+
+// <set attributeName="href" to="javascript:..."> and friends
+function scriptedAnimation(tag, raw) {
+  if (!ANIMATIONS.has(tag)) return false;
+  for (const [, name, dq, sq, bare] of raw.matchAll(ATTR)) {
+    if (localName(name) !== 'attributename') continue;
+    const target = localName(normalizeValue(dq ?? sq ?? bare ?? ''));
+    if (target.startsWith('on') || target === 'href' || target === 'style') return true;
+  }
+  return false;
+}
+
+function closeTagIndex(src, from, tag) {
+  const re = new RegExp(`</(?:[\\w.-]+:)?${tag}\\s*>`, 'ig');
+  re.lastIndex = from;
+  const m = re.exec(src);
+  return m ? { start: m.index, end: m.index + m[0].length } : null;
+}
+
+/**
+ * Sanitize an SVG document. Returns { svg, changed }.
+ * Throws UNSAFE_CONTENT for documents that can't be made safe by removing parts of them.
+ */
+export function sanitizeSvg(input) {
+  const src = String(input);
+  if (Buffer.byteLength(src) > SVG_MAX_BYTES) throw unsafe(`SVG is larger than ${SVG_MAX_BYTES} bytes`);
+  if (/<!entity/i.test(src)) throw unsafe('SVG declares XML entities');
+
+  let out = '';
+  let changed = false;
+  let skip = null; // { tag, depth } while inside a dropped element
+  let i = 0;
+
+  while (i < src.length) {
+    const lt = src.indexOf('<', i);
+    if (lt === -1) {
+      if (!skip) out += src.slice(i);
+      break;
+    }
+    if (!skip) out += src.slice(i, lt);
+    i = lt;
+    const at = (re) => {
+      re.lastIndex = i;
+      return re.exec(src);
+    };
+
+    let m;
+    if (src.startsWith('<!--', i)) {
+      const end = src.indexOf('-->', i + 4);
+      i = end === -1 ? src.length : end + 3;
+      changed = true;
+      continue;
+    }
+    if (src.startsWith('<![CDATA[', i)) {
+      const end = src.indexOf(']]>', i);
+      const stop = end === -1 ? src.length : end + 3;
+      if (!skip) out += src.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    if ((m = at(DOCTYPE))) {
+      i += m[0].length;
+      changed = true;
+      continue;
+    }
+    if (src.startsWith('<?', i)) {
+      const end = src.indexOf('?>', i);
+      const stop = end === -1 ? src.length : end + 2;
+      // keep the XML declaration, drop other processing instructions (xml-stylesheet, ...)
+      if (!skip && /^<\?xml\s/i.test(src.slice(i, i + 6)) && !out.trim()) out += src.slice(i, stop);
+      else changed = true;
+      i = stop;
+      continue;
+    }
+
+    m = at(TAG);
+    if (!m) {
+      // not markup: keep it as text
+      if (!skip) out += '&lt;';
+      changed = true;
+      i += 1;
+      continue;
+    }
+
+    const [whole, closing, name, attrs, selfClosing] = m;
+    const tag = localName(name);
+    i += whole.length;
+
+    if (skip) {
+      if (tag === skip.tag && !selfClosing) skip.depth += closing ? -1 : 1;
+      if (skip.depth === 0) skip = null;
+      continue;
+    }
+    if (closing) {
+      out += whole;
+      continue;
+    }
+
+    if (DROP_ELEMENTS.has(tag) || scriptedAnimation(tag, attrs)) {
+      changed = true;
+      if (selfClosing) continue;
+      if (RAW_TEXT.has(tag)) {
+        const close = closeTagIndex(src, i, tag);
+        i = close ? close.end : src.length;
+      } else {
+        skip = { tag, depth: 1 };
+      }
+      continue;
+    }
+
+    const cleaned = cleanAttributes(tag, attrs);
+    if (cleaned !== null) changed = true;
+    const open = cleaned === null ? whole : `<${name}${cleaned}${selfClosing ? '/' : ''}>`;
+
+    if (tag === 'style' && !selfClosing) {
+      const close = closeTagIndex(src, i, tag);
+      const end = close ? close.start : src.length;
+      const css = src.slice(i, end).replace(/<!\[CDATA\[|\]\]>/g, '');
+      if (unsafeCss(css) || css.includes('<')) {
+        changed = true;
+      } else {
+        out += open + src.slice(i, close ? close.end : src.length);
+      }
+      i = close ? close.end : src.length;
+      continue;
+    }
+    out += open;
+  }
+
+  return { svg: out, changed };
+}
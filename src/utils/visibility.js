@@ -0,0 +1,9 @@
+// Anything not explicitly 'public' is private: served only through signed /a/:slug links.
+export const isPublic = (a) => (a?.visibility || 'public') === 'public';
+
+// Strip direct storage links (jsDelivr, GitHub) from private assets before they leave the API.
+export function redactAsset(a) {
+  if (!a || isPublic(a)) return a;
+  const variants = (a.variants || []).map(v => ({ ...v, cdn_url: null, github_url: null }));
+  return { ...a, cdn_url: null, github_url: null, variants };
+}
@@ -0,0 +1,73 @@
+// test/cdn.test.js
+// CDN purging of overwritten or deleted GitHub files (services/cdn.service.js), against a local
+// purge endpoint.
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+let requests = [];
+let failWith = null;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (d) => { body += d; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, auth: req.headers.authorization ?? null, body: body ? JSON.parse(body) : null });
+    res.statusCode = failWith ?? 200;
+    res.end('{}');
+  });
+});
+await new Promise(r => server.listen(0, '127.0.0.1', r));
+after(() => server.close());
+const origin = `http://127.0.0.1:${server.address().port}`;
+
+process.env.METADATA_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+process.env.ASSET_JSDELIVR_PURGE_BASE = `${origin}/purge/gh`;
+// target 'default' (o/r) purges through a hook; other repos fall back to jsDelivr
+process.env.ASSET_GH_OWNER = 'o';
+process.env.ASSET_GH_REPO = 'r';
+process.env.ASSET_CDN_PROVIDER = 'custom';
+process.env.ASSET_CDN_BASE = 'https://cdn.example.com/{path}';
+process.env.ASSET_CDN_PURGE_URL = `${origin}/hook`;
+process.env.ASSET_CDN_PURGE_TOKEN = 'purge-secret';
+
+const { purgeCdn } = await import('../src/services/cdn.service.js');
+const { listAudit } = await import('../src/models/audit.model.js');
+
+beforeEach(() => {
+  requests = [];
+  failWith = null;
+});
+
+test('a target with cdn_purge_url is purged through the hook', async () => {
+  const results = await purgeCdn([{ owner: 'o', repo: 'r', path: 'img/a.png' }], { reason: 'overwrite' });
+  assert.deepEqual(results, [{ url: 'https://cdn.example.com/img/a.png', provider: 'custom', ok: true, status: 200 }]);
+  assert.deepEqual(requests, [{
+    method: 'POST',
+    url: '/hook',
+    auth: 'Bearer purge-secret',
+    body: { url: 'https://cdn.example.com/img/a.png', path: 'img/a.png', repo: 'o/r', ref: 'main' }
+  }]);
+});
+
+test('jsDelivr URLs are purged through its purge API', async () => {
+  const results = await purgeCdn([{ owner: 'x', repo: 'y', branch: 'dev', path: 'b.css' }], { reason: 'delete' });
+  assert.deepEqual(results, [{ url: 'https://cdn.jsdelivr.net/gh/x/y@dev/b.css', provider: 'jsdelivr', ok: true, status: 200 }]);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, 'GET');
+  assert.equal(requests[0].url, '/purge/gh/x/y@dev/b.css');
+});
+
+test('a failed purge is reported, not thrown, and every purge is audited', async () => {
+  failWith = 500;
+  const results = await purgeCdn([{ owner: 'o', repo: 'r', path: 'img/c.png' }], { reason: 'delete' });
+  assert.equal(results.length, 1);
+  assert.equal(results[0].ok, false);
+  assert.equal(results[0].status, 500);
+
+  const [entry] = await listAudit({ action: 'cdn.purge', path: 'img/c.png' });
+  assert.equal(entry.target_type, 'github_file');
+  assert.equal(entry.details.reason, 'delete');
+  assert.equal(entry.details.ok, false);
+  assert.equal((await listAudit({ action: 'cdn.purge' })).length, 3);
+});
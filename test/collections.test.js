@@ -0,0 +1,60 @@
+// test/collections.test.js
+// Upload defaults of nested collections (services/collection.service.js).
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.METADATA_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+
+const { createCollection } = await import('../src/models/collection.model.js');
+const { uploadDefaults, inCollection, resolveCollection } = await import('../src/services/collection.service.js');
+const { prepareUpload } = await import('../src/controllers/assets.controller.js');
+
+const key = { id: 'test', scopes: [], restrictions: {} };
+const make = (slug, extra = {}) => createCollection({ id: slug.replaceAll('/', '-'), slug, name: slug, ...extra });
+
+before(async () => {
+  await make('brand', { visibility: 'private', repo_path_prefix: 'brand/' });
+  await make('brand/logos');
+  await make('brand/logos/dark', { repo_path_prefix: 'img/dark/' });
+  await make('brand/press', { visibility: 'public' });
+  await make('misc');
+});
+
+test('a sub-collection inherits what it leaves unset from the nearest collection above it', async () => {
+  assert.deepEqual(await uploadDefaults(await resolveCollection('brand/logos')),
+    { repo_path_prefix: 'brand/', visibility: 'private' });
+  assert.deepEqual(await uploadDefaults(await resolveCollection('brand/logos/dark')),
+    { repo_path_prefix: 'img/dark/', visibility: 'private' });
+  assert.deepEqual(await uploadDefaults(await resolveCollection('brand/press')),
+    { repo_path_prefix: 'brand/', visibility: 'public' });
+});
+
+test('without a collection, or one setting nothing, there are no defaults', async () => {
+  assert.deepEqual(await uploadDefaults(null), { repo_path_prefix: null, visibility: null });
+  assert.deepEqual(await uploadDefaults(await resolveCollection('misc')), { repo_path_prefix: null, visibility: null });
+});
+
+test('paths go under the inherited repo_path_prefix', async () => {
+  const defaults = await uploadDefaults(await resolveCollection('brand/logos'));
+  assert.equal(inCollection(defaults, 'logo.svg'), 'brand/logo.svg');
+  assert.equal(inCollection(defaults, 'brand/logo.svg'), 'brand/logo.svg');
+});
+
+test('an upload into a sub-collection of a private one is private', async () => {
+  const prep = await prepareUpload(key, {
+    disk: 'local',
+    fields: { label: 'Logo', collection: 'brand/logos' },
+    originalname: 'logo.png'
+  });
+  assert.equal(prep.error, undefined);
+  assert.equal(prep.collection.slug, 'brand/logos');
+  assert.equal(prep.v.visibility, 'private');
+
+  const own = await prepareUpload(key, {
+    disk: 'local',
+    fields: { label: 'Logo 2', collection: 'brand/logos', visibility: 'public' },
+    originalname: 'logo.png'
+  });
+  assert.equal(own.v.visibility, 'public');
+});
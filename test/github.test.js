@@ -0,0 +1,147 @@
+// test/github.test.js
+// Contents API writes through the github driver (storage/github.driver.js) and GitHub uploads
+// (controllers/assets.controller.js storeUpload), against a local stand-in for the GitHub REST API.
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+// o/r: main plus the branches made since, all holding the same files: path -> { sha, content (base64) }
+let files = {};
+let purges = [];
+let branchesMade = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (d) => { body += d; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const p = url.pathname;
+    const json = (status, data) => {
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(data));
+    };
+    if (req.method === 'POST' && p === '/hook') {
+      purges.push(JSON.parse(body));
+      return json(200, {});
+    }
+    if (p === '/repos/o/r') return json(200, { default_branch: 'main', size: 1 });
+    if (p === '/repos/o/r/git/ref/heads/main') return json(200, { object: { sha: 'head1' } });
+    if (req.method === 'POST' && p === '/repos/o/r/git/refs') {
+      branchesMade.push(JSON.parse(body).ref);
+      return json(201, {});
+    }
+    const branch = /^\/repos\/o\/r\/branches\/(.+)$/.exec(p)?.[1];
+    if (branch) {
+      const known = branch === 'main' || branchesMade.includes(`refs/heads/${branch}`);
+      return known ? json(200, { name: branch }) : json(404, { message: 'Branch not found' });
+    }
+    const m = /^\/repos\/o\/r\/contents\/(.+)$/.exec(p);
+    if (!m) return json(404, { message: 'Not Found' });
+    const file = decodeURIComponent(m[1]);
+    const current = files[file];
+    if (req.method === 'GET') return current ? json(200, { type: 'file', sha: current.sha }) : json(404, { message: 'Not Found' });
+    if (req.method === 'PUT') {
+      const { content, sha } = JSON.parse(body);
+      if (current && sha !== current.sha) return json(422, { message: '"sha" wasn\'t supplied.' });
+      const next = { sha: crypto.createHash('sha1').update(content).digest('hex'), content };
+      files[file] = next;
+      return json(current ? 200 : 201, { content: { sha: next.sha, html_url: `https://github.com/o/r/blob/main/${file}` }, commit: { sha: `c-${next.sha}` } });
+    }
+    json(405, { message: 'Method not allowed' });
+  });
+});
+await new Promise(r => server.listen(0, '127.0.0.1', r));
+after(() => server.close());
+const origin = `http://127.0.0.1:${server.address().port}`;
+
+process.env.METADATA_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+process.env.ASSET_GH_API_URL = origin;
+process.env.ASSET_GH_MAX_RETRIES = '0';
+process.env.ASSET_GH_OWNER = 'o';
+process.env.ASSET_GH_REPO = 'r';
+process.env.GITHUB_TOKEN = 'test-token';
+process.env.ASSET_CDN_PROVIDER = 'custom';
+process.env.ASSET_CDN_BASE = 'https://cdn.example.com/{path}';
+process.env.ASSET_CDN_PURGE_URL = `${origin}/hook`;
+
+const { default: githubDriver } = await import('../src/storage/github.driver.js');
+const { storeUpload } = await import('../src/controllers/assets.controller.js');
+const { setScanner } = await import('../src/services/scanner.service.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-test-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const upload = (name, body, opts = {}) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, body);
+  return githubDriver.put({ path: `img/${name}`, file, size: Buffer.byteLength(body), mime: 'text/plain', ...opts });
+};
+const stored = (name) => Buffer.from(files[`img/${name}`].content, 'base64').toString();
+
+beforeEach(() => {
+  files = {};
+  purges = [];
+  branchesMade = [];
+});
+
+// storeUpload answering into a plain object
+async function post(name, body, fields) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, body);
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    set() { return this; },
+    json(data) { this.body = data; return this; }
+  };
+  const req = { apiKey: { id: 'test', scopes: [], restrictions: {} }, protocol: 'http', get: () => 'localhost' };
+  await storeUpload(req, res, { disk: 'github', file: { path: file, originalname: name, size: Buffer.byteLength(body) }, fields });
+  return res;
+}
+
+test('a new file is committed and nothing is purged', async () => {
+  const r = await upload('a.txt', 'alpha');
+  assert.equal(r.path, 'img/a.txt');
+  assert.equal(r.repo, 'o/r');
+  assert.equal(r.branch, 'main');
+  assert.equal(r.cdn_url, 'https://cdn.example.com/img/a.txt');
+  assert.ok(r.commit_sha);
+  assert.equal(stored('a.txt'), 'alpha');
+  assert.deepEqual(purges, []);
+});
+
+test('a file that appeared at the path since it was checked is left alone', async () => {
+  await upload('b.txt', 'theirs');
+  await assert.rejects(upload('b.txt', 'ours'), { code: 'PATH_EXISTS', status: 409 });
+  assert.equal(stored('b.txt'), 'theirs');
+  assert.deepEqual(purges, []);
+});
+
+test('with overwrite the file is replaced and purged from the CDN', async () => {
+  await upload('c.txt', 'old');
+  await upload('c.txt', 'new', { overwrite: true });
+  assert.equal(stored('c.txt'), 'new');
+  assert.deepEqual(purges.map(p => p.url), ['https://cdn.example.com/img/c.txt']);
+});
+
+test('branch_policy=create makes no branch for an upload refused by its checks', async (t) => {
+  setScanner(async () => ({ infected: true, signature: 'Test-Signature' }));
+  t.after(() => setScanner(null));
+  const fields = { label: 'Doc', repo_path: 'docs/d.txt', branch: 'feature', branch_policy: 'create' };
+
+  const refused = await post('d.txt', 'infected', fields);
+  assert.equal(refused.statusCode, 422);
+  assert.deepEqual(branchesMade, []);
+
+  setScanner(async () => ({ infected: false }));
+  const stored = await post('d.txt', 'clean', fields);
+  assert.equal(stored.statusCode, 200, JSON.stringify(stored.body));
+  assert.deepEqual(branchesMade, ['refs/heads/feature']);
+  assert.equal(stored.body.asset.branch, 'feature');
+});
@@ -0,0 +1,80 @@
+// test/quota.test.js
+// Per-key storage quotas (services/quota.service.js) and the usage report (controllers/usage.controller.js).
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.METADATA_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+
+const { insertAsset, softDeleteAsset } = await import('../src/models/asset.model.js');
+const { createKey, revokeKey } = await import('../src/models/apiKey.model.js');
+const { checkQuota, usageReport } = await import('../src/services/quota.service.js');
+const { listUsage } = await import('../src/controllers/usage.controller.js');
+
+let limited;
+let unlimited;
+let revoked;
+
+const store = (id, created_by, size) => insertAsset({
+  id, slug: id, label: 'test', filename: `${id}.txt`, disk: 'local', path: `${id}.txt`,
+  mime: 'text/plain', size, created_by
+});
+
+before(async () => {
+  ({ key: limited } = await createKey({
+    name: 'limited', scopes: ['assets:write'], quotas: { max_assets: 3, max_bytes: 1000, max_file_size: 500 }
+  }));
+  ({ key: unlimited } = await createKey({ name: 'unlimited', scopes: ['assets:write'] }));
+  ({ key: revoked } = await createKey({ name: 'gone', scopes: ['assets:write'] }));
+
+  await store('l1', limited.id, 300);
+  await store('l2', limited.id, 400);
+  await store('l3', limited.id, 250);
+  await softDeleteAsset('l3');
+  await store('u1', unlimited.id, 5000);
+  await store('r1', revoked.id, 10);
+  await revokeKey(revoked.id);
+  await store('root1', 'root', 20);
+  await store('old1', null, 7);
+});
+
+test('a file over max_file_size is refused with 413', async () => {
+  await assert.rejects(checkQuota(limited, { assets: 1, bytes: 501, largest: 501 }),
+    { code: 'QUOTA_FILE_SIZE', status: 413, quota: 'max_file_size', limit: 500 });
+});
+
+test('going over max_bytes or max_assets is refused with 429; trashed assets don\'t count', async () => {
+  await checkQuota(limited, { assets: 1, bytes: 300, largest: 300 });
+  await assert.rejects(checkQuota(limited, { assets: 1, bytes: 301, largest: 301 }),
+    { code: 'QUOTA_EXCEEDED', status: 429, quota: 'max_bytes', limit: 1000, used: 700 });
+  await assert.rejects(checkQuota(limited, { assets: 2, bytes: 2, largest: 1 }),
+    { code: 'QUOTA_EXCEEDED', status: 429, quota: 'max_assets', limit: 3, used: 2 });
+});
+
+test('a key without quotas is never refused', async () => {
+  await checkQuota(unlimited, { assets: 100, bytes: 1e12, largest: 1e12 });
+});
+
+test('a key\'s usage report says what is left of its quotas', async () => {
+  assert.deepEqual(await usageReport(limited), {
+    usage: { assets: 2, bytes: 700 },
+    quotas: { max_assets: 3, max_bytes: 1000, max_file_size: 500 },
+    remaining: { assets: 1, bytes: 300 }
+  });
+  assert.deepEqual((await usageReport(unlimited)).remaining, { assets: null, bytes: null });
+});
+
+test('/admin/usage adds up every key, APP_KEY and unattributed assets, largest first', async () => {
+  const res = { json(data) { this.body = data; return this; } };
+  await listUsage({}, res);
+  const { total, items } = res.body;
+  assert.deepEqual(total, { assets: 6, bytes: 5737 });
+  assert.deepEqual(items.map(i => [i.key_id, i.name, i.assets, i.bytes]), [
+    [unlimited.id, 'unlimited', 1, 5000],
+    [limited.id, 'limited', 2, 700],
+    ['root', 'APP_KEY', 1, 20],
+    [revoked.id, 'gone', 1, 10],
+    [null, null, 1, 7]
+  ]);
+  assert.equal(items.find(i => i.key_id === null).quotas, null);
+});
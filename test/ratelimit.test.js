@@ -0,0 +1,61 @@
+// test/ratelimit.test.js
+// Token buckets (ratelimit/*.store.js) and the middleware answering with them (middleware/rateLimit.js).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.ASSET_RATE_LIMIT_IP = '3/60';
+process.env.ASSET_RATE_LIMIT_KEY = 'off';
+
+const { default: memoryStore } = await import('../src/ratelimit/memory.store.js');
+const { createRedisStore } = await import('../src/ratelimit/redis.store.js');
+const { default: rateLimit } = await import('../src/middleware/rateLimit.js');
+
+// 2 tokens, one back every second
+const bucket = { capacity: 2, rate: 1 / 1000, cost: 1 };
+
+for (const [name, open] of [['memory', async () => memoryStore], ['redis (mock://)', () => createRedisStore('mock://')]]) {
+  test(`${name} store: a bucket starts full, empties and refills at its rate`, async () => {
+    const store = await open();
+    const key = `test:${name}`;
+    const t0 = 1_000_000;
+    assert.deepEqual(await store.take(key, { ...bucket, now: t0 }), { allowed: true, tokens: 1 });
+    assert.deepEqual(await store.take(key, { ...bucket, now: t0 }), { allowed: true, tokens: 0 });
+    assert.deepEqual(await store.take(key, { ...bucket, now: t0 + 500 }), { allowed: false, tokens: 0.5 });
+    assert.deepEqual(await store.take(key, { ...bucket, now: t0 + 1000 }), { allowed: true, tokens: 0 });
+    // never more than capacity, however long it was left alone
+    assert.deepEqual(await store.take(key, { ...bucket, now: t0 + 60_000 }), { allowed: true, tokens: 1 });
+    // buckets are kept apart
+    assert.deepEqual(await store.take(`${key}:other`, { ...bucket, now: t0 }), { allowed: true, tokens: 1 });
+  });
+}
+
+test('the ip bucket answers with RateLimit headers, then 429 with Retry-After', async (t) => {
+  const app = express();
+  app.get('/x', rateLimit('ip'), (req, res) => res.json({ ok: true }));
+  app.get('/y', (req, res, next) => { req.apiKey = { id: 'k' }; next(); }, rateLimit('key'), (req, res) => res.json({ ok: true }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(r => server.once('listening', r));
+  t.after(() => server.close());
+  const url = (p) => `http://127.0.0.1:${server.address().port}${p}`;
+
+  for (const remaining of ['2', '1', '0']) {
+    const res = await fetch(url('/x'));
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('ratelimit-policy'), '3;w=60');
+    assert.equal(res.headers.get('ratelimit-limit'), '3');
+    assert.equal(res.headers.get('ratelimit-remaining'), remaining);
+  }
+  const refused = await fetch(url('/x'));
+  assert.equal(refused.status, 429);
+  assert.equal(refused.headers.get('ratelimit-remaining'), '0');
+  assert.ok(Number(refused.headers.get('retry-after')) >= 1);
+  const body = await refused.json();
+  assert.equal(body.ok, false);
+  assert.equal(body.retry_after, Number(refused.headers.get('retry-after')));
+
+  // a bucket turned off limits nothing
+  const off = await fetch(url('/y'));
+  assert.equal(off.status, 200);
+  assert.equal(off.headers.get('ratelimit-limit'), null);
+});
@@ -0,0 +1,103 @@
+// test/reconcile.test.js
+// Drift between github assets and their repo (services/reconcile.service.js), against a local
+// stand-in for the GitHub REST API.
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+
+// branch main of o/r
+const files = {
+  'README.md': 'not an asset',
+  'assets/a.txt': 'alpha',
+  'assets/c.txt': 'gamma!',
+  'assets/d.txt': 'delta',
+  'assets/new.txt': 'brand new'
+};
+
+const gitSha = (body) => crypto.createHash('sha1').update(`blob ${Buffer.byteLength(body)}\0${body}`).digest('hex');
+const sha256 = (body) => crypto.createHash('sha256').update(body).digest('hex');
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  const json = (data) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  };
+  const p = url.pathname;
+  if (p === '/repos/o/r/git/ref/heads/main') return json({ object: { sha: 'commit1' } });
+  if (p === '/repos/o/r/git/commits/commit1') return json({ tree: { sha: 'tree1' } });
+  if (p === '/repos/o/r/git/trees/tree1') {
+    return json({
+      truncated: false,
+      tree: [
+        { path: 'assets', type: 'tree', sha: 'tree2' },
+        ...Object.entries(files).map(([path, body]) => ({ path, type: 'blob', sha: gitSha(body), size: Buffer.byteLength(body) }))
+      ]
+    });
+  }
+  const contents = /^\/repos\/o\/r\/contents\/(.+)$/.exec(p);
+  const body = contents && files[decodeURIComponent(contents[1])];
+  if (body != null) return res.end(body);
+  res.statusCode = 404;
+  json({ message: 'Not Found' });
+});
+await new Promise(r => server.listen(0, '127.0.0.1', r));
+after(() => server.close());
+
+process.env.METADATA_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+process.env.ASSET_GH_API_URL = `http://127.0.0.1:${server.address().port}`;
+process.env.ASSET_GH_MAX_RETRIES = '0';
+process.env.ASSET_GH_OWNER = 'o';
+process.env.ASSET_GH_REPO = 'r';
+process.env.GITHUB_TOKEN = 'test-token';
+
+const { insertAsset, getById } = await import('../src/models/asset.model.js');
+const { reconcileGithub } = await import('../src/services/reconcile.service.js');
+
+const register = (slug, path, { size, sha } = {}) => insertAsset({
+  id: slug, slug, label: 'test', filename: path.split('/').pop(), disk: 'github', path, repo: 'o/r',
+  mime: 'text/plain', size: size ?? Buffer.byteLength(files[path] ?? ''), sha256: sha ?? sha256(files[path] ?? ''),
+  visibility: 'private'
+});
+
+await register('a', 'assets/a.txt');
+await register('b', 'assets/b.txt', { size: 4, sha: sha256('beta') });
+await register('c', 'assets/c.txt', { sha: sha256('gamma?') });
+await register('d', 'assets/d.txt', { size: 99 });
+
+test('reports untracked, missing and mismatched files under the prefix', async () => {
+  const r = await reconcileGithub({ prefix: 'assets/' });
+  assert.equal(r.repo, 'o/r');
+  assert.equal(r.branch, 'main');
+  assert.equal(r.commit_sha, 'commit1');
+  assert.deepEqual(r.untracked, [{ path: 'assets/new.txt', git_sha: gitSha(files['assets/new.txt']), size: 9 }]);
+  assert.deepEqual(r.missing, [{ id: 'b', slug: 'b', path: 'assets/b.txt' }]);
+  assert.deepEqual(r.mismatched.map(m => [m.id, m.reason]).sort(), [['c', 'sha256'], ['d', 'size']]);
+  assert.deepEqual(r.errors, []);
+  assert.equal(r.registered, undefined);
+  assert.equal(r.removed, undefined);
+});
+
+test('without hashing only sizes are compared', async () => {
+  const r = await reconcileGithub({ prefix: 'assets/', hash: false });
+  assert.deepEqual(r.mismatched.map(m => m.id), ['d']);
+});
+
+test('register adds untracked files as assets; remove soft-deletes missing ones as purged', async () => {
+  const r = await reconcileGithub({ prefix: 'assets/', register: true, remove: true, label: 'found' });
+  assert.equal(r.registered.length, 1);
+  const added = await getById(r.registered[0].id);
+  assert.equal(added.path, 'assets/new.txt');
+  assert.equal(added.repo, 'o/r');
+  assert.equal(added.label, 'found');
+  assert.equal(added.size, 9);
+  assert.equal(added.sha256, sha256(files['assets/new.txt']));
+  assert.deepEqual(r.removed, ['b']);
+  assert.ok((await getById('b')).purged_at);
+
+  const again = await reconcileGithub({ prefix: 'assets/' });
+  assert.equal(again.summary.untracked, 0);
+  assert.equal(again.summary.missing, 0);
+});
@@ -0,0 +1,107 @@
+// test/scanner.test.js
+// Malware scanning of uploads (services/scanner.service.js) and where it sits in
+// services/ingest.service.js.
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import net from 'net';
+
+process.env.METADATA_BACKEND = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+
+const { scanFile, setScanner, clamavScanner } = await import('../src/services/scanner.service.js');
+const { inspectUpload } = await import('../src/services/ingest.service.js');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+let dir;
+const write = (name, body) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, body);
+  return file;
+};
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-test-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+afterEach(() => setScanner(null));
+
+test('without a scanner nothing is scanned', async () => {
+  assert.deepEqual(await scanFile(write('a.txt', 'hello')), { scan_status: 'skipped', scanned_at: null });
+});
+
+test('a clean verdict is recorded with the time of the scan', async () => {
+  setScanner(async () => ({ infected: false }));
+  const r = await scanFile(write('b.txt', 'hello'));
+  assert.equal(r.scan_status, 'clean');
+  assert.ok(r.scanned_at);
+});
+
+test('an infected file is refused with the signature found', async () => {
+  setScanner(async () => ({ infected: true, signature: 'Eicar-Signature' }));
+  await assert.rejects(scanFile(write('c.txt', EICAR)),
+    { code: 'MALWARE_FOUND', status: 422, signature: 'Eicar-Signature' });
+});
+
+test('a failing scanner refuses the upload (fail closed)', async () => {
+  setScanner(async () => { throw new Error('connection refused'); });
+  await assert.rejects(scanFile(write('d.txt', 'hello')), { code: 'SCAN_FAILED', status: 503 });
+});
+
+test('uploads are scanned once their type is settled', async () => {
+  const seen = [];
+  setScanner(async (file) => {
+    seen.push(file);
+    return { infected: fs.readFileSync(file, 'utf8').includes('EICAR') };
+  });
+  const ok = await inspectUpload({ file: write('e.txt', 'hello'), filename: 'e.txt', size: 5 });
+  assert.equal(ok.scan_status, 'clean');
+  await assert.rejects(inspectUpload({ file: write('f.txt', EICAR), filename: 'f.txt', size: EICAR.length }),
+    { code: 'MALWARE_FOUND' });
+
+  // refused before the scanner sees it
+  const html = '<!doctype html><html><body>hi</body></html>';
+  await assert.rejects(inspectUpload({ file: write('g.jpg', html), filename: 'g.jpg', size: html.length }),
+    { status: 415 });
+  assert.equal(seen.length, 2);
+});
+
+test('clamavScanner speaks zINSTREAM and reads clamd\'s verdict', async (t) => {
+  const streams = [];
+  const server = net.createServer((socket) => {
+    let buf = Buffer.alloc(0);
+    socket.on('data', (d) => {
+      buf = Buffer.concat([buf, d]);
+      const cmd = 'zINSTREAM\0';
+      if (buf.length < cmd.length) return;
+      assert.equal(buf.subarray(0, cmd.length).toString(), cmd);
+      // length-prefixed chunks up to a zero-length one
+      const body = [];
+      for (let i = cmd.length; i + 4 <= buf.length;) {
+        const n = buf.readUInt32BE(i);
+        if (n === 0) {
+          const text = Buffer.concat(body).toString();
+          streams.push(text);
+          socket.end(text.includes('EICAR') ? 'stream: Eicar-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (i + 4 + n > buf.length) return;
+        body.push(buf.subarray(i + 4, i + 4 + n));
+        i += 4 + n;
+      }
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => server.close());
+  process.env.CLAMAV_HOST = '127.0.0.1';
+  process.env.CLAMAV_PORT = String(server.address().port);
+
+  assert.deepEqual(await clamavScanner(write('h.txt', 'hello')), { infected: false });
+  assert.deepEqual(await clamavScanner(write('i.txt', EICAR)), { infected: true, signature: 'Eicar-Signature' });
+  assert.deepEqual(streams, ['hello', EICAR]);
+});